@@ -0,0 +1,10 @@
+START TRANSACTION;
+
+ALTER TABLE `tarallo_cards`
+	ADD `revision` INT NOT NULL DEFAULT 0 COMMENT 'incremented on each title or content change, to detect edit conflicts';
+
+UPDATE `tarallo_settings`
+	SET `value` = '11'
+	WHERE `tarallo_settings`.`name` = 'db_version';
+
+COMMIT;
@@ -0,0 +1,13 @@
+START TRANSACTION;
+
+ALTER TABLE `tarallo_cards`
+	ADD `deleted_time` BIGINT NOT NULL DEFAULT 0 COMMENT 'when the card was deleted, 0 if not deleted';
+
+ALTER TABLE `tarallo_cardlists`
+	ADD `deleted_time` BIGINT NOT NULL DEFAULT 0 COMMENT 'when the list was deleted, 0 if not deleted';
+
+UPDATE `tarallo_settings`
+	SET `value` = '12'
+	WHERE `tarallo_settings`.`name` = 'db_version';
+
+COMMIT;
@@ -0,0 +1,10 @@
+START TRANSACTION;
+
+INSERT INTO `tarallo_settings` (`id`, `name`, `value`) VALUES
+	(NULL, 'archive_purge_days', '0');
+
+UPDATE `tarallo_settings`
+	SET `value` = '13'
+	WHERE `tarallo_settings`.`name` = 'db_version';
+
+COMMIT;
@@ -0,0 +1,10 @@
+START TRANSACTION;
+
+ALTER TABLE `tarallo_boards`
+	ADD `is_template` INT NOT NULL DEFAULT 0 COMMENT 'whether every user can create boards from this one';
+
+UPDATE `tarallo_settings`
+	SET `value` = '14'
+	WHERE `tarallo_settings`.`name` = 'db_version';
+
+COMMIT;
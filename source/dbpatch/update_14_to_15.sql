@@ -0,0 +1,11 @@
+START TRANSACTION;
+
+ALTER TABLE `tarallo_cardlists`
+	ADD `card_limit` INT NOT NULL DEFAULT 0 COMMENT 'maximum number of cards in the list, 0 for no limit',
+	ADD `card_limit_strict` INT NOT NULL DEFAULT 0 COMMENT 'whether cards over the limit are refused rather than only warned about';
+
+UPDATE `tarallo_settings`
+	SET `value` = '15'
+	WHERE `tarallo_settings`.`name` = 'db_version';
+
+COMMIT;
@@ -0,0 +1,22 @@
+START TRANSACTION;
+
+CREATE TABLE `tarallo_board_preferences`
+(
+    `id`              INT AUTO_INCREMENT PRIMARY KEY,
+    `user_id`         INT NOT NULL,
+    `board_id`        INT NOT NULL,
+    `card_density`    VARCHAR(16) NOT NULL DEFAULT 'comfortable',
+    `collapsed_lists` TEXT NOT NULL COMMENT 'comma separated IDs of the lists the user has collapsed'
+);
+
+CREATE UNIQUE INDEX `user_and_board`
+    ON `tarallo_board_preferences` (`user_id`, `board_id`);
+
+CREATE INDEX `board`
+    ON `tarallo_board_preferences` (`board_id`);
+
+UPDATE `tarallo_settings`
+	SET `value` = '16'
+	WHERE `tarallo_settings`.`name` = 'db_version';
+
+COMMIT;
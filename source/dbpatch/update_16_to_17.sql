@@ -0,0 +1,10 @@
+START TRANSACTION;
+
+ALTER TABLE `tarallo_cardlists`
+	ADD `auto_sort` VARCHAR(16) NOT NULL DEFAULT '' COMMENT 'the key the cards are kept sorted by as they arrive, empty to keep them where they are put';
+
+UPDATE `tarallo_settings`
+	SET `value` = '17'
+	WHERE `tarallo_settings`.`name` = 'db_version';
+
+COMMIT;
@@ -0,0 +1,10 @@
+START TRANSACTION;
+
+ALTER TABLE `tarallo_activity`
+	ADD `client_id` VARCHAR(64) NOT NULL DEFAULT '' COMMENT 'the browser tab that made the change, so its live updates can skip it';
+
+UPDATE `tarallo_settings`
+	SET `value` = '18'
+	WHERE `tarallo_settings`.`name` = 'db_version';
+
+COMMIT;
@@ -0,0 +1,11 @@
+START TRANSACTION;
+
+ALTER TABLE `tarallo_cards`
+	ADD `start_date` BIGINT NOT NULL DEFAULT 0,
+	ADD `due_date` BIGINT NOT NULL DEFAULT 0;
+
+UPDATE `tarallo_settings`
+	SET `value` = '7'
+	WHERE `tarallo_settings`.`name` = 'db_version';
+
+COMMIT;
@@ -0,0 +1,21 @@
+START TRANSACTION;
+
+CREATE TABLE `tarallo_card_assignees`
+(
+    `id`       INT AUTO_INCREMENT PRIMARY KEY,
+    `card_id`  INT NOT NULL,
+    `user_id`  INT NOT NULL,
+    `board_id` INT NOT NULL
+);
+
+CREATE UNIQUE INDEX `card_and_user`
+    ON `tarallo_card_assignees` (`card_id`, `user_id`);
+
+CREATE INDEX `board`
+    ON `tarallo_card_assignees` (`board_id`);
+
+UPDATE `tarallo_settings`
+	SET `value` = '8'
+	WHERE `tarallo_settings`.`name` = 'db_version';
+
+COMMIT;
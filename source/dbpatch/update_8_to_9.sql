@@ -0,0 +1,26 @@
+START TRANSACTION;
+
+CREATE TABLE `tarallo_comments`
+(
+    `id`           INT AUTO_INCREMENT PRIMARY KEY,
+    `card_id`      INT NOT NULL,
+    `board_id`     INT NOT NULL,
+    `user_id`      INT NOT NULL,
+    `parent_id`    INT NOT NULL DEFAULT 0,
+    `content`      TEXT NOT NULL,
+    `created_time` BIGINT NOT NULL,
+    `edited_time`  BIGINT NOT NULL DEFAULT 0,
+    `deleted`      TINYINT(1) NOT NULL DEFAULT 0
+);
+
+CREATE INDEX `card`
+    ON `tarallo_comments` (`card_id`);
+
+CREATE INDEX `board`
+    ON `tarallo_comments` (`board_id`);
+
+UPDATE `tarallo_settings`
+	SET `value` = '9'
+	WHERE `tarallo_settings`.`name` = 'db_version';
+
+COMMIT;
@@ -0,0 +1,22 @@
+START TRANSACTION;
+
+CREATE TABLE `tarallo_activity`
+(
+    `id`          INT AUTO_INCREMENT PRIMARY KEY,
+    `board_id`    INT NOT NULL,
+    `user_id`     INT NOT NULL,
+    `operation`   VARCHAR(64) NOT NULL,
+    `description` VARCHAR(512) NOT NULL,
+    `card_id`     INT NOT NULL DEFAULT 0,
+    `cardlist_id` INT NOT NULL DEFAULT 0,
+    `time`        BIGINT NOT NULL
+);
+
+CREATE INDEX `board`
+    ON `tarallo_activity` (`board_id`, `id`);
+
+UPDATE `tarallo_settings`
+	SET `value` = '10'
+	WHERE `tarallo_settings`.`name` = 'db_version';
+
+COMMIT;
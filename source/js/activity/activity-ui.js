@@ -0,0 +1,131 @@
+import {getInitials, loadTemplate, setOnClickEventBySelector} from "../core/utils.js";
+import {showErrorPopup} from "../ui/popup.js";
+import {Activity} from "./activity.js";
+
+/**
+ * Class to handle the activity side panel of a board.
+ */
+export class ActivityUI {
+
+    /**
+     * Construction.
+     */
+    constructor() {
+        this.activity = new Activity();
+        this._nextPage = 0;
+    }
+
+    /**
+     * Init links to other UI objects.
+     * @param cardUI The card UI.
+     * @param page The page API.
+     */
+    init({cardUI, page}) {
+        this.cardUI = cardUI;
+        this.page = page;
+    }
+
+    /**
+     * Open the activity panel, or close it if already open.
+     * @returns {Promise<void>} Updated when the operation completes.
+     */
+    async togglePanel() {
+        const panelElem = document.getElementById("activity-panel");
+        if (panelElem) {
+            panelElem.remove();
+            return;
+        }
+
+        const newPanelElem = loadTemplate("tmpl-activity-panel", {});
+        setOnClickEventBySelector(newPanelElem, ".dialog-close-btn", () => newPanelElem.remove());
+        setOnClickEventBySelector(newPanelElem, ".activity-more-btn", () => this._loadNextPage(newPanelElem));
+        this.page.getContentElem().appendChild(newPanelElem);
+
+        this._nextPage = 0;
+        await this._loadNextPage(newPanelElem);
+    }
+
+    /**
+     * Reload the activity panel if open, when switching to another board.
+     * @returns {Promise<void>} Updated when the operation completes.
+     */
+    async reload() {
+        const panelElem = document.getElementById("activity-panel");
+        if (!panelElem) {
+            return;
+        }
+
+        panelElem.querySelector(".activity-list").replaceChildren();
+        this._nextPage = 0;
+        await this._loadNextPage(panelElem);
+    }
+
+    /**
+     * Load the next page of activity at the bottom of the panel.
+     * @param panelElem The activity panel element.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _loadNextPage(panelElem) {
+        const moreBtnElem = panelElem.querySelector(".activity-more-btn");
+        moreBtnElem.disabled = true;
+
+        try {
+            const response = await this.activity.getPage(this._nextPage);
+            const listElem = panelElem.querySelector(".activity-list");
+            for (const entry of response["entries"]) {
+                listElem.appendChild(this._loadEntry(entry));
+            }
+
+            this._nextPage = response["page"] + 1;
+            moreBtnElem.classList.toggle("hidden", !response["has_more"]);
+        } catch (e) {
+            showErrorPopup(`Could not load the board activity: ${e.message}`, 'page-error');
+        } finally {
+            moreBtnElem.disabled = false;
+        }
+    }
+
+    /**
+     * Create the element of an activity entry, linked to the card or list it affected.
+     * @param entry The activity entry data.
+     * @returns {*} The entry element.
+     * @private
+     */
+    _loadEntry(entry) {
+        const entryElem = loadTemplate("tmpl-activity-entry", {
+            id: entry["id"],
+            display_name: entry["display_name"],
+            initials: getInitials(entry["display_name"]),
+            date: entry["date"],
+        });
+        entryElem.querySelector(".activity-entry-description").textContent = entry["description"];
+
+        // Link to whatever the entry is about, as long as it is still on the board
+        if (entry["card_id"] > 0 && document.getElementById(`card-${entry["card_id"]}`)) {
+            entryElem.classList.add("linked");
+            entryElem.onclick = () => this.cardUI.openCard(entry["card_id"]);
+        } else if (entry["cardlist_id"] > 0 && document.getElementById(`cardlist-${entry["cardlist_id"]}`)) {
+            entryElem.classList.add("linked");
+            entryElem.onclick = () => this._showList(entry["cardlist_id"]);
+        }
+
+        return entryElem;
+    }
+
+    /**
+     * Scroll a list into view and briefly highlight it.
+     * @param listId The ID of the list.
+     * @private
+     */
+    _showList(listId) {
+        const listElem = document.getElementById(`cardlist-${listId}`);
+        if (!listElem) {
+            return;
+        }
+
+        listElem.scrollIntoView({behavior: "smooth", block: "nearest", inline: "center"});
+        listElem.classList.add("highlighted");
+        setTimeout(() => listElem.classList.remove("highlighted"), 2000);
+    }
+}
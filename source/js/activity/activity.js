@@ -0,0 +1,16 @@
+import {asyncCall} from "../core/server.js";
+
+/**
+ * Class to handle server operations for the board activity log.
+ */
+export class Activity {
+
+    /**
+     * Get a page of the current board's activity, most recent first.
+     * @param page The page to get, starting from 0.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async getPage(page) {
+        return await asyncCall('GetBoardActivity', {page}, 'GET');
+    }
+}
@@ -1,5 +1,8 @@
 import {GetQueryStringParams} from "./core/utils.js";
 
+// Random ID of this browser tab, sent with every call so the live updates of a board can skip the tab's own changes.
+const CLIENT_ID = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, "0")).join("");
+
 /**
  * A class to handle server requests to Tarallo.
  */
@@ -11,7 +14,7 @@ export class TaralloServer {
      * @param params The parameters to use. Will automatically convert to URL
      *               string or POST params, depending on request type.
      * @param method The method to use for the call.
-     * @returns {Promise<{succeeded: boolean, error: string}|{succeeded: boolean, response: any}>}
+     * @returns {Promise<{succeeded: boolean, offline: boolean, error: string}|{succeeded: boolean, response: any}>}
      */
     static async jsonRequest(pageUrl, params, method) {
         try {
@@ -43,7 +46,12 @@ export class TaralloServer {
             // Will throw if invalid JSON
             return { succeeded: true, response: await response.json() };
         } catch (err) {
-            return { succeeded: false, error: err.message || "Network or JSON parsing error." };
+            // fetch() only throws a TypeError when the server can't be reached
+            return {
+                succeeded: false,
+                offline: err instanceof TypeError,
+                error: err.message || "Network or JSON parsing error."
+            };
         }
     }
 
@@ -55,13 +63,32 @@ export class TaralloServer {
      * @returns {Promise<{succeeded: boolean, error: string}|{succeeded: boolean, response: *}>}
      */
     static async call(apiName, params = {}, method) {
-        const postParams = {
+        return await TaralloServer.send(TaralloServer.buildParams(apiName, params), method);
+    }
+
+    /**
+     * Build the parameters of a call, including the ones of the current page URL and the ID of this tab.
+     * @param apiName The API to call.
+     * @param params The call parameters.
+     * @returns {Object} All the parameters to send.
+     */
+    static buildParams(apiName, params = {}) {
+        return {
             OP: apiName,
+            client_id: CLIENT_ID,
             ...Object.fromEntries(GetQueryStringParams()),
             ...params
         };
+    }
 
-        return await TaralloServer.jsonRequest("php/api.php", postParams, method);
+    /**
+     * Send a call with parameters already built by buildParams().
+     * @param postParams All the parameters to send.
+     * @param method The method to use for the call.
+     * @returns {Promise<{succeeded: boolean, offline: boolean, error: string}|{succeeded: boolean, response: *}>}
+     */
+    static async send(postParams, method) {
+        return await TaralloServer.jsonRequest("php/api.php", {...postParams}, method);
     }
 
     static encodeQueryData(data) {
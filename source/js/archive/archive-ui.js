@@ -0,0 +1,207 @@
+import {loadTemplate, setOnClickEventBySelector} from "../core/utils.js";
+import {showErrorPopup, showInfoPopup} from "../ui/popup.js";
+import {OfflineQueuedError} from "../offline/outbox.js";
+import {Archive} from "./archive.js";
+
+// The user types allowed to purge the archive, as UserType::Moderator on the server.
+const MODERATOR_USER_TYPE = 2;
+
+/**
+ * Class to handle the side panel with the archived cards and lists of a board, where they can be restored or
+ * permanently deleted.
+ */
+export class ArchiveUI {
+
+    /**
+     * Construction.
+     */
+    constructor() {
+        this.archive = new Archive();
+        this._canPurge = false;
+    }
+
+    /**
+     * Init links to other UI objects.
+     * @param cardUI The card UI.
+     * @param listUI The list UI.
+     * @param page The page API.
+     */
+    init({cardUI, listUI, page}) {
+        this.cardUI = cardUI;
+        this.listUI = listUI;
+        this.page = page;
+    }
+
+    /**
+     * Called when a board is loaded.
+     * @param userType The type of the user on the board.
+     */
+    onBoardLoaded(userType) {
+        this._canPurge = userType <= MODERATOR_USER_TYPE;
+    }
+
+    /**
+     * Open the archive panel, or close it if already open.
+     * @returns {Promise<void>} Updated when the operation completes.
+     */
+    async togglePanel() {
+        const panelElem = document.getElementById("archive-panel");
+        if (panelElem) {
+            panelElem.remove();
+            return;
+        }
+
+        const newPanelElem = loadTemplate("tmpl-archive-panel", {});
+        setOnClickEventBySelector(newPanelElem, ".dialog-close-btn", () => newPanelElem.remove());
+        this.page.getContentElem().appendChild(newPanelElem);
+
+        await this._purgeExpiredItems();
+        await this._loadItems(newPanelElem);
+    }
+
+    /**
+     * Reload the archive panel if open, when switching to another board.
+     * @returns {Promise<void>} Updated when the operation completes.
+     */
+    async reload() {
+        const panelElem = document.getElementById("archive-panel");
+        if (panelElem) {
+            await this._purgeExpiredItems();
+            await this._loadItems(panelElem);
+        }
+    }
+
+    /**
+     * Permanently delete the items archived for longer than the purge delay, if the user is allowed to.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _purgeExpiredItems() {
+        if (!this._canPurge) {
+            return;
+        }
+
+        try {
+            await this.archive.purgeExpiredItems();
+        } catch (e) {
+            // the items are listed a while longer, and purged the next time the archive is opened
+        }
+    }
+
+    /**
+     * Load the archived items in the panel, replacing the ones displayed.
+     * @param panelElem The archive panel element.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _loadItems(panelElem) {
+        let response;
+        try {
+            response = await this.archive.getItems();
+        } catch (e) {
+            showErrorPopup(`Could not load the archived items: ${e.message}`, 'page-error');
+            return;
+        }
+
+        const purgeInfoElem = panelElem.querySelector(".archive-purge-info");
+        purgeInfoElem.textContent = `Archived items are permanently deleted after ${response["purge_days"]} days.`;
+        purgeInfoElem.classList.toggle("hidden", response["purge_days"] === 0);
+
+        const listsElem = panelElem.querySelector(".archive-lists");
+        listsElem.replaceChildren(...response["lists"].map(list => this._loadEntry(panelElem, "list", list)));
+        panelElem.querySelector(".archive-lists-title").classList.toggle("hidden", response["lists"].length === 0);
+
+        const cardsElem = panelElem.querySelector(".archive-cards");
+        cardsElem.replaceChildren(...response["cards"].map(card => this._loadEntry(panelElem, "card", card)));
+        panelElem.querySelector(".archive-cards-title").classList.toggle("hidden", response["cards"].length === 0);
+
+        const empty = response["lists"].length === 0 && response["cards"].length === 0;
+        panelElem.querySelector(".archive-empty").classList.toggle("hidden", !empty);
+    }
+
+    /**
+     * Create the element of an archived card or list.
+     * @param panelElem The archive panel element.
+     * @param type Either "card" or "list".
+     * @param item The archived card or list data.
+     * @returns {*} The entry element.
+     * @private
+     */
+    _loadEntry(panelElem, type, item) {
+        const entryElem = loadTemplate("tmpl-archive-entry", {type, id: item["id"]});
+        const cardCount = item["card_count"] === 1 ? "1 card" : `${item["card_count"]} cards`;
+        entryElem.querySelector(".archive-entry-name").textContent = type === "card" ? item["title"] : item["name"];
+        entryElem.querySelector(".archive-entry-details").textContent = type === "card"
+            ? `In ${item["list_name"]}, archived ${item["archived_date"]}`
+            : `${cardCount}, archived ${item["archived_date"]}`;
+
+        setOnClickEventBySelector(entryElem, ".archive-restore-btn", () => this._restore(panelElem, type, item["id"]));
+        setOnClickEventBySelector(entryElem, ".archive-purge-btn", (elem) => this._purge(panelElem, type, item["id"], elem));
+
+        return entryElem;
+    }
+
+    /**
+     * Restore an archived card or list back to the board.
+     * @param panelElem The archive panel element.
+     * @param type Either "card" or "list".
+     * @param id The ID of the card or list.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _restore(panelElem, type, id) {
+        try {
+            if (type === "card") {
+                await this.cardUI.restoreCard(id);
+            } else {
+                await this.listUI.restoreCardList(id);
+            }
+        } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                // saved once back online, when the board is loaded again with it
+                panelElem.querySelector(`#archive-${type}-${id}`)?.remove();
+                showInfoPopup(`The ${type} will be restored once back online`, 'page-error');
+                return;
+            }
+            showErrorPopup(`Could not restore the ${type}: ${e.message}`, 'page-error');
+            return;
+        }
+
+        // the cards of a restored list are now listed on their own
+        await this._loadItems(panelElem);
+    }
+
+    /**
+     * Permanently delete an archived card or list, once the user has clicked twice to confirm.
+     * @param panelElem The archive panel element.
+     * @param type Either "card" or "list".
+     * @param id The ID of the card or list.
+     * @param buttonElem The delete button.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _purge(panelElem, type, id, buttonElem) {
+        if (!buttonElem.classList.contains("confirming")) {
+            buttonElem.classList.add("confirming");
+            buttonElem.textContent = "Delete forever?";
+            return;
+        }
+
+        try {
+            if (type === "card") {
+                await this.archive.purgeCard(id);
+            } else {
+                await this.archive.purgeCardList(id);
+            }
+        } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                panelElem.querySelector(`#archive-${type}-${id}`)?.remove(); // saved once back online
+                return;
+            }
+            showErrorPopup(`Could not delete the ${type}: ${e.message}`, 'page-error');
+            return;
+        }
+
+        await this._loadItems(panelElem);
+    }
+}
@@ -0,0 +1,42 @@
+import {asyncCall, asyncMutation} from "../core/server.js";
+
+/**
+ * Class to handle server operations for the archived cards and lists of a board.
+ */
+export class Archive {
+
+    /**
+     * Get the archived cards and lists of the current board.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async getItems() {
+        return await asyncCall('GetArchivedItems', {}, 'GET');
+    }
+
+    /**
+     * Permanently delete an archived card.
+     * @param id The ID of the card.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async purgeCard(id) {
+        return await asyncMutation('PurgeCard', {id}, 'DELETE');
+    }
+
+    /**
+     * Permanently delete an archived card list, with its cards.
+     * @param id The ID of the card list.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async purgeCardList(id) {
+        return await asyncMutation('PurgeCardList', {id}, 'DELETE');
+    }
+
+    /**
+     * Permanently delete the items archived for longer than the purge delay. Not saved for later without a
+     * connection, it's asked again the next time the archive is opened.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async purgeExpiredItems() {
+        return await asyncCall('PurgeExpiredItems', {}, 'DELETE');
+    }
+}
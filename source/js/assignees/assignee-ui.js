@@ -0,0 +1,153 @@
+import {getInitials, loadTemplate} from "../core/utils.js";
+import {showErrorPopup} from "../ui/popup.js";
+import {Assignee} from "./assignee.js";
+
+/**
+ * Class to handle the card assignees UI.
+ */
+export class AssigneeUI {
+
+    /**
+     * Construction.
+     */
+    constructor() {
+        this.assignee = new Assignee();
+        this._currentUserId = 0;
+        this._members = null;
+    }
+
+    /**
+     * Init links to other UI objects.
+     * @param cardUI The card UI.
+     * @param page The page API.
+     */
+    init({cardUI, page}) {
+        this.cardUI = cardUI;
+        this.page = page;
+    }
+
+    /**
+     * Called when a board is loaded, to reset the cached board members.
+     * @param userId The ID of the logged-in user.
+     */
+    onBoardLoaded(userId) {
+        this._currentUserId = userId;
+        this._members = null;
+    }
+
+    /**
+     * Check if a card is assigned to the logged-in user.
+     * @param cardData The card data.
+     * @returns {boolean} TRUE if the card is assigned to the user.
+     */
+    isAssignedToMe(cardData) {
+        return (cardData["assignees"] ?? []).some(a => a["user_id"] === this._currentUserId);
+    }
+
+    /**
+     * Show the avatars of the assigned users on a card tile.
+     * @param cardElem The card element.
+     * @param cardData The card data.
+     */
+    loadCardAssignees(cardElem, cardData) {
+        const assignees = cardData["assignees"] ?? [];
+        if (assignees.length === 0) {
+            return;
+        }
+
+        const assigneeListElem = cardElem.querySelector(".card-assignees");
+        for (const assignee of assignees) {
+            assigneeListElem.appendChild(this._loadAvatar("tmpl-card-avatar", assignee));
+        }
+
+        cardElem.querySelector(".card-badges").classList.remove("hidden");
+        cardElem.classList.toggle("assigned-to-me", this.isAssignedToMe(cardData));
+    }
+
+    /**
+     * Fill the members section of an open card.
+     * @param openCardElem The open card element.
+     * @param cardData The card data.
+     * @returns {Promise<void>} Updated when the operation completes.
+     */
+    async loadOpenCardAssignees(openCardElem, cardData) {
+        const members = await this.getMembers();
+        const assigneeListElem = openCardElem.querySelector(".opencard-assignee-list");
+        assigneeListElem.innerHTML = "";
+
+        const assignedIds = (cardData["assignees"] ?? []).map(a => a["user_id"]);
+        for (const member of members) {
+            const userId = Number(member["user_id"]);
+            const assigned = assignedIds.includes(userId);
+            const memberElem = this._loadAvatar("tmpl-opencard-assignee", member);
+            memberElem.classList.toggle("assigned", assigned);
+            memberElem.onclick = () => this._setAssignee(openCardElem, cardData["id"], userId, !assigned);
+            assigneeListElem.appendChild(memberElem);
+        }
+    }
+
+    /**
+     * Toggle the filter that only shows the cards assigned to the logged-in user.
+     * @param linkElem The project bar link that toggles the filter.
+     */
+    toggleMyCardsFilter(linkElem) {
+        const boardElem = this.page.getBoardElem();
+        const enabled = boardElem.classList.toggle("filter-my-cards");
+        linkElem.classList.toggle("toggled", enabled);
+    }
+
+    /**
+     * Assign or unassign a user from the open card.
+     * @param openCardElem The open card element.
+     * @param cardId The ID of the card.
+     * @param userId The ID of the user.
+     * @param assigned TRUE to assign the user.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _setAssignee(openCardElem, cardId, userId, assigned) {
+        try {
+            const response = await this.assignee.set(cardId, userId, assigned);
+            if (this.cardUI.openCardCache[cardId] !== undefined) {
+                this.cardUI.openCardCache[cardId]["assignees"] = response["assignees"];
+            }
+            this.cardUI.onCardUpdated(response);
+            await this.loadOpenCardAssignees(openCardElem, response);
+        } catch (e) {
+            showErrorPopup(`Could not update the members of card with ID "${cardId}": ${e.message}`, 'page-error');
+        }
+    }
+
+    /**
+     * Get the board members, loading them from the server the first time.
+     * @returns {Promise<Array>} The list of board members.
+     */
+    async getMembers() {
+        if (this._members === null) {
+            try {
+                const response = await this.assignee.getBoardMembers();
+                this._members = response["members"];
+            } catch (e) {
+                showErrorPopup(`Could not load the board members: ${e.message}`, 'page-error');
+                return [];
+            }
+        }
+
+        return this._members;
+    }
+
+    /**
+     * Load an avatar element for a user.
+     * @param templateName The template to use.
+     * @param user The user data, with user_id and display_name.
+     * @returns {*} The avatar element.
+     * @private
+     */
+    _loadAvatar(templateName, user) {
+        return loadTemplate(templateName, {
+            user_id: user["user_id"],
+            display_name: user["display_name"],
+            initials: getInitials(user["display_name"]),
+        });
+    }
+}
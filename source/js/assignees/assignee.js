@@ -0,0 +1,26 @@
+import {asyncCall} from "../core/server.js";
+
+/**
+ * Class to handle server operations for card assignees.
+ */
+export class Assignee {
+
+    /**
+     * Get the users that can be assigned to the cards of the current board.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async getBoardMembers() {
+        return await asyncCall('GetBoardMembers', {}, 'GET');
+    }
+
+    /**
+     * Assign or unassign a user to a card.
+     * @param cardId The ID of the card.
+     * @param userId The ID of the user.
+     * @param assigned TRUE to assign the user, FALSE to remove them.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async set(cardId, userId, assigned) {
+        return await asyncCall('SetCardAssignee', {card_id: cardId, user_id: userId, assigned}, 'PUT');
+    }
+}
@@ -7,6 +7,7 @@ import {
     setEventBySelector,
     setOnClickEventBySelector
 } from "../core/utils.js";
+import {OfflineQueuedError} from "../offline/outbox.js";
 import {Attachment} from "./attachment.js";
 
 /**
@@ -108,6 +109,10 @@ export class CardAttachmentUI {
             const response = await this.attachment.delete(id);
             this._onAttachmentDeleted(response);
         } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                document.getElementById("attachment-" + id)?.remove(); // saved once back online
+                return;
+            }
             showErrorPopup(`Could not delete attachment with ID "${id}: ${e.message}`, 'page-error');
         }
     }
@@ -120,6 +125,9 @@ export class CardAttachmentUI {
             const response = await this.attachment.updateName(id, nameElem.textContent);
             this._onAttachmentUpdated(response);
         } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                return; // saved once back online
+            }
             showErrorPopup(`Could not update attachment name with ID "${id}": ${e.message}`, 'page-error');
         }
     }
@@ -174,6 +182,10 @@ export class CardAttachmentUI {
             await this._onAttachmentAdded(response);
         } catch (e) {
             this._removeUiAttachmentPlaceholder();
+            if (e instanceof OfflineQueuedError) {
+                showInfoPopup(`"${file.name}" will be uploaded once back online`, 'page-error');
+                return;
+            }
             showErrorPopup(`Could not upload attachment to card with ID "${cardId}": ${e.message}`, 'page-error');
         }
 
@@ -287,7 +299,7 @@ export class CardAttachmentUI {
                     const clipboardFile = item.getAsFile();
                     await this._onAttachmentSelected(clipboardFile, cardID);
                     pasteEvent.preventDefault();
-                } else if (item.type === "text/plain" && window.getSelection().rangeCount && tag !== "INPUT") {
+                } else if (item.type === "text/plain" && window.getSelection().rangeCount && tag !== "INPUT" && tag !== "TEXTAREA") {
                     // pasting text into an editable field: insert as text
                     item.getAsString((pastedText) => {
                         const selection = window.getSelection();
@@ -1,4 +1,4 @@
-import {asyncCall} from "../core/server.js";
+import {asyncMutation} from "../core/server.js";
 
 /**
  * Class to handle Attachment API calls.
@@ -13,7 +13,7 @@ export class Attachment {
      * @returns {Promise<*>} Updated when operation completes.
      */
     async upload(cardId, filename, attachment) {
-        return await asyncCall('UploadAttachment', {card_id: cardId, filename, attachment});
+        return await asyncMutation('UploadAttachment', {card_id: cardId, filename, attachment});
     }
 
     /**
@@ -23,7 +23,7 @@ export class Attachment {
      * @returns {Promise<*>} Updated when operation completes.
      */
     async updateName(id, name) {
-        return await asyncCall('UpdateAttachmentName', {id, name}, 'PUT');
+        return await asyncMutation('UpdateAttachmentName', {id, name}, 'PUT');
     }
 
     /**
@@ -32,6 +32,6 @@ export class Attachment {
      * @returns {Promise<*>} Updated when operation completes.
      */
     async delete(id) {
-        return await asyncCall('DeleteAttachment', {id}, 'DELETE');
+        return await asyncMutation('DeleteAttachment', {id}, 'DELETE');
     }
 }
\ No newline at end of file
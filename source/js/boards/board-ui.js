@@ -3,10 +3,12 @@ import {
     fileToBase64,
     loadTemplate,
     selectFileDialog,
-    setEventBySelector
+    setEventBySelector,
+    setOnClickEventBySelector
 } from "../core/utils.js";
 import {ShareDialog} from "../ui/share-dialog.js";
-import {showErrorPopup} from "../ui/popup.js";
+import {showErrorPopup, showInfoPopup} from "../ui/popup.js";
+import {OfflineQueuedError} from "../offline/outbox.js";
 import {Board} from "./board.js";
 
 /**
@@ -17,11 +19,12 @@ export class BoardUI {
     /**
      * Setup dependencies
      */
-    init({account, page, pageUI}) {
+    init({account, page, pageUI, router}) {
         this.account = account;
         this.board = new Board();
         this.page = page;
         this.pageUI = pageUI;
+        this.router = router;
     }
 
     /**
@@ -81,15 +84,71 @@ export class BoardUI {
     }
 
     /**
-     * Create a new board
+     * Show the dialog to create a new board, empty or from a template.
+     * @returns {Promise<void>} Updated when the templates are loaded.
      */
     async createNewBoard() {
+        document.getElementById("board-template-dialog-container")?.remove();
+
+        const dialogElem = loadTemplate("tmpl-board-template-dialog", {});
+        const titleElem = dialogElem.querySelector("#board-template-title");
+        setOnClickEventBySelector(dialogElem, ".dialog-close-btn", () => dialogElem.remove());
+
+        const builtinElem = dialogElem.querySelector("#board-template-builtin");
+        builtinElem.appendChild(this._loadTemplateEntry(dialogElem, "Empty board", [],
+            () => this.board.create(titleElem.value.trim())));
+
+        this.page.getContentElem().appendChild(dialogElem);
+        titleElem.focus();
+
+        let response;
         try {
-            const response = await this.board.create();
-            this.onBoardCreated(response);
+            response = await this.board.getTemplates();
         } catch (e) {
-            showErrorPopup('Could not create new board: ' + e.message, 'page-error');
+            showErrorPopup('Could not load the board templates: ' + e.message, 'page-error');
+            return;
+        }
+
+        for (const template of response["builtin"]) {
+            builtinElem.appendChild(this._loadTemplateEntry(dialogElem, template["title"], template["cardlists"],
+                () => this.board.createFromTemplate(template["id"], null, titleElem.value.trim())));
+        }
+
+        const boardsElem = dialogElem.querySelector("#board-template-boards");
+        for (const template of response["boards"]) {
+            boardsElem.appendChild(this._loadTemplateEntry(dialogElem, template["title"], template["cardlists"],
+                () => this.board.createFromTemplate(null, template["id"], titleElem.value.trim())));
         }
+        dialogElem.querySelector(".board-template-boards-heading").classList.toggle("hidden", response["boards"].length === 0);
+    }
+
+    /**
+     * Load a button of the new board dialog.
+     * @param dialogElem The dialog element.
+     * @param title The title of the template.
+     * @param cardlists The names of the lists of the template.
+     * @param create Async function creating the board, throwing on failure.
+     * @returns {*} The button element.
+     * @private
+     */
+    _loadTemplateEntry(dialogElem, title, cardlists, create) {
+        const entryElem = loadTemplate("tmpl-board-template-entry", {});
+        entryElem.querySelector(".board-template-entry-title").textContent = title;
+        entryElem.querySelector(".board-template-entry-lists").textContent = cardlists.join(" · ");
+
+        entryElem.onclick = async () => {
+            // a second click would make a second board
+            dialogElem.querySelectorAll(".board-template-entry").forEach(elem => elem.disabled = true);
+            try {
+                const response = await create();
+                dialogElem.remove();
+                this.onBoardCreated(response);
+            } catch (e) {
+                showErrorPopup('Could not create new board: ' + e.message, 'page-error');
+                dialogElem.querySelectorAll(".board-template-entry").forEach(elem => elem.disabled = false);
+            }
+        };
+        return entryElem;
     }
 
     /**
@@ -97,8 +156,8 @@ export class BoardUI {
      */
     onBoardCreated(jsonResponseObj) {
         if (Number.isInteger(jsonResponseObj["id"])) {
-            // redirect to the newly created board
-            window.location.href = new URL("?board_id=" + jsonResponseObj["id"], window.location.href).href;
+            // open the newly created board
+            this.router.navigate("?board_id=" + jsonResponseObj["id"]);
         }
     }
 
@@ -109,7 +168,7 @@ export class BoardUI {
     async boardTitleChanged(titleNode) {
         try {
             const response = await this.board.updateTitle(titleNode.textContent);
-            this._onBoardTitleUpdated(response);
+            this.onBoardTitleUpdated(response);
         } catch (e) {
             showErrorPopup('Could not update board: ' + e.message, 'page-error');
         }
@@ -118,11 +177,70 @@ export class BoardUI {
     /**
      * Called when a board title is updated
      */
-    _onBoardTitleUpdated(jsonResponseObj) {
+    onBoardTitleUpdated(jsonResponseObj) {
         const boardTitleElem = document.getElementById("project-bar-left").querySelector("h2");
         boardTitleElem.textContent = jsonResponseObj["title"];
     }
 
+    /**
+     * Show in the project bar whether the loaded board is a template.
+     * @param isTemplate True if the board is shared as a template.
+     */
+    setTemplateState(isTemplate) {
+        this._isTemplate = isTemplate;
+        const buttonElem = document.getElementById("board-template-btn");
+        if (buttonElem) {
+            buttonElem.textContent = isTemplate ? "Unmark as Template" : "Mark as Template";
+        }
+    }
+
+    /**
+     * Share the loaded board as a template for every user, or stop sharing it. Only its owner can.
+     */
+    async toggleTemplate() {
+        try {
+            const response = await this.board.setTemplate(!this._isTemplate);
+            this.setTemplateState(response["is_template"]);
+            showInfoPopup(response["is_template"]
+                ? "Every user can now create boards from this one"
+                : "The board is no longer a template", 'page-error');
+        } catch (e) {
+            showErrorPopup('Could not change the board template: ' + e.message, 'page-error');
+        }
+    }
+
+    /**
+     * Display the cards of the loaded board with more or less space around them.
+     * @param cardDensity 'comfortable' or 'compact'.
+     */
+    setCardDensity(cardDensity) {
+        this._cardDensity = cardDensity;
+        this.page.getBoardElem()?.classList.toggle("compact-cards", cardDensity === "compact");
+
+        const buttonElem = document.getElementById("board-density-btn");
+        if (buttonElem) {
+            buttonElem.textContent = cardDensity === "compact" ? "Comfortable Cards" : "Compact Cards";
+        }
+    }
+
+    /**
+     * Switch between the compact and comfortable cards, a preference of the user for the loaded board.
+     */
+    async toggleCardDensity() {
+        const oldDensity = this._cardDensity;
+        this.setCardDensity(oldDensity === "compact" ? "comfortable" : "compact");
+
+        try {
+            await this.board.setCardDensity(this._cardDensity);
+        } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                return; // saved once back online
+            }
+            this.setCardDensity(oldDensity);
+            showErrorPopup('Could not change the card density: ' + e.message, 'page-error');
+        }
+    }
+
     /**
      * Change the background of a board
      */
@@ -259,8 +377,8 @@ export class BoardUI {
      * Called after a board is deleted
      */
     _onBoardDeleted() {
-        // redirect to the home page
-        window.location.href = new URL("?", window.location.href).href;
+        // back to the home page
+        this.router.navigate("?");
     }
 
     /**
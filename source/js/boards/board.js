@@ -1,4 +1,4 @@
-import {asyncCall} from "../core/server.js";
+import {asyncCall, asyncMutation} from "../core/server.js";
 
 /**
  * Class to handle API calls for boards.
@@ -6,11 +6,50 @@ import {asyncCall} from "../core/server.js";
 export class Board {
 
     /**
-     * Creates a new board with a default title.
+     * Creates a new empty board.
+     * @param title The title of the board, a default title if empty.
      * @returns {Promise<*>} Updated when operation completes.
      */
-    async create() {
-        return await asyncCall('CreateNewBoard', {title: 'My New Board'});
+    async create(title = '') {
+        return await asyncCall('CreateNewBoard', {title: title || 'My New Board'});
+    }
+
+    /**
+     * Get the built-in templates and the boards shared as templates.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async getTemplates() {
+        return await asyncCall('GetBoardTemplates', {}, 'GET');
+    }
+
+    /**
+     * Creates a new board from a template.
+     * @param template The key of a built-in template, or null.
+     * @param templateBoardId The ID of a board shared as a template, or null.
+     * @param title The title of the new board, the template title if empty.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async createFromTemplate(template, templateBoardId, title) {
+        const params = templateBoardId !== null ? {template_board_id: templateBoardId} : {template};
+        return await asyncCall('CreateBoardFromTemplate', {...params, title});
+    }
+
+    /**
+     * Mark the board as a template, or as a normal board.
+     * @param isTemplate True to share the board as a template.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async setTemplate(isTemplate) {
+        return await asyncCall('SetBoardTemplate', {is_template: isTemplate}, 'PUT');
+    }
+
+    /**
+     * Save how densely the cards of the board are displayed to the user.
+     * @param cardDensity 'comfortable' or 'compact'.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async setCardDensity(cardDensity) {
+        return await asyncMutation('SetBoardPreferences', {card_density: cardDensity}, 'PUT');
     }
 
     /**
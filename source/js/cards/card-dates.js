@@ -0,0 +1,68 @@
+/**
+ * Helpers for card start and due dates. Dates are exchanged with the server as
+ * unix timestamps (in seconds) of local midnight, where 0 means "not set".
+ */
+
+// A card is due soon when its due date is less than this far away.
+const DUE_SOON_SECONDS = 2 * 24 * 60 * 60;
+
+/**
+ * Convert a timestamp to the value format of a date input (YYYY-MM-DD).
+ * @param timestamp The unix timestamp, 0 if not set.
+ * @returns {string} The formatted date, or an empty string.
+ */
+export function timestampToDateInput(timestamp) {
+    if (!timestamp) {
+        return "";
+    }
+
+    const date = new Date(timestamp * 1000);
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Convert the value of a date input (YYYY-MM-DD) to a timestamp of local midnight.
+ * @param value The date input value.
+ * @returns {number} The unix timestamp, 0 if the input is empty.
+ */
+export function dateInputToTimestamp(value) {
+    if (!value) {
+        return 0;
+    }
+
+    return Math.floor(new Date(`${value}T00:00:00`).getTime() / 1000);
+}
+
+/**
+ * Get the due status of a card. A due date counts until the end of that day.
+ * @param cardData The card data.
+ * @param now The current unix timestamp.
+ * @returns {string} One of "none", "done", "overdue", "due-soon" or "due".
+ */
+export function getDueStatus(cardData, now = Math.floor(Date.now() / 1000)) {
+    if (!cardData["due_date"]) {
+        return "none";
+    }
+
+    if (cardData["done"]) {
+        return "done";
+    }
+
+    const dueEnd = cardData["due_date"] + 24 * 60 * 60;
+    if (now >= dueEnd) {
+        return "overdue";
+    }
+
+    return dueEnd - now <= DUE_SOON_SECONDS ? "due-soon" : "due";
+}
+
+/**
+ * Format a timestamp as a short date for card badges.
+ * @param timestamp The unix timestamp.
+ * @returns {string} The formatted date, e.g. "3 Mar".
+ */
+export function formatShortDate(timestamp) {
+    return new Date(timestamp * 1000).toLocaleDateString(undefined, {day: "numeric", month: "short"});
+}
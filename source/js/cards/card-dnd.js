@@ -5,22 +5,34 @@ export class CardDnd {
 
     draggedCard = null;
 
+    // The selected cards dragged with the card, when it is part of a selection of several cards.
+    draggedSelection = [];
+
     /**
      * Init UI dependencies.
      * @param cardUI The Card UI.
+     * @param listUI The list UI.
      * @param page The page API.
+     * @param selectionUI The card selection UI.
      */
-    init({cardUI, page}) {
+    init({cardUI, listUI, page, selectionUI}) {
         this.cardUI = cardUI;
+        this.listUI = listUI;
         this.page = page;
+        this.selectionUI = selectionUI;
     }
 
     /**
-     * Start dragging a card.
+     * Start dragging a card, with the other selected cards if it is selected.
      * @param event The drag event.
      */
     start(event) {
         this.draggedCard = event.currentTarget;
+        const selection = this.selectionUI.getSelectedCards();
+        this.draggedSelection = selection.length > 1 && selection.includes(this.draggedCard) ? selection : [];
+        for (const cardElem of this.draggedSelection) {
+            cardElem.classList.add("dragged");
+        }
         const projectBar = this.page.getProjectBarElem();
         projectBar.classList.add("pb-mode-delete");
         projectBar.ondrop = (e) => this.dropDelete(e);
@@ -69,6 +81,19 @@ export class CardDnd {
             return;
         }
 
+        if (this.draggedSelection.length > 0) {
+            // the cards go after the closest card before the drop target that is not moving with them
+            let prevElem = event.currentTarget.matches(".card") ? event.currentTarget : null;
+            while (prevElem && this.draggedSelection.includes(prevElem)) {
+                prevElem = prevElem.previousElementSibling?.matches(".card[dbid]") ? prevElem.previousElementSibling : null;
+            }
+            this.draggedCard = null;
+            await this.selectionUI.moveSelection(
+                Number(event.currentTarget.closest(".cardlist").getAttribute("dbid")),
+                prevElem ? Number(prevElem.getAttribute("dbid")) : 0);
+            return;
+        }
+
         // fill call args
         const movedCardId = this.draggedCard.getAttribute("dbid");
         let newPrevCardId = 0;
@@ -77,6 +102,13 @@ export class CardDnd {
         }
 
         const destCardListId= event.currentTarget.closest(".cardlist").getAttribute("dbid");
+        const srcCardListId = this.draggedCard.closest(".cardlist").getAttribute("dbid");
+
+        // a card moved within its list doesn't change the card count
+        if (srcCardListId !== destCardListId && !this.listUI.checkCardLimit(destCardListId)) {
+            this.draggedCard = null;
+            return;
+        }
 
         // make the call if the card has actually moved
         if (movedCardId !== newPrevCardId) {
@@ -101,7 +133,10 @@ export class CardDnd {
     async dropDelete(event) {
         event.currentTarget.classList.remove("drag-target-bar");
 
-        if (this.draggedCard !== null) { // drag-delete card
+        if (this.draggedSelection.length > 0) {
+            this.draggedCard = null;
+            await this.selectionUI.archiveSelection();
+        } else if (this.draggedCard !== null) { // drag-delete card
             const id = this.draggedCard.getAttribute("dbid");
             await this.cardUI.deleteCard(id);
         }
@@ -120,6 +155,10 @@ export class CardDnd {
      */
     end() {
         this.page.getProjectBarElem().classList.remove("pb-mode-delete");
+        for (const cardElem of this.draggedSelection) {
+            cardElem.classList.remove("dragged");
+        }
+        this.draggedSelection = [];
     }
 
     /**
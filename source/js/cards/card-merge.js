@@ -0,0 +1,103 @@
+import {loadTemplate, setOnClickEventBySelector} from "../core/utils.js";
+
+/**
+ * Compare two texts line by line, pairing the lines of each side for a side-by-side view.
+ * @param theirsText The text saved by someone else.
+ * @param mineText The text of the current user.
+ * @returns {{theirs: ?string, mine: ?string, changed: boolean}[]} One row per displayed line, with NULL on the side
+ *          that has no line there.
+ */
+export function diffLines(theirsText, mineText) {
+    const theirs = theirsText.split("\n");
+    const mine = mineText.split("\n");
+
+    // length of the longest common subsequence of the remaining lines, from each pair of positions
+    const lcs = Array.from({length: theirs.length + 1}, () => new Array(mine.length + 1).fill(0));
+    for (let i = theirs.length - 1; i >= 0; i--) {
+        for (let j = mine.length - 1; j >= 0; j--) {
+            lcs[i][j] = theirs[i] === mine[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+    const flushChanges = () => {
+        // show the lines replaced on each side next to each other
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            rows.push({theirs: removed[k] ?? null, mine: added[k] ?? null, changed: true});
+        }
+        removed = [];
+        added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < theirs.length || j < mine.length) {
+        if (i < theirs.length && j < mine.length && theirs[i] === mine[j]) {
+            flushChanges();
+            rows.push({theirs: theirs[i], mine: mine[j], changed: false});
+            i++;
+            j++;
+        } else if (j >= mine.length || (i < theirs.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+            removed.push(theirs[i++]);
+        } else {
+            added.push(mine[j++]);
+        }
+    }
+    flushChanges();
+
+    return rows;
+}
+
+/**
+ * Show the differences between two versions of a card title or content, and let the user choose what to keep.
+ * @param fieldName The name of the conflicting field, as displayed to the user.
+ * @param theirs The version saved by someone else.
+ * @param mine The version of the current user.
+ * @returns {Promise<string>} Resolved with the text to keep once the user has chosen.
+ */
+export function showMergeDialog(fieldName, theirs, mine) {
+    return new Promise(resolve => {
+        const dialogElem = loadTemplate("tmpl-card-merge-dialog", {field_name: fieldName});
+        const diffElem = dialogElem.querySelector(".card-merge-diff");
+        for (const row of diffLines(theirs, mine)) {
+            diffElem.appendChild(createDiffLine(row.theirs, row.changed ? "removed" : ""));
+            diffElem.appendChild(createDiffLine(row.mine, row.changed ? "added" : ""));
+        }
+
+        const resultElem = dialogElem.querySelector("#card-merge-result");
+        resultElem.value = mine;
+
+        const close = (text) => {
+            dialogElem.remove();
+            resolve(text);
+        };
+        setOnClickEventBySelector(dialogElem, ".card-merge-theirs-btn", () => close(theirs));
+        setOnClickEventBySelector(dialogElem, ".card-merge-save-btn", () => close(resultElem.value));
+
+        document.getElementById("content").appendChild(dialogElem);
+        resultElem.focus();
+    });
+}
+
+/**
+ * Create a line of one side of the diff.
+ * @param text The line text, NULL if this side has no line here.
+ * @param changeClass The class marking a changed line, if any.
+ * @returns {HTMLElement} The line element.
+ */
+function createDiffLine(text, changeClass) {
+    const lineElem = document.createElement("pre");
+    lineElem.classList.add("card-merge-line");
+    if (text === null) {
+        lineElem.classList.add("empty");
+    } else {
+        lineElem.textContent = text;
+        if (changeClass) {
+            lineElem.classList.add(changeClass);
+        }
+    }
+
+    return lineElem;
+}
@@ -0,0 +1,414 @@
+import {loadTemplate, setOnClickEventBySelector} from "../core/utils.js";
+import {showErrorPopup, showInfoPopup} from "../ui/popup.js";
+import {OfflineQueuedError} from "../offline/outbox.js";
+import {dateInputToTimestamp} from "./card-dates.js";
+
+// The lowest user type that can delete cards for good, as with the archive.
+const MODERATOR_USER_TYPE = 2;
+
+/**
+ * Class to handle the selection of several cards of the board, built with Ctrl+click (toggle one card) and
+ * Shift+click (select a range of a list). While cards are selected, a bar of actions applies to all of them at once,
+ * each with a single call to the server.
+ */
+export class CardSelectionUI {
+
+    /**
+     * Construction.
+     */
+    constructor() {
+        this._selected = new Set();
+        this._anchorId = null;
+        this._canDelete = false;
+    }
+
+    /**
+     * Init links to other UI objects.
+     * @param assigneeUI The assignee UI.
+     * @param cardUI The card UI.
+     * @param labelUI The label UI.
+     * @param listUI The list UI.
+     * @param page The page API.
+     */
+    init({assigneeUI, cardUI, labelUI, listUI, page}) {
+        this.assigneeUI = assigneeUI;
+        this.cardUI = cardUI;
+        this.labelUI = labelUI;
+        this.listUI = listUI;
+        this.page = page;
+    }
+
+    /**
+     * Called when a board is loaded, before its cards: clear the selection and add the hidden action bar.
+     * @param userType The type of the user on the board.
+     */
+    onBoardLoaded(userType) {
+        this._selected.clear();
+        this._anchorId = null;
+        this._canDelete = userType <= MODERATOR_USER_TYPE;
+
+        const barElem = loadTemplate("tmpl-card-selection-bar", {});
+        barElem.querySelector(".selection-delete-btn").classList.toggle("hidden", !this._canDelete);
+        setOnClickEventBySelector(barElem, ".selection-move-btn", () => this._moveToSelectedList(barElem));
+        setOnClickEventBySelector(barElem, ".selection-label-add-btn", () => this._setSelectedLabel(barElem, true));
+        setOnClickEventBySelector(barElem, ".selection-label-remove-btn", () => this._setSelectedLabel(barElem, false));
+        setOnClickEventBySelector(barElem, ".selection-assign-btn", () => this._setSelectedMember(barElem, true));
+        setOnClickEventBySelector(barElem, ".selection-unassign-btn", () => this._setSelectedMember(barElem, false));
+        setOnClickEventBySelector(barElem, ".selection-due-btn", () => this._setDueDate(barElem));
+        setOnClickEventBySelector(barElem, ".selection-archive-btn", () => this.archiveSelection());
+        setOnClickEventBySelector(barElem, ".selection-delete-btn", (elem) => this._deleteSelection(elem));
+        setOnClickEventBySelector(barElem, ".selection-clear-btn", () => this.clear());
+        // when switching boards, the bar of the previous one is still in the page
+        const oldBarElem = document.getElementById("card-selection-bar");
+        if (oldBarElem) {
+            oldBarElem.replaceWith(barElem);
+        } else {
+            this.page.getBoardElem().before(barElem);
+        }
+    }
+
+    /**
+     * Check if a card is selected.
+     * @param id The ID of the card.
+     * @returns {boolean} True if selected.
+     */
+    isSelected(id) {
+        return this._selected.has(String(id));
+    }
+
+    /**
+     * Get the selected cards displayed on the board.
+     * @returns {Element[]} The card elements, in board order.
+     */
+    getSelectedCards() {
+        return [...this.page.getBoardElem().querySelectorAll(".card.selected[dbid]")];
+    }
+
+    /**
+     * Add a card to the selection or remove it, on a click with a modifier key. Shift selects every card shown
+     * between the last card clicked and this one, when they are in the same list.
+     * @param cardElem The card element clicked.
+     * @param range True to select a range.
+     */
+    toggle(cardElem, range) {
+        const id = cardElem.getAttribute("dbid");
+        const anchorElem = this._anchorId !== null ? document.getElementById(`card-${this._anchorId}`) : null;
+
+        if (range && anchorElem && anchorElem.parentElement === cardElem.parentElement) {
+            const cards = [...cardElem.parentElement.querySelectorAll(":scope > .card[dbid]:not(.filtered-out)")];
+            const [start, end] = [cards.indexOf(anchorElem), cards.indexOf(cardElem)].sort((a, b) => a - b);
+            for (const elem of cards.slice(start, end + 1)) {
+                this._select(elem, true);
+            }
+        } else {
+            this._select(cardElem, !this.isSelected(id));
+        }
+
+        this._anchorId = id;
+        this._updateBar();
+    }
+
+    /**
+     * Unselect every card.
+     */
+    clear() {
+        for (const cardElem of this.getSelectedCards()) {
+            cardElem.classList.remove("selected");
+        }
+        this._selected.clear();
+        this._anchorId = null;
+        this._updateBar();
+    }
+
+    /**
+     * Move the selected cards together to a list of the board, keeping their order.
+     * @param cardListId The ID of the destination list.
+     * @param prevCardId The ID of the card to put them after, 0 for the top of the list, null for the bottom.
+     * @returns {Promise<void>} Updated when the operation completes.
+     */
+    async moveSelection(cardListId, prevCardId = null) {
+        const cardElems = this.getSelectedCards();
+        const arriving = cardElems.filter(elem => elem.closest(".cardlist").getAttribute("dbid") !== String(cardListId));
+        if (!this.listUI.checkCardLimit(cardListId, arriving.length)) {
+            return;
+        }
+
+        const params = {dest_cardlist_id: cardListId};
+        if (prevCardId !== null) {
+            params["prev_card_id"] = prevCardId;
+        }
+
+        // saved once back online, the cards are shown where they have been dropped meanwhile
+        const response = await this._update("move", params, () => this._placeCards(cardElems, cardListId, prevCardId));
+        if (!response) {
+            return;
+        }
+
+        for (const cardElem of cardElems) {
+            cardElem.remove();
+        }
+
+        // each card follows the previous one, or the first one the card that was before the selection
+        const cardListElem = document.getElementById(`cardlist-${cardListId}`);
+        for (const cardData of response["cards"]) {
+            const prevElem = cardData["prev_card_id"] > 0
+                ? cardListElem.querySelector(`:scope > #card-${cardData["prev_card_id"]}`)
+                : cardListElem.querySelector(".cardlist-start");
+            const cardElem = this.cardUI.loadCard(cardData);
+            if (prevElem) {
+                prevElem.after(cardElem);
+            } else {
+                cardListElem.appendChild(cardElem);
+            }
+        }
+    }
+
+    /**
+     * Archive the selected cards.
+     * @returns {Promise<void>} Updated when the operation completes.
+     */
+    async archiveSelection() {
+        const ids = this._getSelectedIds();
+        const response = await this._update("archive", {}, () => this._removeCards(ids.map(id => ({id}))));
+        if (response) {
+            this._removeCards(response["cards"]);
+            showInfoPopup(`Archived ${response["cards"].length} cards`, 'page-error');
+        }
+    }
+
+    /**
+     * Move the selection to the list chosen in the bar, at its bottom.
+     * @param barElem The action bar element.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _moveToSelectedList(barElem) {
+        const cardListId = barElem.querySelector(".selection-list").value;
+        if (cardListId) {
+            await this.moveSelection(Number(cardListId));
+        }
+    }
+
+    /**
+     * Add the label chosen in the bar to the selected cards, or remove it.
+     * @param barElem The action bar element.
+     * @param active True to add the label.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _setSelectedLabel(barElem, active) {
+        const index = barElem.querySelector(".selection-label").value;
+        if (index === "") {
+            return;
+        }
+
+        let response;
+        try {
+            response = await this.labelUI.label.set(this._getSelectedIds(), Number(index), active);
+        } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                showInfoPopup("The selected cards will be updated once back online", 'page-error');
+                return;
+            }
+            showErrorPopup(`Could not change the label of the selected cards: ${e.message}`, 'page-error');
+            return;
+        }
+        this._reloadCards(response["cards"]);
+    }
+
+    /**
+     * Assign the member chosen in the bar to the selected cards, or unassign them.
+     * @param barElem The action bar element.
+     * @param assigned True to assign the member.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _setSelectedMember(barElem, assigned) {
+        const userId = barElem.querySelector(".selection-member").value;
+        if (!userId) {
+            return;
+        }
+
+        const response = await this._update("assign", {user_id: Number(userId), assigned});
+        if (response) {
+            this._reloadCards(response["cards"]);
+        }
+    }
+
+    /**
+     * Set the due date chosen in the bar on the selected cards, or remove it if none is chosen.
+     * @param barElem The action bar element.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _setDueDate(barElem) {
+        const dueDate = dateInputToTimestamp(barElem.querySelector(".selection-due").value);
+        const response = await this._update("due_date", {due_date: dueDate});
+        if (response) {
+            this._reloadCards(response["cards"]);
+        }
+    }
+
+    /**
+     * Delete the selected cards for good, once the user has clicked twice to confirm.
+     * @param buttonElem The delete button.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _deleteSelection(buttonElem) {
+        if (!buttonElem.classList.contains("confirming")) {
+            buttonElem.classList.add("confirming");
+            buttonElem.textContent = "Delete forever?";
+            return;
+        }
+
+        const ids = this._getSelectedIds();
+        const response = await this._update("delete", {}, () => this._removeCards(ids.map(id => ({id}))));
+        if (response) {
+            this._removeCards(response["cards"]);
+            showInfoPopup(`Deleted ${response["cards"].length} cards`, 'page-error');
+        }
+    }
+
+    /**
+     * Apply an action to the selected cards on the server.
+     * @param action The action, see Card.bulkUpdate().
+     * @param params The parameters of the action.
+     * @param onQueued Called instead when the action is saved to be sent once back online, to show it meanwhile.
+     * @returns {Promise<*|null>} Updated when the operation completes, with the response or null if not applied yet.
+     * @private
+     */
+    async _update(action, params = {}, onQueued = null) {
+        try {
+            return await this.cardUI.card.bulkUpdate(this._getSelectedIds(), action, params);
+        } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                if (onQueued) {
+                    onQueued();
+                } else {
+                    showInfoPopup("The selected cards will be updated once back online", 'page-error');
+                }
+                return null;
+            }
+            showErrorPopup(`Could not update the selected cards: ${e.message}`, 'page-error');
+            return null;
+        }
+    }
+
+    /**
+     * Put some card elements together in a list, keeping their order.
+     * @param cardElems The card elements.
+     * @param cardListId The ID of the list.
+     * @param prevCardId The ID of the card to put them after, 0 for the top of the list, null for the bottom.
+     * @private
+     */
+    _placeCards(cardElems, cardListId, prevCardId) {
+        const cardListElem = document.getElementById(`cardlist-${cardListId}`);
+        let prevElem = null;
+        if (prevCardId !== null) {
+            prevElem = prevCardId > 0
+                ? cardListElem.querySelector(`:scope > #card-${prevCardId}`)
+                : cardListElem.querySelector(".cardlist-start");
+        }
+
+        for (const cardElem of cardElems) {
+            if (prevElem) {
+                prevElem.after(cardElem);
+            } else {
+                cardListElem.appendChild(cardElem);
+            }
+            prevElem = cardElem;
+        }
+    }
+
+    /**
+     * Display the new version of some cards, in place of the old one.
+     * @param cards The data of the cards.
+     * @private
+     */
+    _reloadCards(cards) {
+        for (const cardData of cards) {
+            document.getElementById(`card-${cardData["id"]}`)?.replaceWith(this.cardUI.loadCard(cardData));
+        }
+    }
+
+    /**
+     * Remove some cards from the board and from the selection.
+     * @param cards The data of the cards.
+     * @private
+     */
+    _removeCards(cards) {
+        for (const cardData of cards) {
+            this._selected.delete(String(cardData["id"]));
+            document.getElementById(`card-${cardData["id"]}`)?.remove();
+        }
+        this._updateBar();
+    }
+
+    /**
+     * Add a card to the selection or remove it.
+     * @param cardElem The card element.
+     * @param selected True to select it.
+     * @private
+     */
+    _select(cardElem, selected) {
+        const id = cardElem.getAttribute("dbid");
+        if (selected) {
+            this._selected.add(id);
+        } else {
+            this._selected.delete(id);
+        }
+        cardElem.classList.toggle("selected", selected);
+    }
+
+    /**
+     * Get the IDs of the selected cards displayed on the board.
+     * @returns {number[]} The card IDs, in board order.
+     * @private
+     */
+    _getSelectedIds() {
+        return this.getSelectedCards().map(elem => Number(elem.getAttribute("dbid")));
+    }
+
+    /**
+     * Show the action bar with the number of selected cards and the current lists, labels and members, or hide it
+     * without a selection.
+     * @returns {Promise<void>} Updated when the bar is filled.
+     * @private
+     */
+    async _updateBar() {
+        const barElem = document.getElementById("card-selection-bar");
+        if (!barElem) {
+            return;
+        }
+
+        const count = this.getSelectedCards().length;
+        const wasHidden = barElem.classList.contains("hidden");
+        barElem.classList.toggle("hidden", count === 0);
+        barElem.querySelector(".selection-count").textContent = count === 1 ? "1 card selected" : `${count} cards selected`;
+
+        const deleteElem = barElem.querySelector(".selection-delete-btn");
+        deleteElem.classList.remove("confirming");
+        deleteElem.textContent = "Delete";
+
+        if (count === 0 || !wasHidden) {
+            return; // the choices are loaded when the bar appears
+        }
+
+        const listElem = barElem.querySelector(".selection-list");
+        listElem.replaceChildren(...[...this.page.getBoardElem().querySelectorAll(".cardlist[dbid]")].map(
+            cardListElem => new Option(cardListElem.querySelector(".cardlist-title h3").textContent, cardListElem.getAttribute("dbid"))
+        ));
+
+        // labels, skipping the deleted ones
+        const labelElem = barElem.querySelector(".selection-label");
+        labelElem.replaceChildren(...this.labelUI.getLabelNames()
+            .map((name, index) => name ? new Option(name, index) : null)
+            .filter(option => option !== null));
+
+        const members = await this.assigneeUI.getMembers() ?? [];
+        barElem.querySelector(".selection-member").replaceChildren(
+            ...members.map(member => new Option(member["display_name"], member["user_id"]))
+        );
+    }
+}
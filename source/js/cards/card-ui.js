@@ -1,13 +1,16 @@
 import {showErrorPopup, showInfoPopup} from "../ui/popup.js";
 import {
     blurOnEnter,
-    closeDialog,
+    GetQueryStringParams,
     loadTemplate, selectAllInnerText,
     setEventBySelector,
     setOnClickEventBySelector,
     setOnEnterEventBySelector
 } from "../core/utils.js";
-import {Card} from "./card.js";
+import {OfflineQueuedError, outbox} from "../offline/outbox.js";
+import {Card, EditConflictError} from "./card.js";
+import {showMergeDialog} from "./card-merge.js";
+import {dateInputToTimestamp, formatShortDate, getDueStatus, timestampToDateInput} from "./card-dates.js";
 
 /**
  * Class to help with card operations
@@ -17,6 +20,9 @@ export class CardUI {
     coverImageObserver = null;
     openCardCache = {};
 
+    // The last title or content save of each card, so the next one waits for its new revision.
+    _cardTextSaves = new Map();
+
     /**
      * Constructor - Create an observer to lazy-load card cover images.
      */
@@ -26,17 +32,31 @@ export class CardUI {
 
     /**
      * Init links to other UI objects.
+     * @param assigneeUI The assignee UI.
      * @param attachmentUI The Attachment UI.
      * @param cardDnd The card drag-n-drop interface.
+     * @param commentUI The comment UI.
+     * @param duplicateUI The copy dialog UI.
+     * @param filterUI The board filter UI.
      * @param labelUI The label UI.
+     * @param listUI The list UI.
      * @param page The page API.
+     * @param selectionUI The card selection UI.
+     * @param undoUI The undo UI.
      */
-    init({attachmentUI, cardDnd, labelUI, page}) {
+    init({assigneeUI, attachmentUI, cardDnd, commentUI, duplicateUI, filterUI, labelUI, listUI, page, selectionUI, undoUI}) {
+        this.assigneeUI = assigneeUI;
         this.attachmentUI = attachmentUI;
         this.card = new Card();
         this.cardDnd = cardDnd;
+        this.commentUI = commentUI;
+        this.duplicateUI = duplicateUI;
+        this.filterUI = filterUI;
         this.labelUI = labelUI;
+        this.listUI = listUI;
         this.page = page;
+        this.selectionUI = selectionUI;
+        this.undoUI = undoUI;
     }
 
     /**
@@ -48,7 +68,7 @@ export class CardUI {
         setOnClickEventBySelector(
             cardListElem,
             '.addcard-btn',
-            () => this._beginAddCard(cardListElem));
+            () => this.beginAddCard(cardListElem));
 
         setOnClickEventBySelector(
             cardListElem,
@@ -69,9 +89,8 @@ export class CardUI {
     /**
      * Add a new card.
      * @param cardListElem The card list element.
-     * @private
      */
-    _beginAddCard(cardListElem) {
+    beginAddCard(cardListElem) {
         // Clear editing of other cards in other lists.
         for (const cardlist of document.querySelectorAll(".cardlist")) {
             if (cardlist.id !== "add-cardlist-btn") {
@@ -125,17 +144,56 @@ export class CardUI {
             showErrorPopup(`Card title cannot be empty`, 'page-error');
             return;
         }
+        if (!this.listUI.checkCardLimit(cardListId)) {
+            return; // the title is kept, to add the card somewhere else
+        }
 
         try {
             const response = await this.card.create(cardListId, title);
             this.onCardAdded(response);
         } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                this._addPendingCard(e.entryId, cardListId, title);
+                return;
+            }
             showErrorPopup(`Could not create card "${title}": ${e.message}`, 'page-error');
         } finally {
             this.endAddCard(cardListElem);
         }
     }
 
+    /**
+     * Show a card added offline at the top of its list, until it is sent and can be replaced by the real one.
+     * @param entryId The ID of the change in the outbox, which the tile is named after until the card has an ID.
+     * @param cardListId The ID of the card list.
+     * @param title The card title.
+     * @returns {Promise<void>} Updated when the card has been sent, or refused by the server.
+     * @private
+     */
+    async _addPendingCard(entryId, cardListId, title) {
+        const pendingElem = loadTemplate("tmpl-card", {id: `pending-${entryId}`, title: "", last_moved_date: ""});
+        pendingElem.querySelector("img").remove();
+        pendingElem.querySelector("h4").textContent = title;
+        pendingElem.classList.add("pending");
+        pendingElem.setAttribute("draggable", "false");
+        pendingElem.title = "Will be added once back online";
+        this._placeCardElem(pendingElem, 0, cardListId);
+
+        let response;
+        try {
+            response = await outbox.whenSent(entryId);
+        } catch {
+            pendingElem.remove(); // the offline UI tells why
+            return;
+        }
+
+        // unless the page has changed in the meantime
+        if (pendingElem.isConnected) {
+            pendingElem.remove();
+            this.onCardAdded(response);
+        }
+    }
+
     /**
      * Called after a card is added.
      * @param response The JSON response object.
@@ -204,8 +262,20 @@ export class CardUI {
             }
         }
 
-        // events
-        newCardElem.onclick = () => this._openCard(cardData["id"]);
+        this._loadDueBadge(newCardElem, cardData);
+        this.commentUI.loadCommentCount(newCardElem, cardData);
+        this.assigneeUI.loadCardAssignees(newCardElem, cardData);
+        this.filterUI.applyToCard(newCardElem, cardData);
+        newCardElem.classList.toggle("selected", this.selectionUI.isSelected(cardData["id"]));
+
+        // events, a click with Ctrl or Shift selects the card instead of opening it
+        newCardElem.onclick = (e) => {
+            if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                this.selectionUI.toggle(newCardElem, e.shiftKey);
+            } else {
+                this.openCard(cardData["id"]);
+            }
+        };
         newCardElem.ondragstart = (e) => this.cardDnd.start(e);
         newCardElem.ondragenter = (e) => this.cardDnd.enter(e);
         newCardElem.ondragover = (e) => e.preventDefault();
@@ -216,6 +286,25 @@ export class CardUI {
         return newCardElem;
     }
 
+    /**
+     * Show the due date badge on a card tile, colored by its due status.
+     * @param cardElem The card element.
+     * @param cardData The card data.
+     * @private
+     */
+    _loadDueBadge(cardElem, cardData) {
+        const status = getDueStatus(cardData);
+        if (status === "none") {
+            return;
+        }
+
+        const badgeElem = cardElem.querySelector(".card-due-badge");
+        badgeElem.textContent = formatShortDate(cardData["due_date"]);
+        badgeElem.classList.add(status);
+        badgeElem.classList.remove("hidden");
+        cardElem.querySelector(".card-badges").classList.remove("hidden");
+    }
+
     /**
      * Called when the image element is made visible.
      * @param entries The list of entries.
@@ -239,27 +328,114 @@ export class CardUI {
     /**
      * Opens a card
      * @param id The ID of the card.
+     * @param updateUrl Whether to link the card in the address bar.
      * @returns {Promise<void>} Updated when the operation completes.
-     * @private
      */
-    async _openCard(id) {
+    async openCard(id, updateUrl = true) {
 
-        if (!navigator.onLine) {
+        if (!navigator.onLine && this.openCardCache[id] !== undefined) {
             // offline, read from cache if available
-            if (this.openCardCache[id] !== undefined) {
-                await this._loadOpenCard(this.openCardCache[id]);
-                showErrorPopup("No connection, card displayed from cache!", "page-error");
-            } else {
-                showErrorPopup("No connection!", "page-error");
+            await this._loadOpenCard(this.openCardCache[id]);
+            showErrorPopup("No connection, card displayed from cache!", "page-error");
+        } else {
+            // without a connection, the service worker answers with the card as last loaded, if it has it
+            try {
+                const response = await this.card.open(id);
+                await this._loadOpenCard(response);
+            } catch (e) {
+                showErrorPopup(`Could not open card with id ${id}: ${e.message}`, 'page-error');
+                return;
             }
+        }
+
+        if (updateUrl) {
+            this._linkCardInUrl(id);
+        }
+    }
+
+    /**
+     * Close the open card, restoring the URL it was opened from.
+     */
+    closeOpenCard() {
+        const containerElem = document.getElementById("card-dialog-container");
+        if (!containerElem) {
             return;
         }
 
+        containerElem.remove();
+
+        if (history.state?.["card_id"]) {
+            // the card URL was pushed when opening it
+            history.back();
+        } else {
+            // the page was loaded from the card link
+            const params = GetQueryStringParams();
+            params.delete("card_id");
+            history.replaceState(history.state, "", "?" + params.toString());
+        }
+    }
+
+    /**
+     * Get a link to a card, that can be shared with other board members.
+     * @param id The ID of the card.
+     * @returns {string} The absolute URL of the card.
+     */
+    getCardLink(id) {
+        const boardId = GetQueryStringParams().get("board_id");
+        return `${location.origin}${location.pathname}?board_id=${boardId}&card_id=${id}`;
+    }
+
+    /**
+     * Add the open card to the address bar, as a new history entry unless another card was open.
+     * @param id The ID of the card.
+     * @private
+     */
+    _linkCardInUrl(id) {
+        const params = GetQueryStringParams();
+        if (Number(params.get("card_id")) === id) {
+            return; // already linked, e.g. the page was loaded from the card link
+        }
+
+        const replacing = params.has("card_id");
+        params.set("card_id", id);
+
+        if (replacing) {
+            history.replaceState(history.state, "", "?" + params.toString());
+        } else {
+            history.pushState({card_id: id}, "", "?" + params.toString());
+        }
+    }
+
+    /**
+     * Open or close cards so that the open card is the one linked in the URL, e.g. after moving through the history.
+     */
+    showLinkedCard() {
+        const linkedCardId = Number(GetQueryStringParams().get("card_id"));
+        const openCardElem = document.querySelector("#card-dialog-container .opencard");
+        const openCardId = openCardElem ? Number(openCardElem.getAttribute("dbid")) : 0;
+        if (linkedCardId === openCardId) {
+            return;
+        }
+
+        // the URL is already up-to-date, just follow it
+        document.getElementById("card-dialog-container")?.remove();
+        if (linkedCardId > 0 && document.getElementById(`card-${linkedCardId}`)) {
+            this.openCard(linkedCardId, false);
+        }
+    }
+
+    /**
+     * Copy the link to a card to the clipboard.
+     * @param id The ID of the card.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _copyCardLink(id) {
         try {
-            const response = await this.card.open(id);
-            await this._loadOpenCard(response);
+            await navigator.clipboard.writeText(this.getCardLink(id));
+            showInfoPopup("Link copied!", "page-error");
         } catch (e) {
-            showErrorPopup(`Could not open card with id ${id}: ${e.message}`, 'page-error');
+            showErrorPopup(`Could not copy the card link: ${e.message}`, 'page-error');
         }
     }
 
@@ -273,6 +449,9 @@ export class CardUI {
         // save to cache
         this.openCardCache[response["id"]] = response;
 
+        // only one card can be open at a time
+        document.getElementById("card-dialog-container")?.remove();
+
         // create card element
         const openCardData = Object.assign({}, response);
         openCardData["content"] = ContentMarkupToHtml(response["content"], response["attachmentList"]); // decode content
@@ -301,11 +480,41 @@ export class CardUI {
             this._toggleOpenCardLock(openCardElem);
         }
 
+        // members and comments, loaded asynchronously so slow requests don't delay the card
+        this.assigneeUI.loadOpenCardAssignees(openCardElem, response);
+        this.commentUI.loadOpenCardComments(openCardElem, response["id"]);
+
+        // dates
+        openCardElem.querySelector(".opencard-start-date").value = timestampToDateInput(response["start_date"]);
+        openCardElem.querySelector(".opencard-due-date").value = timestampToDateInput(response["due_date"]);
+        openCardElem.querySelector(".opencard-done-chk").checked = response["done"];
+
         // events
         setOnClickEventBySelector(
             openCardElem,
             ".dialog-close-btn",
-            () => closeDialog('card-dialog-container'));
+            () => this.closeOpenCard());
+
+        setOnClickEventBySelector(
+            openCardElem,
+            ".opencard-copy-link-btn",
+            () => this._copyCardLink(openCardData["id"]));
+
+        setOnClickEventBySelector(
+            openCardElem,
+            ".opencard-copy-card-btn",
+            () => this.duplicateUI.copyCard(
+                openCardData["id"],
+                openCardElem.querySelector("#opencard-title").textContent,
+                openCardData["cardlist_id"]));
+
+        setOnClickEventBySelector(
+            openCardElem,
+            ".opencard-move-card-btn",
+            () => this.duplicateUI.moveCard(
+                openCardData["id"],
+                openCardElem.querySelector("#opencard-title").textContent,
+                openCardData["cardlist_id"]));
 
         setOnClickEventBySelector(
             openCardElem,
@@ -362,6 +571,24 @@ export class CardUI {
             ".opencard-lock-btn",
             (elem) => this._cardContentLock(elem, openCardElem));
 
+        setEventBySelector(
+            openCardElem,
+            ".opencard-start-date",
+            "onchange",
+            () => this._cardDatesChanged(openCardElem, openCardData["id"]));
+
+        setEventBySelector(
+            openCardElem,
+            ".opencard-due-date",
+            "onchange",
+            () => this._cardDatesChanged(openCardElem, openCardData["id"]));
+
+        setEventBySelector(
+            openCardElem,
+            ".opencard-done-chk",
+            "onchange",
+            (elem) => this._cardDoneChanged(elem, openCardData["id"]));
+
         await this._setCardContentEventHandlers(openCardElem.querySelector(".opencard-content"));
 
         // drag drop files over a card events
@@ -421,20 +648,11 @@ export class CardUI {
     async _cardTitleChanged(titleElement, id) {
         const newTitle = titleElement.textContent;
 
-        if (this.openCardCache[id] !== undefined) {
-            if (this.openCardCache[id]["title"] === newTitle) {
-                return; // skip server update if the title didn't actually change
-            } else {
-                this.openCardCache[id]["title"] = newTitle; // update cache
-            }
+        if (this.openCardCache[id] !== undefined && this.openCardCache[id]["title"] === newTitle) {
+            return; // skip server update if the title didn't actually change
         }
 
-        try {
-            const response = await this.card.updateTitle(id, titleElement.textContent);
-            this.onCardUpdated(response);
-        } catch (e) {
-            showErrorPopup(`Could not update card title "${titleElement.textContent}" with ID "${id}: ${e.message}`, 'page-error')
-        }
+        await this._saveCardText(id, "title", newTitle);
     }
 
     /**
@@ -469,12 +687,8 @@ export class CardUI {
         await this._setCardContentEventHandlers(contentElem);
         window.getSelection().removeAllRanges();
 
-        if (this.openCardCache[id] !== undefined) {
-            if (this.openCardCache[id]["content"] === content) {
-                return; // skip server update if the content didn't actually change
-            } else {
-                this.openCardCache[id]["content"] = content; // update cache
-            }
+        if (this.openCardCache[id] !== undefined && this.openCardCache[id]["content"] === content) {
+            return; // skip server update if the content didn't actually change
         }
 
         // Post the update to the server
@@ -495,13 +709,76 @@ export class CardUI {
         const id = buttonElem.closest(".opencard").getAttribute("dbid");
         const locked = buttonElem.classList.contains("locked");
         try {
-            const response = await this.card.updateFlags(id, locked);
+            const response = await this.card.updateFlags(id, {locked});
             this.onCardUpdated(response);
         } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                return; // saved once back online
+            }
             showErrorPopup(`Could not update card locked with ID "${id}": ${e.message}`, 'page-error');
         }
     }
 
+    /**
+     * Called when the start or due date of the open card changes.
+     * @param openCardElem The open card element.
+     * @param id The ID of the card.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _cardDatesChanged(openCardElem, id) {
+        const startDateElem = openCardElem.querySelector(".opencard-start-date");
+        const dueDateElem = openCardElem.querySelector(".opencard-due-date");
+        const startDate = dateInputToTimestamp(startDateElem.value);
+        const dueDate = dateInputToTimestamp(dueDateElem.value);
+
+        if (startDate > 0 && dueDate > 0 && startDate > dueDate) {
+            showErrorPopup("The start date cannot be after the due date", 'page-error');
+            return;
+        }
+
+        try {
+            const response = await this.card.updateDates(id, startDate, dueDate);
+            if (this.openCardCache[id] !== undefined) {
+                this.openCardCache[id]["start_date"] = response["start_date"];
+                this.openCardCache[id]["due_date"] = response["due_date"];
+            }
+            this.onCardUpdated(response);
+        } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                // saved once back online, the open card already shows the new dates
+                this._showPendingChange(id, {start_date: startDate, due_date: dueDate});
+                return;
+            }
+            showErrorPopup(`Could not update dates of card with ID "${id}": ${e.message}`, 'page-error');
+        }
+    }
+
+    /**
+     * Called when the done checkbox of the open card changes.
+     * @param checkboxElem The done checkbox element.
+     * @param id The ID of the card.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _cardDoneChanged(checkboxElem, id) {
+        const done = checkboxElem.checked;
+        try {
+            const response = await this.card.updateFlags(id, {done});
+            if (this.openCardCache[id] !== undefined) {
+                this.openCardCache[id]["done"] = response["done"];
+            }
+            this.onCardUpdated(response);
+        } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                this._showPendingChange(id, {done}); // saved once back online
+                return;
+            }
+            checkboxElem.checked = !done;
+            showErrorPopup(`Could not update done status of card with ID "${id}": ${e.message}`, 'page-error');
+        }
+    }
+
     /**
      * Set event handlers for card content.
      * @param contentElem The card's content element.
@@ -579,26 +856,219 @@ export class CardUI {
      * @private
      */
     async _updateCardContent(id, content) {
+        await this._saveCardText(id, "content", content);
+    }
+
+    /**
+     * Save the title or content of a card. Saves of the same card are queued, so that each one is checked against
+     * the revision returned by the previous one.
+     * @param id The ID of the card.
+     * @param field Either "title" or "content".
+     * @param text The new title or content.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _saveCardText(id, field, text) {
+        id = Number(id);
+        const previousSave = this._cardTextSaves.get(id) ?? Promise.resolve();
+        const save = previousSave.then(() => this._trySaveCardText(id, field, text));
+        this._cardTextSaves.set(id, save);
+        await save;
+    }
+
+    /**
+     * Send the title or content of a card to the server, based on the revision of the card loaded in the cache.
+     * @param id The ID of the card.
+     * @param field Either "title" or "content".
+     * @param text The new title or content.
+     * @returns {Promise<void>} Updated when the operation completes, including any conflict resolution.
+     * @private
+     */
+    async _trySaveCardText(id, field, text) {
+        const cachedCard = this.openCardCache[id];
+        const baseText = cachedCard?.[field];
+
         try {
-            const response = await this.card.updateContent(id, content);
-            this.onCardUpdated(response);
+            const response = field === "title"
+                ? await this.card.updateTitle(id, text, cachedCard?.["revision"])
+                : await this.card.updateContent(id, text, cachedCard?.["revision"]);
+            this._onCardTextSaved(id, field, text, response);
+            this._recordTextChange(id, field, baseText, text);
         } catch (e) {
-            showErrorPopup(`Could not update card content with ID "${id}": ${e.message}`, 'page-error')
+            if (e instanceof EditConflictError) {
+                await this._onEditConflict(id, field, text, baseText, e.card);
+            } else if (e instanceof OfflineQueuedError) {
+                this._updateOpenCardCache(id, {[field]: text}); // saved once back online
+            } else {
+                showErrorPopup(`Could not update card ${field} with ID "${id}": ${e.message}`, 'page-error');
+            }
+        }
+    }
+
+    /**
+     * Record a title or content change, to be able to undo it.
+     * @param id The ID of the card.
+     * @param field Either "title" or "content".
+     * @param oldText The title or content before the change.
+     * @param newText The saved title or content.
+     * @private
+     */
+    _recordTextChange(id, field, oldText, newText) {
+        if (oldText === undefined || oldText === newText) {
+            return;
+        }
+
+        this.undoUI.record({
+            description: field === "title"
+                ? `rename card "${oldText}"`
+                : `edit the description of card "${this._getCardTitle(id)}"`,
+            undo: () => this._setCardText(id, field, oldText),
+            redo: () => this._setCardText(id, field, newText)
+        });
+    }
+
+    /**
+     * Set the title or content of a card, when undoing or redoing a change. Fails if someone else changed the card
+     * since it was loaded.
+     * @param id The ID of the card.
+     * @param field Either "title" or "content".
+     * @param text The title or content to set.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _setCardText(id, field, text) {
+        const revision = this.openCardCache[id]?.["revision"];
+        const response = field === "title"
+            ? await this.card.updateTitle(id, text, revision)
+            : await this.card.updateContent(id, text, revision);
+        this._onCardTextSaved(id, field, text, response);
+        this._showOpenCardText(id, field, text);
+    }
+
+    /**
+     * Called when a card title or content has been saved.
+     * @param id The ID of the card.
+     * @param field Either "title" or "content".
+     * @param text The saved title or content.
+     * @param response The JSON response object.
+     * @private
+     */
+    _onCardTextSaved(id, field, text, response) {
+        if (this.openCardCache[id] !== undefined) {
+            this.openCardCache[id][field] = text;
+            this.openCardCache[id]["revision"] = response["revision"];
+        }
+
+        this.onCardUpdated(response);
+    }
+
+    /**
+     * Called when a card title or content has been rejected, because someone else changed the card since it was
+     * loaded. Saves again if the other change doesn't overlap, or asks the user to merge both versions.
+     * @param id The ID of the card.
+     * @param field Either "title" or "content".
+     * @param mine The rejected title or content.
+     * @param baseText The title or content the user started editing from.
+     * @param theirCard The current card data on the server.
+     * @returns {Promise<void>} Updated when the conflict is resolved.
+     * @private
+     */
+    async _onEditConflict(id, field, mine, baseText, theirCard) {
+        const theirs = theirCard[field];
+        const cachedCard = this.openCardCache[id];
+
+        // what changed on the server is now the base of the user edits
+        for (const cachedField of ["title", "content"]) {
+            if (cachedField !== field) {
+                this._showOpenCardText(id, cachedField, theirCard[cachedField]);
+            }
+            cachedCard[cachedField] = theirCard[cachedField];
+        }
+        cachedCard["revision"] = theirCard["revision"];
+        this.onCardUpdated(theirCard);
+
+        if (theirs === mine) {
+            return; // both made the same change
+        }
+
+        if (theirs === baseText) {
+            // someone else only changed the other field, nothing to merge
+            await this._trySaveCardText(id, field, mine);
+            return;
+        }
+
+        const merged = await showMergeDialog(field, theirs, mine);
+        this._showOpenCardText(id, field, merged);
+        if (merged !== theirs) {
+            await this._trySaveCardText(id, field, merged);
+        }
+    }
+
+    /**
+     * Display a new title or content in the open card, unless the user is editing it.
+     * @param id The ID of the card.
+     * @param field Either "title" or "content".
+     * @param text The title or content to display.
+     * @private
+     */
+    _showOpenCardText(id, field, text) {
+        const openCardElem = document.getElementById(`opencard-${id}`);
+        if (!openCardElem) {
+            return;
+        }
+
+        const textElem = openCardElem.querySelector(field === "title" ? "#opencard-title" : ".opencard-content");
+        if (document.activeElement === textElem) {
+            return;
+        }
+
+        if (field === "title") {
+            textElem.textContent = text;
+        } else {
+            const attachmentList = this.attachmentUI.attachmentListFromNode(openCardElem.querySelector(".opencard-attachlist"));
+            textElem.innerHTML = ContentMarkupToHtml(text, attachmentList);
+            this._setCardContentEventHandlers(textElem);
         }
     }
 
     /**
-     * Delete a card.
+     * Delete a card, which is kept in the board archive.
      * @param id The ID of the card.
      * @returns {Promise<void>} Updated when the operation completes.
      */
     async deleteCard(id) {
+        const title = this._getCardTitle(id);
         try {
             await this.card.delete(id);
             this.cardDnd.onCardDeleted();
         } catch (e) {
-            showErrorPopup(`Could not delete card with ID "${id}": ${e.message}`, 'page-error')
+            if (e instanceof OfflineQueuedError) {
+                this.cardDnd.onCardDeleted(); // saved once back online
+                return;
+            }
+            showErrorPopup(`Could not archive card with ID "${id}": ${e.message}`, 'page-error')
+            return;
         }
+
+        this.undoUI.record({
+            description: `archive card "${title}"`,
+            undo: () => this.restoreCard(id),
+            redo: async () => {
+                await this.card.delete(id);
+                document.getElementById(`card-${id}`)?.remove();
+            }
+        });
+    }
+
+    /**
+     * Restore an archived card, back to its list.
+     * @param id The ID of the card.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @throws Error If the card can't be restored, e.g. its list is archived too.
+     */
+    async restoreCard(id) {
+        const response = await this.card.restore(id);
+        this.onCardAdded(response);
     }
 
     /**
@@ -609,15 +1079,117 @@ export class CardUI {
      * @returns {Promise<void>} Updated when the operation completes.
      */
     async moveCard(movedCardId, newPrevCardId, destinationCardListId) {
+        // the card is still in its old position, where undo moves it back
+        const cardElem = document.getElementById(`card-${movedCardId}`);
+        const oldPrevCardId = cardElem.previousElementSibling?.getAttribute("dbid") || 0;
+        const oldCardListId = cardElem.closest(".cardlist").getAttribute("dbid");
+
         try {
             const response = await this.card.move(movedCardId, newPrevCardId, destinationCardListId);
             this.cardDnd.onCardMoved();
             this.onCardAdded(response); // add back in the new position
         } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                // saved once back online, the card is shown where it has been dropped meanwhile
+                this.cardDnd.onCardMoved();
+                this._placeCardElem(cardElem, newPrevCardId, destinationCardListId);
+                return;
+            }
             showErrorPopup(`Could not move card with ID "${movedCardId}": ${e.message}`, 'page-error')
+            return;
+        }
+
+        if (String(oldPrevCardId) === String(newPrevCardId) && oldCardListId === String(destinationCardListId)) {
+            return; // dropped where it was
+        }
+
+        this.undoUI.record({
+            description: `move card "${this._getCardTitle(movedCardId)}"`,
+            undo: () => this._moveCardTo(movedCardId, oldPrevCardId, oldCardListId),
+            redo: () => this._moveCardTo(movedCardId, newPrevCardId, destinationCardListId)
+        });
+    }
+
+    /**
+     * Put a card element in a new place of the board.
+     * @param cardElem The card element.
+     * @param prevCardId The ID of the card to put it after, 0 for the top of the list.
+     * @param cardListId The ID of the card list to put it in.
+     * @private
+     */
+    _placeCardElem(cardElem, prevCardId, cardListId) {
+        const cardListElem = document.getElementById(`cardlist-${cardListId}`);
+        const prevElem = Number(prevCardId) === 0
+            ? cardListElem?.querySelector(".cardlist-start")
+            : cardListElem?.querySelector(`#card-${prevCardId}`);
+        prevElem?.insertAdjacentElement("afterend", cardElem);
+    }
+
+    /**
+     * Update the cached data of a card, so it shows the changes waiting to be sent when opened again.
+     * @param id The ID of the card.
+     * @param fields The changed fields and their new value.
+     * @private
+     */
+    _updateOpenCardCache(id, fields) {
+        if (this.openCardCache[id] !== undefined) {
+            Object.assign(this.openCardCache[id], fields);
         }
     }
 
+    /**
+     * Show a change waiting to be sent on the tile of a card, rebuilt from the cached data, and on the card when opened
+     * again.
+     * @param id The ID of the card.
+     * @param fields The changed fields and their new value.
+     * @private
+     */
+    _showPendingChange(id, fields) {
+        this._updateOpenCardCache(id, fields);
+
+        const cardElem = document.getElementById(`card-${id}`);
+        if (cardElem && this.openCardCache[id] !== undefined) {
+            cardElem.replaceWith(this.loadCard(this.openCardCache[id]));
+        }
+    }
+
+    /**
+     * Move a card to another board, where it is no longer displayed.
+     * @param id The ID of the card.
+     * @param destBoardId The ID of the destination board.
+     * @param destCardListId The ID of the destination list.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @throws Error If the card can't be moved.
+     */
+    async moveCardToBoard(id, destBoardId, destCardListId) {
+        await this.card.moveToBoard(id, destBoardId, destCardListId);
+        this.closeOpenCard();
+        document.getElementById(`card-${id}`)?.remove();
+    }
+
+    /**
+     * Move a card, when undoing or redoing a move.
+     * @param id The ID of the card.
+     * @param prevCardId The ID of the card to move it after, 0 for the top of the list.
+     * @param cardListId The ID of the card list to move it to.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _moveCardTo(id, prevCardId, cardListId) {
+        const response = await this.card.move(id, prevCardId, cardListId);
+        this.onCardUpdated(response);
+    }
+
+    /**
+     * Get the title of a card displayed on the board.
+     * @param id The ID of the card.
+     * @returns {string} The card title, empty if the card is not displayed.
+     * @private
+     */
+    _getCardTitle(id) {
+        return document.querySelector(`#card-${id} h4`)?.textContent ?? "";
+    }
+
     /**
      * Add a class to all nodes.
      * @param parentNode The parent node.
@@ -1,4 +1,21 @@
-import {asyncCall} from "../core/server.js";
+import {asyncCall, asyncMutation} from "../core/server.js";
+
+/**
+ * Thrown when a card title or content update is rejected because someone else changed the card meanwhile.
+ */
+export class EditConflictError extends Error {
+
+    /**
+     * Construction.
+     * @param message The error message.
+     * @param card The current card data on the server, including its content.
+     */
+    constructor(message, card) {
+        super(message);
+        this.name = "EditConflictError";
+        this.card = card;
+    }
+}
 
 /**
  * Class to handle server operations for cards.
@@ -12,7 +29,7 @@ export class Card {
      * @returns {Promise<*>} Updated when the operation completes.
      */
     async create(cardListId, title) {
-        return await asyncCall('AddNewCard', {cardlist_id: cardListId, title})
+        return await asyncMutation('AddNewCard', {cardlist_id: cardListId, title})
     }
 
     /**
@@ -32,7 +49,7 @@ export class Card {
      * @returns {Promise<*>} Updated when the operation completes.
      */
     async move(movedCardId, newPrevCardId, destinationCardListId) {
-        return await asyncCall(
+        return await asyncMutation(
             'MoveCard',
             {
                 moved_card_id: movedCardId,
@@ -42,34 +59,71 @@ export class Card {
             'PUT')
     }
 
+    /**
+     * Move a card to the top of a list of another board.
+     * @param id The ID of the card.
+     * @param destBoardId The ID of the destination board.
+     * @param destCardListId The ID of the destination list.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async moveToBoard(id, destBoardId, destCardListId) {
+        return await asyncCall('MoveCardToBoard', {id, dest_board_id: destBoardId, dest_cardlist_id: destCardListId}, 'PUT');
+    }
+
+    /**
+     * Apply the same change to several cards at once, in a single call.
+     * @param cardIds The IDs of the cards, in board order.
+     * @param action The change: 'move', 'label', 'assign', 'due_date', 'archive' or 'delete'.
+     * @param params The parameters of the change, e.g. {dest_cardlist_id: 3} to move the cards.
+     * @returns {Promise<*>} Updated when the operation completes, with the data of the cards.
+     */
+    async bulkUpdate(cardIds, action, params = {}) {
+        return await asyncMutation('BulkUpdateCards', {card_ids: cardIds, action, ...params}, 'PUT');
+    }
+
     /**
      * Update a card's title.
      * @param id The ID of the card.
      * @param title The new title of the card.
+     * @param revision The card revision the title is based on, undefined to overwrite any change.
+     * @returns {Promise<*>} Updated when the operation completes.
+     * @throws EditConflictError If the card has been changed since that revision.
+     */
+    async updateTitle(id, title, revision) {
+        return await this._updateText('UpdateCardTitle', {id, title, revision});
+    }
+
+    /**
+     * Update a cards flags. Only the flags present in the object are changed.
+     * @param id The ID of the card.
+     * @param flags The flags to set, e.g. {locked: true} or {done: false}.
      * @returns {Promise<*>} Updated when the operation completes.
      */
-    async updateTitle(id, title) {
-        return await asyncCall('UpdateCardTitle', {id, title}, 'PUT');
+    async updateFlags(id, flags) {
+        return await asyncMutation('UpdateCardFlags', {id, ...flags}, 'PUT');
     }
 
     /**
-     * Update a cards flags. Presently the only flag is locked/unlocked.
+     * Update a card's start and due dates.
      * @param id The ID of the card.
-     * @param locked TRUE if the card is locked.
+     * @param startDate The start date as a unix timestamp, 0 to clear it.
+     * @param dueDate The due date as a unix timestamp, 0 to clear it.
      * @returns {Promise<*>} Updated when the operation completes.
      */
-    async updateFlags(id, locked) {
-        return await asyncCall('UpdateCardFlags', {id, locked}, 'PUT');
+    async updateDates(id, startDate, dueDate) {
+        return await asyncMutation('UpdateCardDates', {id, start_date: startDate, due_date: dueDate}, 'PUT');
     }
 
     /**
      * Update the card's content.
      * @param id The ID of the card.
      * @param content The content in the card.
+     * @param revision The card revision the content is based on, undefined to overwrite any change.
      * @returns {Promise<*>} Updated when the operation completes.
+     * @throws EditConflictError If the card has been changed since that revision.
      */
-    async updateContent(id, content) {
-        return await asyncCall('UpdateCardContent', {id, content}, 'PUT');
+    async updateContent(id, content, revision) {
+        return await this._updateText('UpdateCardContent', {id, content, revision});
     }
 
     /**
@@ -78,6 +132,41 @@ export class Card {
      * @returns {Promise<*>} Updated when the operation completes.
      */
     async delete(id) {
-        return await asyncCall('DeleteCard', {deleted_card_id: id}, 'DELETE');
+        return await asyncMutation('DeleteCard', {deleted_card_id: id}, 'DELETE');
+    }
+
+    /**
+     * Restores an archived card, back to where it was in its list.
+     * @param id The ID of the card.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async restore(id) {
+        return await asyncMutation('RestoreCard', {id}, 'PUT');
+    }
+
+    /**
+     * Update the title or content of a card, telling conflicts apart from other errors.
+     * @param apiName The API to call.
+     * @param params The request parameters.
+     * @returns {Promise<*>} Updated when the operation completes.
+     * @private
+     */
+    async _updateText(apiName, params) {
+        try {
+            return await asyncMutation(apiName, params, 'PUT');
+        } catch (e) {
+            // failed requests carry the response body as the message
+            let body = null;
+            try {
+                body = JSON.parse(e.message);
+            } catch {
+                throw e;
+            }
+
+            if (body?.conflict) {
+                throw new EditConflictError(body.error, body.conflict);
+            }
+            throw e;
+        }
     }
-}
\ No newline at end of file
+}
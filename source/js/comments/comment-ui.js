@@ -0,0 +1,247 @@
+import {getInitials, loadTemplate, setOnClickEventBySelector} from "../core/utils.js";
+import {showErrorPopup} from "../ui/popup.js";
+import {CardComment} from "./comment.js";
+
+/**
+ * Class to handle the comments section of open cards.
+ */
+export class CommentUI {
+
+    /**
+     * Construction.
+     */
+    constructor() {
+        this.comment = new CardComment();
+    }
+
+    /**
+     * Init links to other UI objects.
+     * @param cardUI The card UI.
+     */
+    init({cardUI}) {
+        this.cardUI = cardUI;
+    }
+
+    /**
+     * Show the comment count on a card tile.
+     * @param cardElem The card element.
+     * @param cardData The card data.
+     */
+    loadCommentCount(cardElem, cardData) {
+        if (!cardData["comment_count"]) {
+            return;
+        }
+
+        const countElem = cardElem.querySelector(".card-comment-count");
+        countElem.querySelector(".count").textContent = cardData["comment_count"];
+        countElem.classList.remove("hidden");
+        cardElem.querySelector(".card-badges").classList.remove("hidden");
+    }
+
+    /**
+     * Load the comments of an open card and set up the comment editor.
+     * @param openCardElem The open card element.
+     * @param cardId The ID of the card.
+     * @returns {Promise<void>} Updated when the operation completes.
+     */
+    async loadOpenCardComments(openCardElem, cardId) {
+        setOnClickEventBySelector(
+            openCardElem,
+            ".opencard-comment-submit-btn",
+            () => this._submitComment(openCardElem, cardId));
+
+        setOnClickEventBySelector(
+            openCardElem,
+            ".opencard-comment-reply-cancel",
+            (elem, event) => {
+                event.preventDefault();
+                this._setReplyTarget(openCardElem, null);
+            });
+
+        await this._reloadComments(openCardElem, cardId);
+    }
+
+    /**
+     * Fetch and display all the comments of a card, grouped in threads.
+     * @param openCardElem The open card element.
+     * @param cardId The ID of the card.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _reloadComments(openCardElem, cardId) {
+        let comments;
+        try {
+            const response = await this.comment.getAll(cardId);
+            comments = response["comments"];
+        } catch (e) {
+            showErrorPopup(`Could not load the comments of card with ID "${cardId}": ${e.message}`, 'page-error');
+            return;
+        }
+
+        const commentListElem = openCardElem.querySelector(".opencard-comment-list");
+        commentListElem.innerHTML = "";
+
+        for (const commentData of comments) {
+            const commentElem = this._loadComment(openCardElem, cardId, commentData);
+            const threadElem = commentData["parent_id"] > 0
+                ? commentListElem.querySelector(`#comment-${commentData["parent_id"]} .opencard-comment-replies`)
+                : null;
+
+            (threadElem ?? commentListElem).appendChild(commentElem);
+        }
+    }
+
+    /**
+     * Create the element of a single comment.
+     * @param openCardElem The open card element.
+     * @param cardId The ID of the card.
+     * @param commentData The comment data.
+     * @returns {*} The comment element.
+     * @private
+     */
+    _loadComment(openCardElem, cardId, commentData) {
+        const commentElem = loadTemplate("tmpl-opencard-comment", {
+            id: commentData["id"],
+            display_name: commentData["display_name"],
+            initials: getInitials(commentData["display_name"]),
+            created_date: commentData["created_date"] + (commentData["edited"] ? " (edited)" : ""),
+        });
+
+        // set as text, comments are not markup
+        const contentElem = commentElem.querySelector(".opencard-comment-content");
+        if (commentData["deleted"]) {
+            contentElem.textContent = "This comment has been deleted.";
+            commentElem.classList.add("deleted");
+        } else {
+            contentElem.textContent = commentData["content"];
+        }
+
+        setOnClickEventBySelector(commentElem, ".opencard-comment-reply-btn", (elem, event) => {
+            event.preventDefault();
+            this._setReplyTarget(openCardElem, commentData);
+        });
+
+        if (commentData["is_author"] && !commentData["deleted"]) {
+            const editBtnElem = commentElem.querySelector(".opencard-comment-edit-btn");
+            const deleteBtnElem = commentElem.querySelector(".opencard-comment-delete-btn");
+            editBtnElem.classList.remove("hidden");
+            deleteBtnElem.classList.remove("hidden");
+
+            editBtnElem.onclick = (event) => {
+                event.preventDefault();
+                this._beginEditComment(contentElem, commentData);
+            };
+            deleteBtnElem.onclick = (event) => {
+                event.preventDefault();
+                this._deleteComment(openCardElem, cardId, commentData["id"]);
+            };
+        }
+
+        return commentElem;
+    }
+
+    /**
+     * Set (or clear) the comment the editor is replying to.
+     * @param openCardElem The open card element.
+     * @param commentData The comment being replied to, null to start a new thread.
+     * @private
+     */
+    _setReplyTarget(openCardElem, commentData) {
+        const editorElem = openCardElem.querySelector(".opencard-comment-editor");
+        const replyInfoElem = editorElem.querySelector(".opencard-comment-reply-info");
+
+        if (commentData) {
+            editorElem.setAttribute("parent-id", commentData["id"]);
+            replyInfoElem.querySelector(".opencard-comment-reply-name").textContent = commentData["display_name"];
+            replyInfoElem.classList.remove("hidden");
+            editorElem.querySelector(".opencard-comment-input").focus();
+        } else {
+            editorElem.removeAttribute("parent-id");
+            replyInfoElem.classList.add("hidden");
+        }
+    }
+
+    /**
+     * Post the comment in the editor.
+     * @param openCardElem The open card element.
+     * @param cardId The ID of the card.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _submitComment(openCardElem, cardId) {
+        const editorElem = openCardElem.querySelector(".opencard-comment-editor");
+        const inputElem = editorElem.querySelector(".opencard-comment-input");
+        const content = inputElem.value.trim();
+        if (!content) {
+            showErrorPopup("Comment cannot be empty", 'page-error');
+            return;
+        }
+
+        const parentId = Number(editorElem.getAttribute("parent-id") ?? 0);
+        try {
+            const response = await this.comment.add(cardId, content, parentId);
+            inputElem.value = "";
+            this._setReplyTarget(openCardElem, null);
+            this.cardUI.onCardUpdated(response["card"]);
+            await this._reloadComments(openCardElem, cardId);
+        } catch (e) {
+            showErrorPopup(`Could not add comment to card with ID "${cardId}": ${e.message}`, 'page-error');
+        }
+    }
+
+    /**
+     * Make a comment editable, saving it when the focus is lost.
+     * @param contentElem The comment content element.
+     * @param commentData The comment data.
+     * @private
+     */
+    _beginEditComment(contentElem, commentData) {
+        contentElem.setAttribute("contenteditable", "plaintext-only");
+        contentElem.focus();
+
+        contentElem.onkeydown = (event) => {
+            if (event.key === "Escape") {
+                contentElem.textContent = commentData["content"];
+                contentElem.blur();
+            }
+        };
+
+        contentElem.onblur = async () => {
+            contentElem.removeAttribute("contenteditable");
+            contentElem.onblur = null;
+            contentElem.onkeydown = null;
+
+            const content = contentElem.textContent.trim();
+            if (content === commentData["content"]) {
+                return; // nothing changed
+            }
+
+            try {
+                const response = await this.comment.update(commentData["id"], content);
+                commentData["content"] = response["content"];
+                contentElem.textContent = response["content"];
+            } catch (e) {
+                contentElem.textContent = commentData["content"];
+                showErrorPopup(`Could not edit comment: ${e.message}`, 'page-error');
+            }
+        };
+    }
+
+    /**
+     * Delete a comment.
+     * @param openCardElem The open card element.
+     * @param cardId The ID of the card.
+     * @param commentId The ID of the comment.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _deleteComment(openCardElem, cardId, commentId) {
+        try {
+            const response = await this.comment.delete(commentId);
+            this.cardUI.onCardUpdated(response["card"]);
+            await this._reloadComments(openCardElem, cardId);
+        } catch (e) {
+            showErrorPopup(`Could not delete comment: ${e.message}`, 'page-error');
+        }
+    }
+}
@@ -0,0 +1,46 @@
+import {asyncCall} from "../core/server.js";
+
+/**
+ * Class to handle server operations for card comments.
+ */
+export class CardComment {
+
+    /**
+     * Get all the comments of a card.
+     * @param cardId The ID of the card.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async getAll(cardId) {
+        return await asyncCall('GetCardComments', {card_id: cardId}, 'GET');
+    }
+
+    /**
+     * Add a comment to a card.
+     * @param cardId The ID of the card.
+     * @param content The text of the comment.
+     * @param parentId The ID of the comment being replied to, 0 for a new thread.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async add(cardId, content, parentId = 0) {
+        return await asyncCall('AddCardComment', {card_id: cardId, content, parent_id: parentId});
+    }
+
+    /**
+     * Edit a comment.
+     * @param id The ID of the comment.
+     * @param content The new text of the comment.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async update(id, content) {
+        return await asyncCall('UpdateCardComment', {id, content}, 'PUT');
+    }
+
+    /**
+     * Delete a comment.
+     * @param id The ID of the comment.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async delete(id) {
+        return await asyncCall('DeleteCardComment', {id}, 'DELETE');
+    }
+}
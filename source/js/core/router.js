@@ -0,0 +1,115 @@
+import {GetQueryStringParams} from "./utils.js";
+
+// The pages of the client, from the most to the least specific, with the URL parameters that identify them and the
+// name of the router method that loads them.
+const ROUTES = [
+    {name: "card", params: ["board_id", "card_id"], loader: "_loadBoard"},
+    {name: "board", params: ["board_id"], loader: "_loadBoard"},
+    {name: "boardList", params: ["board_list_id"], loader: "_loadPage"},
+    {name: "workspace", params: ["workspace_id"], loader: "_loadPage"},
+    {name: "home", params: [], loader: "_loadPage"},
+];
+
+/**
+ * Client-side router: maps the URL query string to the page loaders, and uses the History API so that navigating
+ * between pages doesn't reload the whole document.
+ */
+export class Router {
+
+    /**
+     * Init links to other UI objects.
+     * @param cardUI The card UI.
+     * @param pageUI The page UI.
+     */
+    init({cardUI, pageUI}) {
+        this.cardUI = cardUI;
+        this.pageUI = pageUI;
+    }
+
+    /**
+     * Start following the URL: load the whole current page, then handle links and history navigation.
+     * @returns {Promise<void>} Updated when the current page is loaded.
+     */
+    async start() {
+        window.addEventListener("popstate", () => this._route());
+        document.addEventListener("click", (event) => this._onLinkClicked(event));
+        await this._loadPage();
+    }
+
+    /**
+     * Navigate to another page of the client.
+     * @param url The URL to navigate to, usually just a query string like "?board_id=1".
+     * @returns {Promise<void>} Updated when the page is loaded.
+     */
+    async navigate(url) {
+        const newUrl = new URL(url, window.location.href);
+        if (newUrl.href !== window.location.href) {
+            history.pushState(null, "", newUrl.href);
+        }
+
+        await this._route();
+    }
+
+    /**
+     * Get the route matching the current URL.
+     * @returns {{name: string, params: string[]}} The route.
+     */
+    getCurrentRoute() {
+        const params = GetQueryStringParams();
+        return ROUTES.find(route => route.params.every(name => params.has(name)));
+    }
+
+    /**
+     * Load the page of the current URL.
+     * @returns {Promise<void>} Updated when the page is loaded.
+     * @private
+     */
+    async _route() {
+        const route = this.getCurrentRoute();
+        await this[route.loader]();
+    }
+
+    /**
+     * Load a board, or just open or close its linked card if the board is already loaded. Only the board data is
+     * requested, the rest of the page is the same for every board.
+     * @returns {Promise<void>} Updated when the page is loaded.
+     * @private
+     */
+    async _loadBoard() {
+        const boardId = Number(GetQueryStringParams().get("board_id"));
+        if (boardId > 0 && boardId === this.pageUI.getLoadedBoardId()) {
+            this.cardUI.showLinkedCard();
+            return;
+        }
+
+        await this.pageUI.getCurrentBoard();
+    }
+
+    /**
+     * Request the page of the current URL from the server.
+     * @returns {Promise<void>} Updated when the page is loaded.
+     * @private
+     */
+    async _loadPage() {
+        await this.pageUI.getCurrentPage();
+    }
+
+    /**
+     * Follow the links to other pages of the client without reloading the document.
+     * @param event The click event.
+     * @private
+     */
+    _onLinkClicked(event) {
+        if (event.defaultPrevented || event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) {
+            return; // let the browser open it in a new tab or window
+        }
+
+        const linkElem = event.target.closest("a[href^='?']");
+        if (!linkElem || linkElem.target) {
+            return;
+        }
+
+        event.preventDefault();
+        this.navigate(linkElem.getAttribute("href"));
+    }
+}
@@ -1,4 +1,5 @@
 import {TaralloServer} from '../api.js';
+import {OfflineQueuedError, outbox} from "../offline/outbox.js";
 
 /**
  * Make an asynchronous call to the Tarallo server. This version throws on
@@ -18,3 +19,29 @@ export async function asyncCall(apiName, params, method = 'POST') {
         throw new Error(result.error);
     }
 }
+
+/**
+ * Make an asynchronous call that changes data on the server. Without a connection, or while older changes are still
+ * waiting to be sent, the call is saved in the offline outbox to be sent in order once the connection returns.
+ * @param apiName The API that wants to be called.
+ * @param params The request parameters.
+ * @param method The method to use for the call.
+ * @returns {Promise<*>} The promise
+ * @throws OfflineQueuedError If the call has been saved in the outbox instead of sent.
+ */
+export async function asyncMutation(apiName, params, method = 'POST') {
+    // the page URL parameters are saved too, the page may have changed when the call is sent
+    const postParams = TaralloServer.buildParams(apiName, params);
+
+    if (navigator.onLine && outbox.getPendingCount() === 0) {
+        const result = await TaralloServer.send(postParams, method);
+        if (result.succeeded) {
+            return result.response;
+        } else if (!result.offline) {
+            throw new Error(result.error);
+        }
+    }
+
+    const entryId = await outbox.add(postParams, method);
+    throw new OfflineQueuedError(entryId);
+}
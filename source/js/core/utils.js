@@ -130,6 +130,22 @@ export function fileToBase64(file) {
     });
 }
 
+/**
+ * Get the initials of a display name, e.g. "Jane Doe" becomes "JD".
+ */
+export function getInitials(displayName) {
+    const initials = (displayName ?? "")
+        .split(/\s+/)
+        .filter(word => word.length > 0)
+        .map(word => word[0].toUpperCase());
+
+    if (initials.length === 0) {
+        return "?";
+    }
+
+    return initials.length === 1 ? initials[0] : initials[0] + initials[initials.length - 1];
+}
+
 /**
  * Replace the HTML template arguments
  */
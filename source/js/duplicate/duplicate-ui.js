@@ -0,0 +1,252 @@
+import {loadTemplate, setOnClickEventBySelector} from "../core/utils.js";
+import {showErrorPopup, showInfoPopup} from "../ui/popup.js";
+import {Duplicate} from "./duplicate.js";
+
+/**
+ * Class to handle the dialog to copy a card or a list, or to duplicate the whole board. The user chooses the name
+ * of the copy and which parts of the cards to keep. The same dialog moves a card to another board, or all the cards
+ * of a list to another list.
+ */
+export class DuplicateUI {
+
+    /**
+     * Construction.
+     */
+    constructor() {
+        this.duplicate = new Duplicate();
+    }
+
+    /**
+     * Init links to other UI objects.
+     * @param cardUI The card UI.
+     * @param listUI The list UI.
+     * @param page The page API.
+     * @param pageUI The page UI.
+     * @param router The router.
+     */
+    init({cardUI, listUI, page, pageUI, router}) {
+        this.cardUI = cardUI;
+        this.listUI = listUI;
+        this.page = page;
+        this.pageUI = pageUI;
+        this.router = router;
+    }
+
+    /**
+     * Show the dialog to copy a card to a list of this board or another one.
+     * @param id The ID of the card.
+     * @param title The title of the card.
+     * @param cardListId The ID of the list of the card, selected by default.
+     * @returns {Promise<void>} Updated when the dialog is ready.
+     */
+    async copyCard(id, title, cardListId) {
+        const dialogElem = this._showDialog({
+            heading: "Copy card",
+            name_label: "Title",
+            submit_label: "Copy card"
+        }, title, async (newTitle, options) => {
+            const destBoardId = Number(dialogElem.querySelector("#copy-dialog-board").value);
+            const destCardListId = Number(dialogElem.querySelector("#copy-dialog-list").value);
+            const response = await this.duplicate.copyCard(id, destBoardId, destCardListId, newTitle, options);
+
+            if (response["board_id"] === this.pageUI.getLoadedBoardId()) {
+                this.cardUI.onCardAdded(response);
+            }
+            showInfoPopup(`Copied card "${response["title"]}"`, 'page-error');
+        });
+
+        // nowhere to copy to until the destinations are loaded
+        const submitElem = dialogElem.querySelector(".copy-dialog-submit-btn");
+        submitElem.disabled = true;
+        if (await this._loadDestinations(dialogElem, cardListId)) {
+            submitElem.disabled = false;
+        }
+    }
+
+    /**
+     * Show the dialog to move a card to a list of another board.
+     * @param id The ID of the card.
+     * @param title The title of the card.
+     * @param cardListId The ID of the list of the card.
+     * @returns {Promise<void>} Updated when the dialog is ready.
+     */
+    async moveCard(id, title, cardListId) {
+        const dialogElem = this._showDialog({
+            heading: "Move card to board",
+            name_label: "Title",
+            submit_label: "Move card"
+        }, title, async () => {
+            const destBoardId = Number(dialogElem.querySelector("#copy-dialog-board").value);
+            const destCardListId = Number(dialogElem.querySelector("#copy-dialog-list").value);
+            await this.cardUI.moveCardToBoard(id, destBoardId, destCardListId);
+            showInfoPopup(`Moved card "${title}"`, 'page-error');
+        });
+
+        // the card keeps everything, and its title can be changed once moved
+        dialogElem.querySelector(".copy-dialog-name-field").classList.add("hidden");
+        dialogElem.querySelector(".copy-dialog-options").classList.add("hidden");
+
+        const submitElem = dialogElem.querySelector(".copy-dialog-submit-btn");
+        submitElem.disabled = true;
+        if (await this._loadDestinations(dialogElem, cardListId, false)) {
+            submitElem.disabled = false;
+        }
+    }
+
+    /**
+     * Show the dialog to move all the cards of a list to another list, of this board or another one.
+     * @param id The ID of the card list.
+     * @param name The name of the card list.
+     * @returns {Promise<void>} Updated when the dialog is ready.
+     */
+    async moveAllCards(id, name) {
+        const dialogElem = this._showDialog({
+            heading: "Move all cards",
+            name_label: "Name",
+            submit_label: "Move cards"
+        }, name, async () => {
+            const destBoardId = Number(dialogElem.querySelector("#copy-dialog-board").value);
+            const destCardListId = Number(dialogElem.querySelector("#copy-dialog-list").value);
+            await this.listUI.moveAllCards(id, destBoardId, destCardListId);
+        });
+
+        dialogElem.querySelector(".copy-dialog-name-field").classList.add("hidden");
+        dialogElem.querySelector(".copy-dialog-options").classList.add("hidden");
+
+        const submitElem = dialogElem.querySelector(".copy-dialog-submit-btn");
+        submitElem.disabled = true;
+        if (await this._loadDestinations(dialogElem, id, true, true)) {
+            submitElem.disabled = false;
+        }
+    }
+
+    /**
+     * Show the dialog to copy a card list with all its cards.
+     * @param id The ID of the card list.
+     * @param name The name of the card list.
+     */
+    copyCardList(id, name) {
+        this._showDialog({
+            heading: "Copy list",
+            name_label: "Name",
+            submit_label: "Copy list"
+        }, name, async (newName, options) => {
+            const response = await this.duplicate.copyCardList(id, newName, options);
+            this.listUI.onCardListCopied(response);
+        });
+    }
+
+    /**
+     * Show the dialog to duplicate the current board, then open the new board.
+     * @param title The title of the current board.
+     */
+    duplicateBoard(title) {
+        this._showDialog({
+            heading: "Duplicate board",
+            name_label: "Title",
+            submit_label: "Duplicate board"
+        }, title, async (newTitle, options) => {
+            const response = await this.duplicate.duplicateBoard(newTitle, options);
+            this.router.navigate(`?board_id=${response["id"]}`);
+        });
+    }
+
+    /**
+     * Show the copy dialog.
+     * @param labels The 'heading', 'name_label' and 'submit_label' of the dialog.
+     * @param name The name of the copy, which can be changed.
+     * @param copy Async function making the copy from the name and the options, throwing on failure.
+     * @returns {*} The dialog element.
+     * @private
+     */
+    _showDialog(labels, name, copy) {
+        document.getElementById("copy-dialog-container")?.remove();
+
+        const dialogElem = loadTemplate("tmpl-copy-dialog", labels);
+        const nameElem = dialogElem.querySelector("#copy-dialog-name");
+        nameElem.value = name;
+
+        setOnClickEventBySelector(dialogElem, ".dialog-close-btn", () => dialogElem.remove());
+        setOnClickEventBySelector(dialogElem, ".copy-dialog-submit-btn", async (buttonElem) => {
+            buttonElem.disabled = true; // a second click would make a second copy
+            try {
+                await copy(nameElem.value.trim(), this._getOptions(dialogElem));
+                dialogElem.remove();
+            } catch (e) {
+                showErrorPopup(`Could not ${labels["submit_label"].toLowerCase()} "${name}": ${e.message}`, 'page-error');
+                buttonElem.disabled = false;
+            }
+        });
+
+        this.page.getContentElem().appendChild(dialogElem);
+        nameElem.select();
+        return dialogElem;
+    }
+
+    /**
+     * Read the parts of the cards to copy chosen in the dialog.
+     * @param dialogElem The dialog element.
+     * @returns {Object} The copy options, e.g. {copy_content: true, copy_labels: false}.
+     * @private
+     */
+    _getOptions(dialogElem) {
+        const options = {};
+        for (const checkboxElem of dialogElem.querySelectorAll(".copy-dialog-option input")) {
+            options[checkboxElem.name] = checkboxElem.checked;
+        }
+        return options;
+    }
+
+    /**
+     * Fill the board and list selections of the card copy dialog.
+     * @param dialogElem The dialog element.
+     * @param cardListId The ID of the list to select, on the current board.
+     * @param includeLoadedBoard False to only list the other boards.
+     * @param excludeCardList True to leave out the list itself, selecting the first other list instead.
+     * @returns {Promise<boolean>} Updated when done, with FALSE if they could not be loaded and the dialog is closed.
+     * @private
+     */
+    async _loadDestinations(dialogElem, cardListId, includeLoadedBoard = true, excludeCardList = false) {
+        let response;
+        try {
+            response = await this.duplicate.getDestinations();
+        } catch (e) {
+            showErrorPopup(`Could not load the boards to copy to: ${e.message}`, 'page-error');
+            dialogElem.remove();
+            return false;
+        }
+
+        const loadedBoardId = this.pageUI.getLoadedBoardId();
+        const boards = response["boards"].filter(board => includeLoadedBoard || board["id"] !== loadedBoardId);
+        if (boards.length === 0) {
+            showErrorPopup(includeLoadedBoard
+                ? "There is no board you can copy cards to"
+                : "There is no other board you can move cards to", 'page-error');
+            dialogElem.remove();
+            return false;
+        }
+
+        const boardSelectElem = dialogElem.querySelector("#copy-dialog-board");
+        const listSelectElem = dialogElem.querySelector("#copy-dialog-list");
+        const loadLists = () => {
+            const board = boards.find(b => String(b["id"]) === boardSelectElem.value);
+            listSelectElem.replaceChildren(...board["cardlists"]
+                .filter(list => !excludeCardList || String(list["id"]) !== String(cardListId))
+                .map(list => new Option(list["name"], list["id"])));
+        };
+
+        boardSelectElem.replaceChildren(...boards.map(board => new Option(board["title"], board["id"])));
+        boardSelectElem.value = String(loadedBoardId);
+        if (boardSelectElem.selectedIndex < 0) {
+            boardSelectElem.selectedIndex = 0; // the current board is read-only or left out
+        }
+        loadLists();
+        if (listSelectElem.querySelector(`option[value="${cardListId}"]`)) {
+            listSelectElem.value = String(cardListId);
+        }
+
+        boardSelectElem.onchange = loadLists;
+        dialogElem.querySelector(".copy-dialog-destination").classList.remove("hidden");
+        return true;
+    }
+}
@@ -0,0 +1,55 @@
+import {asyncCall} from "../core/server.js";
+
+/**
+ * Class to handle API calls to copy cards, lists and boards.
+ */
+export class Duplicate {
+
+    /**
+     * Get the boards and lists the user can copy cards to.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async getDestinations() {
+        return await asyncCall('GetCopyDestinations', {}, 'GET');
+    }
+
+    /**
+     * Copy a card to a list, of this board or another one.
+     * @param id The ID of the card.
+     * @param destBoardId The ID of the destination board.
+     * @param destCardListId The ID of the destination list.
+     * @param title The title of the copy.
+     * @param options The parts of the card to copy, e.g. {copy_content: true, copy_attachments: false}.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async copyCard(id, destBoardId, destCardListId, title, options) {
+        return await asyncCall('CopyCard', {
+            id,
+            dest_board_id: destBoardId,
+            dest_cardlist_id: destCardListId,
+            title,
+            ...options
+        });
+    }
+
+    /**
+     * Copy a card list and its cards, right after it.
+     * @param id The ID of the card list.
+     * @param name The name of the copy.
+     * @param options The parts of the cards to copy.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async copyCardList(id, name, options) {
+        return await asyncCall('CopyCardList', {id, name, ...options});
+    }
+
+    /**
+     * Create a new board with the lists and cards of the current board.
+     * @param title The title of the new board.
+     * @param options The parts of the cards to copy.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async duplicateBoard(title, options) {
+        return await asyncCall('DuplicateBoard', {title, ...options});
+    }
+}
@@ -0,0 +1,388 @@
+import {GetQueryStringParams, loadTemplate, setEventBySelector, setOnClickEventBySelector} from "../core/utils.js";
+import {dateInputToTimestamp, getDueStatus, timestampToDateInput} from "../cards/card-dates.js";
+import {showErrorPopup} from "../ui/popup.js";
+import {Filter} from "./filter.js";
+
+// How long to wait after the last keystroke before searching card contents.
+const TEXT_SEARCH_DELAY_MS = 300;
+
+// Supported due date filters, besides the empty one that accepts any date.
+const DUE_FILTERS = ["overdue", "soon", "week", "none", "range"];
+
+// Query string parameters used to store the active filter.
+const URL_PARAMS = ["filter_text", "filter_labels", "filter_match", "filter_assignee", "filter_due", "filter_due_from", "filter_due_to"];
+
+/**
+ * Class to handle the board filter bar, hiding the card tiles that don't match it.
+ */
+export class FilterUI {
+
+    /**
+     * Construction.
+     */
+    constructor() {
+        this.filter = new Filter();
+        this._cards = new Map();
+        this._criteria = this._readCriteria(new URLSearchParams());
+        this._textMatches = new Set();
+        this._textTimeout = null;
+    }
+
+    /**
+     * Init links to other UI objects.
+     * @param assigneeUI The assignee UI.
+     * @param labelUI The label UI.
+     * @param page The page API.
+     */
+    init({assigneeUI, labelUI, page}) {
+        this.assigneeUI = assigneeUI;
+        this.labelUI = labelUI;
+        this.page = page;
+    }
+
+    /**
+     * Called when a board is loaded, before its cards: read the filter from the URL and add the filter bar.
+     */
+    onBoardLoaded() {
+        this._cards.clear();
+        this._criteria = this._readCriteria(GetQueryStringParams());
+        this._textMatches = new Set();
+
+        // when switching boards the bar is kept, only its labels and members change
+        let filterBarElem = document.getElementById("filter-bar");
+        if (filterBarElem) {
+            filterBarElem.querySelector(".filter-labels").replaceChildren();
+            filterBarElem.querySelectorAll(".filter-assignee option:not([value='0'])").forEach(elem => elem.remove());
+        } else {
+            filterBarElem = loadTemplate("tmpl-filter-bar", {});
+            this.page.getBoardElem().before(filterBarElem);
+        }
+        this._loadFilterBar(filterBarElem);
+
+        if (this._isActive()) {
+            filterBarElem.classList.remove("hidden");
+        }
+        const visible = !filterBarElem.classList.contains("hidden");
+        document.getElementById("board-filter-btn").classList.toggle("toggled", visible || this._isActive());
+
+        if (this._criteria.text) {
+            this._searchText();
+        }
+    }
+
+    /**
+     * Show or hide the filter bar. Hiding it keeps the filter active.
+     * @param linkElem The project bar link that toggles the bar.
+     */
+    toggleFilterBar(linkElem) {
+        const filterBarElem = document.getElementById("filter-bar");
+        const visible = !filterBarElem.classList.toggle("hidden");
+        linkElem.classList.toggle("toggled", visible || this._isActive());
+        if (visible) {
+            filterBarElem.querySelector(".filter-text").focus();
+        }
+    }
+
+    /**
+     * Show the filter bar if hidden, and move the focus to its text field.
+     */
+    focusFilterBar() {
+        const filterBarElem = document.getElementById("filter-bar");
+        if (!filterBarElem) {
+            return;
+        }
+
+        if (filterBarElem.classList.contains("hidden")) {
+            this.toggleFilterBar(document.getElementById("board-filter-btn"));
+        } else {
+            filterBarElem.querySelector(".filter-text").focus();
+        }
+    }
+
+    /**
+     * Show or hide a card tile depending on the active filter.
+     * @param cardElem The card element.
+     * @param cardData The card data.
+     */
+    applyToCard(cardElem, cardData) {
+        this._cards.set(cardData["id"], cardData);
+        cardElem.classList.toggle("filtered-out", !this._matches(cardData));
+    }
+
+    /**
+     * Fill the filter bar with the board labels and members, and the active filter.
+     * @param filterBarElem The filter bar element.
+     * @private
+     */
+    _loadFilterBar(filterBarElem) {
+        const criteria = this._criteria;
+
+        const textElem = filterBarElem.querySelector(".filter-text");
+        textElem.value = criteria.text;
+        textElem.oninput = () => {
+            this._criteria.text = textElem.value.trim();
+            this._onCriteriaChanged();
+            clearTimeout(this._textTimeout);
+            this._textTimeout = setTimeout(() => this._searchText(), TEXT_SEARCH_DELAY_MS);
+        };
+
+        // labels, skipping the deleted ones
+        const labelListElem = filterBarElem.querySelector(".filter-labels");
+        this.labelUI.getLabelNames().forEach((name, index) => {
+            if (!name) {
+                return;
+            }
+
+            const labelElem = this.labelUI.loadLabel("tmpl-filter-label", index, {index});
+            labelElem.classList.toggle("selected", criteria.labels.includes(index));
+            labelElem.onclick = () => {
+                const selected = labelElem.classList.toggle("selected");
+                this._criteria.labels = selected
+                    ? [...this._criteria.labels, index]
+                    : this._criteria.labels.filter(i => i !== index);
+                this._onCriteriaChanged();
+            };
+            labelListElem.appendChild(labelElem);
+        });
+
+        filterBarElem.querySelector(".filter-label-match").value = criteria.labelMatch;
+        setEventBySelector(filterBarElem, ".filter-label-match", "onchange", (elem) => {
+            this._criteria.labelMatch = elem.value;
+            this._onCriteriaChanged();
+        });
+
+        this._loadAssigneeOptions(filterBarElem.querySelector(".filter-assignee"));
+        setEventBySelector(filterBarElem, ".filter-assignee", "onchange", (elem) => {
+            this._criteria.assignee = Number(elem.value);
+            this._onCriteriaChanged();
+        });
+
+        const dueRangeElem = filterBarElem.querySelector(".filter-due-range");
+        filterBarElem.querySelector(".filter-due").value = criteria.due;
+        filterBarElem.querySelector(".filter-due-from").value = criteria.dueFrom;
+        filterBarElem.querySelector(".filter-due-to").value = criteria.dueTo;
+        dueRangeElem.classList.toggle("hidden", criteria.due !== "range");
+        setEventBySelector(filterBarElem, ".filter-due", "onchange", (elem) => {
+            this._criteria.due = elem.value;
+            dueRangeElem.classList.toggle("hidden", elem.value !== "range");
+            this._onCriteriaChanged();
+        });
+        setEventBySelector(filterBarElem, ".filter-due-from", "onchange", (elem) => {
+            this._criteria.dueFrom = elem.value;
+            this._onCriteriaChanged();
+        });
+        setEventBySelector(filterBarElem, ".filter-due-to", "onchange", (elem) => {
+            this._criteria.dueTo = elem.value;
+            this._onCriteriaChanged();
+        });
+
+        setOnClickEventBySelector(filterBarElem, ".filter-clear-btn", () => this._clear(filterBarElem));
+    }
+
+    /**
+     * Add the board members to the assignee selection.
+     * @param selectElem The assignee select element.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _loadAssigneeOptions(selectElem) {
+        const members = await this.assigneeUI.getMembers();
+        for (const member of members) {
+            const optionElem = document.createElement("option");
+            optionElem.value = member["user_id"];
+            optionElem.textContent = member["display_name"];
+            selectElem.appendChild(optionElem);
+        }
+        selectElem.value = this._criteria.assignee;
+    }
+
+    /**
+     * Reset the filter, showing all the cards.
+     * @param filterBarElem The filter bar element.
+     * @private
+     */
+    _clear(filterBarElem) {
+        this._criteria = this._readCriteria(new URLSearchParams());
+        this._textMatches = new Set();
+
+        filterBarElem.querySelector(".filter-text").value = "";
+        filterBarElem.querySelector(".filter-label-match").value = "any";
+        filterBarElem.querySelector(".filter-assignee").value = "0";
+        filterBarElem.querySelector(".filter-due").value = "";
+        filterBarElem.querySelector(".filter-due-from").value = "";
+        filterBarElem.querySelector(".filter-due-to").value = "";
+        filterBarElem.querySelector(".filter-due-range").classList.add("hidden");
+        for (const labelElem of filterBarElem.querySelectorAll(".filter-label.selected")) {
+            labelElem.classList.remove("selected");
+        }
+
+        this._onCriteriaChanged();
+    }
+
+    /**
+     * Look for the filter text in the card contents on the server, which the card tiles don't have.
+     * @returns {Promise<void>} Updated when the operation completes.
+     * @private
+     */
+    async _searchText() {
+        const text = this._criteria.text;
+        if (!text) {
+            return;
+        }
+
+        try {
+            const response = await this.filter.findCards(text);
+            // skip results of a text that has changed in the meantime
+            if (text === this._criteria.text) {
+                this._textMatches = new Set(response["card_ids"]);
+                this.applyToAll();
+            }
+        } catch (e) {
+            showErrorPopup(`Could not search the board cards: ${e.message}`, 'page-error');
+        }
+    }
+
+    /**
+     * Called when the filter changes, to store it in the URL and update the cards.
+     * @private
+     */
+    _onCriteriaChanged() {
+        const params = GetQueryStringParams();
+        for (const name of URL_PARAMS) {
+            params.delete(name);
+        }
+
+        const criteria = this._criteria;
+        if (criteria.text) params.set("filter_text", criteria.text);
+        if (criteria.labels.length > 0) params.set("filter_labels", criteria.labels.join(","));
+        if (criteria.labelMatch === "all") params.set("filter_match", "all");
+        if (criteria.assignee > 0) params.set("filter_assignee", String(criteria.assignee));
+        if (criteria.due) params.set("filter_due", criteria.due);
+        if (criteria.due === "range" && criteria.dueFrom) params.set("filter_due_from", criteria.dueFrom);
+        if (criteria.due === "range" && criteria.dueTo) params.set("filter_due_to", criteria.dueTo);
+
+        history.replaceState(history.state, "", "?" + params.toString());
+        this.applyToAll();
+    }
+
+    /**
+     * Apply the filter to all the card tiles of the board, and show how many are left.
+     */
+    applyToAll() {
+        let shownCount = 0;
+        for (const [cardId, cardData] of this._cards) {
+            const cardElem = document.getElementById(`card-${cardId}`);
+            if (!cardElem) {
+                // the card has been deleted
+                this._cards.delete(cardId);
+                continue;
+            }
+
+            const matches = this._matches(cardData);
+            cardElem.classList.toggle("filtered-out", !matches);
+            shownCount += matches ? 1 : 0;
+        }
+
+        const countElem = document.querySelector("#filter-bar .filter-count");
+        if (countElem) {
+            countElem.textContent = this._isActive() ? `${shownCount} of ${this._cards.size} cards` : "";
+        }
+    }
+
+    /**
+     * Check if a card matches the active filter.
+     * @param cardData The card data.
+     * @returns {boolean} TRUE if the card should be shown.
+     * @private
+     */
+    _matches(cardData) {
+        const criteria = this._criteria;
+
+        if (criteria.labels.length > 0) {
+            const hasLabel = (index) => ((cardData["label_mask"] >> index) & 0x01) === 1;
+            const labelsMatch = criteria.labelMatch === "all"
+                ? criteria.labels.every(hasLabel)
+                : criteria.labels.some(hasLabel);
+            if (!labelsMatch) {
+                return false;
+            }
+        }
+
+        // titles are matched right away, contents once the server has answered
+        if (criteria.text
+            && !cardData["title"].toLowerCase().includes(criteria.text.toLowerCase())
+            && !this._textMatches.has(cardData["id"])) {
+            return false;
+        }
+
+        if (criteria.assignee > 0 && !(cardData["assignees"] ?? []).some(a => a["user_id"] === criteria.assignee)) {
+            return false;
+        }
+
+        return this._matchesDueDate(cardData);
+    }
+
+    /**
+     * Check if the due date of a card matches the active filter.
+     * @param cardData The card data.
+     * @returns {boolean} TRUE if the card should be shown.
+     * @private
+     */
+    _matchesDueDate(cardData) {
+        const dueDate = cardData["due_date"];
+
+        switch (this._criteria.due) {
+            case "overdue":
+                return getDueStatus(cardData) === "overdue";
+            case "soon":
+                return getDueStatus(cardData) === "due-soon";
+            case "week": {
+                const today = dateInputToTimestamp(timestampToDateInput(Math.floor(Date.now() / 1000)));
+                return dueDate >= today && dueDate < today + 7 * 24 * 60 * 60;
+            }
+            case "none":
+                return !dueDate;
+            case "range": {
+                const from = dateInputToTimestamp(this._criteria.dueFrom);
+                const to = dateInputToTimestamp(this._criteria.dueTo);
+                return dueDate > 0 && (!from || dueDate >= from) && (!to || dueDate <= to);
+            }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Check if any filter criteria is set.
+     * @returns {boolean} TRUE if some cards may be hidden by the filter.
+     * @private
+     */
+    _isActive() {
+        const criteria = this._criteria;
+        return criteria.text !== "" || criteria.labels.length > 0 || criteria.assignee > 0 || criteria.due !== "";
+    }
+
+    /**
+     * Read the filter criteria from query string parameters.
+     * @param params The query string parameters.
+     * @returns {{text: string, labels: number[], labelMatch: string, assignee: number, due: string, dueFrom: string, dueTo: string}}
+     * @private
+     */
+    _readCriteria(params) {
+        const labels = (params.get("filter_labels") ?? "")
+            .split(",")
+            .filter(index => index !== "")
+            .map(Number)
+            .filter(Number.isInteger);
+
+        return {
+            text: (params.get("filter_text") ?? "").trim(),
+            labels,
+            labelMatch: params.get("filter_match") === "all" ? "all" : "any",
+            assignee: Number(params.get("filter_assignee")) || 0,
+            due: DUE_FILTERS.includes(params.get("filter_due")) ? params.get("filter_due") : "",
+            dueFrom: params.get("filter_due_from") ?? "",
+            dueTo: params.get("filter_due_to") ?? "",
+        };
+    }
+}
@@ -0,0 +1,16 @@
+import {asyncCall} from "../core/server.js";
+
+/**
+ * Class to handle server operations for the board filter.
+ */
+export class Filter {
+
+    /**
+     * Find the cards of the current board whose title or content contains a text.
+     * @param text The text to look for.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async findCards(text) {
+        return await asyncCall('FindBoardCards', {text}, 'GET');
+    }
+}
@@ -66,6 +66,33 @@ export class ImportExportUi {
         }
     }
 
+    /**
+     * Exports a board, downloading it as a zip that can be imported again
+     * @param boardId The ID of the board to export
+     */
+    async exportBoard(boardId) {
+        this._showLoadingDialog("Exporting board...", "Download in progress, do not refresh the board!");
+
+        try {
+            const {blob, fileName} = await this.importExport.exportBoard(boardId, (percent) => this._setProgressPercent(percent));
+
+            // hand the downloaded zip over to the browser
+            const url = URL.createObjectURL(blob);
+            const linkElem = document.createElement("a");
+            linkElem.href = url;
+            linkElem.download = fileName;
+            document.body.appendChild(linkElem);
+            linkElem.click();
+            linkElem.remove();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            showErrorPopup(`Failed to export board: ${e.message}`, 'page-error');
+        } finally {
+            this._hideLoadingDialog();
+            this._setProgressPercent(0);
+        }
+    }
+
     /**
      * Show the loading dialog
      */
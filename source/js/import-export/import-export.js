@@ -1,4 +1,5 @@
 import {asyncCall} from "../core/server.js";
+import {TaralloServer} from "../api.js";
 
 /**
  * Class to handle API calls for import/export.
@@ -25,6 +26,53 @@ export class ImportExport {
         return await asyncCall('ImportBoard', {});
     }
 
+    /**
+     * Download the export zip of a board, streaming it so progress can be reported.
+     * @param boardId The ID of the board to export.
+     * @param onProgress Called with the fraction downloaded so far, when the size is known.
+     * @returns {Promise<{blob: Blob, fileName: string}>} The downloaded zip and its file name.
+     */
+    async exportBoard(boardId, onProgress) {
+        const response = await fetch("php/api.php?" + TaralloServer.encodeQueryData({OP: 'ExportBoard', board_id: boardId}));
+
+        if (!response.ok) {
+            // errors are still reported as JSON
+            const errorText = await response.text();
+            let message = errorText || `Export failed with ${response.status} (${response.statusText})`;
+            try {
+                message = JSON.parse(errorText).error.message;
+            } catch {
+                // keep the raw response text
+            }
+            throw new Error(message);
+        }
+
+        const totalBytes = Number(response.headers.get("Content-Length")) || 0;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let receivedBytes = 0;
+
+        for (;;) {
+            const {done, value} = await reader.read();
+            if (done) {
+                break;
+            }
+            chunks.push(value);
+            receivedBytes += value.length;
+            if (totalBytes > 0) {
+                onProgress(receivedBytes / totalBytes);
+            }
+        }
+
+        const disposition = response.headers.get("Content-Disposition") || "";
+        const fileNameMatch = disposition.match(/filename="([^"]+)"/);
+
+        return {
+            blob: new Blob(chunks, {type: "application/zip"}),
+            fileName: fileNameMatch ? fileNameMatch[1] : `export - board ${boardId}.zip`
+        };
+    }
+
     async importFromTrello(trelloExport) {
         return await asyncCall('ImportFromTrello', {trello_export: trelloExport});
     }
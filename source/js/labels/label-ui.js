@@ -1,6 +1,7 @@
 import {loadTemplate, setEventBySelector} from "../core/utils.js";
 import {Label} from "./label.js";
-import {showErrorPopup} from "../ui/popup.js";
+import {showErrorPopup, showInfoPopup} from "../ui/popup.js";
+import {OfflineQueuedError} from "../offline/outbox.js";
 
 export class CardLabelUI {
 
@@ -14,8 +15,9 @@ export class CardLabelUI {
         this._labelColors = [];
     }
 
-    init(cardUI) {
+    init(cardUI, undoUI) {
         this.cardUI = cardUI;
+        this.undoUI = undoUI;
     }
 
     /**
@@ -65,11 +67,6 @@ export class CardLabelUI {
         const labelElemID = "#label-" + cardID + "-" + labelIndex;
         const openLabelElemID = labelElemID + "-open";
 
-        // retrieve elements of the card tile in the board
-        const cardElem = document.getElementById("card-" + cardID);
-        const cardLabelListElem = cardElem.querySelector(".card-labellist");
-        const cardLabelElem = cardElem.querySelector(labelElemID);
-
         if (active) {
             // remove label from the selectable ones
             const selectableLabelElem = labelSelectionDiag.querySelector(openLabelElemID);
@@ -81,22 +78,12 @@ export class CardLabelUI {
             const openLabelElem = this.loadLabel("tmpl-opencard-label", labelIndex, labelAdditionalParams);
             labelListElem.insertBefore(openLabelElem, addLabelBtnElem);
             openLabelElem.onclick = () => this._setLabel(cardID, labelIndex, false);
-
-            // add it to the card if missing
-            if (!cardLabelElem) {
-                const labelElem = this.loadLabel("tmpl-card-label", labelIndex, labelAdditionalParams);
-                cardLabelListElem.appendChild(labelElem);
-            }
         } else {
             //remove label from the open card
             const openLabelElem = labelListElem.querySelector(openLabelElemID);
             if (openLabelElem) {
                 openLabelElem.remove();
             }
-            // remove label from the card tile in the board
-            if (cardLabelElem) {
-                cardLabelElem.remove();
-            }
 
             // add it to the selectable ones
             const labelElem = this.loadLabel("tmpl-selectable-label", labelIndex, labelAdditionalParams);
@@ -104,17 +91,85 @@ export class CardLabelUI {
             setEventBySelector(labelElem, ".selectable-label", "onclick", () => this._setLabel(cardID, labelIndex, true));
             setEventBySelector(labelElem, ".selectable-label-edit-btn", "onclick", () => this._editLabel(labelIndex));
         }
+
+        this._loadLabelInCardTile(cardID, labelIndex, active);
+    }
+
+    /**
+     * Add or remove a label from a card tile in the board
+     * @private
+     */
+    _loadLabelInCardTile(cardID, labelIndex, active) {
+        const cardElem = document.getElementById("card-" + cardID);
+        if (!cardElem) {
+            return;
+        }
+
+        const cardLabelListElem = cardElem.querySelector(".card-labellist");
+        const cardLabelElem = cardElem.querySelector("#label-" + cardID + "-" + labelIndex);
+        if (active && !cardLabelElem) {
+            const labelAdditionalParams = { "card-id": cardID, "index": labelIndex };
+            cardLabelListElem.appendChild(this.loadLabel("tmpl-card-label", labelIndex, labelAdditionalParams));
+            cardLabelListElem.classList.remove("hidden");
+        } else if (!active && cardLabelElem) {
+            cardLabelElem.remove();
+        }
     }
 
     /**
      * Set a label
      */
     async _setLabel(cardId, labelIndex, active) {
+        try {
+            await this._applyLabel(cardId, labelIndex, active);
+        } catch (e) {
+            showErrorPopup(`Could set label "${labelIndex}" on card with ID "${cardId}": ${e.message}`, 'page-error');
+            return;
+        }
+
+        const cardTitle = document.querySelector(`#card-${cardId} h4`)?.textContent ?? "";
+        const labelName = this._labelNames[labelIndex];
+        this.undoUI.record({
+            description: active
+                ? `add label "${labelName}" to card "${cardTitle}"`
+                : `remove label "${labelName}" from card "${cardTitle}"`,
+            undo: () => this._applyLabel(cardId, labelIndex, !active),
+            redo: () => this._applyLabel(cardId, labelIndex, active)
+        });
+    }
+
+    /**
+     * Add a label to a card, or remove it if the card has it.
+     * @param cardId The ID of the card.
+     * @param labelIndex The index of the label, ignored if the board has no such label.
+     * @returns {Promise<void>} Updated when the operation completes.
+     */
+    async toggleLabel(cardId, labelIndex) {
+        if (!this._labelNames[labelIndex]) {
+            return;
+        }
+
+        // the card tile and the open card both show the active labels, the selectable ones are in another list
+        const active = document.querySelector(
+            `.card-labellist #label-${cardId}-${labelIndex}, .opencard-labellist #label-${cardId}-${labelIndex}-open`
+        ) !== null;
+        await this._setLabel(cardId, labelIndex, !active);
+    }
+
+    /**
+     * Set a label on the server, then display it
+     * @private
+     */
+    async _applyLabel(cardId, labelIndex, active) {
         try {
             const response = await this.label.set(cardId, labelIndex, active);
             this._onOpenCardLabelChanged(response);
         } catch (e) {
-            showErrorPopup(`Could set label "${labelIndex}" on card with ID "${cardId}": ${e.message}`, 'page-error');
+            if (!(e instanceof OfflineQueuedError)) {
+                throw e;
+            }
+            // saved once back online, displayed meanwhile
+            this._onOpenCardLabelChanged({card_id: cardId, index: labelIndex, active}, false);
         }
     }
 
@@ -134,14 +189,22 @@ export class CardLabelUI {
     /**
      * Called when an open card's label is changed.
      * @param response The JSON response.
+     * @param reloadCard False when the response has no card data to reload the card with.
      * @private
      */
-    _onOpenCardLabelChanged(response) {
+    _onOpenCardLabelChanged(response, reloadCard = true) {
+        // the card may have been closed meanwhile, e.g. when undoing
         const openCardElem = document.getElementById("opencard-" + response["card_id"]);
-        this.loadLabelInOpenCard(openCardElem, response["card_id"], response["index"], response["active"]);
+        if (openCardElem) {
+            this.loadLabelInOpenCard(openCardElem, response["card_id"], response["index"], response["active"]);
+        } else {
+            this._loadLabelInCardTile(response["card_id"], response["index"], response["active"]);
+        }
 
         // Reload the card so the labels update in real time.
-        this.cardUI.loadCard(response);
+        if (reloadCard) {
+            this.cardUI.loadCard(response);
+        }
     }
 
     /**
@@ -210,6 +273,11 @@ export class CardLabelUI {
             const response = await this.label.update(labelIndex, labelName, labelColor);
             this._onLabelUpdated(response);
         } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                // saved once back online, displayed meanwhile
+                this._onLabelUpdated({index: labelIndex, name: labelName, color: labelColor});
+                return;
+            }
             showErrorPopup(`Could not update label "${labelIndex}": ${e}`, 'page-error');
         }
     }
@@ -236,6 +304,10 @@ export class CardLabelUI {
             const response = await this.label.delete(labelIndex);
             this._onLabelDeleted(response);
         } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                this._onLabelDeleted({index: labelIndex}); // saved once back online
+                return;
+            }
             showErrorPopup(`Could not delete label "${labelIndex}": ${e}`, 'page-error');
         }
     }
@@ -315,6 +387,10 @@ export class CardLabelUI {
             const response = await this.label.create();
             this._onBoardLabelsChanged(response);
         } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                showInfoPopup("The label will be created once back online", 'page-error');
+                return;
+            }
             showErrorPopup(`Could not create label: ${e}`, 'page-error');
         }
     }
@@ -1,4 +1,4 @@
-import {asyncCall} from "../core/server.js";
+import {asyncMutation} from "../core/server.js";
 
 /**
  * Handles server operations for labels.
@@ -10,7 +10,7 @@ export class Label {
      * @returns {Promise<*>} Updated when the operation completes.
      */
     async create() {
-        return await asyncCall("CreateBoardLabel", {})
+        return await asyncMutation("CreateBoardLabel", {})
     }
 
     /**
@@ -21,18 +21,21 @@ export class Label {
      * @returns {Promise<*>} Updated when the operation completes.
      */
     async update(index, name, color) {
-        return await asyncCall('UpdateBoardLabel', {index, name, color}, 'PUT');
+        return await asyncMutation('UpdateBoardLabel', {index, name, color}, 'PUT');
     }
 
     /**
-     * Sets a label on a card.
-     * @param cardId The ID of the card.
+     * Sets a label on a card, or on several cards at once.
+     * @param cardId The ID of the card, or an array of card IDs.
      * @param index The index of the label.
      * @param active Whether the label is active or not.
-     * @returns {Promise<*>} Updated when the operation completes.
+     * @returns {Promise<*>} Updated when the operation completes, with the data of the cards for several cards.
      */
     async set(cardId, index, active) {
-        return await asyncCall('SetCardLabel', {card_id: cardId, index, active}, 'PUT');
+        if (Array.isArray(cardId)) {
+            return await asyncMutation('BulkUpdateCards', {card_ids: cardId, action: 'label', index, active}, 'PUT');
+        }
+        return await asyncMutation('SetCardLabel', {card_id: cardId, index, active}, 'PUT');
     }
 
     /**
@@ -41,6 +44,6 @@ export class Label {
      * @returns {Promise<*>} Updated when the operation completes.
      */
     async delete(index) {
-        return await  asyncCall('DeleteBoardLabel', {index}, 'DELETE');
+        return await  asyncMutation('DeleteBoardLabel', {index}, 'DELETE');
     }
 }
\ No newline at end of file
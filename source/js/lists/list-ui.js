@@ -1,36 +1,84 @@
-import {blurOnEnter, loadTemplate, selectAllInnerText, setEventBySelector} from "../core/utils.js";
-import {showErrorPopup} from "../ui/popup.js";
+import {
+    blurOnEnter,
+    loadTemplate,
+    selectAllInnerText,
+    setEventBySelector,
+    setOnClickEventBySelector,
+    setOnEnterEventBySelector
+} from "../core/utils.js";
+import {showErrorPopup, showInfoPopup} from "../ui/popup.js";
+import {OfflineQueuedError} from "../offline/outbox.js";
 import {List} from "./list.js";
 import {ListDnd} from "./list-dnd.js";
 
+// The user types allowed to change the layout of a board, as UserType::Moderator on the server.
+const MODERATOR_USER_TYPE = 2;
+
 export class ListUI {
 
     /**
      * Initialise the Card List UI
      * @param cardDnd The drag-n-drop interface for cards.
      * @param cardUI The card UI.
+     * @param duplicateUI The copy dialog UI.
      * @param page The page API.
+     * @param undoUI The undo UI.
      */
-    init({cardDnd, cardUI, page}) {
+    init({cardDnd, cardUI, duplicateUI, page, undoUI}) {
         this.cardDnd = cardDnd;
         this.cardUI = cardUI;
+        this.duplicateUI = duplicateUI;
         this.list = new List();
         this.listDnd = new ListDnd(this, page)
         this.page = page;
+        this.undoUI = undoUI;
+        this._nameBeforeEdit = "";
+        this._cardLimits = new Map();
+        this._canEditLimits = false;
+        this._collapsedLists = new Set();
+        this._autoSorts = new Map();
+    }
+
+    /**
+     * Called when a board is loaded, before its lists.
+     * @param userType The type of the user on the board.
+     * @param collapsedLists The IDs of the lists the user has collapsed.
+     */
+    onBoardLoaded(userType, collapsedLists) {
+        this._cardLimits.clear();
+        this._autoSorts.clear();
+        this._canEditLimits = userType <= MODERATOR_USER_TYPE;
+        this._collapsedLists = new Set(collapsedLists);
     }
 
     /**
      * Load a card list.
      * @param id The ID of the card list.
      * @param name The name of the card list.
+     * @param card_limit The maximum number of cards of the list, 0 for no limit.
+     * @param card_limit_strict Whether cards over the limit are refused.
+     * @param auto_sort The key the list is kept sorted by, empty if none.
      * @returns {*} The card list element.
      */
-    loadCardList({id, name}) {
+    loadCardList({id, name, card_limit, card_limit_strict, auto_sort}) {
         const cardListElem = loadTemplate("tmpl-cardlist", {id, name});
         if (!cardListElem) {
             throw new Error(`Failed to load card list template with ID "${id}"`);
         }
 
+        // the card count follows the cards added to and removed from the list, whatever the reason
+        this._setCardLimit(id, card_limit, card_limit_strict);
+        this._autoSorts.set(Number(id), auto_sort ?? "");
+        this._updateCardCount(cardListElem);
+        new MutationObserver(() => this._updateCardCount(cardListElem)).observe(cardListElem, {childList: true});
+
+        const countElem = cardListElem.querySelector(".cardlist-count");
+        if (this._canEditLimits) {
+            countElem.classList.add("editable");
+            countElem.title = "Set the card limit";
+            countElem.onclick = () => this._showLimitDialog(id);
+        }
+
         // events
         setEventBySelector(
             cardListElem,
@@ -57,6 +105,32 @@ export class ListUI {
             "onkeydown",
             (elem, event) => blurOnEnter(event));
 
+        setOnClickEventBySelector(
+            cardListElem,
+            ".sort-list-btn",
+            () => this._showSortDialog(id));
+
+        setOnClickEventBySelector(
+            cardListElem,
+            ".move-cards-btn",
+            () => this.duplicateUI.moveAllCards(id, this._getCardListName(id)));
+
+        setOnClickEventBySelector(
+            cardListElem,
+            ".copy-list-btn",
+            () => this.duplicateUI.copyCardList(id, this._getCardListName(id)));
+
+        // a collapsed list is a narrow strip with its name and card count, expanded by clicking it
+        setOnClickEventBySelector(cardListElem, ".collapse-list-btn", () => this.toggleCollapsed(id));
+        cardListElem.classList.toggle("collapsed", this._collapsedLists.has(Number(id)));
+        const expandHandler = (e) => {
+            if (e.target === cardListElem && cardListElem.classList.contains("collapsed")) {
+                this.toggleCollapsed(id);
+            }
+        };
+        cardListElem.addEventListener("click", expandHandler);
+        cardListElem.addEventListener("keydown", (e) => e.key === "Enter" && expandHandler(e));
+
         this.cardUI.setupEvents(id, cardListElem);
 
         // drag and drop events
@@ -78,6 +152,53 @@ export class ListUI {
         return cardListElem;
     }
 
+    /**
+     * Check that cards can be added to a list without going over its limit. Over the limit, the user is warned, or
+     * told the cards are refused if the list is strict about it.
+     * @param cardListId The ID of the card list.
+     * @param addedCount The number of cards to add.
+     * @returns {boolean} True if the cards can be added.
+     */
+    checkCardLimit(cardListId, addedCount = 1) {
+        const cardListElem = document.getElementById(`cardlist-${cardListId}`);
+        const {limit, strict} = this._getCardLimit(cardListId);
+        if (!cardListElem || limit === 0 || this._countCards(cardListElem) + addedCount <= limit) {
+            return true;
+        }
+
+        const name = this._getCardListName(cardListId);
+        if (strict) {
+            showErrorPopup(`List "${name}" is limited to ${limit} cards`, 'page-error');
+            return false;
+        }
+
+        showInfoPopup(`List "${name}" is now over its limit of ${limit} cards`, 'page-error');
+        return true;
+    }
+
+    /**
+     * Collapse a list into a narrow strip, or expand it back. Only the current user sees the change, on any device.
+     * @param id The ID of the card list.
+     * @returns {Promise<void>} Updated when operation completes.
+     */
+    async toggleCollapsed(id) {
+        const cardListElem = document.getElementById(`cardlist-${id}`);
+        const collapsed = !cardListElem.classList.contains("collapsed");
+        this.cardUI.endAddCard(cardListElem);
+        cardListElem.classList.toggle("collapsed", collapsed);
+
+        try {
+            const response = await this.list.setCollapsed(id, collapsed);
+            this._collapsedLists = new Set(response.collapsed_lists);
+        } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                return; // saved once back online
+            }
+            cardListElem.classList.toggle("collapsed", !collapsed);
+            showErrorPopup(`Could not ${collapsed ? "collapse" : "expand"} the list: ${e.message}`, 'page-error');
+        }
+    }
+
     /**
      * Add a card list.
      * @returns {Promise<void>} Updated when operation completes.
@@ -87,8 +208,12 @@ export class ListUI {
 
         try {
             const response = await this.list.create('New List', prevListId);
-            this._onCardListAdded(response);
+            this.onCardListAdded(response);
         } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                showInfoPopup("The list will be added once back online", 'page-error');
+                return;
+            }
             showErrorPopup(`Could not add card list: ${e.message}`, 'page-error');
         }
     }
@@ -101,16 +226,57 @@ export class ListUI {
      * @returns {Promise<void>} Updated when operation completes.
      */
     async moveCardList(movedCardListId, newPrevCardListId) {
+        // the list is still in its old position, where undo moves it back
+        const cardListElem = document.getElementById(`cardlist-${movedCardListId}`);
+        const oldPrevCardListId = cardListElem.previousElementSibling?.getAttribute("dbid") || 0;
+
         try {
             const response = await this.list.move(movedCardListId, newPrevCardListId);
             this.listDnd.onCardListMoved(response);
         } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                // saved once back online, the list is shown where it has been dropped meanwhile
+                this.listDnd.onCardListMoved({prev_list_id: Number(newPrevCardListId)});
+                return;
+            }
             showErrorPopup(`Could not move card list: ${e.message}`, 'page-error');
+            return;
+        }
+
+        this.undoUI.record({
+            description: `move list "${this._getCardListName(movedCardListId)}"`,
+            undo: () => this._moveCardListTo(movedCardListId, oldPrevCardListId),
+            redo: () => this._moveCardListTo(movedCardListId, newPrevCardListId)
+        });
+    }
+
+    /**
+     * Move a card list, when undoing or redoing a move.
+     * @param id The ID of the card list.
+     * @param prevCardListId The ID of the list to move it after, 0 to make it the first one.
+     * @returns {Promise<void>} Updated when operation completes.
+     * @private
+     */
+    async _moveCardListTo(id, prevCardListId) {
+        const response = await this.list.move(id, prevCardListId);
+        this.placeCardList(document.getElementById(`cardlist-${id}`), response.prev_list_id);
+    }
+
+    /**
+     * Move a card list element to its place on the board.
+     * @param cardListElem The card list element.
+     * @param prevCardListId The ID of the list before it, 0 if it is the first one.
+     */
+    placeCardList(cardListElem, prevCardListId) {
+        if (prevCardListId === 0) {
+            this.page.getBoardElem().prepend(cardListElem);
+        } else {
+            document.getElementById(`cardlist-${prevCardListId}`).insertAdjacentElement("afterend", cardListElem);
         }
     }
 
     /**
-     * Delete a card list.
+     * Delete a card list, which is kept in the board archive.
      * @param id The ID of the card list.
      * @param cardListElem The card list element.
      * @returns {Promise<void>} Updated when operation completes.
@@ -122,15 +288,269 @@ export class ListUI {
 
         cardListElem.classList.add('waiting-deletion');
 
+        const name = this._getCardListName(id);
         try {
             const response = await this.list.delete(id);
-            this._onCardListDeleted(response);
+            this.onCardListDeleted(response);
         } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                this.onCardListDeleted({id}); // saved once back online
+                return;
+            }
             cardListElem.classList.remove('waiting-deletion');
-            showErrorPopup(`Could not delete card list: ${e.message}`, 'page-error');
+            showErrorPopup(`Could not archive card list: ${e.message}`, 'page-error');
+            return;
+        }
+
+        this.undoUI.record({
+            description: `archive list "${name}"`,
+            undo: () => this.restoreCardList(id),
+            redo: async () => this.onCardListDeleted(await this.list.delete(id))
+        });
+    }
+
+    /**
+     * Restore an archived card list, back to its place on the board. Its cards stay archived.
+     * @param id The ID of the card list.
+     * @returns {Promise<void>} Updated when operation completes.
+     * @throws Error If the list can't be restored.
+     */
+    async restoreCardList(id) {
+        const response = await this.list.restore(id);
+        this.onCardListAdded(response, false);
+        this.placeCardList(document.getElementById(`cardlist-${response.id}`), response.prev_list_id);
+    }
+
+    /**
+     * Called after a card list is copied. Adds the copy with its cards, right after the original list.
+     * @param response The JSON response object, with the list 'cards' in order.
+     */
+    onCardListCopied(response) {
+        this.onCardListAdded(response, false);
+
+        const cardListElem = document.getElementById(`cardlist-${response.id}`);
+        for (const cardData of response.cards) {
+            cardListElem.appendChild(this.cardUI.loadCard(cardData));
+        }
+        this.placeCardList(cardListElem, response.prev_list_id);
+    }
+
+    /**
+     * Move all the cards of a list to another list, on the server and then on the board.
+     * @param id The ID of the card list.
+     * @param destBoardId The ID of the destination board.
+     * @param destCardListId The ID of the destination card list.
+     * @returns {Promise<void>} Updated when operation completes, throws on failure.
+     */
+    async moveAllCards(id, destBoardId, destCardListId) {
+        const cardListElem = document.getElementById(`cardlist-${id}`);
+        const cardElems = cardListElem.querySelectorAll(":scope > .card[dbid]");
+        if (!this.checkCardLimit(destCardListId, cardElems.length)) {
+            return;
+        }
+
+        let response;
+        try {
+            response = await this.list.moveAllCards(id, destBoardId, destCardListId);
+        } catch (e) {
+            if (!(e instanceof OfflineQueuedError)) {
+                throw e;
+            }
+            // saved once back online, the cards are shown at the bottom of the destination meanwhile
+            const destCardListElem = document.getElementById(`cardlist-${destCardListId}`);
+            for (const cardElem of cardElems) {
+                if (destCardListElem) {
+                    destCardListElem.appendChild(cardElem);
+                } else {
+                    cardElem.remove();
+                }
+            }
+            return;
+        }
+
+        for (const cardElem of cardElems) {
+            cardElem.remove();
+        }
+
+        // on this board, the destination is loaded again with the moved cards in their place
+        const destCardListElem = document.getElementById(`cardlist-${response.id}`);
+        if (destCardListElem) {
+            for (const cardElem of destCardListElem.querySelectorAll(":scope > .card[dbid]")) {
+                cardElem.remove();
+            }
+            for (const cardData of response.cards) {
+                destCardListElem.appendChild(this.cardUI.loadCard(cardData));
+            }
+        }
+    }
+
+    /**
+     * Show the dialog to sort the cards of a list.
+     * @param id The ID of the card list.
+     * @private
+     */
+    _showSortDialog(id) {
+        document.getElementById("cardlist-sort-dialog-container")?.remove();
+
+        const autoSort = this._autoSorts.get(Number(id)) ?? "";
+        const dialogElem = loadTemplate("tmpl-cardlist-sort-dialog", {});
+        const keyElem = dialogElem.querySelector("#cardlist-sort-key");
+        const autoSortElem = dialogElem.querySelector("#cardlist-sort-auto");
+        dialogElem.querySelector(".cardlist-sort-name").textContent = `"${this._getCardListName(id)}"`;
+        keyElem.value = autoSort || "title";
+        autoSortElem.checked = autoSort !== "";
+
+        setOnClickEventBySelector(dialogElem, ".dialog-close-btn", () => dialogElem.remove());
+        setOnClickEventBySelector(dialogElem, ".cardlist-sort-submit-btn", async () => {
+            dialogElem.remove();
+            await this._sortCardList(id, keyElem.value, autoSortElem.checked);
+        });
+
+        this.page.getContentElem().appendChild(dialogElem);
+        keyElem.focus();
+    }
+
+    /**
+     * Sort the cards of a list, on the server and then on the board.
+     * @param id The ID of the card list.
+     * @param sortBy The sort key.
+     * @param autoSort True to keep the list sorted as cards arrive.
+     * @returns {Promise<void>} Updated when operation completes.
+     * @private
+     */
+    async _sortCardList(id, sortBy, autoSort) {
+        let response;
+        try {
+            response = await this.list.sort(id, sortBy, autoSort);
+        } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                showInfoPopup("The list will be sorted once back online", 'page-error');
+                return;
+            }
+            showErrorPopup(`Could not sort card list: ${e.message}`, 'page-error');
+            return;
+        }
+
+        this._autoSorts.set(Number(id), response.auto_sort);
+        const cardListElem = document.getElementById(`cardlist-${id}`);
+        for (const cardData of response.cards) {
+            const cardElem = document.getElementById(`card-${cardData.id}`);
+            if (cardElem) {
+                cardListElem.appendChild(cardElem); // in the sorted order, after the ones already moved
+            }
         }
     }
 
+    /**
+     * Show the dialog to change the card limit of a list.
+     * @param id The ID of the card list.
+     * @private
+     */
+    _showLimitDialog(id) {
+        document.getElementById("cardlist-limit-dialog-container")?.remove();
+
+        const {limit, strict} = this._getCardLimit(id);
+        const dialogElem = loadTemplate("tmpl-cardlist-limit-dialog", {});
+        const limitInputElem = dialogElem.querySelector("#cardlist-limit-input");
+        const strictInputElem = dialogElem.querySelector("#cardlist-limit-strict");
+        dialogElem.querySelector(".cardlist-limit-name").textContent = `"${this._getCardListName(id)}"`;
+        limitInputElem.value = limit;
+        strictInputElem.checked = strict;
+
+        const submit = async () => {
+            const newLimit = Number(limitInputElem.value);
+            if (!Number.isInteger(newLimit) || newLimit < 0) {
+                showErrorPopup(`The card limit must be a whole number`, 'page-error');
+                return;
+            }
+            dialogElem.remove();
+            await this._updateCardLimit(id, newLimit, strictInputElem.checked, limit, strict);
+        };
+        setOnClickEventBySelector(dialogElem, ".dialog-close-btn", () => dialogElem.remove());
+        setOnClickEventBySelector(dialogElem, ".cardlist-limit-submit-btn", submit);
+        setOnEnterEventBySelector(dialogElem, "#cardlist-limit-input", submit);
+
+        this.page.getContentElem().appendChild(dialogElem);
+        limitInputElem.select();
+    }
+
+    /**
+     * Change the card limit of a list.
+     * @param id The ID of the card list.
+     * @param limit The new limit, 0 for none.
+     * @param strict Whether cards over the new limit are refused.
+     * @param oldLimit The limit before, restored by undo.
+     * @param oldStrict Whether cards over the limit were refused before.
+     * @returns {Promise<void>} Updated when operation completes.
+     * @private
+     */
+    async _updateCardLimit(id, limit, strict, oldLimit, oldStrict) {
+        try {
+            const response = await this.list.updateLimit(id, limit, strict);
+            this.onCardListUpdated(response);
+        } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                // saved once back online
+                this._setCardLimit(id, limit, strict);
+                this._updateCardCount(document.getElementById(`cardlist-${id}`));
+                return;
+            }
+            showErrorPopup(`Could not update the card limit: ${e.message}`, 'page-error');
+            return;
+        }
+
+        this.undoUI.record({
+            description: `change the card limit of list "${this._getCardListName(id)}"`,
+            undo: async () => this.onCardListUpdated(await this.list.updateLimit(id, oldLimit, oldStrict)),
+            redo: async () => this.onCardListUpdated(await this.list.updateLimit(id, limit, strict))
+        });
+    }
+
+    /**
+     * Get the card limit of a list.
+     * @param id The ID of the card list.
+     * @returns {{limit: number, strict: boolean}} The limit, 0 for none.
+     * @private
+     */
+    _getCardLimit(id) {
+        return this._cardLimits.get(Number(id)) ?? {limit: 0, strict: false};
+    }
+
+    /**
+     * Save the card limit of a list, as sent by the server.
+     * @param id The ID of the card list.
+     * @param limit The limit, 0 for none.
+     * @param strict Whether cards over the limit are refused.
+     * @private
+     */
+    _setCardLimit(id, limit, strict) {
+        this._cardLimits.set(Number(id), {limit: Number(limit ?? 0), strict: Boolean(Number(strict ?? 0))});
+    }
+
+    /**
+     * Show the number of cards of a list in its header, with its limit if any.
+     * @param cardListElem The card list element.
+     * @private
+     */
+    _updateCardCount(cardListElem) {
+        const count = this._countCards(cardListElem);
+        const {limit} = this._getCardLimit(cardListElem.getAttribute("dbid"));
+        const countElem = cardListElem.querySelector(".cardlist-count");
+
+        countElem.textContent = limit > 0 ? `${count} / ${limit}` : String(count);
+        countElem.classList.toggle("over-limit", limit > 0 && count > limit);
+    }
+
+    /**
+     * Count the cards of a list, including the ones hidden by the filter.
+     * @param cardListElem The card list element.
+     * @returns {number} The number of cards.
+     * @private
+     */
+    _countCards(cardListElem) {
+        return cardListElem.querySelectorAll(":scope > .card[dbid]").length;
+    }
+
     /**
      * Start editing a list.
      * @param elem The card list element.
@@ -142,6 +562,8 @@ export class ListUI {
 
         // disable cardlist dragging to allow title text selection
         elem.setAttribute("draggable", "false");
+
+        this._nameBeforeEdit = elem.querySelector("h3").textContent;
     }
 
     /**
@@ -160,32 +582,59 @@ export class ListUI {
             return; // avoid being triggered while deleting a cardlist (can happen on mobile)
         }
 
+        const oldName = this._nameBeforeEdit;
+        const newName = nameElem.textContent;
         try {
-            const response = await this.list.updateName(id, nameElem.textContent);
-            this._onCardListUpdated(response);
+            const response = await this.list.updateName(id, newName);
+            this.onCardListUpdated(response);
         } catch (e) {
-            showErrorPopup(`Could not update card list name "${nameElem.textContent}": ${e.message}`, 'page-error');
+            if (e instanceof OfflineQueuedError) {
+                return; // saved once back online
+            }
+            showErrorPopup(`Could not update card list name "${newName}": ${e.message}`, 'page-error');
+            return;
         }
+
+        if (oldName === newName) {
+            return;
+        }
+
+        this.undoUI.record({
+            description: `rename list "${oldName}"`,
+            undo: async () => this.onCardListUpdated(await this.list.updateName(id, oldName)),
+            redo: async () => this.onCardListUpdated(await this.list.updateName(id, newName))
+        });
+    }
+
+    /**
+     * Get the name of a card list displayed on the board.
+     * @param id The ID of the card list.
+     * @returns {string} The name, empty if the list is not displayed.
+     * @private
+     */
+    _getCardListName(id) {
+        return document.querySelector(`#cardlist-${id} h3`)?.textContent ?? "";
     }
 
     /**
      * Update a card list's name.
      * @param response The JSON response object.
-     * @private
      */
-    _onCardListUpdated(response) {
+    onCardListUpdated(response) {
         const cardListElem = document.getElementById("cardlist-" + response.id);
         if (cardListElem) {
             cardListElem.querySelector("h3").textContent = response.name;
+            this._setCardLimit(response.id, response.card_limit, response.card_limit_strict);
+            this._autoSorts.set(Number(response.id), response.auto_sort ?? "");
+            this._updateCardCount(cardListElem);
         }
     }
 
     /**
      * Called when a card list is deleted. Removes the element from the DOM.
      * @param response The JSON response object.
-     * @private
      */
-    _onCardListDeleted(response) {
+    onCardListDeleted(response) {
         const cardlistElem = document.getElementById("cardlist-" + response.id);
         if (cardlistElem) {
             cardlistElem.remove();
@@ -195,14 +644,18 @@ export class ListUI {
     /**
      * Called after a card list is added.
      * @param response The JSON response object.
-     * @private
+     * @param startEditing Whether to start editing the name of the new list.
      */
-    _onCardListAdded(response) {
+    onCardListAdded(response, startEditing = true) {
         const boardElem = this.page.getBoardElem();
         const newCardlistBtn = this.page.getAddCardListButtonElem();
         const newCardlistElem = this.loadCardList(response);
         boardElem.insertBefore(newCardlistElem, newCardlistBtn);
 
+        if (!startEditing) {
+            return;
+        }
+
         // start name editing automatically
         const listTitleElem = newCardlistElem.querySelector("h3");
         listTitleElem.tabIndex = 0;
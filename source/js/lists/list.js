@@ -1,4 +1,4 @@
-import {asyncCall} from "../core/server.js";
+import {asyncMutation} from "../core/server.js";
 
 /**
  * Class to handle API calls for card lists.
@@ -12,7 +12,7 @@ export class List {
      * @returns {Promise<*>} Updated when operation completes.
      */
     async create(name, prevListId) {
-        return await asyncCall('AddCardList', {name, prev_list_id: prevListId});
+        return await asyncMutation('AddCardList', {name, prev_list_id: prevListId});
     }
 
     /**
@@ -22,7 +22,53 @@ export class List {
      * @returns {Promise<*>} Updated when operation completes.
      */
     async updateName(id, name) {
-        return await asyncCall('UpdateCardListName', {id, name}, 'PUT');
+        return await asyncMutation('UpdateCardListName', {id, name}, 'PUT');
+    }
+
+    /**
+     * Set the maximum number of cards of a card list.
+     * @param id The ID of the card list.
+     * @param cardLimit The maximum number of cards, 0 for no limit.
+     * @param strict True to refuse cards over the limit, false to only warn about them.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async updateLimit(id, cardLimit, strict) {
+        return await asyncMutation('UpdateCardListLimit', {id, card_limit: cardLimit, card_limit_strict: strict}, 'PUT');
+    }
+
+    /**
+     * Sort the cards of a card list.
+     * @param id The ID of the card list.
+     * @param sortBy The sort key: 'title', 'created', 'last_moved', 'label' or 'due_date'.
+     * @param autoSort True to keep the list sorted as cards arrive.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async sort(id, sortBy, autoSort) {
+        return await asyncMutation('SortCardList', {id, sort_by: sortBy, auto_sort: autoSort}, 'PUT');
+    }
+
+    /**
+     * Collapse or expand a card list, for the current user only.
+     * @param id The ID of the card list.
+     * @param collapsed True to collapse the list.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async setCollapsed(id, collapsed) {
+        return await asyncMutation('SetBoardPreferences', {cardlist_id: id, collapsed}, 'PUT');
+    }
+
+    /**
+     * Move all the cards of a card list to the bottom of another list, on this board or another one.
+     * @param id The ID of the card list.
+     * @param destBoardId The ID of the destination board.
+     * @param destCardListId The ID of the destination card list.
+     * @returns {Promise<*>} Updated when operation completes, with the destination list and its cards.
+     */
+    async moveAllCards(id, destBoardId, destCardListId) {
+        return await asyncMutation(
+            'MoveAllCards',
+            {id, dest_board_id: destBoardId, dest_cardlist_id: destCardListId},
+            'PUT');
     }
 
     /**
@@ -32,7 +78,7 @@ export class List {
      * @returns {Promise<*>} Updated when operation completes.
      */
     async move(movedCardListId, newPrevCardListId) {
-        return await asyncCall(
+        return await asyncMutation(
             'MoveCardList',
             {
                 moved_cardlist_id: movedCardListId,
@@ -47,6 +93,15 @@ export class List {
      * @returns {Promise<*>} Updated when operation completes.
      */
     async delete(id) {
-        return await asyncCall('DeleteCardList', {id}, 'DELETE');
+        return await asyncMutation('DeleteCardList', {id}, 'DELETE');
+    }
+
+    /**
+     * Restores an archived card list, back to where it was in the board.
+     * @param id The ID of the card list.
+     * @returns {Promise<*>} Updated when operation completes.
+     */
+    async restore(id) {
+        return await asyncMutation('RestoreCardList', {id}, 'PUT');
     }
 }
\ No newline at end of file
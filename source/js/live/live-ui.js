@@ -0,0 +1,231 @@
+import {Live} from "./live.js";
+
+// How long to wait before polling again after a failed request, in milliseconds.
+const RETRY_DELAY = 10000;
+
+/**
+ * Class to keep the open board up to date with the changes of other users, applying them to the page as they come.
+ */
+export class LiveUpdateUI {
+
+    /**
+     * Construction.
+     */
+    constructor() {
+        this.live = new Live();
+        this._boardId = 0;
+        this._revision = 0;
+        this._generation = 0;
+        this._timer = null;
+    }
+
+    /**
+     * Init links to other UI objects.
+     * @param boardUI The board UI.
+     * @param cardUI The card UI.
+     * @param filterUI The board filter UI.
+     * @param labelUI The label UI.
+     * @param listUI The list UI.
+     * @param page The page API.
+     * @param pageUI The page UI.
+     */
+    init({boardUI, cardUI, filterUI, labelUI, listUI, page, pageUI}) {
+        this.boardUI = boardUI;
+        this.cardUI = cardUI;
+        this.filterUI = filterUI;
+        this.labelUI = labelUI;
+        this.listUI = listUI;
+        this.page = page;
+        this.pageUI = pageUI;
+    }
+
+    /**
+     * Start following the changes of a board.
+     * @param boardId The ID of the board.
+     * @param revision The board revision the page has been loaded at.
+     */
+    start(boardId, revision) {
+        this.stop();
+        this._boardId = boardId;
+        this._revision = revision;
+        this._schedulePoll(0);
+    }
+
+    /**
+     * Stop following the changes of the board. A request still running is ignored when it returns.
+     */
+    stop() {
+        this._generation++;
+        this._boardId = 0;
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Wait for the changes of the board again after a while.
+     * @param delay The time to wait, in milliseconds.
+     * @private
+     */
+    _schedulePoll(delay) {
+        const generation = this._generation;
+        this._timer = setTimeout(() => this._poll(generation), delay);
+    }
+
+    /**
+     * Wait for the next changes of the board and apply them, then wait for the following ones. The server answers as
+     * soon as something changes, or with no changes after a while.
+     * @param generation The generation of the board being followed.
+     * @returns {Promise<void>} Updated when the changes have been applied.
+     * @private
+     */
+    async _poll(generation) {
+        let changes;
+        try {
+            changes = await this.live.getChanges(this._boardId, this._revision);
+        } catch (e) {
+            // the server may be restarting or the connection down, try again later
+            if (generation === this._generation) {
+                this._schedulePoll(RETRY_DELAY);
+            }
+            return;
+        }
+
+        if (generation !== this._generation) {
+            return; // another page has been loaded meanwhile
+        }
+
+        this._revision = changes.revision;
+        this._applyChanges(changes);
+
+        // applying the changes may have reloaded the page
+        if (generation === this._generation) {
+            this._schedulePoll(0);
+        }
+    }
+
+    /**
+     * Apply a set of changes to the page.
+     * @param changes The changes returned by the server.
+     * @private
+     */
+    _applyChanges({board, lists, deleted_lists, cards, deleted_cards}) {
+        if (board) {
+            if (board.closed) {
+                this.stop();
+                this.pageUI.getCurrentPage();
+                return;
+            }
+
+            this._applyBoardChange(board);
+        }
+
+        for (const cardId of deleted_cards) {
+            document.getElementById(`card-${cardId}`)?.remove();
+        }
+
+        for (const listId of deleted_lists) {
+            this.listUI.onCardListDeleted({id: listId});
+        }
+
+        const listsApplied = this._applyInOrder(lists, "prev_list_id", (list) => this._isListReady(list), (list) => this._applyList(list));
+        const cardsApplied = this._applyInOrder(cards, "prev_card_id", (card) => this._isCardReady(card), (card) => this.cardUI.onCardUpdated(card));
+        if (!listsApplied || !cardsApplied) {
+            // the page is too far behind to be patched, load the board again
+            this.stop();
+            this.pageUI.getCurrentPage();
+            return;
+        }
+
+        if (cards.length > 0 || deleted_cards.length > 0 || deleted_lists.length > 0) {
+            this.filterUI.applyToAll();
+        }
+    }
+
+    /**
+     * Update the board title and labels.
+     * @param board The board data.
+     * @private
+     */
+    _applyBoardChange({title, label_names, label_colors}) {
+        const titleElem = document.getElementById("board-title");
+        if (titleElem && document.activeElement !== titleElem) {
+            this.boardUI.onBoardTitleUpdated({title});
+            document.title = title;
+        }
+
+        // the cards using them are part of the same changes
+        this.labelUI.setLabelNames(label_names ? label_names.split(",") : []);
+        this.labelUI.setLabelColors(label_colors ? label_colors.split(",") : []);
+    }
+
+    /**
+     * Apply changes to items of a linked list, each one after the item it follows, since it can only be placed once
+     * that one is on the page.
+     * @param items The changed items.
+     * @param prevIdKey The name of the field holding the ID of the previous item.
+     * @param isReady Check if an item can be placed.
+     * @param apply Apply the changes of an item.
+     * @returns {boolean} TRUE if all the items have been applied.
+     * @private
+     */
+    _applyInOrder(items, prevIdKey, isReady, apply) {
+        let pending = items;
+        while (pending.length > 0) {
+            const pendingIds = new Set(pending.map(item => item.id));
+            const ready = pending.filter(item => !pendingIds.has(item[prevIdKey]) && isReady(item));
+            if (ready.length === 0) {
+                return false;
+            }
+
+            ready.forEach(apply);
+            pending = pending.filter(item => !ready.includes(item));
+        }
+
+        return true;
+    }
+
+    /**
+     * Check if a list can be placed, after the list it follows.
+     * @param list The list data.
+     * @returns {boolean} TRUE if it can be placed.
+     * @private
+     */
+    _isListReady(list) {
+        return list.prev_list_id === 0 || document.getElementById(`cardlist-${list.prev_list_id}`) !== null;
+    }
+
+    /**
+     * Check if a card can be placed, after the card it follows in its list.
+     * @param card The card data.
+     * @returns {boolean} TRUE if it can be placed.
+     * @private
+     */
+    _isCardReady(card) {
+        const cardListElem = document.getElementById(`cardlist-${card.cardlist_id}`);
+        if (!cardListElem) {
+            return false;
+        }
+
+        return card.prev_card_id === 0 || cardListElem.querySelector(`#card-${card.prev_card_id}`) !== null;
+    }
+
+    /**
+     * Add or update a list, and move it to its place on the board.
+     * @param list The list data.
+     * @private
+     */
+    _applyList(list) {
+        let cardListElem = document.getElementById(`cardlist-${list.id}`);
+        if (cardListElem) {
+            // don't overwrite a name being edited
+            if (document.activeElement !== cardListElem.querySelector("h3")) {
+                this.listUI.onCardListUpdated(list);
+            }
+        } else {
+            this.listUI.onCardListAdded(list, false);
+            cardListElem = document.getElementById(`cardlist-${list.id}`);
+        }
+
+        this.listUI.placeCardList(cardListElem, list.prev_list_id);
+    }
+}
@@ -0,0 +1,18 @@
+import {asyncCall} from "../core/server.js";
+
+/**
+ * Class to handle server operations for the live board updates.
+ */
+export class Live {
+
+    /**
+     * Wait for other users and tabs to change a board. The server answers as soon as something changes, or with no
+     * changes after a while.
+     * @param boardId The ID of the board.
+     * @param revision The last board revision known by the client.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async getChanges(boardId, revision) {
+        return await asyncCall('GetBoardChanges', {board_id: boardId, revision}, 'GET');
+    }
+}
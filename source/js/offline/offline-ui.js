@@ -0,0 +1,129 @@
+import {showErrorPopup, showInfoPopup} from "../ui/popup.js";
+import {outbox} from "./outbox.js";
+
+/**
+ * Class to handle the offline mode: registers the service worker that keeps the app available without a connection,
+ * shows the changes waiting to be sent and sends them once the connection returns.
+ */
+export class OfflineUI {
+
+    /**
+     * Init links to other UI objects.
+     * @param pageUI The page UI.
+     */
+    init({pageUI}) {
+        this.pageUI = pageUI;
+    }
+
+    /**
+     * Start the offline mode support.
+     * @returns {Promise<void>} Updated when the pending changes have been loaded.
+     */
+    async start() {
+        this._registerServiceWorker();
+
+        outbox.setChangeEvent(() => this._updateIndicator());
+        outbox.setRejectedEvent((operation, message) => this._onChangeRejected(operation, message));
+        outbox.setReplayedEvent(() => this._onChangesSent());
+        window.addEventListener("online", () => this._onConnectionChanged());
+        window.addEventListener("offline", () => this._onConnectionChanged());
+
+        try {
+            await outbox.load();
+        } catch (e) {
+            showErrorPopup(`The changes made offline can't be saved in this browser: ${e.message}`, 'page-error');
+            return;
+        }
+
+        this._updateIndicator();
+        await outbox.replay();
+    }
+
+    /**
+     * Forget everything saved for offline use, so the next user of this browser can't see it.
+     * @returns {Promise<void>} Updated when the offline data is deleted.
+     */
+    async clearUserData() {
+        await outbox.clear();
+        navigator.serviceWorker?.controller?.postMessage({type: "clear-data"});
+    }
+
+    /**
+     * Register the service worker, and ask it to keep the files loaded by the page.
+     * @private
+     */
+    _registerServiceWorker() {
+        if (!("serviceWorker" in navigator)) {
+            return;
+        }
+
+        navigator.serviceWorker.register("sw.js")
+            .then(() => navigator.serviceWorker.ready)
+            .then((registration) => registration.active.postMessage({type: "cache-shell", urls: this._getShellUrls()}))
+            .catch(() => {}); // the app keeps working online, it just can't be started offline
+    }
+
+    /**
+     * List the files of the app loaded by the page, which are needed to start it again without a connection.
+     * @returns {string[]} The file URLs.
+     * @private
+     */
+    _getShellUrls() {
+        const resourceUrls = performance.getEntriesByType("resource")
+            .map(entry => new URL(entry.name))
+            .filter(url => url.origin === location.origin && !url.pathname.includes("/php/"))
+            .map(url => url.href);
+
+        return [location.pathname, ...new Set(resourceUrls)];
+    }
+
+    /**
+     * Called when the browser goes online or offline.
+     * @private
+     */
+    _onConnectionChanged() {
+        this._updateIndicator();
+        if (navigator.onLine) {
+            outbox.replay();
+        }
+    }
+
+    /**
+     * Show the number of changes waiting to be sent, and whether the connection is lost.
+     * @private
+     */
+    _updateIndicator() {
+        const indicatorElem = document.getElementById("offline-indicator");
+        const pendingCount = outbox.getPendingCount();
+
+        let text = "";
+        if (pendingCount > 0) {
+            text = pendingCount === 1 ? "1 change pending" : `${pendingCount} changes pending`;
+        }
+        if (!navigator.onLine) {
+            text = text ? `Offline - ${text}` : "Offline";
+        }
+
+        indicatorElem.textContent = text;
+        indicatorElem.classList.toggle("hidden", text === "");
+    }
+
+    /**
+     * Called when the server rejects a change made offline.
+     * @param operation The name of the rejected operation.
+     * @param message The server error message.
+     * @private
+     */
+    _onChangeRejected(operation, message) {
+        showErrorPopup(`A change made offline could not be saved (${operation}): ${message}`, 'page-error');
+    }
+
+    /**
+     * Called when the changes made offline have been sent. Reloads the page, which could only show part of them.
+     * @private
+     */
+    _onChangesSent() {
+        showInfoPopup("The changes made offline have been saved", 'page-error');
+        this.pageUI.getCurrentPage();
+    }
+}
@@ -0,0 +1,286 @@
+import {TaralloServer} from "../api.js";
+
+const DB_NAME = "tarallo-offline";
+const DB_VERSION = 1;
+const STORE_NAME = "outbox";
+
+// How long to wait before trying to send the pending changes again, doubled after each failure, in milliseconds.
+const RETRY_MIN_DELAY = 5000;
+const RETRY_MAX_DELAY = 120000;
+
+/**
+ * Thrown when a change can't be sent to the server now, and has been saved to be sent once the connection returns.
+ */
+export class OfflineQueuedError extends Error {
+
+    /**
+     * Construction.
+     * @param entryId The ID of the change in the outbox, to wait for it with Outbox.whenSent().
+     */
+    constructor(entryId) {
+        super("No connection, the change will be sent when the connection returns");
+        this.name = "OfflineQueuedError";
+        this.entryId = entryId;
+    }
+}
+
+/**
+ * Wrap an IndexedDB request in a promise.
+ * @param request The IndexedDB request.
+ * @returns {Promise<*>} Resolved with the request result.
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * The changes made without a connection, saved in IndexedDB so they survive a page reload, and sent to the server in
+ * the order they have been made once the connection returns.
+ */
+export class Outbox {
+
+    /**
+     * Construction.
+     */
+    constructor() {
+        this._dbPromise = null;
+        this._pendingCount = 0;
+        this._replaying = false;
+        this._retryDelay = RETRY_MIN_DELAY;
+        this._retryTimer = null;
+        this._onChange = null;
+        this._onRejected = null;
+        this._onReplayed = null;
+        this._sentWaiters = new Map();
+    }
+
+    /**
+     * Load the changes left from a previous session.
+     * @returns {Promise<void>} Updated when the outbox is ready.
+     */
+    async load() {
+        const store = await this._getStore("readonly");
+        this._setPendingCount(await requestToPromise(store.count()));
+    }
+
+    /**
+     * Get the number of changes waiting to be sent.
+     * @returns {number} The number of changes.
+     */
+    getPendingCount() {
+        return this._pendingCount;
+    }
+
+    /**
+     * Set the event called when the number of changes waiting to be sent changes.
+     * @param callback Called with the number of pending changes.
+     */
+    setChangeEvent(callback) {
+        this._onChange = callback;
+    }
+
+    /**
+     * Set the event called when the server rejects a change made offline.
+     * @param callback Called with the operation name and the error message.
+     */
+    setRejectedEvent(callback) {
+        this._onRejected = callback;
+    }
+
+    /**
+     * Set the event called after changes made offline have been sent.
+     * @param callback Called once all the pending changes have been sent.
+     */
+    setReplayedEvent(callback) {
+        this._onReplayed = callback;
+    }
+
+    /**
+     * Save a change to send later.
+     * @param postParams All the parameters of the call.
+     * @param method The method of the call.
+     * @returns {Promise<number>} The ID of the saved change.
+     */
+    async add(postParams, method) {
+        const store = await this._getStore("readwrite");
+        const entryId = await requestToPromise(store.add({params: postParams, method, time: Date.now()}));
+        this._setPendingCount(this._pendingCount + 1);
+
+        // the browser may still think it's online, and never tell when the server can be reached again
+        this._scheduleReplay();
+        return entryId;
+    }
+
+    /**
+     * Wait for a change saved in this session to be sent.
+     * @param entryId The ID of the change.
+     * @returns {Promise<*>} Resolved with the server response once the change is sent, rejected if the server refuses
+     * it or the change is deleted.
+     */
+    whenSent(entryId) {
+        return new Promise((resolve, reject) => this._sentWaiters.set(entryId, {resolve, reject}));
+    }
+
+    /**
+     * Send the pending changes, in the order they have been made. Stops at the first one that can't reach the server,
+     * and tries again later.
+     * @returns {Promise<void>} Updated when all the changes have been sent, or the connection is lost again.
+     */
+    async replay() {
+        if (this._replaying) {
+            return;
+        }
+        if (!navigator.onLine) {
+            this._scheduleReplay();
+            return;
+        }
+
+        this._replaying = true;
+        let sentCount = 0;
+        try {
+            // changes made while replaying are queued behind the others, so read again until none is left
+            let entries = await requestToPromise((await this._getStore("readonly")).getAll());
+            while (entries.length > 0) {
+                const entry = entries.shift();
+                const result = await TaralloServer.send(entry.params, entry.method);
+                if (!result.succeeded && result.offline) {
+                    this._scheduleReplay(); // still no connection
+                    return;
+                }
+
+                await requestToPromise((await this._getStore("readwrite")).delete(entry.id));
+                this._setPendingCount(this._pendingCount - 1);
+                sentCount++;
+
+                const waiter = this._sentWaiters.get(entry.id);
+                this._sentWaiters.delete(entry.id);
+                if (result.succeeded) {
+                    await this._rebaseRevisions(entries, entry, result.response);
+                    waiter?.resolve(result.response);
+                } else {
+                    const message = this._errorMessage(result.error);
+                    this._onRejected?.(entry.params.OP, message);
+                    waiter?.reject(new Error(message));
+                }
+
+                if (entries.length === 0) {
+                    entries = await requestToPromise((await this._getStore("readonly")).getAll());
+                }
+            }
+        } finally {
+            this._replaying = false;
+        }
+
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        this._retryDelay = RETRY_MIN_DELAY;
+
+        if (sentCount > 0) {
+            this._onReplayed?.();
+        }
+    }
+
+    /**
+     * Delete all the pending changes, e.g. when the user logs out.
+     * @returns {Promise<void>} Updated when the outbox is empty.
+     */
+    async clear() {
+        const store = await this._getStore("readwrite");
+        await requestToPromise(store.clear());
+        this._setPendingCount(0);
+        for (const waiter of this._sentWaiters.values()) {
+            waiter.reject(new Error("The change has been discarded"));
+        }
+        this._sentWaiters.clear();
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+    }
+
+    /**
+     * Card edits made offline are all based on the revision the card had when the connection was lost. Once one of
+     * them is saved, move the following edits of the same card to the new revision, or they would conflict with it.
+     * @param entries The changes still to send.
+     * @param sentEntry The change just sent.
+     * @param response The server response to the change.
+     * @returns {Promise<void>} Updated when the changes are saved.
+     * @private
+     */
+    async _rebaseRevisions(entries, sentEntry, response) {
+        const sentParams = sentEntry.params;
+        if (sentParams.revision === undefined || response?.revision === undefined) {
+            return;
+        }
+
+        for (const entry of entries) {
+            if (entry.params.id === sentParams.id && entry.params.revision === sentParams.revision) {
+                entry.params.revision = response.revision;
+                await requestToPromise((await this._getStore("readwrite")).put(entry));
+            }
+        }
+    }
+
+    /**
+     * Extract the message of a failed call.
+     * @param errorText The error returned by the call, possibly the JSON body of the response.
+     * @returns {string} The error message.
+     * @private
+     */
+    _errorMessage(errorText) {
+        try {
+            const body = JSON.parse(errorText);
+            return body.error?.message ?? body.error ?? errorText;
+        } catch {
+            return errorText;
+        }
+    }
+
+    /**
+     * Try to send the pending changes again after a while, waiting longer after each failed try.
+     * @private
+     */
+    _scheduleReplay() {
+        if (this._retryTimer !== null || this._pendingCount === 0) {
+            return;
+        }
+
+        this._retryTimer = setTimeout(() => {
+            this._retryTimer = null;
+            this.replay();
+        }, this._retryDelay);
+        this._retryDelay = Math.min(this._retryDelay * 2, RETRY_MAX_DELAY);
+    }
+
+    /**
+     * Update the number of pending changes.
+     * @param count The new number of pending changes.
+     * @private
+     */
+    _setPendingCount(count) {
+        this._pendingCount = count;
+        this._onChange?.(count);
+    }
+
+    /**
+     * Get the outbox object store, opening the database the first time.
+     * @param mode Either "readonly" or "readwrite".
+     * @returns {Promise<IDBObjectStore>} The object store.
+     * @private
+     */
+    async _getStore(mode) {
+        this._dbPromise ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, {keyPath: "id", autoIncrement: true});
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const db = await this._dbPromise;
+        return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    }
+}
+
+// Shared by all the API classes, so that every change goes through the same queue.
+export const outbox = new Outbox();
@@ -1,12 +1,17 @@
 import { asyncCall } from '../core/server.js';
 import {
     blurOnEnter,
+    GetQueryStringParams,
     loadTemplate,
     replaceHtmlTemplateArgs, selectAllInnerText,
     setEventBySelector
 } from '../core/utils.js';
 import {showErrorPopup, showInfoPopup} from "../ui/popup.js";
 import {ProjectBar} from "../ui/project-bar.js";
+import {Search} from "../search/search.js";
+
+// The shortest text the global search accepts.
+const MIN_SEARCH_LENGTH = 2;
 
 /**
  * Class to help with page-level operations.
@@ -16,35 +21,103 @@ export class PageUi {
     /**
      * Ensure we have access to required fields.
      * @param account The account API
+     * @param activityUI The activity UI
+     * @param archiveUI The archived items UI
+     * @param assigneeUI The assignee UI
      * @param boardUI The board UI
      * @param cardDnd The card drag-and-drop interface
+     * @param cardSelectionUI The card selection UI
      * @param cardUI The card UI
+     * @param duplicateUI The copy dialog UI
+     * @param filterUI The board filter UI
      * @param importUI The import UI
      * @param labelUI The label UI
      * @param listUI The list UI
+     * @param liveUI The live board updates UI
+     * @param offlineUI The offline mode UI
      * @param page The page helpers
+     * @param undoUI The undo UI
      * @param workspaceUI The Workspace UI
      */
-    init({account, boardUI, cardDnd, cardUI, importUI, labelUI, listUI, page, workspaceUI}) {
+    init({account, activityUI, archiveUI, assigneeUI, boardUI, cardDnd, cardSelectionUI, cardUI, duplicateUI, filterUI, importUI, labelUI, listUI, liveUI, offlineUI, page, undoUI, workspaceUI}) {
         this._account = account;
+        this._activityUI = activityUI;
+        this._archiveUI = archiveUI;
+        this._assigneeUI = assigneeUI;
         this._boardUI = boardUI;
         this._cardDnd = cardDnd;
+        this._cardSelectionUI = cardSelectionUI;
         this._cardUI = cardUI;
+        this._duplicateUI = duplicateUI;
+        this._filterUI = filterUI;
         this._importUI = importUI;
         this._labelUI = labelUI;
         this._listUI = listUI;
+        this._liveUI = liveUI;
+        this._offlineUI = offlineUI;
         this._page = page;
         this._projectBar = new ProjectBar();
+        this._search = new Search();
+        this._loadedBoardId = 0;
+        this._footerTemplateHtml = null;
+        this._undoUI = undoUI;
         this._workspaceUI = workspaceUI;
     }
 
+    /**
+     * Get the ID of the board shown in the page.
+     * @returns {number} The board ID, 0 if the page is not an open board.
+     */
+    getLoadedBoardId() {
+        return this._loadedBoardId;
+    }
+
     /**
      * Request the current page from the server.
      */
     async getCurrentPage() {
+        await this._requestPage("GetCurrentPage");
+    }
+
+    /**
+     * Request only the board of the current URL from the server, when switching to another board.
+     * @returns {Promise<void>} Updated when the board is loaded.
+     */
+    async getCurrentBoard() {
+        if (this._loadedBoardId === 0) {
+            // no board to replace
+            await this.getCurrentPage();
+            return;
+        }
+
+        let boardData = null;
+        try {
+            this._showLoadingSpinner();
+            boardData = await asyncCall("GetBoard", {}, 'GET');
+        } catch (e) {
+            // the board may be unaccessible: the whole page explains why
+        } finally {
+            this._hideLoadingSpinner();
+        }
+
+        if (!boardData || boardData.closed) {
+            await this.getCurrentPage();
+            return;
+        }
+
+        this._switchBoard(boardData);
+    }
+
+    /**
+     * Request a page from the server and load it.
+     * @param apiName The API returning the page.
+     * @returns {Promise<void>} Updated when the page is loaded.
+     * @private
+     */
+    async _requestPage(apiName) {
         try {
             this._showLoadingSpinner();
-            const response = await asyncCall("GetCurrentPage", {}, 'GET');
+            const response = await asyncCall(apiName, {}, 'GET');
             this._loadPage(response);
         } catch (e) {
             showErrorPopup("Failed to load page: " + e.message, "page-error");
@@ -62,6 +135,17 @@ export class PageUi {
 
         const pageContent = response.page_content;
         const pageName = response.page_name;
+        const boardId = pageName === "Board" ? pageContent.id : 0;
+        if (boardId !== this._loadedBoardId) {
+            this._undoUI.clear(); // the recorded operations are about the previous board
+        }
+        this._loadedBoardId = boardId;
+        if (pageName === "Board") {
+            this._liveUI.start(pageContent.id, pageContent.revision);
+        } else {
+            this._liveUI.stop();
+        }
+
         switch (pageName) {
             case "FirstStartup":
                 this._projectBar.hide();
@@ -107,7 +191,8 @@ export class PageUi {
         // Update the footer.
         const footerElem = this._page.getFooterElem();
         if (footerElem) {
-            footerElem.innerHTML = replaceHtmlTemplateArgs(footerElem.innerHTML, pageContent);
+            this._footerTemplateHtml ??= footerElem.innerHTML;
+            footerElem.innerHTML = replaceHtmlTemplateArgs(this._footerTemplateHtml, pageContent);
         }
 
         // Hook up logout event.
@@ -115,11 +200,95 @@ export class PageUi {
             async () => {
                 try {
                     await this._account.logout();
+                    await this._offlineUI.clearUserData();
                     await this.getCurrentPage();
                 } catch (e) {
                     showErrorPopup('Logout failed: ' + e.message, 'page-error');
                 }
             });
+
+        // Hook up the global search.
+        this._projectBar.setSearchEvent((query) => this.showSearchResults(query));
+    }
+
+    /**
+     * Search the cards of all the boards the user can access, and show the results in place of the current page.
+     * @param query The text to look for.
+     * @returns {Promise<void>} Updated when the operation completes.
+     */
+    async showSearchResults(query) {
+        query = query.trim();
+        if (query.length < MIN_SEARCH_LENGTH) {
+            showErrorPopup(`Search for at least ${MIN_SEARCH_LENGTH} characters`, 'page-error');
+            return;
+        }
+
+        try {
+            this._showLoadingSpinner();
+            const response = await this._search.searchCards(query);
+            this._loadSearchResultsPage(query, response);
+        } catch (e) {
+            showErrorPopup("Search failed: " + e.message, 'page-error');
+        } finally {
+            this._hideLoadingSpinner();
+        }
+    }
+
+    /**
+     * Load the global search results, grouped by board. Each result links to its card.
+     * @param query The searched text.
+     * @param boards The matching cards, grouped by board.
+     * @param truncated Whether only part of the results have been returned.
+     * @private
+     */
+    _loadSearchResultsPage(query, {boards, truncated}) {
+        this._loadedBoardId = 0;
+        this._undoUI.clear();
+        this._liveUI.stop();
+        this._projectBar.showSearchOptions();
+        this._loadTemplateWithTitle(
+            "tmpl-search-results",
+            {},
+            "Tarallo - Search");
+
+        const containerElem = document.getElementById("search-results-container");
+        containerElem.querySelector(".search-results-title").textContent = `Search results for "${query}"`;
+        containerElem.querySelector(".search-results-empty").classList.toggle("hidden", boards.length > 0);
+        containerElem.querySelector(".search-results-truncated").classList.toggle("hidden", !truncated);
+
+        const resultsElem = containerElem.querySelector(".search-results");
+        for (const board of boards) {
+            const boardElem = loadTemplate("tmpl-search-result-board", {});
+            boardElem.querySelector(".search-result-board-title").textContent = board["title"];
+
+            const cardsElem = boardElem.querySelector(".search-result-cards");
+            for (const card of board["cards"]) {
+                const cardElem = loadTemplate("tmpl-search-result-card", {board_id: board["id"], id: card["id"]});
+                cardElem.querySelector(".search-result-card-title").textContent = card["title"];
+                cardElem.querySelector(".search-result-card-info").textContent = this._describeSearchMatch(card);
+                cardsElem.appendChild(cardElem);
+            }
+
+            resultsElem.appendChild(boardElem);
+        }
+    }
+
+    /**
+     * Describe where the search text was found in a card.
+     * @param card The search result.
+     * @returns {string} The description.
+     * @private
+     */
+    _describeSearchMatch(card) {
+        const listName = `In list "${card["list_name"]}"`;
+        switch (card["matched_in"]) {
+            case "content":
+                return `${listName}: ${card["excerpt"]}`;
+            case "attachment":
+                return `${listName}, attachment "${card["excerpt"]}"`;
+            default:
+                return listName;
+        }
     }
 
     /**
@@ -218,40 +387,105 @@ export class PageUi {
 
     /**
      * Load the content of the current board page.
-     * @param title The board's title.
-     * @param id The board's ID.
-     * @param display_name The user's display name.
-     * @param label_names The list of label names.
-     * @param label_colors The list of label colors.
-     * @param all_color_names All available color names.
-     * @param cardlists The card lists.
-     * @param cards The cards.
+     * @param boardData The board data, see _loadBoard() for the fields used to fill the board area.
      * @private
      */
-    _loadBoardPage({
-                       title,
-                       id,
-                       display_name,
-                       label_names,
-                       label_colors,
-                       all_color_names,
-                       cardlists,
-                       cards
-                   }) {
+    _loadBoardPage(boardData) {
+        const {title, id, display_name} = boardData;
         this._loadTemplateWithTitle(
             "tmpl-board",
             {title, id, display_name},
             title);
 
+        this._loadBoard(boardData);
+
+        // project bar drag drop events
+        const projectBar = this._page.getProjectBarElem();
+        projectBar.ondragover = (e) => e.preventDefault();
+        projectBar.ondragenter = (e) => this._cardDnd.dragDeleteEnter(e);
+        projectBar.ondragleave = (e) => this._cardDnd.dragDeleteLeave(e);
+        projectBar.ondrop = (e) => this._cardDnd.dropDelete(e);
+
+        // other events
+        setEventBySelector(projectBar, '#board-title', 'onclick', () => selectAllInnerText('board-title'));
+        setEventBySelector(projectBar, "#board-title", "onblur", (elem) => this._boardUI.boardTitleChanged(elem));
+        setEventBySelector(projectBar, "#board-title", "onkeydown", (elem, event) => blurOnEnter(event));
+        setEventBySelector(projectBar, "#board-change-bg-btn", "onclick", () => this._boardUI.changeBackground());
+        setEventBySelector(projectBar, "#board-share-btn", "onclick", () => this._boardUI.shareBoard(this._loadedBoardId));
+        setEventBySelector(projectBar, "#board-my-cards-btn", "onclick", (elem) => this._assigneeUI.toggleMyCardsFilter(elem));
+        setEventBySelector(projectBar, "#board-filter-btn", "onclick", (elem) => this._filterUI.toggleFilterBar(elem));
+        setEventBySelector(projectBar, "#board-activity-btn", "onclick", () => this._activityUI.togglePanel());
+        setEventBySelector(projectBar, "#board-archive-btn", "onclick", () => this._archiveUI.togglePanel());
+        setEventBySelector(projectBar, "#board-density-btn", "onclick", () => this._boardUI.toggleCardDensity());
+        setEventBySelector(projectBar, "#board-template-btn", "onclick", () => this._boardUI.toggleTemplate());
+        setEventBySelector(projectBar, "#board-duplicate-btn", "onclick", () => this._duplicateUI.duplicateBoard(projectBar.querySelector("#board-title").textContent));
+        setEventBySelector(projectBar, "#board-export-btn", "onclick", () => this._importUI.exportBoard(this._loadedBoardId));
+        this._onClick("add-cardlist-btn", () => this._listUI.addCardList());
+    }
+
+    /**
+     * Replace the open board with another one, keeping the rest of the page: the project bar, the filter bar and
+     * the side panels.
+     * @param boardData The board data, as returned by the GetBoard API.
+     * @private
+     */
+    _switchBoard(boardData) {
+        this._undoUI.clear(); // the recorded operations are about the previous board
+        this._loadedBoardId = boardData.id;
+        this._liveUI.start(boardData.id, boardData.revision);
+
+        document.getElementById("card-dialog-container")?.remove();
+        document.getElementById("board-title").textContent = boardData.title;
+        document.title = boardData.title;
+
+        // only the add list button is kept
+        const boardElem = this._page.getBoardElem();
+        boardElem.replaceChildren(this._page.getAddCardListButtonElem());
+        this._loadBoard(boardData);
+
+        this._activityUI.reload();
+        this._archiveUI.reload();
+    }
+
+    /**
+     * Fill the board area with the lists and cards of a board, and open the card linked in the URL.
+     * @param user_id The user's ID.
+     * @param label_names The list of label names.
+     * @param label_colors The list of label colors.
+     * @param all_color_names All available color names.
+     * @param is_template True if the board is shared as a template.
+     * @param user_type The type of the user on the board.
+     * @param preferences The layout of the board chosen by the user.
+     * @param cardlists The card lists.
+     * @param cards The cards.
+     * @private
+     */
+    _loadBoard({
+                   user_id,
+                   label_names,
+                   label_colors,
+                   all_color_names,
+                   is_template,
+                   user_type,
+                   preferences = {card_density: "comfortable", collapsed_lists: []},
+                   cardlists,
+                   cards
+               }) {
         const boardElem = this._page.getBoardElem();
         const newCardlistBtn = this._page.getAddCardListButtonElem()
 
-        if (label_names) {
-            this._labelUI.setLabelNames(label_names.split(","));
-            this._labelUI.setLabelColors(label_colors.split(","));
-        }
+        // reset the labels too, they may be left from the previously opened board
+        this._labelUI.setLabelNames(label_names ? label_names.split(",") : []);
+        this._labelUI.setLabelColors(label_colors ? label_colors.split(",") : []);
 
         this._labelUI.setAllColorNames(all_color_names);
+        this._assigneeUI.onBoardLoaded(user_id);
+        this._boardUI.setTemplateState(is_template);
+        this._filterUI.onBoardLoaded();
+        this._cardSelectionUI.onBoardLoaded(user_type);
+        this._boardUI.setCardDensity(preferences.card_density);
+        this._listUI.onBoardLoaded(user_type, preferences.collapsed_lists);
+        this._archiveUI.onBoardLoaded(user_type);
 
         // create card lists
         for (const cardlist of this._dbLinkedListIterator(cardlists, "id", "prev_list_id", "next_list_id")) {
@@ -269,21 +503,15 @@ export class PageUi {
             // add cardlist to the board
             boardElem.insertBefore(newCardlistElem, newCardlistBtn);
         }
-
-        // project bar drag drop events
-        const projectBar = this._page.getProjectBarElem();
-        projectBar.ondragover = (e) => e.preventDefault();
-        projectBar.ondragenter = (e) => this._cardDnd.dragDeleteEnter(e);
-        projectBar.ondragleave = (e) => this._cardDnd.dragDeleteLeave(e);
-        projectBar.ondrop = (e) => this._cardDnd.dropDelete(e);
-
-        // other events
-        setEventBySelector(projectBar, '#board-title', 'onclick', () => selectAllInnerText('board-title'));
-        setEventBySelector(projectBar, "#board-title", "onblur", (elem) => this._boardUI.boardTitleChanged(elem));
-        setEventBySelector(projectBar, "#board-title", "onkeydown", (elem, event) => blurOnEnter(event));
-        setEventBySelector(projectBar, "#board-change-bg-btn", "onclick", () => this._boardUI.changeBackground());
-        setEventBySelector(projectBar, "#board-share-btn", "onclick", () => this._boardUI.shareBoard(id));
-        this._onClick("add-cardlist-btn", () => this._listUI.addCardList());
+        this._filterUI.applyToAll();
+
+        // open the card linked in the URL
+        const linkedCardId = Number(GetQueryStringParams().get("card_id"));
+        if (linkedCardId > 0 && document.getElementById(`card-${linkedCardId}`)) {
+            this._cardUI.openCard(linkedCardId);
+        } else if (linkedCardId > 0) {
+            showErrorPopup(`The linked card with ID ${linkedCardId} is not on this board`, 'page-error');
+        }
     }
 
     /**
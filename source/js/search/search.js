@@ -0,0 +1,16 @@
+import {asyncCall} from "../core/server.js";
+
+/**
+ * Class to handle server operations for the global search.
+ */
+export class Search {
+
+    /**
+     * Search the cards of every board the user can access.
+     * @param query The text to look for.
+     * @returns {Promise<*>} Updated when the operation completes.
+     */
+    async searchCards(query) {
+        return await asyncCall('SearchCards', {query}, 'GET');
+    }
+}
@@ -0,0 +1,250 @@
+import {loadTemplate, setOnClickEventBySelector} from "../core/utils.js";
+
+// The buttons closing the open dialogs, from the one on top. The label dialogs of the open card are closed
+// before the card itself, and the last dialog added is above the others.
+const CLOSE_BUTTON_SELECTORS = [
+    "#opencard-label-edit-cancel-btn",
+    "#opencard-label-select-diag .opencard-label-cancel-btn",
+    ".dialog-close-btn",
+];
+
+/**
+ * Class to handle the keyboard shortcuts of the board view, listed in a help dialog opened with '?'.
+ * The shortcuts act on the selected card: the open card, else the one with the focus, else the one under the mouse.
+ */
+export class ShortcutsUI {
+
+    /**
+     * Init links to other UI objects.
+     * @param cardUI The card UI.
+     * @param filterUI The filter UI.
+     * @param labelUI The label UI.
+     * @param page The page API.
+     */
+    init({cardUI, filterUI, labelUI, page}) {
+        this.cardUI = cardUI;
+        this.filterUI = filterUI;
+        this.labelUI = labelUI;
+        this.page = page;
+    }
+
+    /**
+     * Start listening to the shortcuts.
+     */
+    start() {
+        document.addEventListener("keydown", (e) => this._onKeyDown(e));
+    }
+
+    /**
+     * Show or hide the list of shortcuts.
+     */
+    toggleHelp() {
+        const containerElem = document.getElementById("shortcuts-dialog-container");
+        if (containerElem) {
+            containerElem.remove();
+            return;
+        }
+
+        const dialogElem = loadTemplate("tmpl-shortcuts-dialog", {});
+        setOnClickEventBySelector(dialogElem, ".dialog-close-btn", () => dialogElem.remove());
+        this.page.getContentElem().appendChild(dialogElem);
+    }
+
+    /**
+     * Handle a key press, unless it is typed in a text field or combined with Ctrl or Alt.
+     * @param event The keyboard event.
+     * @private
+     */
+    _onKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey || event.defaultPrevented) {
+            return;
+        }
+
+        const target = event.target;
+        const editingText = target.isContentEditable || target.matches?.("textarea");
+        if (event.key === "Escape") {
+            if (!editingText && this._closeTopDialog()) {
+                event.preventDefault();
+            }
+            return;
+        }
+
+        if (editingText || target.matches?.("input, select") || !this.page.getBoardElem()) {
+            return;
+        }
+
+        if (this._handleKey(event.key)) {
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Run the shortcut of a key.
+     * @param key The key pressed.
+     * @returns {boolean} True if the key is a shortcut.
+     * @private
+     */
+    _handleKey(key) {
+        if (key === "?") {
+            this.toggleHelp();
+            return true;
+        }
+
+        const openCardElem = document.querySelector("#card-dialog-container .opencard");
+        if (/^[1-9]$/.test(key)) {
+            const cardId = openCardElem?.getAttribute("dbid") ?? this._getSelectedCard()?.getAttribute("dbid");
+            if (cardId) {
+                this.labelUI.toggleLabel(Number(cardId), Number(key) - 1);
+            }
+            return true;
+        }
+
+        if (key === "l") {
+            this._openLabelSelection(openCardElem);
+            return true;
+        }
+
+        if (openCardElem || document.querySelector(".dialog-container")) {
+            return false; // the board is behind a dialog
+        }
+
+        switch (key) {
+            case "n": {
+                const cardListElem = this._getSelectedCard()?.closest(".cardlist")
+                    ?? this.page.getBoardElem().querySelector(".cardlist:hover:not(#add-cardlist-btn)");
+                if (cardListElem) {
+                    this.cardUI.beginAddCard(cardListElem);
+                }
+                return true;
+            }
+            case "e":
+            case "Enter": {
+                // Enter only opens a card with the focus, not one under the mouse
+                const cardElem = this._getSelectedCard();
+                if (!cardElem || (key === "Enter" && cardElem !== document.activeElement)) {
+                    return false;
+                }
+                this.cardUI.openCard(Number(cardElem.getAttribute("dbid")));
+                return true;
+            }
+            case "/":
+                this.filterUI.focusFilterBar();
+                return true;
+            case "ArrowUp":
+            case "ArrowDown":
+            case "ArrowLeft":
+            case "ArrowRight":
+                this._moveFocus(key);
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Close the dialog on top, as its close button would.
+     * @returns {boolean} True if a dialog has been closed.
+     * @private
+     */
+    _closeTopDialog() {
+        for (const selector of CLOSE_BUTTON_SELECTORS) {
+            const buttonElem = [...document.querySelectorAll(selector)].filter(elem => this._isVisible(elem)).at(-1);
+            if (buttonElem) {
+                buttonElem.click();
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Open the label selection of the open card, opening the selected card first if none is.
+     * @param openCardElem The open card element, or null.
+     * @returns {Promise<void>} Updated when the selection is shown.
+     * @private
+     */
+    async _openLabelSelection(openCardElem) {
+        if (!openCardElem) {
+            const cardId = this._getSelectedCard()?.getAttribute("dbid");
+            if (!cardId || document.querySelector(".dialog-container")) {
+                return;
+            }
+            await this.cardUI.openCard(Number(cardId));
+        }
+
+        const labelSelectDialog = document.getElementById("opencard-label-select-diag");
+        if (labelSelectDialog?.classList.contains("hidden")) {
+            this.labelUI.openLabelSelectionDialog();
+        }
+    }
+
+    /**
+     * Move the focus to the next card in a direction, in the same list or in the next list with cards.
+     * Without a selected card, the first card of the board gets the focus.
+     * @param key The arrow key pressed.
+     * @private
+     */
+    _moveFocus(key) {
+        const boardElem = this.page.getBoardElem();
+        const cardElem = this._getSelectedCard();
+        if (!cardElem) {
+            boardElem.querySelector(".card[dbid]:not(.filtered-out)")?.focus();
+            return;
+        }
+
+        const cardListElem = cardElem.closest(".cardlist");
+        const cards = this._getVisibleCards(cardListElem);
+        const index = cards.indexOf(cardElem);
+
+        let targetElem;
+        if (key === "ArrowUp" || key === "ArrowDown") {
+            targetElem = cards[index + (key === "ArrowUp" ? -1 : 1)];
+        } else {
+            const cardLists = [...boardElem.querySelectorAll(".cardlist:not(#add-cardlist-btn)")];
+            const step = key === "ArrowLeft" ? -1 : 1;
+            for (let i = cardLists.indexOf(cardListElem) + step; i >= 0 && i < cardLists.length; i += step) {
+                const otherCards = this._getVisibleCards(cardLists[i]);
+                if (otherCards.length > 0) {
+                    targetElem = otherCards[Math.min(index, otherCards.length - 1)];
+                    break;
+                }
+            }
+        }
+
+        targetElem?.focus();
+    }
+
+    /**
+     * Get the card the shortcuts act on in the board: the one with the focus, else the one under the mouse.
+     * @returns {Element|null} The card element.
+     * @private
+     */
+    _getSelectedCard() {
+        const boardElem = this.page.getBoardElem();
+        const focusedElem = document.activeElement;
+        if (focusedElem?.matches(".card[dbid]") && boardElem.contains(focusedElem)) {
+            return focusedElem;
+        }
+        return boardElem.querySelector(".card[dbid]:hover");
+    }
+
+    /**
+     * Get the cards of a list that are not hidden by the filter.
+     * @param cardListElem The card list element.
+     * @returns {Element[]} The card elements, in order.
+     * @private
+     */
+    _getVisibleCards(cardListElem) {
+        return [...cardListElem.querySelectorAll(".card[dbid]")].filter(elem => this._isVisible(elem));
+    }
+
+    /**
+     * Check if an element is displayed.
+     * @param elem The element.
+     * @returns {boolean} True if displayed.
+     * @private
+     */
+    _isVisible(elem) {
+        return elem.getClientRects().length > 0;
+    }
+}
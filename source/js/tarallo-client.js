@@ -1,13 +1,26 @@
 import {Account} from "./auth/account.js";
+import {ActivityUI} from "./activity/activity-ui.js";
+import {ArchiveUI} from "./archive/archive-ui.js";
+import {AssigneeUI} from "./assignees/assignee-ui.js";
 import {BoardUI} from './boards/board-ui.js';
 import {CardAttachmentUI} from "./attachment/attachment-ui.js";
 import {CardDnd} from "./cards/card-dnd.js";
 import {CardLabelUI} from "./labels/label-ui.js";
+import {CardSelectionUI} from "./cards/card-selection-ui.js";
 import {CardUI} from "./cards/card-ui.js";
+import {CommentUI} from "./comments/comment-ui.js";
+import {DuplicateUI} from "./duplicate/duplicate-ui.js";
+import {FilterUI} from "./filters/filter-ui.js";
 import {ImportExportUi} from "./import-export/import-export-ui.js";
+import {KeyboardDnd} from "./ui/keyboard-dnd.js";
 import {ListUI} from "./lists/list-ui.js";
+import {LiveUpdateUI} from "./live/live-ui.js";
+import {OfflineUI} from "./offline/offline-ui.js";
 import {PageUi} from './page/page-ui.js';
 import {Page} from "./page/page.js";
+import {Router} from "./core/router.js";
+import {ShortcutsUI} from "./shortcuts/shortcuts-ui.js";
+import {UndoUI} from "./undo/undo-ui.js";
 import {WorkspaceUI} from "./workspace/workspace-ui.js";
 
 /**
@@ -28,15 +41,28 @@ export class TaralloClient {
      */
     setupInstances() {
         this.account = new Account();
+        this.activityUI = new ActivityUI();
+        this.archiveUI = new ArchiveUI();
+        this.assigneeUI = new AssigneeUI();
         this.attachmentUI = new CardAttachmentUI();
         this.boardUI = new BoardUI();
         this.cardDnd = new CardDnd();
+        this.cardSelectionUI = new CardSelectionUI();
         this.cardUI = new CardUI();
+        this.commentUI = new CommentUI();
+        this.duplicateUI = new DuplicateUI();
+        this.filterUI = new FilterUI();
         this.importUI = new ImportExportUi();
+        this.keyboardDnd = new KeyboardDnd();
         this.labelUI = new CardLabelUI();
         this.listUI = new ListUI();
+        this.liveUI = new LiveUpdateUI();
+        this.offlineUI = new OfflineUI();
         this.page = new Page();
         this.pageUI = new PageUi();
+        this.router = new Router();
+        this.shortcutsUI = new ShortcutsUI();
+        this.undoUI = new UndoUI();
         this.workspaceUI = new WorkspaceUI();
     }
 
@@ -45,6 +71,22 @@ export class TaralloClient {
      * TODO: Replace with dependency injection
      */
     initDependencies() {
+        this.activityUI.init({
+            cardUI: this.cardUI,
+            page: this.page
+        });
+
+        this.archiveUI.init({
+            cardUI: this.cardUI,
+            listUI: this.listUI,
+            page: this.page
+        });
+
+        this.assigneeUI.init({
+            cardUI: this.cardUI,
+            page: this.page
+        });
+
         this.attachmentUI.init({
             cardUI: this.cardUI
         });
@@ -52,19 +94,55 @@ export class TaralloClient {
         this.boardUI.init({
             account: this.account,
             page: this.page,
-            pageUI: this.pageUI
+            pageUI: this.pageUI,
+            router: this.router
         });
 
         this.cardUI.init({
+            assigneeUI: this.assigneeUI,
             attachmentUI: this.attachmentUI,
             cardDnd: this.cardDnd,
+            commentUI: this.commentUI,
+            duplicateUI: this.duplicateUI,
+            filterUI: this.filterUI,
             labelUI: this.labelUI,
+            listUI: this.listUI,
             page: this.page,
+            selectionUI: this.cardSelectionUI,
+            undoUI: this.undoUI
         });
 
         this.cardDnd.init({
             cardUI: this.cardUI,
+            listUI: this.listUI,
             page: this.page,
+            selectionUI: this.cardSelectionUI
+        });
+
+        this.cardSelectionUI.init({
+            assigneeUI: this.assigneeUI,
+            cardUI: this.cardUI,
+            labelUI: this.labelUI,
+            listUI: this.listUI,
+            page: this.page
+        });
+
+        this.commentUI.init({
+            cardUI: this.cardUI
+        });
+
+        this.duplicateUI.init({
+            cardUI: this.cardUI,
+            listUI: this.listUI,
+            page: this.page,
+            pageUI: this.pageUI,
+            router: this.router
+        });
+
+        this.filterUI.init({
+            assigneeUI: this.assigneeUI,
+            labelUI: this.labelUI,
+            page: this.page
         });
 
         this.importUI.init({
@@ -72,31 +150,79 @@ export class TaralloClient {
             page: this.page,
         });
 
-        this.labelUI.init(this.cardUI);
+        this.keyboardDnd.init({
+            cardDnd: this.cardDnd,
+            cardUI: this.cardUI,
+            listUI: this.listUI,
+            page: this.page
+        });
+
+        this.labelUI.init(this.cardUI, this.undoUI);
 
         this.listUI.init({
             cardDnd: this.cardDnd,
             cardUI: this.cardUI,
-            page: this.page
+            duplicateUI: this.duplicateUI,
+            page: this.page,
+            undoUI: this.undoUI
+        });
+
+        this.liveUI.init({
+            boardUI: this.boardUI,
+            cardUI: this.cardUI,
+            filterUI: this.filterUI,
+            labelUI: this.labelUI,
+            listUI: this.listUI,
+            page: this.page,
+            pageUI: this.pageUI
+        });
+
+        this.offlineUI.init({
+            pageUI: this.pageUI
         });
 
         this.pageUI.init({
             account: this.account,
+            activityUI: this.activityUI,
+            archiveUI: this.archiveUI,
+            assigneeUI: this.assigneeUI,
             boardUI: this.boardUI,
             cardDnd: this.cardDnd,
+            cardSelectionUI: this.cardSelectionUI,
             cardUI: this.cardUI,
+            duplicateUI: this.duplicateUI,
+            filterUI: this.filterUI,
             importUI: this.importUI,
             labelUI: this.labelUI,
             listUI: this.listUI,
+            liveUI: this.liveUI,
+            offlineUI: this.offlineUI,
             page: this.page,
+            undoUI: this.undoUI,
             workspaceUI: this.workspaceUI
         });
+
+        this.router.init({
+            cardUI: this.cardUI,
+            pageUI: this.pageUI
+        });
+
+        this.shortcutsUI.init({
+            cardUI: this.cardUI,
+            filterUI: this.filterUI,
+            labelUI: this.labelUI,
+            page: this.page
+        });
     }
 
     /**
      * Start the Tarallo client
      */
     start() {
-        this.pageUI.getCurrentPage();
+        this.offlineUI.start();
+        this.undoUI.start();
+        this.keyboardDnd.start();
+        this.shortcutsUI.start();
+        this.router.start();
     }
 }
\ No newline at end of file
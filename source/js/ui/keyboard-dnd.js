@@ -0,0 +1,289 @@
+/**
+ * Keyboard alternative to dragging cards and lists: Space picks up the card or list with the focus, the arrow keys
+ * move it, Space or Enter drops it and Escape puts it back. Each step is read out through the live announcer.
+ */
+export class KeyboardDnd {
+
+    /**
+     * Construction.
+     */
+    constructor() {
+        this._moving = null;
+    }
+
+    /**
+     * Init UI dependencies.
+     * @param cardDnd The drag-n-drop interface for cards.
+     * @param cardUI The card UI.
+     * @param listUI The list UI.
+     * @param page The page API.
+     */
+    init({cardDnd, cardUI, listUI, page}) {
+        this.cardDnd = cardDnd;
+        this.cardUI = cardUI;
+        this.listUI = listUI;
+        this.page = page;
+    }
+
+    /**
+     * Start listening to the keyboard, before the other shortcuts as the arrow keys move what is picked up.
+     */
+    start() {
+        document.addEventListener("keydown", (e) => this._onKeyDown(e), {capture: true});
+    }
+
+    /**
+     * Handle the keys picking up, moving and dropping a card or list.
+     * @param event The keyboard event.
+     * @private
+     */
+    _onKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+
+        if (this._moving === null) {
+            if (event.key === " " && this._pickUp(event.target)) {
+                event.preventDefault();
+            }
+            return;
+        }
+
+        switch (event.key) {
+            case "ArrowUp":
+            case "ArrowDown":
+            case "ArrowLeft":
+            case "ArrowRight":
+                if (this._moving.isCard) {
+                    this._moveCard(event.key);
+                } else {
+                    this._moveList(event.key);
+                }
+                break;
+            case " ":
+            case "Enter":
+                this._drop();
+                break;
+            case "Escape":
+                this._cancel();
+                break;
+            case "Tab":
+                this._cancel();
+                return; // let the focus move
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Pick up a card or a list of the board.
+     * @param elem The element with the focus.
+     * @returns {boolean} True if it has been picked up.
+     * @private
+     */
+    _pickUp(elem) {
+        const boardElem = this.page.getBoardElem();
+        const isCard = elem.matches?.(".card[dbid]");
+        if (!boardElem?.contains(elem) || !(isCard || elem.matches(".cardlist[dbid]"))) {
+            return false;
+        }
+
+        this._moving = {
+            elem,
+            isCard,
+            parentElem: elem.parentElement,
+            nextElem: elem.nextElementSibling,
+        };
+        elem.classList.add("kbd-moving");
+        elem.setAttribute("aria-grabbed", "true");
+        this._announce(`Picked up ${this._describe(elem, isCard)}. Move it with the arrow keys, drop it with Space or cancel with Escape.`);
+        return true;
+    }
+
+    /**
+     * Move the card picked up to the next position in its list, or to the same position in the next list.
+     * @param key The arrow key pressed.
+     * @private
+     */
+    _moveCard(key) {
+        const cardElem = this._moving.elem;
+        const cardListElem = cardElem.closest(".cardlist");
+        const cards = this._getVisibleCards(cardListElem);
+        const index = cards.indexOf(cardElem);
+
+        if (key === "ArrowUp" || key === "ArrowDown") {
+            if (key === "ArrowUp" && index > 0) {
+                cards[index - 1].before(cardElem);
+            } else if (key === "ArrowDown" && index < cards.length - 1) {
+                cards[index + 1].after(cardElem);
+            }
+        } else {
+            const cardLists = this._getCardLists();
+            const destListElem = cardLists[cardLists.indexOf(cardListElem) + (key === "ArrowLeft" ? -1 : 1)];
+            if (destListElem) {
+                const destCards = this._getVisibleCards(destListElem);
+                if (index < destCards.length) {
+                    destCards[index].before(cardElem);
+                } else if (destCards.length > 0) {
+                    destCards.at(-1).after(cardElem);
+                } else {
+                    destListElem.appendChild(cardElem);
+                }
+            }
+        }
+
+        cardElem.focus(); // moving the element loses the focus
+        this._announce(this._describe(cardElem, true));
+    }
+
+    /**
+     * Move the list picked up before the previous list or after the next one.
+     * @param key The arrow key pressed.
+     * @private
+     */
+    _moveList(key) {
+        const cardListElem = this._moving.elem;
+        const cardLists = this._getCardLists();
+        const index = cardLists.indexOf(cardListElem);
+
+        if ((key === "ArrowLeft" || key === "ArrowUp") && index > 0) {
+            cardLists[index - 1].before(cardListElem);
+        } else if ((key === "ArrowRight" || key === "ArrowDown") && index < cardLists.length - 1) {
+            cardLists[index + 1].after(cardListElem);
+        }
+
+        cardListElem.focus();
+        this._announce(this._describe(cardListElem, false));
+    }
+
+    /**
+     * Drop what is picked up where it is, saving the move.
+     * @returns {Promise<void>} Updated when the move is saved.
+     * @private
+     */
+    async _drop() {
+        const {elem, isCard} = this._moving;
+        const id = elem.getAttribute("dbid");
+        const prevElem = elem.previousElementSibling;
+        const prevId = prevElem?.matches(isCard ? ".card[dbid]" : ".cardlist[dbid]") ? prevElem.getAttribute("dbid") : 0;
+        const cardListId = elem.closest(".cardlist").getAttribute("dbid");
+        const srcCardListId = this._moving.parentElem.closest(".cardlist").getAttribute("dbid");
+        const description = this._describe(elem, isCard);
+
+        // the move is saved from the original position, which undo goes back to
+        const moved = elem.nextElementSibling !== this._moving.nextElem || elem.parentElement !== this._moving.parentElem;
+        this._putBack();
+        if (!moved) {
+            this._announce(`Dropped ${description}, it has not moved.`);
+            return;
+        }
+
+        if (isCard && srcCardListId !== cardListId && !this.listUI.checkCardLimit(cardListId)) {
+            this._announce(`Could not drop ${description}, the list is full.`);
+            return;
+        }
+
+        if (isCard) {
+            this.cardDnd.draggedCard = elem;
+            await this.cardUI.moveCard(id, prevId, cardListId);
+            this.cardDnd.draggedCard = null;
+            document.getElementById(`card-${id}`)?.focus(); // the card tile is loaded again
+        } else {
+            this.listUI.listDnd.draggedCardList = elem;
+            await this.listUI.moveCardList(id, prevId);
+            this.listUI.listDnd.draggedCardList = null;
+            elem.focus();
+        }
+        this._announce(`Dropped ${description}.`);
+    }
+
+    /**
+     * Put back what is picked up to its original position.
+     * @private
+     */
+    _cancel() {
+        const {elem, isCard} = this._moving;
+        this._putBack();
+        this._announce(`Move cancelled, ${this._describe(elem, isCard)}.`);
+    }
+
+    /**
+     * Return what is picked up to its original position, and leave the move mode.
+     * @private
+     */
+    _putBack() {
+        const {elem, parentElem, nextElem} = this._moving;
+        if (nextElem?.parentElement === parentElem) {
+            parentElem.insertBefore(elem, nextElem);
+        } else {
+            parentElem.appendChild(elem);
+        }
+
+        elem.classList.remove("kbd-moving");
+        elem.removeAttribute("aria-grabbed");
+        elem.focus();
+        this._moving = null;
+    }
+
+    /**
+     * Describe a card or list and where it is, e.g. 'card "Groceries", position 2 of 5 in list "To do"'.
+     * @param elem The card or list element.
+     * @param isCard True for a card.
+     * @returns {string} The description.
+     * @private
+     */
+    _describe(elem, isCard) {
+        const cardLists = this._getCardLists();
+
+        if (isCard) {
+            const cardListElem = elem.closest(".cardlist");
+            const cards = this._getVisibleCards(cardListElem);
+            return `card "${elem.querySelector("h4").textContent}", position ${cards.indexOf(elem) + 1} of ` +
+                `${cards.length} in list "${this._getCardListName(cardListElem)}"`;
+        }
+
+        return `list "${this._getCardListName(elem)}", position ${cardLists.indexOf(elem) + 1} of ${cardLists.length}`;
+    }
+
+    /**
+     * Read out a message to screen readers.
+     * @param message The message.
+     * @private
+     */
+    _announce(message) {
+        const announcerElem = document.getElementById("live-announcer");
+        if (announcerElem) {
+            announcerElem.textContent = message;
+        }
+    }
+
+    /**
+     * Get the lists of the board, in order.
+     * @returns {Element[]} The card list elements.
+     * @private
+     */
+    _getCardLists() {
+        return [...this.page.getBoardElem().querySelectorAll(".cardlist[dbid]")];
+    }
+
+    /**
+     * Get the cards of a list that are not hidden by the filter.
+     * @param cardListElem The card list element.
+     * @returns {Element[]} The card elements, in order.
+     * @private
+     */
+    _getVisibleCards(cardListElem) {
+        return [...cardListElem.querySelectorAll(".card[dbid]")].filter(elem => elem.getClientRects().length > 0);
+    }
+
+    /**
+     * Get the name of a list.
+     * @param cardListElem The card list element.
+     * @returns {string} The name.
+     * @private
+     */
+    _getCardListName(cardListElem) {
+        return cardListElem.querySelector(".cardlist-title h3").textContent;
+    }
+}
@@ -5,6 +5,9 @@ import {replaceHtmlTemplateArgs} from '../core/utils.js';
  */
 export class ProjectBar {
 
+    // The project bar HTML before the page arguments are replaced, to fill it again on every page.
+    _templateHtml = null;
+
     /**
      * Show just the basic options in the project bar.
      * @param pageContent
@@ -38,6 +41,15 @@ export class ProjectBar {
         this._showElem(this._getProjectBarMiddleElem())
     }
 
+    /**
+     * Show just the basic options, keeping the current project bar content.
+     */
+    showSearchOptions() {
+        this._hideElem(this._getProjectBarClosedElem())
+        this._hideElem(this._getProjectBarLeftElem())
+        this._hideElem(this._getProjectBarMiddleElem())
+    }
+
     /**
      * Hide the project bar completely.
      */
@@ -56,6 +68,21 @@ export class ProjectBar {
         }
     }
 
+    /**
+     * Set the search event.
+     * @param callback The function to call with the search text when the user presses enter.
+     */
+    setSearchEvent(callback) {
+        const elem = document.getElementById('project-bar-search');
+        if (elem) {
+            elem.onkeydown = (event) => {
+                if (event.key === 'Enter') {
+                    callback(elem.value);
+                }
+            };
+        }
+    }
+
     /**
      * Show the project bar.
      * @param pageContent The content with session information.
@@ -64,8 +91,9 @@ export class ProjectBar {
     _show(pageContent) {
         const projectBarElem = this._getProjectBarElem();
         if (projectBarElem) {
+            this._templateHtml ??= projectBarElem.innerHTML;
             this._showElem(projectBarElem);
-            projectBarElem.innerHTML = replaceHtmlTemplateArgs(projectBarElem.innerHTML, pageContent);
+            projectBarElem.innerHTML = replaceHtmlTemplateArgs(this._templateHtml, pageContent);
         }
     }
 
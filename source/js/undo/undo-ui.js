@@ -0,0 +1,138 @@
+import {showErrorPopup, showInfoPopup} from "../ui/popup.js";
+import {OfflineQueuedError} from "../offline/outbox.js";
+
+// How many operations can be undone.
+const MAX_UNDO_STEPS = 50;
+
+/**
+ * Class to undo and redo the last operations made on the open board, with Ctrl+Z and Ctrl+Shift+Z (or Ctrl+Y).
+ * Each operation is recorded along with the calls that revert it and make it again.
+ */
+export class UndoUI {
+
+    /**
+     * Construction.
+     */
+    constructor() {
+        this._undoStack = [];
+        this._redoStack = [];
+        this._applying = false;
+    }
+
+    /**
+     * Start listening to the undo and redo shortcuts.
+     */
+    start() {
+        document.addEventListener("keydown", (e) => this._onKeyDown(e));
+    }
+
+    /**
+     * Forget all the recorded operations, e.g. when another board is loaded.
+     */
+    clear() {
+        this._undoStack = [];
+        this._redoStack = [];
+    }
+
+    /**
+     * Record an operation that has just been made. Operations made while undoing or redoing are not recorded.
+     * @param description What the operation did, e.g. 'move card "Groceries"'.
+     * @param undo Async function reverting the operation, throwing on failure.
+     * @param redo Async function making the operation again, throwing on failure.
+     */
+    record({description, undo, redo}) {
+        if (this._applying) {
+            return;
+        }
+
+        this._undoStack.push({description, undo, redo});
+        if (this._undoStack.length > MAX_UNDO_STEPS) {
+            this._undoStack.shift();
+        }
+        this._redoStack = [];
+    }
+
+    /**
+     * Revert the last recorded operation.
+     * @returns {Promise<void>} Updated when the operation has been reverted.
+     */
+    async undo() {
+        await this._apply(this._undoStack, this._redoStack, "undo");
+    }
+
+    /**
+     * Make the last reverted operation again.
+     * @returns {Promise<void>} Updated when the operation has been made again.
+     */
+    async redo() {
+        await this._apply(this._redoStack, this._undoStack, "redo");
+    }
+
+    /**
+     * Undo or redo the operation on top of a stack, moving it to the other stack if it succeeds.
+     * @param fromStack The stack to take the operation from.
+     * @param toStack The stack to move the operation to.
+     * @param action Either "undo" or "redo".
+     * @returns {Promise<void>} Updated when done.
+     * @private
+     */
+    async _apply(fromStack, toStack, action) {
+        if (this._applying) {
+            return; // wait for the previous one to complete
+        }
+
+        const entry = fromStack.pop();
+        if (!entry) {
+            showInfoPopup(`Nothing to ${action}`, 'page-error');
+            return;
+        }
+
+        this._applying = true;
+        try {
+            await entry[action]();
+            toStack.push(entry);
+            showInfoPopup(`${action === "undo" ? "Undone" : "Redone"}: ${entry.description}`, 'page-error');
+        } catch (e) {
+            if (e instanceof OfflineQueuedError) {
+                // saved once back online, when the board is loaded again with it
+                toStack.push(entry);
+                showInfoPopup(`${action === "undo" ? "Undone" : "Redone"} once back online: ${entry.description}`, 'page-error');
+                return;
+            }
+            // the board changed since, e.g. someone else deleted the card: the operation can't be applied anymore
+            showErrorPopup(`Could not ${action} "${entry.description}": ${e.message}`, 'page-error');
+        } finally {
+            this._applying = false;
+        }
+    }
+
+    /**
+     * Handle the undo and redo shortcuts, except while editing text, which has its own undo.
+     * @param event The keyboard event.
+     * @private
+     */
+    _onKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+            return;
+        }
+
+        const key = event.key.toLowerCase();
+        const isUndo = key === "z" && !event.shiftKey;
+        const isRedo = (key === "z" && event.shiftKey) || (key === "y" && !event.shiftKey);
+        if (!isUndo && !isRedo) {
+            return;
+        }
+
+        const target = event.target;
+        if (target.isContentEditable || target.matches?.("input, textarea, select")) {
+            return;
+        }
+
+        event.preventDefault();
+        if (isUndo) {
+            this.undo();
+        } else {
+            this.redo();
+        }
+    }
+}
@@ -9,6 +9,8 @@ require_once 'body/ProgressBar.php';
 require_once 'body/TitleBar.php';
 require_once 'body/ProjectBar.php';
 require_once 'body/PageError.php';
+require_once 'body/OfflineIndicator.php';
+require_once 'body/LiveAnnouncer.php';
 require_once 'body/Content.php';
 require_once 'body/LoadingSpinner.php';
 require_once 'body/Footer.php';
@@ -5,6 +5,13 @@
     <title>Tarallo</title>
     <link rel="icon" type="image/png" sizes="16x16" href="images/favicon.png">
     <link rel="icon" type="image/png" sizes="64x64" href="images/favicon-large.png">
+    <link rel="apple-touch-icon" href="images/favicon-large.png">
+    <link rel="manifest" href="manifest.json">
+    <meta name="theme-color" content="#5f2b82">
+    <meta name="mobile-web-app-capable" content="yes">
+    <meta name="apple-mobile-web-app-capable" content="yes">
+    <meta name="apple-mobile-web-app-title" content="Tarallo">
+    <meta name="apple-mobile-web-app-status-bar-style" content="black">
     <meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1, user-scalable=0" />
     <link href="css/tarallo.css" rel="stylesheet" type="text/css" />
 
@@ -21,14 +28,33 @@
     require_once 'templates/BoardTile.php';
     require_once 'templates/UnaccessibleBoard.php';
     require_once 'templates/CardList.php';
+    require_once 'templates/CardListLimitDialog.php';
+    require_once 'templates/CardListSortDialog.php';
     require_once 'templates/Card.php';
     require_once 'templates/CardLabel.php';
+    require_once 'templates/CardAvatar.php';
     require_once 'templates/OpenCard.php';
     require_once 'templates/OpenCardLabelEditDialog.php';
     require_once 'templates/OpenCardLabelEditColorTile.php';
     require_once 'templates/OpenCardAttachment.php';
+    require_once 'templates/OpenCardAssignee.php';
+    require_once 'templates/OpenCardComment.php';
+    require_once 'templates/CardMergeDialog.php';
+    require_once 'templates/CopyDialog.php';
+    require_once 'templates/BoardTemplateDialog.php';
     require_once 'templates/ShareDialog.php';
     require_once 'templates/ShareDialogEntry.php';
+    require_once 'templates/ActivityPanel.php';
+    require_once 'templates/ActivityEntry.php';
+    require_once 'templates/ArchivePanel.php';
+    require_once 'templates/ArchiveEntry.php';
+    require_once 'templates/FilterBar.php';
+    require_once 'templates/FilterLabel.php';
+    require_once 'templates/CardSelectionBar.php';
+    require_once 'templates/SearchResults.php';
+    require_once 'templates/SearchResultBoard.php';
+    require_once 'templates/SearchResultCard.php';
+    require_once 'templates/ShortcutsDialog.php';
 
     ?>
 
@@ -41,6 +67,11 @@
         require_once 'svg/Locked.php';
         require_once 'svg/Unlocked.php';
         require_once 'svg/Copy.php';
+        require_once 'svg/Comment.php';
+        require_once 'svg/Archive.php';
+        require_once 'svg/Collapse.php';
+        require_once 'svg/Sort.php';
+        require_once 'svg/Move.php';
 
         ?>
     </svg>
@@ -0,0 +1,4 @@
+<?php
+?>
+<!-- Reads out to screen readers what can't be seen, e.g. the position of a card moved with the keyboard -->
+<div id="live-announcer" class="visually-hidden" aria-live="assertive" aria-atomic="true"></div>
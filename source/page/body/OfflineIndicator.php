@@ -0,0 +1,4 @@
+<?php
+?>
+<!-- Shows the changes made offline that are waiting to be sent -->
+<div id="offline-indicator" class="hidden" role="status"></div>
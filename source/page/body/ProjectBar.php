@@ -9,12 +9,19 @@
             <a class="inline-link" href="?">Back to Boards</a> |
             <a id="board-change-bg-btn" class="inline-link" href="#">Change Background</a> |
             <a id="board-share-btn" class="inline-link" href="#">Edit Permissions</a> |
-            <a id="board-export-btn" class="inline-link" href="php/api.php?OP=ExportBoard&board_id=$id">Export Board</a>
+            <a id="board-my-cards-btn" class="inline-link" href="#">My Cards</a> |
+            <a id="board-filter-btn" class="inline-link" href="#">Filter</a> |
+            <a id="board-activity-btn" class="inline-link" href="#">Activity</a> |
+            <a id="board-archive-btn" class="inline-link" href="#">Archived Items</a> |
+            <a id="board-density-btn" class="inline-link" href="#">Compact Cards</a> |
+            <a id="board-template-btn" class="inline-link" href="#">Mark as Template</a> |
+            <a id="board-duplicate-btn" class="inline-link" href="#">Duplicate Board</a> |
+            <a id="board-export-btn" class="inline-link" href="#">Export Board</a>
         </h3>
     </div>
 
     <div id="project-bar-middle" class="projectbar-tile">
-        <svg class="bin-icon icon"><use href="#icon-trashbin" /></svg>
+        <svg class="bin-icon icon"><use href="#icon-archive" /></svg>
     </div>
 
     <div id="project-bar-closed" class="projectbar-tile">
@@ -25,6 +32,7 @@
     </div>
 
     <div id="project-bar-right" class="projectbar-tile">
+        <input id="project-bar-search" type="search" placeholder="Search cards..." spellcheck="false" />
         <h3>
             Logged in as $display_name |
             <a id="project-bar-logout-btn" class="inline-link" href="#">Log Out</a>
@@ -0,0 +1,3 @@
+<symbol id="icon-archive" preserveAspectRatio="xMinYMin meet" viewBox="0 0 24 24" fill="none" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M2 4h20v4H2zm2 4v11a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8m-10 4h4" />
+</symbol>
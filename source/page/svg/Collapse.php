@@ -0,0 +1,3 @@
+<symbol id="icon-collapse" viewBox="0 0 24 24">
+    <path fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="m11 17-5-5 5-5m7 10-5-5 5-5" />
+</symbol>
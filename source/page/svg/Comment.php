@@ -0,0 +1,3 @@
+<symbol id="icon-comment" viewBox="0 0 24 24">
+    <path fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 12a8 8 0 0 1-11.876 7.001L3 21l1.999-6.124A8 8 0 1 1 21 12Z" />
+</symbol>
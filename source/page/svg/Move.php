@@ -0,0 +1,3 @@
+<symbol id="icon-move" viewBox="0 0 24 24">
+    <path fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 5h8M4 10h8m-8 5h5m6-11v13m0 0-3-3m3 3 3-3M4 20h16" />
+</symbol>
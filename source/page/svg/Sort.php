@@ -0,0 +1,3 @@
+<symbol id="icon-sort" viewBox="0 0 24 24">
+    <path fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 6h10M3 12h7m-7 6h4m10 2V4m0 16-3-3m3 3 3-3" />
+</symbol>
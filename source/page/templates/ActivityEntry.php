@@ -0,0 +1,12 @@
+<?php
+?>
+<template id="tmpl-activity-entry">
+    <div class="activity-entry" id="activity-$id">
+        <span class="avatar">$initials</span>
+        <div class="activity-entry-text">
+            <span class="activity-entry-author">$display_name</span>
+            <span class="activity-entry-description"></span>
+            <div class="activity-entry-date dim-text">$date</div>
+        </div>
+    </div>
+</template>
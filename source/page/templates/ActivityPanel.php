@@ -0,0 +1,11 @@
+<?php
+?>
+<!-- Side panel with the activity log of a board -->
+<template id="tmpl-activity-panel">
+    <div id="activity-panel" class="side-panel dialog vscrollable">
+        <button class="dialog-close-btn close-btn dim-btn"></button>
+        <h2>Activity</h2>
+        <div class="activity-list"></div>
+        <button class="activity-more-btn dim-btn hidden">Load more</button>
+    </div>
+</template>
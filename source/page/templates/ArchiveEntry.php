@@ -0,0 +1,14 @@
+<?php
+?>
+<template id="tmpl-archive-entry">
+    <div class="archive-entry" id="archive-$type-$id">
+        <div class="archive-entry-text">
+            <span class="archive-entry-name"></span>
+            <div class="archive-entry-details dim-text"></div>
+        </div>
+        <div class="archive-entry-buttons">
+            <button class="archive-restore-btn dim-btn">Restore</button>
+            <button class="archive-purge-btn dim-btn">Delete</button>
+        </div>
+    </div>
+</template>
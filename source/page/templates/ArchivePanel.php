@@ -0,0 +1,15 @@
+<?php
+?>
+<!-- Side panel with the archived cards and lists of a board -->
+<template id="tmpl-archive-panel">
+    <div id="archive-panel" class="side-panel dialog vscrollable">
+        <button class="dialog-close-btn close-btn dim-btn"></button>
+        <h2>Archived items</h2>
+        <p class="archive-purge-info dim-text hidden"></p>
+        <h3 class="archive-lists-title hidden">Lists</h3>
+        <div class="archive-item-list archive-lists"></div>
+        <h3 class="archive-cards-title hidden">Cards</h3>
+        <div class="archive-item-list archive-cards"></div>
+        <p class="archive-empty dim-text hidden">Deleted cards and lists are kept here.</p>
+    </div>
+</template>
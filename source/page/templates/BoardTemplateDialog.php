@@ -0,0 +1,22 @@
+<?php
+?>
+<template id="tmpl-board-template-dialog">
+    <div id="board-template-dialog-container" class="dialog-container">
+        <div id="board-template-dialog" class="dialog scrollable-dialog vscrollable">
+            <button class="dialog-close-btn close-btn dim-btn"></button>
+            <h2>Create new board</h2>
+            <label for="board-template-title">Title</label>
+            <input id="board-template-title" type="text" spellcheck="false" placeholder="Same as the template" />
+            <h3 class="separator">Start from</h3>
+            <div id="board-template-builtin" class="board-template-list"></div>
+            <h3 class="separator board-template-boards-heading hidden">Templates shared on this instance</h3>
+            <div id="board-template-boards" class="board-template-list"></div>
+        </div>
+    </div>
+</template>
+<template id="tmpl-board-template-entry">
+    <button class="board-template-entry dim-btn">
+        <span class="board-template-entry-title"></span>
+        <span class="board-template-entry-lists"></span>
+    </button>
+</template>
@@ -1,10 +1,18 @@
 <?php
 ?>
 <template id="tmpl-card">
-    <div class="card" dbid="$id" id="card-$id" draggable="true">
+    <div class="card" dbid="$id" id="card-$id" draggable="true" tabindex="0">
         <img class="lazy" src="" data-src="" />
         <div class="card-labellist labellist hidden"></div>
         <h4>$title</h4>
         <div class="card-moved-date hidden">&#10149 $last_moved_date</div>
+        <div class="card-badges hidden">
+            <span class="card-due-badge hidden"></span>
+            <span class="card-comment-count hidden">
+                <svg class="icon"><use href="#icon-comment" /></svg>
+                <span class="count"></span>
+            </span>
+            <span class="card-assignees"></span>
+        </div>
     </div>
 </template>
@@ -0,0 +1,5 @@
+<?php
+?>
+<template id="tmpl-card-avatar">
+    <span class="avatar" user-id="$user_id" title="$display_name">$initials</span>
+</template>
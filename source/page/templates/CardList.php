@@ -2,10 +2,15 @@
 ?>
 <!-- Template for Card List page -->
 <template id="tmpl-cardlist">
-    <div class="cardlist vscrollable" dbid="$id" id="cardlist-$id" draggable="true">
+    <div class="cardlist vscrollable" dbid="$id" id="cardlist-$id" draggable="true" tabindex="0">
         <div class="cardlist-start">
             <div class="cardlist-title">
                 <h3 id="card-list-title-$id" contenteditable="true" spellcheck="false">$name</h3>
+                <span class="cardlist-count"></span>
+                <svg class="sort-list-btn dim-icon"><title>Sort list by&hellip;</title><use href="#icon-sort" /></svg>
+                <svg class="move-cards-btn dim-icon"><title>Move all cards to&hellip;</title><use href="#icon-move" /></svg>
+                <svg class="copy-list-btn dim-icon"><use href="#icon-copy" /></svg>
+                <svg class="collapse-list-btn dim-icon"><title>Collapse the list</title><use href="#icon-collapse" /></svg>
             </div>
             <div class="addcard-btn addcard-ui"><p>&#10010 Add a card</p></div>
             <div class="card editcard-card editcard-ui hidden" contenteditable="true" placeholder="Enter a title for this card..."></div>
@@ -0,0 +1,19 @@
+<?php
+?>
+<template id="tmpl-cardlist-limit-dialog">
+    <div id="cardlist-limit-dialog-container" class="dialog-container">
+        <div id="cardlist-limit-dialog" class="dialog">
+            <button class="dialog-close-btn close-btn dim-btn"></button>
+            <h2>Card limit</h2>
+            <label for="cardlist-limit-input">Maximum number of cards in <span class="cardlist-limit-name"></span>, 0 for no limit</label>
+            <input id="cardlist-limit-input" type="number" min="0" step="1" />
+            <label class="cardlist-limit-option">
+                <input id="cardlist-limit-strict" type="checkbox" />
+                Refuse cards over the limit, instead of only warning
+            </label>
+            <div class="cardlist-limit-buttons separator">
+                <button class="cardlist-limit-submit-btn contrast-btn">Save</button>
+            </div>
+        </div>
+    </div>
+</template>
@@ -0,0 +1,25 @@
+<?php
+?>
+<template id="tmpl-cardlist-sort-dialog">
+    <div id="cardlist-sort-dialog-container" class="dialog-container">
+        <div id="cardlist-sort-dialog" class="dialog">
+            <button class="dialog-close-btn close-btn dim-btn"></button>
+            <h2>Sort list by&hellip;</h2>
+            <label for="cardlist-sort-key">Order the cards of <span class="cardlist-sort-name"></span> by</label>
+            <select id="cardlist-sort-key">
+                <option value="title">Title, from A to Z</option>
+                <option value="created">Creation time, oldest first</option>
+                <option value="last_moved">Last move, most recent first</option>
+                <option value="label">Label, in the board order</option>
+                <option value="due_date">Due date, closest first</option>
+            </select>
+            <label class="cardlist-sort-option">
+                <input id="cardlist-sort-auto" type="checkbox" />
+                Keep the list sorted as cards arrive
+            </label>
+            <div class="cardlist-sort-buttons separator">
+                <button class="cardlist-sort-submit-btn contrast-btn">Sort</button>
+            </div>
+        </div>
+    </div>
+</template>
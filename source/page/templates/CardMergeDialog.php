@@ -0,0 +1,20 @@
+<?php
+?>
+<template id="tmpl-card-merge-dialog">
+    <div id="card-merge-dialog-container" class="dialog-container">
+        <div id="card-merge-dialog" class="dialog scrollable-dialog vscrollable">
+            <h2>This card has been changed by someone else</h2>
+            <p>Its $field_name changed while you were editing it. Compare both versions, then choose what to keep.</p>
+            <div class="card-merge-diff separator">
+                <h3>Theirs</h3>
+                <h3>Mine</h3>
+            </div>
+            <label class="separator" for="card-merge-result">Merged $field_name</label>
+            <textarea id="card-merge-result" spellcheck="false"></textarea>
+            <div class="card-merge-buttons separator">
+                <button class="card-merge-theirs-btn dim-btn">Keep theirs</button>
+                <button class="card-merge-save-btn contrast-btn">Save merged</button>
+            </div>
+        </div>
+    </div>
+</template>
@@ -0,0 +1,29 @@
+<?php
+?>
+<!-- Bar of actions applied to all the selected cards of a board -->
+<template id="tmpl-card-selection-bar">
+    <div id="card-selection-bar" class="hidden">
+        <span class="selection-count"></span>
+        <span class="selection-action">
+            <select class="selection-list" aria-label="List"></select>
+            <button class="selection-move-btn dim-btn">Move</button>
+        </span>
+        <span class="selection-action">
+            <select class="selection-label" aria-label="Label"></select>
+            <button class="selection-label-add-btn dim-btn">Add label</button>
+            <button class="selection-label-remove-btn dim-btn">Remove label</button>
+        </span>
+        <span class="selection-action">
+            <select class="selection-member" aria-label="Member"></select>
+            <button class="selection-assign-btn dim-btn">Assign</button>
+            <button class="selection-unassign-btn dim-btn">Unassign</button>
+        </span>
+        <span class="selection-action">
+            <input class="selection-due" type="date" aria-label="Due date" />
+            <button class="selection-due-btn dim-btn">Set due date</button>
+        </span>
+        <button class="selection-archive-btn dim-btn">Archive</button>
+        <button class="selection-delete-btn dim-btn hidden">Delete</button>
+        <button class="selection-clear-btn close-btn dim-btn" title="Clear the selection"></button>
+    </div>
+</template>
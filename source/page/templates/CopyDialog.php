@@ -0,0 +1,42 @@
+<?php
+?>
+<template id="tmpl-copy-dialog">
+    <div id="copy-dialog-container" class="dialog-container">
+        <div id="copy-dialog" class="dialog scrollable-dialog vscrollable">
+            <button class="dialog-close-btn close-btn dim-btn"></button>
+            <h2>$heading</h2>
+            <div class="copy-dialog-name-field">
+                <label for="copy-dialog-name">$name_label</label>
+                <input id="copy-dialog-name" type="text" spellcheck="false" />
+            </div>
+            <div class="copy-dialog-destination hidden">
+                <label for="copy-dialog-board">Board</label>
+                <select id="copy-dialog-board"></select>
+                <label for="copy-dialog-list">List</label>
+                <select id="copy-dialog-list"></select>
+            </div>
+            <div class="copy-dialog-options">
+                <h3 class="separator">Keep</h3>
+                <label class="copy-dialog-option">
+                    <input type="checkbox" name="copy_content" checked />
+                    Descriptions
+                </label>
+                <label class="copy-dialog-option">
+                    <input type="checkbox" name="copy_labels" checked />
+                    Labels
+                </label>
+                <label class="copy-dialog-option">
+                    <input type="checkbox" name="copy_attachments" checked />
+                    Attachments
+                </label>
+                <label class="copy-dialog-option">
+                    <input type="checkbox" name="copy_cover" checked />
+                    Cover images
+                </label>
+            </div>
+            <div class="copy-dialog-buttons separator">
+                <button class="copy-dialog-submit-btn contrast-btn">$submit_label</button>
+            </div>
+        </div>
+    </div>
+</template>
@@ -0,0 +1,30 @@
+<?php
+?>
+<!-- Bar to filter the cards shown on a board -->
+<template id="tmpl-filter-bar">
+    <div id="filter-bar" class="hidden">
+        <input class="filter-text" type="search" placeholder="Title or content..." spellcheck="false" />
+        <div class="filter-labels"></div>
+        <select class="filter-label-match">
+            <option value="any">Any of these labels</option>
+            <option value="all">All of these labels</option>
+        </select>
+        <select class="filter-assignee">
+            <option value="0">Any member</option>
+        </select>
+        <select class="filter-due">
+            <option value="">Any due date</option>
+            <option value="overdue">Overdue</option>
+            <option value="soon">Due soon</option>
+            <option value="week">Due in the next 7 days</option>
+            <option value="none">No due date</option>
+            <option value="range">Due between...</option>
+        </select>
+        <span class="filter-due-range hidden">
+            <input class="filter-due-from" type="date" />
+            <input class="filter-due-to" type="date" />
+        </span>
+        <span class="filter-count dim-text"></span>
+        <button class="filter-clear-btn dim-btn">Clear</button>
+    </div>
+</template>
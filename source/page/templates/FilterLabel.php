@@ -0,0 +1,5 @@
+<?php
+?>
+<template id="tmpl-filter-label">
+    <button class="filter-label card-label label label-$index $color" index="$index">$name</button>
+</template>
@@ -4,6 +4,9 @@
     <div id="card-dialog-container" class="dialog-container">
         <div class="opencard dialog scrollable-dialog vscrollable" id="opencard-$id" dbid="$id">
             <button class="dialog-close-btn close-btn dim-btn"></button>
+            <button class="opencard-copy-link-btn dim-btn" title="Copy a link to this card">Copy link</button>
+            <button class="opencard-copy-card-btn dim-btn" title="Copy this card to a list">Copy card</button>
+            <button class="opencard-move-card-btn dim-btn" title="Move this card to another board">Move to&hellip;</button>
             <h2 id="opencard-title" contenteditable="true" spellcheck="false">$title</h2>
             <div class="opencard-labellist labellist">
                 <button class="opencard-add-label dim-btn">&#10010</button>
@@ -12,6 +15,24 @@
                 <button class="opencard-label-create-btn label-row separator dim-btn">Create new</button>
                 <button class="opencard-label-cancel-btn label-row dim-btn">Cancel</button>
             </div>
+            <div class="opencard-assignees">
+                <h3>Members</h3>
+                <div class="opencard-assignee-list"></div>
+            </div>
+            <div class="opencard-dates">
+                <label>
+                    Start date
+                    <input type="date" class="opencard-start-date" />
+                </label>
+                <label>
+                    Due date
+                    <input type="date" class="opencard-due-date" />
+                </label>
+                <label class="opencard-done-label">
+                    <input type="checkbox" class="opencard-done-chk" />
+                    Done
+                </label>
+            </div>
             <div id="opencard-content-toolbar">
                 <h3>Description</h3>
                 <svg class="opencard-lock-btn icon"><use href="#icon-unlocked" /></svg>
@@ -23,6 +44,16 @@
             </h3>
             <h3 class="dim-text">Ctrl+V or drop files here</h3>
             <div class="opencard-attachlist"></div>
+            <h3>Comments</h3>
+            <div class="opencard-comment-list"></div>
+            <div class="opencard-comment-editor">
+                <div class="opencard-comment-reply-info hidden">
+                    Replying to <span class="opencard-comment-reply-name"></span>
+                    <a class="opencard-comment-reply-cancel inline-link" href="#">Cancel</a>
+                </div>
+                <textarea class="opencard-comment-input" rows="3" placeholder="Write a comment..."></textarea>
+                <button class="opencard-comment-submit-btn contrast-btn">Comment</button>
+            </div>
         </div>
     </div>
 </template>
@@ -0,0 +1,8 @@
+<?php
+?>
+<template id="tmpl-opencard-assignee">
+    <button class="opencard-assignee dim-btn" user-id="$user_id">
+        <span class="avatar">$initials</span>
+        $display_name
+    </button>
+</template>
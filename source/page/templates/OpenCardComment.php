@@ -0,0 +1,19 @@
+<?php
+?>
+<!-- Template for a comment in an open card -->
+<template id="tmpl-opencard-comment">
+    <div class="opencard-comment" id="comment-$id" dbid="$id">
+        <div class="opencard-comment-header">
+            <span class="avatar">$initials</span>
+            <span class="opencard-comment-author">$display_name</span>
+            <span class="opencard-comment-date dim-text">$created_date</span>
+        </div>
+        <div class="opencard-comment-content"></div>
+        <div class="opencard-comment-toolbar">
+            <a class="opencard-comment-reply-btn inline-link" href="#">Reply</a>
+            <a class="opencard-comment-edit-btn inline-link hidden" href="#">Edit</a>
+            <a class="opencard-comment-delete-btn inline-link hidden" href="#">Delete</a>
+        </div>
+        <div class="opencard-comment-replies"></div>
+    </div>
+</template>
@@ -0,0 +1,8 @@
+<?php
+?>
+<template id="tmpl-search-result-board">
+    <div class="search-result-board">
+        <h3 class="search-result-board-title"></h3>
+        <div class="search-result-cards"></div>
+    </div>
+</template>
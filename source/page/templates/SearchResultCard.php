@@ -0,0 +1,8 @@
+<?php
+?>
+<template id="tmpl-search-result-card">
+    <a class="search-result-card card" href="?board_id=$board_id&card_id=$id">
+        <h4 class="search-result-card-title"></h4>
+        <div class="search-result-card-info dim-text"></div>
+    </a>
+</template>
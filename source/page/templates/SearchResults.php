@@ -0,0 +1,11 @@
+<?php
+?>
+<!-- Template for the global search results page -->
+<template id="tmpl-search-results">
+    <div id="search-results-container" class="vscrollable">
+        <h2 class="search-results-title"></h2>
+        <p class="search-results-empty dim-text hidden">No cards found.</p>
+        <div class="search-results"></div>
+        <p class="search-results-truncated dim-text hidden">Only the first results are shown, refine the search to find more.</p>
+    </div>
+</template>
@@ -0,0 +1,26 @@
+<?php
+?>
+<template id="tmpl-shortcuts-dialog">
+    <div id="shortcuts-dialog-container" class="dialog-container">
+        <div id="shortcuts-dialog" class="dialog scrollable-dialog vscrollable">
+            <button class="dialog-close-btn close-btn dim-btn"></button>
+            <h2>Keyboard shortcuts</h2>
+            <table class="shortcuts-table">
+                <tr><td><kbd>n</kbd></td><td>Add a card to the list under the mouse</td></tr>
+                <tr><td><kbd>e</kbd> <kbd>Enter</kbd></td><td>Open the selected card</td></tr>
+                <tr><td><kbd>l</kbd></td><td>Choose the labels of the selected card</td></tr>
+                <tr><td><kbd>1</kbd> &ndash; <kbd>9</kbd></td><td>Add or remove a label of the selected card</td></tr>
+                <tr><td><kbd>/</kbd></td><td>Filter the cards</td></tr>
+                <tr><td><kbd>&larr;</kbd> <kbd>&uarr;</kbd> <kbd>&rarr;</kbd> <kbd>&darr;</kbd></td><td>Select another card</td></tr>
+                <tr><td><kbd>Space</kbd></td><td>Pick up the card or list with the focus, then move it with the arrow keys and drop it with <kbd>Space</kbd></td></tr>
+                <tr><td><kbd>Ctrl</kbd> + click</td><td>Add a card to the bulk selection, or remove it from it</td></tr>
+                <tr><td><kbd>Shift</kbd> + click</td><td>Add the cards of a list, from the last one clicked to this one, to the bulk selection</td></tr>
+                <tr><td><kbd>Esc</kbd></td><td>Close the open dialog</td></tr>
+                <tr><td><kbd>Ctrl</kbd> + <kbd>Z</kbd></td><td>Undo</td></tr>
+                <tr><td><kbd>Ctrl</kbd> + <kbd>Shift</kbd> + <kbd>Z</kbd></td><td>Redo</td></tr>
+                <tr><td><kbd>?</kbd></td><td>Show this help</td></tr>
+            </table>
+            <p class="shortcuts-note">The selected card is the open card, else the one with the keyboard focus, else the one under the mouse.</p>
+        </div>
+    </div>
+</template>
@@ -16,6 +16,15 @@ class Api
         'GET' => [
             'OpenCard',
             'GetBoardPermissions',
+            'GetBoardMembers',
+            'GetCardComments',
+            'GetBoardActivity',
+            'FindBoardCards',
+            'SearchCards',
+            'GetBoardChanges',
+            'GetArchivedItems',
+            'GetCopyDestinations',
+            'GetBoardTemplates',
             'ExportBoard'
         ],
         'POST' => [
@@ -31,29 +40,50 @@ class Api
             'ImportFromTrello',
             'CreateBoardLabel',
             'RequestBoardAccess',
-            'UploadChunk'
+            'UploadChunk',
+            'AddCardComment',
+            'CopyCard',
+            'CopyCardList',
+            'DuplicateBoard',
+            'CreateBoardFromTemplate'
         ],
         'PUT' => [
             'MoveCard',
+            'MoveCardToBoard',
+            'MoveAllCards',
+            'BulkUpdateCards',
             'MoveCardList',
             'UpdateCardTitle',
             'UpdateCardContent',
             'UpdateCardFlags',
+            'UpdateCardDates',
             'UpdateAttachmentName',
             'UpdateCardListName',
+            'UpdateCardListLimit',
+            'SortCardList',
             'UpdateBoardTitle',
             'CloseBoard',
             'ReopenBoard',
+            'SetBoardTemplate',
+            'SetBoardPreferences',
             'UpdateBoardLabel',
             'SetCardLabel',
-            'SetUserPermission'
+            'SetCardAssignee',
+            'UpdateCardComment',
+            'SetUserPermission',
+            'RestoreCard',
+            'RestoreCardList'
         ],
         'DELETE' => [
             'DeleteCard',
             'DeleteAttachment',
             'DeleteCardList',
             'DeleteBoard',
-            'DeleteBoardLabel'
+            'DeleteBoardLabel',
+            'DeleteCardComment',
+            'PurgeCard',
+            'PurgeCardList',
+            'PurgeExpiredItems'
         ],
     ];
 
@@ -225,14 +255,21 @@ class Api
     private function dispatch(string $operation, string $httpMethod, array $parameters): mixed {
         $this->validateAPIMethod($operation, $httpMethod);
 
+        // Mutating operations are recorded in the board activity log
+        $activity = $httpMethod !== 'GET' ? Activity::describeOperation($operation, $parameters) : null;
+
         if (
             array_key_exists($httpMethod, self::ALLOWED_OPERATIONS)
             && in_array($operation, self::ALLOWED_OPERATIONS[$httpMethod], true)
         ) {
-            return $this->$operation($parameters);
+            $response = $this->$operation($parameters);
         } else {
-            return $this->registeredOperations[$httpMethod][$operation]($parameters);
+            $response = $this->registeredOperations[$httpMethod][$operation]($parameters);
         }
+
+        Activity::recordOperation($activity, $response);
+
+        return $response;
     }
 
     // ===== API Calls =====
@@ -267,11 +304,31 @@ class Api
         return Card::deleteCard($request);
     }
 
+    private function RestoreCard(array $request): array
+    {
+        return Card::restoreCard($request);
+    }
+
     private function MoveCard(array $request): array
     {
         return Card::moveCard($request);
     }
 
+    private function MoveCardToBoard(array $request): array
+    {
+        return Card::moveCardToBoard($request);
+    }
+
+    private function MoveAllCards(array $request): array
+    {
+        return CardList::moveAllCards($request);
+    }
+
+    private function BulkUpdateCards(array $request): array
+    {
+        return BulkCards::updateCards($request);
+    }
+
     private function MoveCardList(array $request): array
     {
         return CardList::moveCardList($request);
@@ -292,6 +349,11 @@ class Api
         return Card::updateCardFlags($request);
     }
 
+    private function UpdateCardDates(array $request): array
+    {
+        return Card::updateCardDates($request);
+    }
+
     private function UploadAttachment(array $request): array
     {
         return Attachment::uploadAttachment($request);
@@ -317,6 +379,16 @@ class Api
 		return CardList::updateCardListName($request);
 	}
 
+	private function UpdateCardListLimit(array $request): array
+	{
+		return CardList::updateCardListLimit($request);
+	}
+
+	private function SortCardList(array $request): array
+	{
+		return CardList::sortCardList($request);
+	}
+
 	private function AddCardList(array $request): array
 	{
 		return CardList::addCardList($request);
@@ -327,6 +399,11 @@ class Api
 		return CardList::deleteCardList($request);
 	}
 
+	private function RestoreCardList(array $request): array
+	{
+		return CardList::restoreCardList($request);
+	}
+
 	private function UpdateBoardTitle(array $request): array
 	{
 		return Board::updateBoardTitle($request);
@@ -382,6 +459,116 @@ class Api
 		return Label::setCardLabel($request);
 	}
 
+	private function GetBoardMembers(array $request): array
+	{
+		return Assignee::getBoardMembers($request);
+	}
+
+	private function SetCardAssignee(array $request): array
+	{
+		return Assignee::setCardAssignee($request);
+	}
+
+	private function FindBoardCards(array $request): array
+	{
+		return Card::findBoardCards($request);
+	}
+
+	private function SearchCards(array $request): array
+	{
+		return Search::searchCards($request);
+	}
+
+	private function GetCardComments(array $request): array
+	{
+		return Comment::getCardComments($request);
+	}
+
+	private function AddCardComment(array $request): array
+	{
+		return Comment::addCardComment($request);
+	}
+
+	private function UpdateCardComment(array $request): array
+	{
+		return Comment::updateCardComment($request);
+	}
+
+	private function DeleteCardComment(array $request): array
+	{
+		return Comment::deleteCardComment($request);
+	}
+
+	private function GetBoardActivity(array $request): array
+	{
+		return Activity::getBoardActivity($request);
+	}
+
+	private function GetBoardChanges(array $request): array
+	{
+		return BoardChanges::getBoardChanges($request);
+	}
+
+	private function GetArchivedItems(array $request): array
+	{
+		return Archive::getArchivedItems($request);
+	}
+
+	private function PurgeCard(array $request): array
+	{
+		return Archive::purgeCard($request);
+	}
+
+	private function PurgeCardList(array $request): array
+	{
+		return Archive::purgeCardList($request);
+	}
+
+	private function PurgeExpiredItems(array $request): array
+	{
+		return Archive::purgeExpiredItems($request);
+	}
+
+	private function GetCopyDestinations(array $request): array
+	{
+		return Duplicate::getCopyDestinations($request);
+	}
+
+	private function CopyCard(array $request): array
+	{
+		return Duplicate::copyCard($request);
+	}
+
+	private function CopyCardList(array $request): array
+	{
+		return Duplicate::copyCardList($request);
+	}
+
+	private function DuplicateBoard(array $request): array
+	{
+		return Duplicate::duplicateBoard($request);
+	}
+
+	private function GetBoardTemplates(array $request): array
+	{
+		return BoardTemplate::getBoardTemplates($request);
+	}
+
+	private function CreateBoardFromTemplate(array $request): array
+	{
+		return BoardTemplate::createBoardFromTemplate($request);
+	}
+
+	private function SetBoardTemplate(array $request): array
+	{
+		return BoardTemplate::setBoardTemplate($request);
+	}
+
+	private function SetBoardPreferences(array $request): array
+	{
+		return BoardPreferences::setBoardPreferences($request);
+	}
+
 	private function GetBoardPermissions(array $request): array
     {
 		return Permission::getBoardPermissions($request);
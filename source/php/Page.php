@@ -21,6 +21,7 @@ class Page
         $this->db = $db;
 
         $this->api->registerOperation('GET', 'GetCurrentPage', [$this, 'getCurrentPage']);
+        $this->api->registerOperation('GET', 'GetBoard', [$this, 'getBoard']);
     }
 
     /**
@@ -52,6 +53,22 @@ class Page
         }
     }
 
+    /**
+     * Request only the data of a board, when the client switches to another board and keeps the rest of the page.
+     * @param array $request The request parameters, with 'board_id'.
+     * @return array The board data, with its lists, cards and revision, and the board preferences of the user.
+     * @throws InvalidArgumentException If the board ID is missing.
+     * @throws ApiException If the user is not logged in or can't access the board.
+     */
+    public function getBoard(array $request): array
+    {
+        if (empty($request['board_id']) || !is_numeric($request['board_id'])) {
+            throw new InvalidArgumentException("Missing or invalid parameter: board_id");
+        }
+
+        return self::readBoardData((int) $request['board_id']);
+    }
+
     /**
      * Get the page for a logged-in user based on the request.
      * @param array $request The request parameters.
@@ -243,7 +260,7 @@ class Page
         $displayName = $_SESSION['display_name'] ?? 'Unknown';
 
         try {
-            $boardData = Board::getBoardData($boardId, UserType::None, true, true);
+            $boardData = self::readBoardData($boardId);
         } catch (ApiException) {
             return [
                 'page_name'    => 'UnaccessibleBoard',
@@ -272,4 +289,23 @@ class Page
             'page_content' => $boardData
         ];
     }
+
+    /**
+     * Read a board with its lists and cards, as displayed by the client.
+     * @param int $boardId The board ID.
+     * @return array The board data, with the revision to follow its changes from and the preferences of the user.
+     * @throws ApiException If the user can't access the board.
+     */
+    private function readBoardData(int $boardId): array
+    {
+        // Read before the board, so that live updates can't miss a change made while loading it
+        $revision = BoardChanges::getBoardRevision($boardId);
+
+        $boardData = Board::getBoardData($boardId, UserType::None, true, true);
+        $boardData['user_id'] = (int) $_SESSION['user_id'];
+        $boardData['revision'] = $revision;
+        $boardData['preferences'] = BoardPreferences::getBoardPreferences($boardId);
+
+        return $boardData;
+    }
 }
\ No newline at end of file
@@ -45,4 +45,36 @@ class Utils
         // Truncate
         return $maxChars > 0 ? mb_substr($result, 0, $maxChars) : $result;
     }
-}
\ No newline at end of file
+
+    /**
+     * Escape the wildcards of a string, so it can be matched literally with LIKE.
+     * @param string $text The text to escape.
+     * @return string The escaped text.
+     */
+    public static function escapeLike(string $text): string
+    {
+        return addcslashes($text, '%_\\');
+    }
+
+    /**
+     * Get the part of a text around the first occurrence of a string, to show it in context.
+     * @param string $text The text to extract from.
+     * @param string $needle The string to look for, case-insensitive.
+     * @param int $radius The number of characters to keep on each side of the match.
+     * @return string The excerpt, with ellipses where the text has been cut.
+     */
+    public static function excerpt(string $text, string $needle, int $radius = 40): string
+    {
+        $text = trim(preg_replace('/\s+/u', ' ', $text));
+        $pos = $needle !== '' ? mb_stripos($text, $needle) : false;
+        if ($pos === false) {
+            $pos = 0;
+        }
+
+        $start = max(0, $pos - $radius);
+        $end = min(mb_strlen($text), $pos + mb_strlen($needle) + $radius);
+        $result = mb_substr($text, $start, $end - $start);
+
+        return ($start > 0 ? '…' : '') . $result . ($end < mb_strlen($text) ? '…' : '');
+    }
+}
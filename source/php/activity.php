@@ -0,0 +1,515 @@
+<?php
+
+declare(strict_types=1);
+require_once __DIR__ . '/../vendor/autoload.php';
+
+/**
+ * Records and lists the activity log of boards: who changed what, and when.
+ */
+class Activity
+{
+    const PAGE_SIZE = 25;
+
+    // Mutating operations that are not about the content of a single existing board.
+    private const UNLOGGED_OPERATIONS = [
+        'Login',
+        'Logout',
+        'Register',
+        'UploadChunk',
+        'CreateNewBoard',
+        'DuplicateBoard',
+        'CreateBoardFromTemplate',
+        'SetBoardPreferences',
+        'DeleteBoard',
+        'ImportBoard',
+        'ImportFromTrello',
+    ];
+
+    /**
+     * Describe an operation before it runs, while everything it refers to still exists.
+     * @param string $operation The API operation name.
+     * @param array  $request   The request parameters.
+     * @return array|null The pending activity entry, or null if the operation is not logged.
+     */
+    public static function describeOperation(string $operation, array $request): ?array
+    {
+        if (in_array($operation, self::UNLOGGED_OPERATIONS, true) || empty($_SESSION['user_id'])) {
+            return null;
+        }
+
+        $boardID = (int)($request['board_id'] ?? 0);
+        if (in_array($operation, ['CloseBoard', 'ReopenBoard'], true)) {
+            $boardID = (int)($request['id'] ?? $boardID);
+        }
+        if ($boardID <= 0) {
+            return null; // not a board operation
+        }
+
+        $entry = [
+            'board_id'    => $boardID,
+            'operation'   => $operation,
+            'card_id'     => 0,
+            'cardlist_id' => 0,
+            'client_id'   => mb_substr((string)($request['client_id'] ?? ''), 0, 64),
+        ];
+
+        try {
+            return self::describeBoardOperation($entry, $request);
+        } catch (Throwable $e) {
+            // Never fail an operation because of its log entry
+            Logger::warning("Activity: Could not describe $operation on board $boardID - " . $e->getMessage());
+            $entry['description'] = "performed $operation";
+            return $entry;
+        }
+    }
+
+    /**
+     * Save the log entry of an operation that has completed successfully.
+     * @param array|null $entry    The pending entry from describeOperation().
+     * @param mixed      $response The response of the operation.
+     * @return void
+     */
+    public static function recordOperation(?array $entry, mixed $response): void
+    {
+        if ($entry === null || http_response_code() >= 400 || (is_array($response) && isset($response['error']))) {
+            return;
+        }
+
+        // Creations only know the ID of what they created once done
+        if ($entry['operation'] === 'AddNewCard') {
+            $entry['card_id'] = (int)($response['id'] ?? 0);
+        } elseif ($entry['operation'] === 'AddCardList' || $entry['operation'] === 'CopyCardList') {
+            $entry['cardlist_id'] = (int)($response['id'] ?? 0);
+        } elseif ($entry['operation'] === 'CopyCard') {
+            // The copy may be on another board, where it is logged
+            $entry['board_id'] = (int)($response['board_id'] ?? $entry['board_id']);
+            $entry['card_id'] = (int)($response['id'] ?? 0);
+            $entry['cardlist_id'] = (int)($response['cardlist_id'] ?? 0);
+        }
+
+        if (isset($entry['cards'])) {
+            // One entry for each card of a bulk change, as if changed on its own
+            foreach ($entry['cards'] as $cardEntry) {
+                self::insertEntry(array_merge($entry, $cardEntry));
+            }
+            return;
+        }
+
+        self::insertEntry($entry);
+
+        if ($entry['operation'] === 'MoveCardToBoard') {
+            // Also logged on the destination board, where the card now is
+            self::insertEntry([
+                'board_id'    => (int)($response['board_id'] ?? 0),
+                'operation'   => $entry['operation'],
+                'description' => "moved card " . self::quote((string)($response['title'] ?? '')) .
+                    " here from board " . self::quote(self::getBoardTitle($entry['board_id'])),
+                'card_id'     => (int)($response['id'] ?? 0),
+                'cardlist_id' => (int)($response['cardlist_id'] ?? 0),
+                'client_id'   => $entry['client_id'],
+            ]);
+        } elseif ($entry['operation'] === 'MoveAllCards' && (int)($response['board_id'] ?? 0) !== $entry['board_id']) {
+            self::insertEntry([
+                'board_id'    => (int)$response['board_id'],
+                'operation'   => $entry['operation'],
+                'description' => "moved the cards of another list to list " .
+                    self::quote((string)($response['name'] ?? '')) . " from board " .
+                    self::quote(self::getBoardTitle($entry['board_id'])),
+                'card_id'     => 0,
+                'cardlist_id' => (int)($response['id'] ?? 0),
+                'client_id'   => $entry['client_id'],
+            ]);
+        }
+    }
+
+    /**
+     * Save a log entry.
+     * @param array $entry The entry, with 'board_id', 'operation', 'description', 'card_id', 'cardlist_id' and
+     *                     'client_id'.
+     * @return void
+     */
+    private static function insertEntry(array $entry): void
+    {
+        try {
+            DB::getInstance()->query(
+                "INSERT INTO tarallo_activity (board_id, user_id, operation, description, card_id, cardlist_id, client_id, time)
+                 VALUES (:board_id, :user_id, :operation, :description, :card_id, :cardlist_id, :client_id, :time)",
+                [
+                    'board_id'    => $entry['board_id'],
+                    'user_id'     => (int)$_SESSION['user_id'],
+                    'operation'   => $entry['operation'],
+                    'description' => mb_substr($entry['description'], 0, 512),
+                    'card_id'     => $entry['card_id'],
+                    'cardlist_id' => $entry['cardlist_id'],
+                    'client_id'   => $entry['client_id'],
+                    'time'        => time(),
+                ]
+            );
+        } catch (Throwable $e) {
+            Logger::error("Activity: Failed to record {$entry['operation']} on board {$entry['board_id']} - " . $e->getMessage());
+        }
+    }
+
+    /**
+     * Get a page of the activity log of a board, most recent first.
+     * @param array $request Must contain 'board_id', optionally 'page' (0 based).
+     * @return array ['entries' => list of entries, 'page' => int, 'has_more' => bool]
+     * @throws InvalidArgumentException On invalid parameters.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function getBoardActivity(array $request): array
+    {
+        if (!isset($request['board_id']) || !is_numeric($request['board_id'])) {
+            throw new InvalidArgumentException("Missing or invalid board_id");
+        }
+        $boardID = (int)$request['board_id'];
+        $page    = max(0, (int)($request['page'] ?? 0));
+
+        Board::GetBoardData($boardID, UserType::Observer);
+
+        // Fetch one extra row to know if there is another page
+        $limit  = self::PAGE_SIZE + 1;
+        $offset = $page * self::PAGE_SIZE;
+
+        try {
+            $records = DB::getInstance()->fetchTable(
+                "SELECT a.*, u.display_name
+                   FROM tarallo_activity a
+                   LEFT JOIN tarallo_users u ON a.user_id = u.id
+                  WHERE a.board_id = :board_id
+                  ORDER BY a.id DESC
+                  LIMIT $limit OFFSET $offset",
+                ['board_id' => $boardID]
+            );
+        } catch (Throwable $e) {
+            Logger::error("GetBoardActivity: DB error for board $boardID - " . $e->getMessage());
+            throw new ApiException("Failed to fetch board activity");
+        }
+
+        $hasMore = count($records) > self::PAGE_SIZE;
+        $entries = array_map(fn($record) => [
+            'id'           => (int)$record['id'],
+            'user_id'      => (int)$record['user_id'],
+            'display_name' => (string)($record['display_name'] ?? ''),
+            'operation'    => $record['operation'],
+            'description'  => $record['description'],
+            'card_id'      => (int)$record['card_id'],
+            'cardlist_id'  => (int)$record['cardlist_id'],
+            'date'         => date('d M Y H:i', (int)$record['time']),
+        ], array_slice($records, 0, self::PAGE_SIZE));
+
+        return [
+            'entries'  => $entries,
+            'page'     => $page,
+            'has_more' => $hasMore,
+        ];
+    }
+
+    /**
+     * Fill in the description and the affected card or list of an operation.
+     * @param array $entry   The entry being built, with 'board_id' and 'operation'.
+     * @param array $request The request parameters.
+     * @return array The completed entry.
+     */
+    private static function describeBoardOperation(array $entry, array $request): array
+    {
+        $boardID = $entry['board_id'];
+        $op      = $entry['operation'];
+
+        if ($op === 'BulkUpdateCards') {
+            return self::describeBulkOperation($entry, $request);
+        }
+
+        // Resolve the card affected by the operation, if any
+        $cardID = match ($op) {
+            'MoveCard'           => (int)($request['moved_card_id'] ?? 0),
+            'DeleteCard'         => (int)($request['deleted_card_id'] ?? 0),
+            'UpdateCardTitle',
+            'UpdateCardContent',
+            'UpdateCardFlags',
+            'UpdateCardDates',
+            'RestoreCard',
+            'PurgeCard',
+            'CopyCard',
+            'MoveCardToBoard'    => (int)($request['id'] ?? 0),
+            'DeleteAttachment',
+            'UpdateAttachmentName' => self::getAttachmentCardID($boardID, (int)($request['id'] ?? 0)),
+            'UpdateCardComment',
+            'DeleteCardComment'  => self::getCommentCardID($boardID, (int)($request['id'] ?? 0)),
+            'SetCardLabel',
+            'UploadAttachment',
+            'SetCardAssignee',
+            'AddCardComment'     => (int)($request['card_id'] ?? 0),
+            default              => 0,
+        };
+        $card = $cardID > 0 ? self::quote(self::getCardTitle($boardID, $cardID)) : '';
+
+        // Resolve the list affected by the operation, if any
+        $sameBoardMove = (int)($request['dest_board_id'] ?? $boardID) === $boardID;
+        $listID = match ($op) {
+            'AddNewCard'         => (int)($request['cardlist_id'] ?? 0),
+            'MoveCard'           => (int)($request['dest_cardlist_id'] ?? 0),
+            // The list the cards arrive in, unless they leave the board
+            'MoveAllCards'       => (int)($request[$sameBoardMove ? 'dest_cardlist_id' : 'id'] ?? 0),
+            'MoveCardList'       => (int)($request['moved_cardlist_id'] ?? 0),
+            'UpdateCardListName',
+            'UpdateCardListLimit',
+            'SortCardList',
+            'DeleteCardList',
+            'RestoreCardList',
+            'PurgeCardList',
+            'CopyCardList'       => (int)($request['id'] ?? 0),
+            default              => 0,
+        };
+        $list = $listID > 0 ? self::quote(self::getListName($boardID, $listID)) : '';
+
+        $label = in_array($op, ['SetCardLabel', 'UpdateBoardLabel', 'DeleteBoardLabel'], true)
+            ? self::quote(self::getLabelName($boardID, (int)($request['index'] ?? -1)))
+            : '';
+
+        $entry['description'] = match ($op) {
+            'AddNewCard'           => "added card " . self::quote((string)($request['title'] ?? '')) . " to list $list",
+            'DeleteCard'           => "archived card $card",
+            'RestoreCard'          => "restored card $card",
+            'PurgeCard'            => "permanently deleted card $card",
+            'CopyCard'             => "copied card $card",
+            'MoveCard'             => "moved card $card to list $list",
+            'UpdateCardTitle'      => "renamed card $card to " . self::quote((string)($request['title'] ?? '')),
+            'UpdateCardContent'    => "edited the description of card $card",
+            'UpdateCardFlags'      => self::describeFlagsChange($request) . " card $card",
+            'UpdateCardDates'      => "changed the dates of card $card",
+            'UploadAttachment'     => "attached " . self::quote((string)($request['filename'] ?? '')) . " to card $card",
+            'DeleteAttachment'     => "deleted an attachment of card $card",
+            'UpdateAttachmentName' => "renamed an attachment of card $card to " . self::quote((string)($request['name'] ?? '')),
+            'SetCardLabel'         => !empty($request['active'])
+                ? "added label $label to card $card"
+                : "removed label $label from card $card",
+            'SetCardAssignee'      => (!empty($request['assigned']) ? "assigned " : "unassigned ") .
+                self::getUserName((int)($request['user_id'] ?? 0)) . " to card $card",
+            'AddCardComment'       => "commented on card $card",
+            'UpdateCardComment'    => "edited a comment on card $card",
+            'DeleteCardComment'    => "deleted a comment on card $card",
+            'AddCardList'          => "added list " . self::quote((string)($request['name'] ?? '')),
+            'UpdateCardListName'   => "renamed list $list to " . self::quote((string)($request['name'] ?? '')),
+            'UpdateCardListLimit'  => (int)($request['card_limit'] ?? 0) > 0
+                ? "limited list $list to " . (int)$request['card_limit'] . " cards"
+                : "removed the card limit of list $list",
+            'SortCardList'         => "sorted list $list by " . self::describeSortKey((string)($request['sort_by'] ?? '')) .
+                (!empty($request['auto_sort']) ? ", keeping it sorted" : ""),
+            'MoveCardList'         => "moved list $list",
+            'DeleteCardList'       => "archived list $list",
+            'RestoreCardList'      => "restored list $list",
+            'PurgeCardList'        => "permanently deleted list $list",
+            'CopyCardList'         => "copied list $list",
+            'MoveCardToBoard'      => "moved card $card to board " .
+                self::quote(self::getBoardTitle((int)($request['dest_board_id'] ?? 0))),
+            'MoveAllCards'         => "moved all cards of list " .
+                self::quote(self::getListName($boardID, (int)($request['id'] ?? 0))) . ($sameBoardMove
+                    ? " to list $list"
+                    : " to board " . self::quote(self::getBoardTitle((int)$request['dest_board_id']))),
+            'UpdateBoardTitle'     => "renamed the board to " . self::quote((string)($request['title'] ?? '')),
+            'UploadBackground'     => "changed the board background",
+            'CloseBoard'           => "closed the board",
+            'ReopenBoard'          => "reopened the board",
+            'SetBoardTemplate'     => !empty($request['is_template'])
+                ? "made the board a template"
+                : "made the board a normal board again",
+            'CreateBoardLabel'     => "created a new label",
+            'UpdateBoardLabel'     => "changed label $label to " . self::quote((string)($request['name'] ?? '')),
+            'DeleteBoardLabel'     => "deleted label $label",
+            'SetUserPermission'    => "changed the permissions of " . self::getUserName((int)($request['user_id'] ?? 0)),
+            'RequestBoardAccess'   => "requested access to the board",
+            default                => "performed $op",
+        };
+
+        $entry['card_id'] = $cardID;
+        $entry['cardlist_id'] = $listID;
+        return $entry;
+    }
+
+    /**
+     * Describe a change applied to several cards at once, with an entry for each card in 'cards'.
+     * @param array $entry   The entry being built, with 'board_id' and 'operation'.
+     * @param array $request The BulkUpdateCards request parameters.
+     * @return array The completed entry.
+     */
+    private static function describeBulkOperation(array $entry, array $request): array
+    {
+        $boardID = $entry['board_id'];
+        $action  = (string)($request['action'] ?? '');
+
+        $listID = $action === 'move' ? (int)($request['dest_cardlist_id'] ?? 0) : 0;
+        $list = $listID > 0 ? self::quote(self::getListName($boardID, $listID)) : '';
+        $label = $action === 'label' ? self::quote(self::getLabelName($boardID, (int)($request['index'] ?? -1))) : '';
+        $user = $action === 'assign' ? self::getUserName((int)($request['user_id'] ?? 0)) : '';
+
+        $describe = fn(string $card) => match ($action) {
+            'move'     => "moved card $card to list $list",
+            'label'    => !empty($request['active'])
+                ? "added label $label to card $card"
+                : "removed label $label from card $card",
+            'assign'   => (!empty($request['assigned']) ? "assigned " : "unassigned ") . "$user to card $card",
+            'due_date' => "changed the dates of card $card",
+            'archive'  => "archived card $card",
+            'delete'   => "permanently deleted card $card",
+            default    => "changed card $card",
+        };
+
+        $cardIDs = is_array($request['card_ids'] ?? null) ? $request['card_ids'] : [];
+        $entry['cards'] = [];
+        foreach (array_unique(array_map('intval', $cardIDs)) as $cardID) {
+            $entry['cards'][] = [
+                'card_id'     => $cardID,
+                'cardlist_id' => $listID,
+                'description' => $describe(self::quote(self::getCardTitle($boardID, $cardID))),
+            ];
+        }
+
+        $entry['description'] = "changed " . count($entry['cards']) . " cards";
+        return $entry;
+    }
+
+    /**
+     * Describe a change of card flags, e.g. "locked" or "marked as done".
+     * @param array $request The UpdateCardFlags request parameters.
+     * @return string The verb describing the change.
+     */
+    private static function describeFlagsChange(array $request): string
+    {
+        if (array_key_exists('done', $request)) {
+            return !empty($request['done']) ? "completed" : "reopened";
+        }
+        if (array_key_exists('locked', $request)) {
+            return !empty($request['locked']) ? "locked" : "unlocked";
+        }
+
+        return "updated";
+    }
+
+    /**
+     * Describe the key a list is sorted by, e.g. "due date".
+     * @param string $sortBy One of CardList::SORT_KEYS.
+     * @return string The description.
+     */
+    private static function describeSortKey(string $sortBy): string
+    {
+        return match ($sortBy) {
+            'created'    => "creation time",
+            'last_moved' => "last move",
+            'label'      => "label",
+            'due_date'   => "due date",
+            default      => "title",
+        };
+    }
+
+    /**
+     * Quote a name for use in a description.
+     * @param string $name The name.
+     * @return string The quoted name.
+     */
+    private static function quote(string $name): string
+    {
+        return '"' . $name . '"';
+    }
+
+    /**
+     * Get the title of a card of the board, empty if not found.
+     * @param int $boardID The board ID.
+     * @param int $cardID The card ID.
+     * @return string The title.
+     */
+    private static function getCardTitle(int $boardID, int $cardID): string
+    {
+        return (string)DB::getInstance()->fetchOne(
+            "SELECT title FROM tarallo_cards WHERE id = :id AND board_id = :board_id",
+            ['id' => $cardID, 'board_id' => $boardID]
+        );
+    }
+
+    /**
+     * Get the title of a board, empty if not found.
+     * @param int $boardID The board ID.
+     * @return string The title.
+     */
+    private static function getBoardTitle(int $boardID): string
+    {
+        return (string)DB::getInstance()->fetchOne(
+            "SELECT title FROM tarallo_boards WHERE id = :id",
+            ['id' => $boardID]
+        );
+    }
+
+    /**
+     * Get the name of a list of the board, empty if not found.
+     * @param int $boardID The board ID.
+     * @param int $listID The list ID.
+     * @return string The name.
+     */
+    private static function getListName(int $boardID, int $listID): string
+    {
+        return (string)DB::getInstance()->fetchOne(
+            "SELECT name FROM tarallo_cardlists WHERE id = :id AND board_id = :board_id",
+            ['id' => $listID, 'board_id' => $boardID]
+        );
+    }
+
+    /**
+     * Get the name of a label of the board from its index, empty if not found.
+     * @param int $boardID The board ID.
+     * @param int $labelIndex The label index.
+     * @return string The name.
+     */
+    private static function getLabelName(int $boardID, int $labelIndex): string
+    {
+        if ($labelIndex < 0) {
+            return '';
+        }
+
+        $labelNames = (string)DB::getInstance()->fetchOne(
+            "SELECT label_names FROM tarallo_boards WHERE id = :id",
+            ['id' => $boardID]
+        );
+        return explode(',', $labelNames)[$labelIndex] ?? '';
+    }
+
+    /**
+     * Get the display name of a user, empty if not found.
+     * @param int $userID The user ID.
+     * @return string The name.
+     */
+    private static function getUserName(int $userID): string
+    {
+        return (string)DB::getInstance()->fetchOne(
+            "SELECT display_name FROM tarallo_users WHERE id = :id",
+            ['id' => $userID]
+        );
+    }
+
+    /**
+     * Get the ID of the card an attachment of the board belongs to, 0 if not found.
+     * @param int $boardID The board ID.
+     * @param int $attachmentID The attachment ID.
+     * @return int The ID.
+     */
+    private static function getAttachmentCardID(int $boardID, int $attachmentID): int
+    {
+        return (int)DB::getInstance()->fetchOne(
+            "SELECT card_id FROM tarallo_attachments WHERE id = :id AND board_id = :board_id",
+            ['id' => $attachmentID, 'board_id' => $boardID]
+        );
+    }
+
+    /**
+     * Get the ID of the card a comment of the board belongs to, 0 if not found.
+     * @param int $boardID The board ID.
+     * @param int $commentID The comment ID.
+     * @return int The ID.
+     */
+    private static function getCommentCardID(int $boardID, int $commentID): int
+    {
+        return (int)DB::getInstance()->fetchOne(
+            "SELECT card_id FROM tarallo_comments WHERE id = :id AND board_id = :board_id",
+            ['id' => $commentID, 'board_id' => $boardID]
+        );
+    }
+}
@@ -0,0 +1,240 @@
+<?php
+
+declare(strict_types=1);
+require_once __DIR__ . '/../vendor/autoload.php';
+
+/**
+ * The archive of a board: the cards and lists that have been deleted, which can be restored until they are purged.
+ * Archived items are purged by hand, or once archived for longer than the number of days of the 'archive_purge_days'
+ * setting (0 to keep them forever) when a moderator opens the archive.
+ */
+class Archive
+{
+    /**
+     * List the archived cards and lists of a board, most recently archived first.
+     * @param array $request Must contain 'board_id'.
+     * @return array ['purge_days' => int, 'lists' => array, 'cards' => array]; the cards of archived lists are not
+     *               listed, they are counted in their list's 'card_count'.
+     * @throws InvalidArgumentException On invalid parameters.
+     * @throws ApiException On permission denial.
+     */
+    public static function getArchivedItems(array $request): array
+    {
+        if (!isset($request['board_id']) || !is_numeric($request['board_id'])) {
+            throw new InvalidArgumentException("Missing or invalid board_id");
+        }
+        $boardID = (int)$request['board_id'];
+
+        Board::GetBoardData($boardID, UserType::Observer);
+
+        $lists = DB::getInstance()->fetchTable(
+            "SELECT l.id, l.name, l.deleted_time,
+                    (SELECT COUNT(*) FROM tarallo_cards c WHERE c.cardlist_id = l.id) AS card_count
+               FROM tarallo_cardlists l
+              WHERE l.board_id = :board_id AND l.deleted_time > 0
+              ORDER BY l.deleted_time DESC, l.id DESC",
+            ['board_id' => $boardID]
+        );
+        $cards = DB::getInstance()->fetchTable(
+            "SELECT c.id, c.title, c.cardlist_id, c.deleted_time, l.name AS list_name
+               FROM tarallo_cards c
+              INNER JOIN tarallo_cardlists l ON l.id = c.cardlist_id
+              WHERE c.board_id = :board_id AND c.deleted_time > 0 AND l.deleted_time = 0
+              ORDER BY c.deleted_time DESC, c.id DESC",
+            ['board_id' => $boardID]
+        );
+
+        return [
+            'purge_days' => self::getPurgeDays(),
+            'lists'      => array_map(fn($list) => [
+                'id'            => (int)$list['id'],
+                'name'          => (string)$list['name'],
+                'card_count'    => (int)$list['card_count'],
+                'archived_date' => date('d M Y H:i', (int)$list['deleted_time']),
+            ], $lists),
+            'cards'      => array_map(fn($card) => [
+                'id'            => (int)$card['id'],
+                'title'         => (string)$card['title'],
+                'cardlist_id'   => (int)$card['cardlist_id'],
+                'list_name'     => (string)$card['list_name'],
+                'archived_date' => date('d M Y H:i', (int)$card['deleted_time']),
+            ], $cards),
+        ];
+    }
+
+    /**
+     * Permanently delete an archived card, with its attachments.
+     * @param array $request Must contain 'board_id' and 'id'.
+     * @return array ['success' => true, 'id' => int]
+     * @throws InvalidArgumentException On invalid parameters.
+     * @throws ApiException On permission denial or if the card is not archived.
+     */
+    public static function purgeCard(array $request): array
+    {
+        [$boardID, $cardID] = self::getItemParams($request);
+
+        Board::GetBoardData($boardID, UserType::Moderator);
+
+        $cardRecord = Card::getCardData($boardID, $cardID, true);
+        if ((int)$cardRecord['deleted_time'] === 0) {
+            throw new ApiException("Card $cardID is not archived", 400);
+        }
+
+        Card::deleteCardInternal($cardID);
+        Logger::info("PurgeCard: User {$_SESSION['user_id']} purged card $cardID from board $boardID");
+
+        return ['success' => true, 'id' => $cardID];
+    }
+
+    /**
+     * Permanently delete an archived list, with its cards.
+     * @param array $request Must contain 'board_id' and 'id'.
+     * @return array ['success' => true, 'id' => int]
+     * @throws InvalidArgumentException On invalid parameters.
+     * @throws ApiException On permission denial or if the list is not archived.
+     */
+    public static function purgeCardList(array $request): array
+    {
+        [$boardID, $listID] = self::getItemParams($request);
+
+        Board::GetBoardData($boardID, UserType::Moderator);
+
+        $cardListData = Card::GetCardlistData($boardID, $listID, true);
+        if ((int)$cardListData['deleted_time'] === 0) {
+            throw new ApiException("List $listID is not archived", 400);
+        }
+
+        self::purgeCardListInternal($listID);
+        Logger::info("PurgeCardList: User {$_SESSION['user_id']} purged list $listID from board $boardID");
+
+        return ['success' => true, 'id' => $listID];
+    }
+
+    /**
+     * Purge the items of a board that have been archived for longer than the 'archive_purge_days' setting.
+     * There is no scheduled task to do it, the client asks for it when a moderator opens the archive.
+     * @param array $request Must contain 'board_id'.
+     * @return array ['success' => true]
+     * @throws InvalidArgumentException On invalid parameters.
+     * @throws ApiException On permission denial.
+     */
+    public static function purgeExpiredItems(array $request): array
+    {
+        if (!isset($request['board_id']) || !is_numeric($request['board_id'])) {
+            throw new InvalidArgumentException("Missing or invalid board_id");
+        }
+        $boardID = (int)$request['board_id'];
+
+        Board::GetBoardData($boardID, UserType::Moderator);
+        self::purgeExpiredItemsInternal($boardID);
+
+        return ['success' => true];
+    }
+
+    /**
+     * Purge the items of a board that have been archived for longer than the 'archive_purge_days' setting.
+     * The caller handles the permissions.
+     * @param int $boardID The board ID.
+     * @return void
+     */
+    private static function purgeExpiredItemsInternal(int $boardID): void
+    {
+        $purgeDays = self::getPurgeDays();
+        if ($purgeDays <= 0) {
+            return;
+        }
+
+        $params = ['board_id' => $boardID, 'limit' => time() - $purgeDays * 86400];
+        try {
+            $listIDs = DB::getInstance()->fetchColumn(
+                "SELECT id FROM tarallo_cardlists WHERE board_id = :board_id AND deleted_time > 0 AND deleted_time < :limit",
+                'id',
+                $params
+            );
+            foreach ($listIDs as $listID) {
+                self::purgeCardListInternal((int)$listID);
+            }
+
+            $cardIDs = DB::getInstance()->fetchColumn(
+                "SELECT id FROM tarallo_cards WHERE board_id = :board_id AND deleted_time > 0 AND deleted_time < :limit",
+                'id',
+                $params
+            );
+            foreach ($cardIDs as $cardID) {
+                Card::deleteCardInternal((int)$cardID);
+            }
+        } catch (Throwable $e) {
+            // Never fail opening the archive because of this, it will be tried again next time
+            Logger::error("Archive: Failed to purge the expired items of board $boardID - " . $e->getMessage());
+            return;
+        }
+
+        if ($listIDs || $cardIDs) {
+            Logger::info("Archive: Purged " . count($listIDs) . " lists and " . count($cardIDs) . " cards from board $boardID");
+        }
+    }
+
+    /**
+     * Delete an archived list and its cards, which are all archived too.
+     * @param int $listID The list ID.
+     * @return void
+     * @throws Throwable If the database update fails.
+     */
+    private static function purgeCardListInternal(int $listID): void
+    {
+        DB::getInstance()->beginTransaction();
+        try {
+            $cardIDs = DB::getInstance()->fetchColumn(
+                "SELECT id FROM tarallo_cards WHERE cardlist_id = :id AND deleted_time > 0",
+                'id',
+                ['id' => $listID]
+            );
+            foreach ($cardIDs as $cardID) {
+                Card::deleteCardInternal((int)$cardID);
+            }
+
+            // Already removed from the board lists when archived
+            DB::getInstance()->query(
+                "DELETE FROM tarallo_cardlists WHERE id = :id",
+                ['id' => $listID]
+            );
+
+            DB::getInstance()->commit();
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            throw $e;
+        }
+    }
+
+    /**
+     * Get the number of days archived items are kept.
+     * @return int The number of days, 0 to keep them forever.
+     */
+    private static function getPurgeDays(): int
+    {
+        return max(0, (int)DB::getInstance()->getDBSetting('archive_purge_days'));
+    }
+
+    /**
+     * Validate the parameters of a request about an archived item.
+     * @param array $request Must contain 'board_id' and 'id'.
+     * @return int[] The board ID and the item ID.
+     * @throws InvalidArgumentException On invalid parameters.
+     */
+    private static function getItemParams(array $request): array
+    {
+        foreach (['board_id', 'id'] as $key) {
+            if (!isset($request[$key]) || !is_numeric($request[$key])) {
+                throw new InvalidArgumentException("Missing or invalid parameter: $key");
+            }
+        }
+
+        $boardID = (int)$request['board_id'];
+        $itemID  = (int)$request['id'];
+        if ($boardID <= 0 || $itemID <= 0) {
+            throw new InvalidArgumentException("Invalid board or item ID");
+        }
+
+        return [$boardID, $itemID];
+    }
+}
@@ -0,0 +1,151 @@
+<?php
+
+declare(strict_types=1);
+require_once __DIR__ . '/../vendor/autoload.php';
+
+class Assignee
+{
+    /**
+     * Get the users assigned to a card.
+     * @param int $cardID The card ID.
+     * @return array List of ['user_id', 'display_name'] rows.
+     */
+    public static function getCardAssignees(int $cardID): array
+    {
+        $rows = DB::getInstance()->fetchTable(
+            "SELECT a.user_id, u.display_name
+               FROM tarallo_card_assignees a
+               INNER JOIN tarallo_users u ON a.user_id = u.id
+              WHERE a.card_id = :card_id
+              ORDER BY a.id",
+            ['card_id' => $cardID]
+        );
+
+        return array_map(fn($row) => [
+            'user_id'      => (int)$row['user_id'],
+            'display_name' => $row['display_name'],
+        ], $rows);
+    }
+
+    /**
+     * Get the assignees of every card in a board with a single query.
+     * @param int $boardID The board ID.
+     * @return array<int,array> The assignee rows, indexed by card ID.
+     */
+    public static function getBoardAssignees(int $boardID): array
+    {
+        $rows = DB::getInstance()->fetchTable(
+            "SELECT a.card_id, a.user_id, u.display_name
+               FROM tarallo_card_assignees a
+               INNER JOIN tarallo_users u ON a.user_id = u.id
+              WHERE a.board_id = :board_id
+              ORDER BY a.id",
+            ['board_id' => $boardID]
+        );
+
+        $assigneesByCard = [];
+        foreach ($rows as $row) {
+            $assigneesByCard[(int)$row['card_id']][] = [
+                'user_id'      => (int)$row['user_id'],
+                'display_name' => $row['display_name'],
+            ];
+        }
+
+        return $assigneesByCard;
+    }
+
+    /**
+     * List the users that can be assigned to cards of a board, i.e. every user with a
+     * permission row on the board that is not blocked.
+     * @param array $request Must contain 'board_id'.
+     * @return array ['members' => list of ['user_id', 'display_name', 'user_type']]
+     * @throws InvalidArgumentException On invalid board ID.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function getBoardMembers(array $request): array
+    {
+        if (!isset($request['board_id']) || !is_numeric($request['board_id'])) {
+            throw new InvalidArgumentException("Missing or invalid board_id");
+        }
+        $boardID = (int)$request['board_id'];
+
+        Board::GetBoardData($boardID, UserType::Observer);
+
+        try {
+            $members = DB::getInstance()->fetchTable(
+                "SELECT p.user_id, u.display_name, p.user_type
+                   FROM tarallo_permissions p
+                   INNER JOIN tarallo_users u ON p.user_id = u.id
+                  WHERE p.board_id = :board_id AND p.user_id > 0 AND p.user_type <= :max_user_type
+                  ORDER BY u.display_name",
+                ['board_id' => $boardID, 'max_user_type' => UserType::Observer->value]
+            );
+        } catch (Throwable $e) {
+            Logger::error("GetBoardMembers: DB error for board $boardID - " . $e->getMessage());
+            throw new ApiException("Failed to fetch board members");
+        }
+
+        return ['members' => $members];
+    }
+
+    /**
+     * Assign or unassign a board member to a card.
+     * @param array $request Must include 'board_id', 'card_id', 'user_id' and 'assigned'.
+     * @return array The updated card data.
+     * @throws InvalidArgumentException On missing or invalid parameters.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function setCardAssignee(array $request): array
+    {
+        foreach (['board_id', 'card_id', 'user_id', 'assigned'] as $key) {
+            if (!isset($request[$key])) {
+                throw new InvalidArgumentException("Missing parameter: $key");
+            }
+        }
+
+        $boardID  = (int)$request['board_id'];
+        $cardID   = (int)$request['card_id'];
+        $userID   = (int)$request['user_id'];
+        $assigned = (bool)$request['assigned'];
+
+        if ($boardID <= 0 || $cardID <= 0 || $userID <= 0) {
+            throw new InvalidArgumentException("Invalid board, card or user ID");
+        }
+
+        Board::GetBoardData($boardID, UserType::Member);
+        $cardRecord = Card::getCardData($boardID, $cardID);
+
+        if ($assigned) {
+            // Only members of the board can be assigned
+            $userType = DB::getInstance()->fetchOne(
+                "SELECT user_type FROM tarallo_permissions WHERE board_id = :board_id AND user_id = :user_id",
+                ['board_id' => $boardID, 'user_id' => $userID]
+            );
+            if ($userType === null || (int)$userType > UserType::Observer->value) {
+                throw new ApiException("The user is not a member of this board", 400);
+            }
+        }
+
+        try {
+            DB::getInstance()->query(
+                "DELETE FROM tarallo_card_assignees WHERE card_id = :card_id AND user_id = :user_id",
+                ['card_id' => $cardID, 'user_id' => $userID]
+            );
+
+            if ($assigned) {
+                DB::getInstance()->query(
+                    "INSERT INTO tarallo_card_assignees (card_id, user_id, board_id)
+                     VALUES (:card_id, :user_id, :board_id)",
+                    ['card_id' => $cardID, 'user_id' => $userID, 'board_id' => $boardID]
+                );
+            }
+
+            Board::updateBoardModifiedTime($boardID);
+        } catch (Throwable $e) {
+            Logger::error("SetCardAssignee: Failed for user $userID on card $cardID - " . $e->getMessage());
+            throw new ApiException("Failed to update card assignees");
+        }
+
+        return Card::cardRecordToData($cardRecord);
+    }
+}
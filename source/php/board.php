@@ -70,9 +70,9 @@ class Board
         // Optionally pull card lists
         if ($includeCardLists) {
             $listSQL = "
-            SELECT id, name, prev_list_id, next_list_id
+            SELECT id, name, prev_list_id, next_list_id, card_limit, card_limit_strict, auto_sort
             FROM tarallo_cardlists
-            WHERE board_id = :board_id
+            WHERE board_id = :board_id AND deleted_time = 0
             ORDER BY id
         ";
             $boardData['cardlists'] = DB::getInstance()->fetchTable($listSQL, ['board_id' => $boardId]);
@@ -80,9 +80,19 @@ class Board
 
         // Optionally pull cards
         if ($includeCards) {
-            $sql = "SELECT * FROM tarallo_cards WHERE board_id = :board_id ORDER BY id ";
+            $sql = "SELECT * FROM tarallo_cards WHERE board_id = :board_id AND deleted_time = 0 ORDER BY id ";
 
             $cardsRaw = DB::getInstance()->fetchTable($sql, ['board_id' => $boardId]);
+
+            // Load the assignees and comment counts of all cards at once rather than once per card
+            $assigneesByCard = Assignee::getBoardAssignees($boardId);
+            $commentCounts = Comment::getBoardCommentCounts($boardId);
+            foreach ($cardsRaw as &$cardRaw) {
+                $cardRaw['assignees'] = $assigneesByCard[(int)$cardRaw['id']] ?? [];
+                $cardRaw['comment_count'] = $commentCounts[$cardRaw['id']] ?? 0;
+            }
+            unset($cardRaw);
+
             $cards = array_map([Card::class, 'cardRecordToData'], $cardsRaw);
 
             // If content not included in CardRecordToData, append from raw
@@ -129,6 +139,7 @@ class Board
         $userType        = (int)($boardRecord['user_type'] ?? UserType::None);
         $title           = (string)($boardRecord['title'] ?? '');
         $closed          = !empty($boardRecord['closed']);
+        $isTemplate      = !empty($boardRecord['is_template']);
         $backgroundGuid  = $boardRecord['background_guid'] ?? null;
         $labelNames      = $boardRecord['label_names'] ?? '';
         $labelColors     = $boardRecord['label_colors'] ?? '';
@@ -142,6 +153,7 @@ class Board
             'user_type'            => $userType,
             'title'                => $title,
             'closed'               => $closed,
+            'is_template'          => $isTemplate,
             'background_url'       => self::getBackgroundUrl($id, $backgroundGuid),
             'background_thumb_url' => self::getBackgroundUrl($id, $backgroundGuid, true),
             'background_tiled'     => !$backgroundGuid,
@@ -579,7 +591,11 @@ class Board
             DB::getInstance()->query("DELETE FROM tarallo_cards WHERE board_id = :board_id", ['board_id' => $boardID]);
             DB::getInstance()->query("DELETE FROM tarallo_cardlists WHERE board_id = :board_id", ['board_id' => $boardID]);
             DB::getInstance()->query("DELETE FROM tarallo_attachments WHERE board_id = :board_id", ['board_id' => $boardID]);
+            DB::getInstance()->query("DELETE FROM tarallo_card_assignees WHERE board_id = :board_id", ['board_id' => $boardID]);
+            DB::getInstance()->query("DELETE FROM tarallo_comments WHERE board_id = :board_id", ['board_id' => $boardID]);
+            DB::getInstance()->query("DELETE FROM tarallo_activity WHERE board_id = :board_id", ['board_id' => $boardID]);
             DB::getInstance()->query("DELETE FROM tarallo_permissions WHERE board_id = :board_id", ['board_id' => $boardID]);
+            DB::getInstance()->query("DELETE FROM tarallo_board_preferences WHERE board_id = :board_id", ['board_id' => $boardID]);
 
             // Finally delete the board record
             DB::getInstance()->query("DELETE FROM tarallo_boards WHERE id = :board_id", ['board_id' => $boardID]);
@@ -783,7 +799,7 @@ class Board
         $placeholders = [];
         $params = [];
         foreach ($cards as $card) {
-            $placeholders[] = '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
+            $placeholders[] = '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
             $params[] = $cardMap[$card['id']];
             $params[] = $card['title'];
             $params[] = $card['content'];
@@ -795,9 +811,11 @@ class Board
             $params[] = $card['last_moved_time'];
             $params[] = $card['label_mask'];
             $params[] = $card['flags'];
+            $params[] = $card['start_date'] ?? 0; // missing from exports made before db version 7
+            $params[] = $card['due_date'] ?? 0;
         }
         DB::getInstance()->query(
-            "INSERT INTO tarallo_cards (id, title, content, prev_card_id, next_card_id, cardlist_id, board_id, cover_attachment_id, last_moved_time, label_mask, flags) VALUES " .
+            "INSERT INTO tarallo_cards (id, title, content, prev_card_id, next_card_id, cardlist_id, board_id, cover_attachment_id, last_moved_time, label_mask, flags, start_date, due_date) VALUES " .
             implode(',', $placeholders),
             $params
         );
@@ -949,12 +967,13 @@ class Board
 
         $lastIndex = count($cards) - 1;
         foreach (array_values($cards) as $i => $card) {
-            // Last moved time from due date
+            // Last moved time and due date from Trello's due date
             $lastMovedTime = 0;
             if (!empty($card['due'])) {
                 $due = DateTime::createFromFormat("Y-m-d*H:i:s.v+", $card['due']);
                 if ($due) $lastMovedTime = $due->getTimestamp();
             }
+            $dueDate = $lastMovedTime;
 
             // Label mask
             $labelMask = 0;
@@ -980,7 +999,7 @@ class Board
             }
 
             // Params for one row
-            $placeholders[] = '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
+            $placeholders[] = '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
             $params[] = $nextCardID;                                  // id
             $params[] = trim((string)$card['name']);                  // title
             $params[] = $card['desc'] . $clistContent;        // content
@@ -991,12 +1010,13 @@ class Board
             $params[] = 0;                                            // cover_attachment_id
             $params[] = $lastMovedTime;
             $params[] = $labelMask;
+            $params[] = $dueDate;
 
             $nextCardID++;
         }
 
         DB::getInstance()->query(
-            "INSERT INTO tarallo_cards (id, title, content, prev_card_id, next_card_id, cardlist_id, board_id, cover_attachment_id, last_moved_time, label_mask) VALUES " .
+            "INSERT INTO tarallo_cards (id, title, content, prev_card_id, next_card_id, cardlist_id, board_id, cover_attachment_id, last_moved_time, label_mask, due_date) VALUES " .
             implode(',', $placeholders),
             $params
         );
@@ -1057,21 +1077,23 @@ class Board
         }
 
         try {
-            // --- Create board data array ---
+            // --- Create board data array, without the deleted lists and cards ---
             $boardExportData = DB::getInstance()->fetchRow(
                 "SELECT * FROM tarallo_boards WHERE id = :id",
                 ['id' => $boardID]
             );
             $boardExportData['cardlists'] = DB::getInstance()->fetchTable(
-                "SELECT * FROM tarallo_cardlists WHERE board_id = :board_id",
+                "SELECT * FROM tarallo_cardlists WHERE board_id = :board_id AND deleted_time = 0",
                 ['board_id' => $boardID]
             );
             $boardExportData['cards'] = DB::getInstance()->fetchTable(
-                "SELECT * FROM tarallo_cards WHERE board_id = :board_id",
+                "SELECT * FROM tarallo_cards WHERE board_id = :board_id AND deleted_time = 0",
                 ['board_id' => $boardID]
             );
             $boardExportData['attachments'] = DB::getInstance()->fetchTable(
-                "SELECT * FROM tarallo_attachments WHERE board_id = :board_id",
+                "SELECT a.* FROM tarallo_attachments a
+                  INNER JOIN tarallo_cards c ON c.id = a.card_id
+                  WHERE a.board_id = :board_id AND c.deleted_time = 0",
                 ['board_id' => $boardID]
             );
             $boardExportData['db_version'] = DB::getInstance()->getDBSetting("db_version");
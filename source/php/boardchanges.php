@@ -0,0 +1,272 @@
+<?php
+
+declare(strict_types=1);
+require_once __DIR__ . '/../vendor/autoload.php';
+
+/**
+ * Change feed of a board, so clients with the board open can follow what other users do.
+ * The revision of a board is the ID of its latest activity log entry.
+ */
+class BoardChanges
+{
+    // How long a request waits for new changes before returning empty, in seconds.
+    const POLL_TIMEOUT = 20;
+
+    // How often the activity log is checked while waiting, in microseconds.
+    const POLL_INTERVAL = 1000000;
+
+    // Operations that change board data shared by every card.
+    private const BOARD_OPERATIONS = [
+        'UpdateBoardTitle',
+        'CloseBoard',
+        'CreateBoardLabel',
+        'UpdateBoardLabel',
+        'DeleteBoardLabel',
+    ];
+
+    // Label operations change how every card tile is displayed.
+    private const LABEL_OPERATIONS = [
+        'CreateBoardLabel',
+        'UpdateBoardLabel',
+        'DeleteBoardLabel',
+    ];
+
+    // Operations on a list itself, that don't change its cards.
+    private const LIST_OPERATIONS = [
+        'AddCardList',
+        'UpdateCardListName',
+        'UpdateCardListLimit',
+        'MoveCardList',
+        'DeleteCardList',
+        'RestoreCardList',
+        'PurgeCardList',
+    ];
+
+    /**
+     * Get the current revision of a board.
+     * @param int $boardID The board ID.
+     * @return int The revision, 0 if nothing has happened on the board yet.
+     */
+    public static function getBoardRevision(int $boardID): int
+    {
+        return (int)DB::getInstance()->fetchOne(
+            "SELECT MAX(id) FROM tarallo_activity WHERE board_id = :board_id",
+            ['board_id' => $boardID]
+        );
+    }
+
+    /**
+     * Wait for other clients to change a board, then return the current state of everything they changed. Returns
+     * without changes after POLL_TIMEOUT seconds, so the client can just ask again (long-polling).
+     * @param array $request Must include 'board_id' and 'revision', the last revision known by the client, and
+     *                       should include 'client_id', the ID of the browser tab asking.
+     * @return array ['revision' => int, 'board' => ?array, 'lists' => array, 'deleted_lists' => int[],
+     *               'cards' => array, 'deleted_cards' => int[]]
+     * @throws InvalidArgumentException On missing or invalid parameters.
+     * @throws ApiException On permission denial.
+     */
+    public static function getBoardChanges(array $request): array
+    {
+        foreach (['board_id', 'revision'] as $key) {
+            if (!isset($request[$key]) || !is_numeric($request[$key])) {
+                throw new InvalidArgumentException("Missing or invalid parameter: $key");
+            }
+        }
+        $boardID  = (int)$request['board_id'];
+        $revision = max(0, (int)$request['revision']);
+        $clientID = (string)($request['client_id'] ?? '');
+
+        Board::GetBoardData($boardID, UserType::Observer);
+
+        // Release the session lock, or the user's other requests would wait for this one
+        session_write_close();
+
+        $deadline = time() + self::POLL_TIMEOUT;
+        $latest = self::getBoardRevision($boardID);
+        while ($latest <= $revision && time() < $deadline) {
+            usleep(self::POLL_INTERVAL);
+            $latest = self::getBoardRevision($boardID);
+        }
+
+        if ($latest <= $revision) {
+            return self::emptyChanges($revision);
+        }
+
+        return self::collectChanges($boardID, $clientID, $revision, $latest);
+    }
+
+    /**
+     * Gather the current state of everything changed by other clients between two revisions.
+     * @param int $boardID The board ID.
+     * @param string $clientID The ID of the browser tab asking, whose own changes are already displayed.
+     * @param int $revision The last revision known by the client.
+     * @param int $latest The current revision.
+     * @return array The changes.
+     */
+    private static function collectChanges(int $boardID, string $clientID, int $revision, int $latest): array
+    {
+        $entries = DB::getInstance()->fetchTable(
+            "SELECT operation, card_id, cardlist_id
+               FROM tarallo_activity
+              WHERE board_id = :board_id AND id > :revision AND id <= :latest
+                AND (client_id = '' OR client_id <> :client_id)
+              ORDER BY id",
+            ['board_id' => $boardID, 'revision' => $revision, 'latest' => $latest, 'client_id' => $clientID]
+        );
+
+        $boardChanged = false;
+        $allCardsChanged = false;
+        $cardIDs = [];
+        $listIDs = [];
+        $refreshedListIDs = [];
+        foreach ($entries as $entry) {
+            $op     = $entry['operation'];
+            $cardID = (int)$entry['card_id'];
+            $listID = (int)$entry['cardlist_id'];
+
+            $boardChanged = $boardChanged || in_array($op, self::BOARD_OPERATIONS, true);
+            $allCardsChanged = $allCardsChanged || in_array($op, self::LABEL_OPERATIONS, true);
+
+            if ($cardID > 0) {
+                $cardIDs[$cardID] = true;
+            }
+            if ($listID > 0) {
+                $listIDs[$listID] = true;
+
+                // Card operations that don't say which card changed may have changed any card of the list
+                if ($cardID === 0 && !in_array($op, self::LIST_OPERATIONS, true)) {
+                    $refreshedListIDs[$listID] = true;
+                }
+            }
+        }
+
+        $changes = self::emptyChanges($latest);
+        if ($boardChanged) {
+            $changes['board'] = self::getBoardChange($boardID);
+        }
+
+        [$changes['lists'], $changes['deleted_lists']] = self::getListChanges($boardID, array_keys($listIDs));
+        [$changes['cards'], $changes['deleted_cards']] = self::getCardChanges(
+            $boardID,
+            $allCardsChanged,
+            array_keys($cardIDs),
+            array_keys($refreshedListIDs)
+        );
+
+        return $changes;
+    }
+
+    /**
+     * Get the board data shared by every card.
+     * @param int $boardID The board ID.
+     * @return array The board title, labels and closed state.
+     */
+    private static function getBoardChange(int $boardID): array
+    {
+        $record = DB::getInstance()->fetchRow(
+            "SELECT title, label_names, label_colors, closed FROM tarallo_boards WHERE id = :id",
+            ['id' => $boardID]
+        );
+
+        return [
+            'title'        => (string)$record['title'],
+            'label_names'  => (string)$record['label_names'],
+            'label_colors' => (string)$record['label_colors'],
+            'closed'       => (int)$record['closed'] > 0,
+        ];
+    }
+
+    /**
+     * Get the current state of some lists of a board.
+     * @param int $boardID The board ID.
+     * @param int[] $listIDs The IDs of the changed lists.
+     * @return array The data of the lists that still exist, and the IDs of the deleted ones.
+     */
+    private static function getListChanges(int $boardID, array $listIDs): array
+    {
+        if (!$listIDs) {
+            return [[], []];
+        }
+
+        $placeholders = implode(',', array_fill(0, count($listIDs), '?'));
+        $lists = DB::getInstance()->fetchTable(
+            "SELECT id, name, prev_list_id, next_list_id, card_limit, card_limit_strict, auto_sort
+               FROM tarallo_cardlists
+              WHERE board_id = ? AND deleted_time = 0 AND id IN ($placeholders)",
+            array_merge([$boardID], $listIDs)
+        );
+        $lists = array_map(fn($list) => [
+            'id'                => (int)$list['id'],
+            'name'              => (string)$list['name'],
+            'prev_list_id'      => (int)$list['prev_list_id'],
+            'next_list_id'      => (int)$list['next_list_id'],
+            'card_limit'        => (int)$list['card_limit'],
+            'card_limit_strict' => (int)$list['card_limit_strict'] > 0,
+            'auto_sort'         => (string)$list['auto_sort'],
+        ], $lists);
+
+        $deletedIDs = array_values(array_diff($listIDs, array_column($lists, 'id')));
+        return [$lists, $deletedIDs];
+    }
+
+    /**
+     * Get the current state of some cards of a board.
+     * @param int $boardID The board ID.
+     * @param bool $allCards TRUE to get every card of the board.
+     * @param int[] $cardIDs The IDs of the changed cards.
+     * @param int[] $listIDs The IDs of the lists whose cards all may have changed.
+     * @return array The data of the cards that still exist, and the IDs of the deleted ones.
+     */
+    private static function getCardChanges(int $boardID, bool $allCards, array $cardIDs, array $listIDs): array
+    {
+        if (!$allCards && !$cardIDs && !$listIDs) {
+            return [[], []];
+        }
+
+        $sql = "SELECT * FROM tarallo_cards WHERE board_id = ? AND deleted_time = 0";
+        $params = [$boardID];
+        if (!$allCards) {
+            $conditions = [];
+            if ($cardIDs) {
+                $conditions[] = "id IN (" . implode(',', array_fill(0, count($cardIDs), '?')) . ")";
+                $params = array_merge($params, $cardIDs);
+            }
+            if ($listIDs) {
+                $conditions[] = "cardlist_id IN (" . implode(',', array_fill(0, count($listIDs), '?')) . ")";
+                $params = array_merge($params, $listIDs);
+            }
+            $sql .= " AND (" . implode(' OR ', $conditions) . ")";
+        }
+        $records = DB::getInstance()->fetchTable($sql, $params);
+
+        // Same bulk loading of the card side data as when loading the board
+        $assigneesByCard = Assignee::getBoardAssignees($boardID);
+        $commentCounts = Comment::getBoardCommentCounts($boardID);
+        foreach ($records as &$record) {
+            $record['assignees'] = $assigneesByCard[(int)$record['id']] ?? [];
+            $record['comment_count'] = $commentCounts[$record['id']] ?? 0;
+        }
+        unset($record);
+
+        $cards = array_map([Card::class, 'cardRecordToData'], $records);
+        $deletedIDs = array_values(array_diff($cardIDs, array_column($cards, 'id')));
+        return [$cards, $deletedIDs];
+    }
+
+    /**
+     * Build a change set without any change.
+     * @param int $revision The revision of the change set.
+     * @return array The changes.
+     */
+    private static function emptyChanges(int $revision): array
+    {
+        return [
+            'revision'      => $revision,
+            'board'         => null,
+            'lists'         => [],
+            'deleted_lists' => [],
+            'cards'         => [],
+            'deleted_cards' => [],
+        ];
+    }
+}
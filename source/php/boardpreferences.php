@@ -0,0 +1,129 @@
+<?php
+
+declare(strict_types=1);
+require_once __DIR__ . '/../vendor/autoload.php';
+
+/**
+ * How each user likes a board laid out: the lists they have collapsed and the density of the cards. The preferences
+ * are kept on the server, so they follow the user on every device, but only change the board for that user.
+ */
+class BoardPreferences
+{
+    // The card densities a user can choose, the first one being the default.
+    public const CARD_DENSITIES = ['comfortable', 'compact'];
+
+    /**
+     * Get the preferences of the current user for a board, the defaults if they never changed them.
+     * @param int $boardID The board ID.
+     * @return array ['card_density' => string, 'collapsed_lists' => int[]].
+     */
+    public static function getBoardPreferences(int $boardID): array
+    {
+        $record = DB::getInstance()->fetchRow(
+            "SELECT card_density, collapsed_lists FROM tarallo_board_preferences
+              WHERE user_id = :user_id AND board_id = :board_id",
+            ['user_id' => (int)$_SESSION['user_id'], 'board_id' => $boardID]
+        );
+
+        return self::preferencesRecordToData($record);
+    }
+
+    /**
+     * Change the preferences of the current user for a board. Each list is collapsed or expanded on its own, so that
+     * two devices changing different lists don't overwrite each other.
+     * @param array $request Must contain 'board_id'; optionally 'card_density', and 'cardlist_id' with 'collapsed'.
+     * @return array The updated preferences, as getBoardPreferences().
+     * @throws InvalidArgumentException On invalid parameters.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function setBoardPreferences(array $request): array
+    {
+        if (!isset($request['board_id']) || !is_numeric($request['board_id'])) {
+            throw new InvalidArgumentException("Missing or invalid board_id");
+        }
+        if (isset($request['card_density']) && !in_array($request['card_density'], self::CARD_DENSITIES, true)) {
+            throw new InvalidArgumentException("Invalid card_density");
+        }
+        if (isset($request['cardlist_id']) && (!is_numeric($request['cardlist_id']) || !isset($request['collapsed']))) {
+            throw new InvalidArgumentException("Missing or invalid cardlist_id or collapsed");
+        }
+
+        $boardID = (int)$request['board_id'];
+        $userID  = (int)$_SESSION['user_id'];
+
+        // Anyone who can see the board can lay it out for themselves
+        Board::GetBoardData($boardID, UserType::Observer);
+        if (isset($request['cardlist_id'])) {
+            Card::GetCardlistData($boardID, (int)$request['cardlist_id']);
+        }
+
+        DB::getInstance()->beginTransaction();
+        try {
+            $record = DB::getInstance()->fetchRow(
+                "SELECT id, card_density, collapsed_lists FROM tarallo_board_preferences
+                  WHERE user_id = :user_id AND board_id = :board_id",
+                ['user_id' => $userID, 'board_id' => $boardID]
+            );
+            $preferences = self::preferencesRecordToData($record);
+
+            if (isset($request['card_density'])) {
+                $preferences['card_density'] = $request['card_density'];
+            }
+            if (isset($request['cardlist_id'])) {
+                $listID = (int)$request['cardlist_id'];
+                $collapsedLists = array_diff($preferences['collapsed_lists'], [$listID]);
+                if (!empty($request['collapsed'])) {
+                    $collapsedLists[] = $listID;
+                }
+                $preferences['collapsed_lists'] = array_values($collapsedLists);
+            }
+
+            $params = [
+                'card_density'    => $preferences['card_density'],
+                'collapsed_lists' => implode(',', $preferences['collapsed_lists']),
+            ];
+            if ($record) {
+                DB::getInstance()->query(
+                    "UPDATE tarallo_board_preferences
+                        SET card_density = :card_density, collapsed_lists = :collapsed_lists
+                      WHERE id = :id",
+                    $params + ['id' => (int)$record['id']]
+                );
+            } else {
+                DB::getInstance()->query(
+                    "INSERT INTO tarallo_board_preferences (user_id, board_id, card_density, collapsed_lists)
+                     VALUES (:user_id, :board_id, :card_density, :collapsed_lists)",
+                    $params + ['user_id' => $userID, 'board_id' => $boardID]
+                );
+            }
+
+            DB::getInstance()->commit();
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            Logger::error("SetBoardPreferences: Failed for user $userID on board $boardID - " . $e->getMessage());
+            throw new ApiException("Failed to save the board preferences");
+        }
+
+        return $preferences;
+    }
+
+    /**
+     * Convert a preferences record to the API structure.
+     * @param array|null $record The DB record, null for the defaults.
+     * @return array ['card_density' => string, 'collapsed_lists' => int[]].
+     */
+    private static function preferencesRecordToData(?array $record): array
+    {
+        if (!$record) {
+            return ['card_density' => self::CARD_DENSITIES[0], 'collapsed_lists' => []];
+        }
+
+        $collapsedLists = $record['collapsed_lists'] === '' ? [] : explode(',', $record['collapsed_lists']);
+        return [
+            'card_density'    => in_array($record['card_density'], self::CARD_DENSITIES, true)
+                ? $record['card_density']
+                : self::CARD_DENSITIES[0],
+            'collapsed_lists' => array_map('intval', $collapsedLists),
+        ];
+    }
+}
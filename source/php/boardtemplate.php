@@ -0,0 +1,242 @@
+<?php
+
+declare(strict_types=1);
+require_once __DIR__ . '/../vendor/autoload.php';
+
+/**
+ * Board templates, to start a new board from a set of lists, labels and cards rather than from an empty board.
+ * The built-in templates are defined in BUILTIN_TEMPLATES, and the owner of a board can also mark it as a template:
+ * every user of the instance can then create boards from it, without access to the board itself.
+ */
+class BoardTemplate
+{
+    // The templates available on every instance, by key. Each list has the titles and contents of its cards.
+    private const BUILTIN_TEMPLATES = [
+        'kanban' => [
+            'title'        => 'Kanban',
+            'label_names'  => 'Urgent,Blocked,Idea',
+            'label_colors' => 'red,orange,azure',
+            'cardlists'    => [
+                'To do' => [
+                    [
+                        'title'   => 'How to use this board',
+                        'content' => "Add a card for each task to **To do**, move it to **Doing** when you start " .
+                            "working on it and to **Done** once it is finished.\n\nKeep **Doing** short: finish " .
+                            "tasks before starting new ones.",
+                    ],
+                ],
+                'Doing' => [],
+                'Done'  => [],
+            ],
+        ],
+        'sprint' => [
+            'title'        => 'Sprint',
+            'label_names'  => 'Bug,Feature,Chore',
+            'label_colors' => 'red,green,grey',
+            'cardlists'    => [
+                'Backlog' => [
+                    [
+                        'title'   => 'Sprint goal',
+                        'content' => "What the team wants to achieve by the end of the sprint.\n\n" .
+                            "Start date:\nEnd date:",
+                    ],
+                ],
+                'Sprint'      => [],
+                'In progress' => [],
+                'In review'   => [],
+                'Done'        => [],
+            ],
+        ],
+        'bug-triage' => [
+            'title'        => 'Bug triage',
+            'label_names'  => 'Critical,Major,Minor,Regression',
+            'label_colors' => 'red,orange,yellow,purple',
+            'cardlists'    => [
+                'New' => [
+                    [
+                        'title'   => 'Bug report template',
+                        'content' => "Copy this card for each new bug.\n\n**Steps to reproduce**\n1. \n\n" .
+                            "**Expected result**\n\n**Actual result**\n\n**Version**",
+                    ],
+                ],
+                'Needs info'  => [],
+                'Confirmed'   => [],
+                'In progress' => [],
+                'Fixed'       => [],
+                "Won't fix"   => [],
+            ],
+        ],
+    ];
+
+    /**
+     * List the templates the current user can create a board from.
+     * @param array $request Unused.
+     * @return array ['builtin' => [...], 'boards' => [...]], each template with its 'id', 'title' and 'cardlists'
+     *               names. The ID of a built-in template is its key, the one of a board template the board ID.
+     * @throws ApiException If not logged in.
+     */
+    public static function getBoardTemplates(array $request): array
+    {
+        if (!Session::isUserLoggedIn()) {
+            throw new ApiException("Must be logged in to list the board templates", 403);
+        }
+
+        $builtin = [];
+        foreach (self::BUILTIN_TEMPLATES as $key => $template) {
+            $builtin[] = [
+                'id'        => $key,
+                'title'     => $template['title'],
+                'cardlists' => array_map('strval', array_keys($template['cardlists'])),
+            ];
+        }
+
+        $boards = DB::getInstance()->fetchTable(
+            "SELECT id, title FROM tarallo_boards WHERE is_template = 1 AND closed = 0 ORDER BY title, id"
+        );
+        $lists = [];
+        if ($boards) {
+            $boardIDs = implode(',', array_map(fn($board) => (int)$board['id'], $boards));
+            $lists = DB::getInstance()->fetchTable(
+                "SELECT id, board_id, name, prev_list_id FROM tarallo_cardlists
+                  WHERE board_id IN ($boardIDs) AND deleted_time = 0"
+            );
+        }
+
+        return [
+            'builtin' => $builtin,
+            'boards'  => array_map(fn($board) => [
+                'id'        => (int)$board['id'],
+                'title'     => (string)$board['title'],
+                'cardlists' => array_map(fn($list) => (string)$list['name'], Duplicate::sortLinkedList(
+                    array_filter($lists, fn($list) => (int)$list['board_id'] === (int)$board['id']),
+                    'prev_list_id'
+                )),
+            ], $boards),
+        ];
+    }
+
+    /**
+     * Create a new board owned by the current user from a template, with its lists, labels and cards.
+     * @param array $request Must contain either 'template' (the key of a built-in template) or 'template_board_id';
+     *                       optionally 'title' (the template title by default).
+     * @return array The new board data.
+     * @throws InvalidArgumentException On invalid parameters.
+     * @throws ApiException If not logged in, if the template does not exist or on DB error.
+     */
+    public static function createBoardFromTemplate(array $request): array
+    {
+        if (!Session::isUserLoggedIn()) {
+            throw new ApiException("Cannot create a new board without being logged in.", 403);
+        }
+
+        $title = trim((string)($request['title'] ?? ''));
+
+        if (isset($request['template_board_id'])) {
+            if (!is_numeric($request['template_board_id'])) {
+                throw new InvalidArgumentException("Invalid template_board_id");
+            }
+
+            $templateBoardID = (int)$request['template_board_id'];
+            $boardRecord = DB::getInstance()->fetchRow(
+                "SELECT * FROM tarallo_boards WHERE id = :id AND is_template = 1 AND closed = 0",
+                ['id' => $templateBoardID]
+            );
+            if (!$boardRecord) {
+                throw new ApiException("Board template not found", 404);
+            }
+
+            // Everything but the comments and members, as a duplicate
+            $newBoardID = Duplicate::duplicateBoardInternal(
+                $boardRecord,
+                $title !== '' ? $title : $boardRecord['title'],
+                Duplicate::getCopyOptions([])
+            );
+            Logger::info("CreateBoardFromTemplate: User {$_SESSION['user_id']} created board $newBoardID from board $templateBoardID");
+
+            return Board::GetBoardData($newBoardID);
+        }
+
+        $key = (string)($request['template'] ?? '');
+        if (!isset(self::BUILTIN_TEMPLATES[$key])) {
+            throw new InvalidArgumentException("Missing or unknown template");
+        }
+        $template = self::BUILTIN_TEMPLATES[$key];
+
+        DB::getInstance()->beginTransaction();
+        try {
+            $newBoardID = Board::createNewBoardInternal(
+                $title !== '' ? $title : $template['title'],
+                $template['label_names'],
+                $template['label_colors']
+            );
+
+            $prevListID = 0;
+            foreach ($template['cardlists'] as $name => $cards) {
+                $newCardListData = CardList::addNewCardListInternal($newBoardID, $prevListID, (string)$name);
+                $prevListID = (int)$newCardListData['id'];
+
+                $prevCardID = 0;
+                foreach ($cards as $card) {
+                    $newCardRecord = Card::AddNewCardInternal(
+                        $newBoardID,
+                        $prevListID,
+                        $prevCardID,
+                        $card['title'],
+                        $card['content'],
+                        0,
+                        time(),
+                        0,
+                        0
+                    );
+                    $prevCardID = (int)$newCardRecord['id'];
+                }
+            }
+
+            DB::getInstance()->commit();
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            Logger::error("CreateBoardFromTemplate: Failed to create a board from template '$key' - " . $e->getMessage());
+            throw new ApiException("Failed to create the board");
+        }
+
+        Logger::info("CreateBoardFromTemplate: User {$_SESSION['user_id']} created board $newBoardID from template '$key'");
+
+        return Board::GetBoardData($newBoardID);
+    }
+
+    /**
+     * Mark a board as a template, or turn it back into a normal board. Only its owner can share it this way.
+     * @param array $request Must contain 'board_id' and 'is_template'.
+     * @return array The updated board data.
+     * @throws InvalidArgumentException On invalid parameters.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function setBoardTemplate(array $request): array
+    {
+        if (!isset($request['board_id']) || !is_numeric($request['board_id'])) {
+            throw new InvalidArgumentException("Missing or invalid board_id");
+        }
+        if (!isset($request['is_template'])) {
+            throw new InvalidArgumentException("Missing parameter: is_template");
+        }
+
+        $boardID = (int)$request['board_id'];
+        $isTemplate = !empty($request['is_template']);
+
+        Board::GetBoardData($boardID, UserType::Owner);
+
+        try {
+            DB::getInstance()->query(
+                "UPDATE tarallo_boards SET is_template = :is_template WHERE id = :id",
+                ['is_template' => $isTemplate ? 1 : 0, 'id' => $boardID]
+            );
+        } catch (Throwable $e) {
+            Logger::error("SetBoardTemplate: Failed to update board $boardID - " . $e->getMessage());
+            throw new ApiException("Database error while updating the board.");
+        }
+
+        Board::updateBoardModifiedTime($boardID);
+
+        return Board::GetBoardData($boardID);
+    }
+}
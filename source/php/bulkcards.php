@@ -0,0 +1,333 @@
+<?php
+
+declare(strict_types=1);
+require_once __DIR__ . '/../vendor/autoload.php';
+
+/**
+ * Changes applied to several cards of a board at once, as selected on the board. Each request applies one action
+ * to all the cards in a single transaction: either every card changes, or none does.
+ */
+class BulkCards
+{
+    // The actions that can be applied to a selection, see updateCards().
+    public const ACTIONS = ['move', 'label', 'assign', 'due_date', 'archive', 'delete'];
+
+    // The largest selection a single request can change.
+    private const MAX_CARDS = 500;
+
+    /**
+     * Apply an action to several cards of a board. The parameters of each action are:
+     * - 'move': 'dest_cardlist_id', optionally 'prev_card_id' (the bottom of the list by default). The cards are
+     *   put one after the other in the order of 'card_ids'.
+     * - 'label': 'index' and 'active'.
+     * - 'assign': 'user_id' and 'assigned'.
+     * - 'due_date': 'due_date', 0 to remove it.
+     * - 'archive': none, the cards are kept in the board archive.
+     * - 'delete': none, the cards are deleted for good. Only moderators can do this.
+     * @param array $request Must contain 'board_id', 'card_ids' and 'action' (one of ACTIONS), plus the parameters
+     *                       of the action.
+     * @return array ['action' => string, 'cards' => the data of the cards, as they are after the change (as they
+     *               were before, for 'archive' and 'delete'), in the order of 'card_ids'].
+     * @throws InvalidArgumentException On invalid/missing input.
+     * @throws ApiException On permission denial, if a card is not on the board or on DB error.
+     */
+    public static function updateCards(array $request): array
+    {
+        if (!isset($request['board_id']) || !is_numeric($request['board_id'])) {
+            throw new InvalidArgumentException("Missing or invalid parameter: board_id");
+        }
+        $action = (string) ($request['action'] ?? '');
+        if (!in_array($action, self::ACTIONS, true)) {
+            throw new InvalidArgumentException("Missing or invalid parameter: action");
+        }
+        $cardIDs = self::getCardIDs($request);
+
+        $boardID = (int) $request['board_id'];
+        $boardData = Board::GetBoardData($boardID, $action === 'delete' ? UserType::Moderator : UserType::Member);
+
+        $cardRecords = self::getCardRecords($boardID, $cardIDs);
+
+        DB::getInstance()->beginTransaction();
+        try {
+            $cards = match ($action) {
+                'move'     => self::moveCards($boardID, $cardRecords, $request),
+                'label'    => self::setCardsLabel($boardData, $cardRecords, $request),
+                'assign'   => self::setCardsAssignee($boardID, $cardRecords, $request),
+                'due_date' => self::setCardsDueDate($cardRecords, $request),
+                'archive'  => array_map(
+                    fn(array $card) => Card::cardRecordToData(Card::softDeleteCardInternal((int) $card['id'])),
+                    $cardRecords
+                ),
+                'delete'   => array_map(function (array $card) {
+                    $cardData = Card::cardRecordToData($card);
+                    Card::deleteCardInternal((int) $card['id']);
+                    return $cardData;
+                }, $cardRecords),
+            };
+
+            DB::getInstance()->commit();
+        } catch (ApiException | InvalidArgumentException $e) {
+            DB::getInstance()->rollBack();
+            throw $e;
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            Logger::error("BulkUpdateCards: Failed to $action cards " . implode(',', $cardIDs) . " in board $boardID - " . $e->getMessage());
+            throw new ApiException("Failed to update the cards");
+        }
+
+        Board::updateBoardModifiedTime($boardID);
+        Logger::info("BulkUpdateCards: User {$_SESSION['user_id']} applied $action to " . count($cardIDs) . " cards in board $boardID");
+
+        return ['action' => $action, 'cards' => $cards];
+    }
+
+    /**
+     * Validate the IDs of the selected cards.
+     * @param array $request The request, with 'card_ids'.
+     * @return int[] The card IDs, without duplicates.
+     * @throws InvalidArgumentException If missing, empty, too long or not numeric.
+     */
+    private static function getCardIDs(array $request): array
+    {
+        $cardIDs = $request['card_ids'] ?? null;
+        if (!is_array($cardIDs) || count($cardIDs) === 0) {
+            throw new InvalidArgumentException("Missing or invalid parameter: card_ids");
+        }
+        if (count($cardIDs) > self::MAX_CARDS) {
+            throw new InvalidArgumentException("Cannot change more than " . self::MAX_CARDS . " cards at once");
+        }
+        foreach ($cardIDs as $cardID) {
+            if (!is_numeric($cardID) || (int) $cardID <= 0) {
+                throw new InvalidArgumentException("Missing or invalid parameter: card_ids");
+            }
+        }
+
+        return array_values(array_unique(array_map('intval', $cardIDs)));
+    }
+
+    /**
+     * Get the records of the selected cards, which must all be on the board and not archived.
+     * @param int   $boardID The board ID.
+     * @param int[] $cardIDs The card IDs.
+     * @return array The card records, in the order of the IDs.
+     * @throws ApiException With code 404 if a card is not found.
+     */
+    private static function getCardRecords(int $boardID, array $cardIDs): array
+    {
+        $placeholders = implode(',', array_fill(0, count($cardIDs), '?'));
+        $records = DB::getInstance()->fetchTable(
+            "SELECT * FROM tarallo_cards WHERE board_id = ? AND deleted_time = 0 AND id IN ($placeholders)",
+            array_merge([$boardID], $cardIDs)
+        );
+
+        $recordsByID = array_column($records, null, 'id');
+        $cardRecords = [];
+        foreach ($cardIDs as $cardID) {
+            if (!isset($recordsByID[$cardID])) {
+                throw new ApiException("Card $cardID not found on this board", 404);
+            }
+            $cardRecords[] = $recordsByID[$cardID];
+        }
+
+        return $cardRecords;
+    }
+
+    /**
+     * Move the selected cards together to a position in a list of the board.
+     * @param int   $boardID     The board ID.
+     * @param array $cardRecords The card records, in the order to put them in.
+     * @param array $request     The request, with 'dest_cardlist_id' and optionally 'prev_card_id'.
+     * @return array The moved cards data.
+     * @throws Throwable On invalid parameters, if the cards don't fit in the list or on DB error.
+     */
+    private static function moveCards(int $boardID, array $cardRecords, array $request): array
+    {
+        if (!isset($request['dest_cardlist_id']) || !is_numeric($request['dest_cardlist_id'])) {
+            throw new InvalidArgumentException("Missing or invalid parameter: dest_cardlist_id");
+        }
+        if (isset($request['prev_card_id']) && !is_numeric($request['prev_card_id'])) {
+            throw new InvalidArgumentException("Missing or invalid parameter: prev_card_id");
+        }
+
+        $destListID = (int) $request['dest_cardlist_id'];
+        $destCardlistData = Card::GetCardlistData($boardID, $destListID);
+        $cardIDs = array_map(fn(array $card) => (int) $card['id'], $cardRecords);
+
+        $arriving = array_filter($cardRecords, fn(array $card) => (int) $card['cardlist_id'] !== $destListID);
+        CardList::checkCardLimit($destCardlistData, count($arriving));
+
+        // Unlink the cards one by one, as each unlink changes the neighbours of the next ones
+        foreach ($cardIDs as $cardID) {
+            Card::removeCardFromLL(Card::getCardData($boardID, $cardID));
+        }
+
+        // The selected cards still point to their old neighbours, so they are left out of the searches
+        $excluded = implode(',', $cardIDs);
+        if (isset($request['prev_card_id'])) {
+            $prevCardID = (int) $request['prev_card_id'];
+            if (in_array($prevCardID, $cardIDs, true)) {
+                throw new InvalidArgumentException("The cards cannot be moved after one of themselves");
+            }
+            if ($prevCardID > 0) {
+                $prevCard = Card::getCardData($boardID, $prevCardID);
+                if ((int) $prevCard['cardlist_id'] !== $destListID) {
+                    throw new InvalidArgumentException("Card $prevCardID is not in the destination list");
+                }
+            }
+        } else {
+            $prevCardID = (int) DB::getInstance()->fetchOne(
+                "SELECT id FROM tarallo_cards
+                  WHERE cardlist_id = :id AND next_card_id = 0 AND deleted_time = 0 AND id NOT IN ($excluded)",
+                ['id' => $destListID]
+            );
+        }
+        $nextCardID = (int) DB::getInstance()->fetchOne(
+            "SELECT id FROM tarallo_cards
+              WHERE cardlist_id = :id AND prev_card_id = :prev AND deleted_time = 0 AND id NOT IN ($excluded)",
+            ['id' => $destListID, 'prev' => $prevCardID]
+        );
+
+        // Link the cards as a chain, between the previous and the next card
+        foreach ($cardIDs as $i => $cardID) {
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET cardlist_id = :cid, prev_card_id = :prev, next_card_id = :next WHERE id = :id",
+                [
+                    'cid'  => $destListID,
+                    'prev' => $cardIDs[$i - 1] ?? $prevCardID,
+                    'next' => $cardIDs[$i + 1] ?? $nextCardID,
+                    'id'   => $cardID,
+                ]
+            );
+        }
+        if ($prevCardID > 0) {
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET next_card_id = :id WHERE id = :prev",
+                ['id' => $cardIDs[0], 'prev' => $prevCardID]
+            );
+        }
+        if ($nextCardID > 0) {
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET prev_card_id = :id WHERE id = :next",
+                ['id' => end($cardIDs), 'next' => $nextCardID]
+            );
+        }
+
+        foreach ($arriving as $card) {
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET last_moved_time = :time WHERE id = :id",
+                ['time' => time(), 'id' => (int) $card['id']]
+            );
+        }
+        CardList::applyAutoSort($destCardlistData);
+
+        return array_map(fn(int $cardID) => Card::cardRecordToData(Card::getCardData($boardID, $cardID)), $cardIDs);
+    }
+
+    /**
+     * Add a label to the selected cards, or remove it from them.
+     * @param array $boardData   The board data.
+     * @param array $cardRecords The card records.
+     * @param array $request     The request, with 'index' and 'active'.
+     * @return array The updated cards data.
+     * @throws Throwable On invalid parameters or DB error.
+     */
+    private static function setCardsLabel(array $boardData, array $cardRecords, array $request): array
+    {
+        if (!isset($request['index']) || !is_numeric($request['index']) || !isset($request['active'])) {
+            throw new InvalidArgumentException("Missing or invalid parameter: index or active");
+        }
+
+        $labelIndex = (int) $request['index'];
+        $names = $boardData['label_names'] !== null ? explode(',', $boardData['label_names']) : [];
+        if ($labelIndex < 0 || $labelIndex >= count($names) || $names[$labelIndex] === '') {
+            throw new InvalidArgumentException("Label index $labelIndex out of range.");
+        }
+
+        $maskBit = 1 << $labelIndex;
+        foreach ($cardRecords as &$card) {
+            $card['label_mask'] = !empty($request['active'])
+                ? (int) $card['label_mask'] | $maskBit
+                : (int) $card['label_mask'] & ~$maskBit;
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET label_mask = :mask WHERE id = :id",
+                ['mask' => $card['label_mask'], 'id' => (int) $card['id']]
+            );
+        }
+        unset($card);
+
+        return array_map([Card::class, 'cardRecordToData'], $cardRecords);
+    }
+
+    /**
+     * Assign a board member to the selected cards, or unassign them.
+     * @param int   $boardID     The board ID.
+     * @param array $cardRecords The card records.
+     * @param array $request     The request, with 'user_id' and 'assigned'.
+     * @return array The updated cards data.
+     * @throws Throwable On invalid parameters, if the user is not a board member or on DB error.
+     */
+    private static function setCardsAssignee(int $boardID, array $cardRecords, array $request): array
+    {
+        if (!isset($request['user_id']) || !is_numeric($request['user_id']) || !isset($request['assigned'])) {
+            throw new InvalidArgumentException("Missing or invalid parameter: user_id or assigned");
+        }
+
+        $userID = (int) $request['user_id'];
+        $assigned = !empty($request['assigned']);
+        if ($assigned) {
+            // Only members of the board can be assigned
+            $userType = DB::getInstance()->fetchOne(
+                "SELECT user_type FROM tarallo_permissions WHERE board_id = :board_id AND user_id = :user_id",
+                ['board_id' => $boardID, 'user_id' => $userID]
+            );
+            if ($userType === null || (int) $userType > UserType::Observer->value) {
+                throw new ApiException("The user is not a member of this board", 400);
+            }
+        }
+
+        foreach ($cardRecords as $card) {
+            DB::getInstance()->query(
+                "DELETE FROM tarallo_card_assignees WHERE card_id = :card_id AND user_id = :user_id",
+                ['card_id' => (int) $card['id'], 'user_id' => $userID]
+            );
+            if ($assigned) {
+                DB::getInstance()->query(
+                    "INSERT INTO tarallo_card_assignees (card_id, user_id, board_id)
+                     VALUES (:card_id, :user_id, :board_id)",
+                    ['card_id' => (int) $card['id'], 'user_id' => $userID, 'board_id' => $boardID]
+                );
+            }
+        }
+
+        return array_map([Card::class, 'cardRecordToData'], $cardRecords);
+    }
+
+    /**
+     * Set the due date of the selected cards, keeping their start dates.
+     * @param array $cardRecords The card records.
+     * @param array $request     The request, with 'due_date' (0 to remove it).
+     * @return array The updated cards data.
+     * @throws Throwable On invalid parameters, if a card would start after it is due or on DB error.
+     */
+    private static function setCardsDueDate(array $cardRecords, array $request): array
+    {
+        if (!isset($request['due_date']) || !is_numeric($request['due_date']) || (int) $request['due_date'] < 0) {
+            throw new InvalidArgumentException("Missing or invalid parameter: due_date");
+        }
+
+        $dueDate = (int) $request['due_date'];
+        foreach ($cardRecords as &$card) {
+            if ($dueDate > 0 && (int) $card['start_date'] > $dueDate) {
+                throw new ApiException("Card \"{$card['title']}\" starts after this due date", 400);
+            }
+            $card['due_date'] = $dueDate;
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET due_date = :due_date WHERE id = :id",
+                ['due_date' => $dueDate, 'id' => (int) $card['id']]
+            );
+        }
+        unset($card);
+
+        return array_map([Card::class, 'cardRecordToData'], $cardRecords);
+    }
+}
@@ -9,6 +9,7 @@ class Card
         'locked'   => 0x001,
         // 'archived' => 0x002,
         // 'urgent'   => 0x004,
+        'done'     => 0x008,
     ];
 
     /**
@@ -29,6 +30,9 @@ class Card
         $labelMask  = (int)($cardRecord['label_mask'] ?? 0);
         $flags      = (int)($cardRecord['flags'] ?? 0);
         $lastMoved  = isset($cardRecord['last_moved_time']) ? (int)$cardRecord['last_moved_time'] : 0;
+        $startDate  = (int)($cardRecord['start_date'] ?? 0);
+        $dueDate    = (int)($cardRecord['due_date'] ?? 0);
+        $revision   = (int)($cardRecord['revision'] ?? 0);
 
         // Base card data
         $card = [
@@ -39,6 +43,11 @@ class Card
             'next_card_id'   => $nextCardId,
             'label_mask'     => $labelMask,
             'cover_img_url'  => '',
+            'start_date'     => $startDate,
+            'due_date'       => $dueDate,
+            'revision'       => $revision,
+            'assignees'      => $cardRecord['assignees'] ?? Assignee::getCardAssignees($id),
+            'comment_count'  => (int)($cardRecord['comment_count'] ?? Comment::getCardCommentCount($id)),
         ];
 
         // Add cover thumbnail URL if we have an attachment
@@ -158,13 +167,21 @@ class Card
 
         // Check cardlist belongs to board
         try {
-            self::GetCardlistData($boardId, $cardlistId);
+            $cardlistData = self::GetCardlistData($boardId, $cardlistId);
         } catch (ApiException) {
             Logger::warning("AddNewCard: Cardlist $cardlistId not found in board $boardId for $userId");
             http_response_code(400);
             return ['error' => 'Invalid cardlist'];
         }
 
+        // Check the list has room for the card
+        try {
+            CardList::checkCardLimit($cardlistData);
+        } catch (ApiException $e) {
+            http_response_code($e->getCode());
+            return ['error' => $e->getMessage()];
+        }
+
         $content      = "Insert the card description here."; // default
         $coverAttach  = 0;
         $lastMoved    = time();
@@ -172,6 +189,8 @@ class Card
         $flagMask     = 0;
 
         try {
+            DB::getInstance()->beginTransaction();
+
             $newCardRecord = self::AddNewCardInternal(
                 $boardId,
                 $cardlistId,
@@ -183,7 +202,14 @@ class Card
                 $labelMask,
                 $flagMask
             );
+
+            // A list kept sorted moves the card to its place
+            CardList::applyAutoSort($cardlistData);
+            $newCardRecord = self::getCardData($boardId, (int)$newCardRecord['id']);
+
+            DB::getInstance()->commit();
         } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
             Logger::error("AddNewCard: Failed adding card to board $boardId list $cardlistId - " . $e->getMessage());
             http_response_code(500);
             return ['error' => 'Error adding card'];
@@ -198,10 +224,11 @@ class Card
      * Retrieve a cardlist record for a given board, ensuring it belongs to that board.
      * @param int $boardID     The board ID to validate against.
      * @param int $cardlistID  The cardlist ID to fetch.
+     * @param bool $includeDeleted If TRUE a deleted cardlist is returned as well.
      * @return array           The cardlist DB row.
      * @throws ApiException If not found or not in specified board.
      */
-    public static function GetCardlistData(int $boardID, int $cardlistID): array
+    public static function GetCardlistData(int $boardID, int $cardlistID, bool $includeDeleted = false): array
     {
         if ($boardID <= 0 || $cardlistID <= 0) {
             throw new ApiException("Invalid board or cardlist ID");
@@ -217,7 +244,7 @@ class Card
             throw new ApiException("Database error while fetching cardlist");
         }
 
-        if (!$cardlistData) {
+        if (!$cardlistData || (!$includeDeleted && (int)$cardlistData['deleted_time'] > 0)) {
             throw new ApiException("Cardlist not found", 404);
         }
 
@@ -238,6 +265,8 @@ class Card
      * @param int $lastMovedTime The last time the card was moved
      * @param int $labelMask The labels that are set
      * @param int $flagMask Any flags that are set
+     * @param int $startDate The start date as a unix timestamp, 0 if not set
+     * @param int $dueDate The due date as a unix timestamp, 0 if not set
      * @return array The new card data if successful
      * @throws ApiException if the database fails to update.
      */
@@ -250,11 +279,13 @@ class Card
         int $coverAttachmentID,
         int $lastMovedTime,
         int $labelMask,
-        int $flagMask
+        int $flagMask,
+        int $startDate = 0,
+        int $dueDate = 0
     ): array {
         // Count cards in destination list
         $cardCount = (int) DB::getInstance()->fetchOne(
-            "SELECT COUNT(*) FROM tarallo_cards WHERE cardlist_id = :cid",
+            "SELECT COUNT(*) FROM tarallo_cards WHERE cardlist_id = :cid AND deleted_time = 0",
             ['cid' => $cardlistID]
         );
 
@@ -267,14 +298,14 @@ class Card
         if ($cardCount > 0) {
             // Find next card
             $nextCardRec = DB::getInstance()->fetchRow(
-                "SELECT * FROM tarallo_cards WHERE cardlist_id = :cid AND prev_card_id = :pid",
+                "SELECT * FROM tarallo_cards WHERE cardlist_id = :cid AND prev_card_id = :pid AND deleted_time = 0",
                 ['cid' => $cardlistID, 'pid' => $prevCardID]
             );
 
             // Validate prev card
             if ($prevCardID > 0) {
                 $prevCardRec = DB::getInstance()->fetchRow(
-                    "SELECT * FROM tarallo_cards WHERE cardlist_id = :cid AND id = :pid",
+                    "SELECT * FROM tarallo_cards WHERE cardlist_id = :cid AND id = :pid AND deleted_time = 0",
                     ['cid' => $cardlistID, 'pid' => $prevCardID]
                 );
                 if (!$prevCardRec) {
@@ -292,9 +323,9 @@ class Card
         try {
             $newCardID = DB::getInstance()->insert(
                 "INSERT INTO tarallo_cards 
-                (title, content, prev_card_id, next_card_id, cardlist_id, board_id, cover_attachment_id, last_moved_time, label_mask, flags)
+                (title, content, prev_card_id, next_card_id, cardlist_id, board_id, cover_attachment_id, last_moved_time, label_mask, flags, start_date, due_date)
              VALUES 
-                (:title, :content, :prev_id, :next_id, :cid, :bid, :cover, :last_moved, :label, :flags)",
+                (:title, :content, :prev_id, :next_id, :cid, :bid, :cover, :last_moved, :label, :flags, :start_date, :due_date)",
                 [
                     'title'       => $title,
                     'content'     => $content,
@@ -305,7 +336,9 @@ class Card
                     'cover'       => $coverAttachmentID,
                     'last_moved'  => $lastMovedTime,
                     'label'       => $labelMask,
-                    'flags'       => $flagMask
+                    'flags'       => $flagMask,
+                    'start_date'  => $startDate,
+                    'due_date'    => $dueDate
                 ]
             );
 
@@ -335,7 +368,8 @@ class Card
     }
 
     /**
-     * Deletes a card from a list.
+     * Deletes a card from a list. The card is only marked as deleted and kept in the board archive, from where it
+     * can be restored or purged (see Archive).
      * @param array $request The request parameters.
      * @return array|string[] The result of the operation.
      */
@@ -379,7 +413,7 @@ class Card
         }
 
         try {
-            $deletedCard = self::deleteCardInternal($cardId);
+            $deletedCard = self::softDeleteCardInternal($cardId);
             Board::updateBoardModifiedTime($boardId);
         } catch (Throwable $e) {
             Logger::error("DeleteCard: Failed to delete card $cardId in board $boardId for user $userId: " . $e->getMessage());
@@ -396,7 +430,118 @@ class Card
     }
 
     /**
-     * Internal helper to delete a card.
+     * Internal helper to remove a card from its list and mark it as deleted, keeping its attachments, assignees and
+     * comments. Its previous and next card IDs are kept too, as a hint of where to restore it.
+     * @param int $cardID The ID of the card.
+     * @return array The card record before the deletion.
+     * @throws Throwable if database update fails.
+     */
+    public static function softDeleteCardInternal(int $cardID): array
+    {
+        DB::getInstance()->beginTransaction();
+        try {
+            $cardRecord = DB::getInstance()->fetchRow(
+                "SELECT * FROM tarallo_cards WHERE id = :id",
+                ['id' => $cardID]
+            );
+
+            self::removeCardFromLL($cardRecord);
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET deleted_time = :time WHERE id = :id",
+                ['time' => time(), 'id' => $cardID]
+            );
+
+            DB::getInstance()->commit();
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            throw $e;
+        }
+
+        return $cardRecord;
+    }
+
+    /**
+     * Restore a deleted card, after the card that preceded it if that one is still in the list, or else at the top.
+     * @param array $request The request parameters.
+     * @return array The restored card data.
+     */
+    public static function restoreCard(array $request): array
+    {
+        Session::ensureSession();
+
+        $userId = $_SESSION['user_id'] ?? null;
+        if (!$userId) {
+            http_response_code(401);
+            return ['error' => 'Not logged in'];
+        }
+
+        $boardId = isset($request['board_id']) ? (int)$request['board_id'] : 0;
+        $cardId  = isset($request['id']) ? (int)$request['id'] : 0;
+
+        if ($boardId <= 0 || $cardId <= 0) {
+            http_response_code(400);
+            return ['error' => 'Invalid or missing board_id / id'];
+        }
+
+        try {
+            Board::GetBoardData($boardId, UserType::Member);
+        } catch (ApiException) {
+            http_response_code(403);
+            return ['error' => 'Access denied'];
+        }
+
+        try {
+            $cardRecord = self::getCardData($boardId, $cardId, true);
+        } catch (ApiException) {
+            http_response_code(404);
+            return ['error' => 'Card not found in the specified board'];
+        }
+        if ((int)$cardRecord['deleted_time'] === 0) {
+            http_response_code(400);
+            return ['error' => 'The card is not archived'];
+        }
+
+        // The list must still be there, it could have been deleted after the card
+        $cardlistId = (int)$cardRecord['cardlist_id'];
+        try {
+            $cardlistData = self::GetCardlistData($boardId, $cardlistId);
+        } catch (ApiException) {
+            http_response_code(400);
+            return ['error' => 'The list of the card is archived, restore it first'];
+        }
+
+        try {
+            DB::getInstance()->beginTransaction();
+
+            $prevCardId = (int)DB::getInstance()->fetchOne(
+                "SELECT id FROM tarallo_cards WHERE id = :id AND cardlist_id = :cid AND deleted_time = 0",
+                ['id' => (int)$cardRecord['prev_card_id'], 'cid' => $cardlistId]
+            );
+            self::addCardToLL($cardId, $cardlistId, $prevCardId);
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET deleted_time = 0 WHERE id = :id",
+                ['id' => $cardId]
+            );
+            CardList::applyAutoSort($cardlistData);
+            $restoredCard = self::getCardData($boardId, $cardId);
+
+            Board::updateBoardModifiedTime($boardId);
+
+            DB::getInstance()->commit();
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            Logger::error("RestoreCard: Failed to restore card $cardId in board $boardId - {$e->getMessage()}");
+            http_response_code(500);
+            return ['error' => 'Error restoring card'];
+        }
+
+        Logger::info("RestoreCard: User $userId restored card $cardId in board $boardId");
+
+        return self::cardRecordToData($restoredCard);
+    }
+
+    /**
+     * Internal helper to permanently delete a card.
      * @param int $cardID The ID of the card.
      * @param bool $deleteAttachments If TRUE will delete attachments as well.
      * @return array The result of the operation.
@@ -416,30 +561,9 @@ class Card
 
         DB::getInstance()->beginTransaction();
         try {
-            // Relink previous card to skip this one
-            if (!empty($cardRecord['prev_card_id'])) {
-                DB::getInstance()->query(
-                    "UPDATE tarallo_cards
-                 SET next_card_id = :next
-                 WHERE id = :prev",
-                    [
-                        'next' => $cardRecord['next_card_id'] ?: 0,
-                        'prev' => $cardRecord['prev_card_id']
-                    ]
-                );
-            }
-
-            // Relink next card to skip this one
-            if (!empty($cardRecord['next_card_id'])) {
-                DB::getInstance()->query(
-                    "UPDATE tarallo_cards
-                 SET prev_card_id = :prev
-                 WHERE id = :next",
-                    [
-                        'prev' => $cardRecord['prev_card_id'] ?: 0,
-                        'next' => $cardRecord['next_card_id']
-                    ]
-                );
+            // A deleted card has already been removed from its list
+            if ((int)$cardRecord['deleted_time'] === 0) {
+                self::removeCardFromLL($cardRecord);
             }
 
             // Delete attachments if requested
@@ -457,6 +581,15 @@ class Card
                 );
             }
 
+            DB::getInstance()->query(
+                "DELETE FROM tarallo_card_assignees WHERE card_id = :id",
+                ['id' => $cardID]
+            );
+            DB::getInstance()->query(
+                "DELETE FROM tarallo_comments WHERE card_id = :id",
+                ['id' => $cardID]
+            );
+
             // Finally delete the card itself
             DB::getInstance()->query(
                 "DELETE FROM tarallo_cards WHERE id = :id",
@@ -522,42 +655,57 @@ class Card
 
         // Validate the destination cardlist
         try {
-            self::GetCardlistData($boardId, $destCardlistId);
+            $destCardlistData = self::GetCardlistData($boardId, $destCardlistId);
         } catch (ApiException) {
             http_response_code(400);
             return ['error' => 'Destination cardlist invalid'];
         }
 
-        // Transaction: delete original, insert new at target
+        // Moving a card within its list doesn't change the card count
+        if ((int)$cardRecord['cardlist_id'] !== $destCardlistId) {
+            try {
+                CardList::checkCardLimit($destCardlistData);
+            } catch (ApiException $e) {
+                http_response_code($e->getCode());
+                return ['error' => $e->getMessage()];
+            }
+        }
+
+        // Validate the new previous card
+        if ($newPrevCardId === $movedCardId) {
+            http_response_code(400);
+            return ['error' => 'A card cannot be moved after itself'];
+        }
+        if ($newPrevCardId > 0) {
+            $prevCardRecord = DB::getInstance()->fetchRow(
+                "SELECT id FROM tarallo_cards WHERE id = :id AND cardlist_id = :cid AND deleted_time = 0",
+                ['id' => $newPrevCardId, 'cid' => $destCardlistId]
+            );
+            if (!$prevCardRecord) {
+                http_response_code(400);
+                return ['error' => 'Previous card not in destination cardlist'];
+            }
+        }
+
+        // Transaction: unlink the card and relink it at the target, keeping its ID so that
+        // anything referencing the card (attachments, assignees...) stays attached to it
         try {
             DB::getInstance()->beginTransaction();
 
-            // Delete original card record (without deleting attachments)
-            $deletedCard = self::deleteCardInternal($movedCardId, false);
-
-            // Preserve or update last moved time
-            $lastMovedTime = ($deletedCard['cardlist_id'] != $destCardlistId)
-                ? time()
-                : $deletedCard['last_moved_time'];
+            $movedCard = self::getCardData($boardId, $movedCardId);
+            self::removeCardFromLL($movedCard);
+            self::addCardToLL($movedCardId, $destCardlistId, $newPrevCardId);
 
-            // Add card to new location
-            $newCard = Card::AddNewCardInternal(
-                $boardId,
-                $destCardlistId,
-                $newPrevCardId,
-                $deletedCard['title'],
-                $deletedCard['content'],
-                $deletedCard['cover_attachment_id'],
-                $lastMovedTime,
-                $deletedCard['label_mask'],
-                $deletedCard['flags']
-            );
+            // Update last moved time only when changing list
+            if ((int)$movedCard['cardlist_id'] !== $destCardlistId) {
+                DB::getInstance()->query(
+                    "UPDATE tarallo_cards SET last_moved_time = :time WHERE id = :id",
+                    ['time' => time(), 'id' => $movedCardId]
+                );
+            }
+            CardList::applyAutoSort($destCardlistData);
 
-            // Move attachments to new card_id
-            DB::getInstance()->query(
-                "UPDATE tarallo_attachments SET card_id = :new_id WHERE card_id = :old_id",
-                ['new_id' => $newCard['id'], 'old_id' => $movedCardId]
-            );
+            $newCard = self::getCardData($boardId, $movedCardId);
 
             Board::updateBoardModifiedTime($boardId);
 
@@ -574,6 +722,250 @@ class Card
         return self::cardRecordToData($newCard);
     }
 
+    /**
+     * Move a card to the top of a list of another board. The labels are matched by name, the attachments and
+     * comments follow the card, and the assignees without access to the destination board are removed.
+     * @param array $request Must contain 'board_id', 'id', 'dest_board_id' and 'dest_cardlist_id'.
+     * @return array The moved card data, with its new 'board_id'.
+     * @throws InvalidArgumentException On invalid parameters.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function moveCardToBoard(array $request): array
+    {
+        foreach (['board_id', 'id', 'dest_board_id', 'dest_cardlist_id'] as $key) {
+            if (!isset($request[$key]) || !is_numeric($request[$key])) {
+                throw new InvalidArgumentException("Missing or invalid parameter: $key");
+            }
+        }
+
+        $boardID     = (int)$request['board_id'];
+        $cardID      = (int)$request['id'];
+        $destBoardID = (int)$request['dest_board_id'];
+        $destListID  = (int)$request['dest_cardlist_id'];
+        if ($destBoardID === $boardID) {
+            throw new InvalidArgumentException("The card is already on this board");
+        }
+
+        $boardData = Board::GetBoardData($boardID, UserType::Member);
+        $destBoardData = Board::GetBoardData($destBoardID, UserType::Member);
+        if ($destBoardData['closed']) {
+            throw new ApiException("Cannot move a card to a closed board", 400);
+        }
+
+        $cardRecord = self::getCardData($boardID, $cardID);
+        $destCardlistData = self::GetCardlistData($destBoardID, $destListID);
+        CardList::checkCardLimit($destCardlistData);
+
+        // The files are copied, and the originals only deleted once the move is committed
+        $copiedFiles = [];
+        DB::getInstance()->beginTransaction();
+        try {
+            self::removeCardFromLL($cardRecord);
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET last_moved_time = :time WHERE id = :id",
+                ['time' => time(), 'id' => $cardID]
+            );
+            self::addCardToLL($cardID, $destListID, 0);
+            $attachments = self::transferCardToBoardInternal($cardRecord, $boardData, $destBoardData, $copiedFiles);
+            CardList::applyAutoSort($destCardlistData);
+
+            $newCard = self::getCardData($destBoardID, $cardID);
+
+            DB::getInstance()->commit();
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            self::deleteCopiedFiles($copiedFiles);
+            Logger::error("MoveCardToBoard: Failed to move card $cardID from board $boardID to board $destBoardID - " . $e->getMessage());
+            throw new ApiException("Failed to move card");
+        }
+
+        // The records still have the old board, where the original files are
+        foreach ($attachments as $attachment) {
+            Attachment::deleteAttachmentFiles($attachment);
+        }
+
+        Board::updateBoardModifiedTime($boardID);
+        Board::updateBoardModifiedTime($destBoardID);
+        Logger::info("MoveCardToBoard: User {$_SESSION['user_id']} moved card $cardID from board $boardID to list $destListID in board $destBoardID");
+
+        $response = self::cardRecordToData($newCard);
+        $response['board_id'] = $destBoardID;
+        return $response;
+    }
+
+    /**
+     * Make a card belong to another board, without linking it in a list. The labels are matched by name, the
+     * attachments and comments follow the card, and the assignees without access to the destination board are
+     * removed. Call it in a transaction.
+     * @param array $cardRecord    The card record.
+     * @param array $boardData     The data of the board of the card.
+     * @param array $destBoardData The data of the destination board.
+     * @param array $copiedFiles   Filled with the paths of the attachment files copied to the destination board, to
+     *                             delete if the transaction fails.
+     * @return array The attachment records as before the move, whose original files must be deleted once the
+     *               transaction is committed.
+     * @throws Throwable On DB error or if a file copy fails.
+     */
+    public static function transferCardToBoardInternal(
+        array $cardRecord,
+        array $boardData,
+        array $destBoardData,
+        array &$copiedFiles
+    ): array {
+        $cardID      = (int)$cardRecord['id'];
+        $destBoardID = (int)$destBoardData['id'];
+
+        $labelMask = Label::remapLabelMask(
+            (int)$cardRecord['label_mask'],
+            explode(',', $boardData['label_names']),
+            explode(',', $destBoardData['label_names'])
+        );
+        $attachments = DB::getInstance()->fetchTable(
+            "SELECT * FROM tarallo_attachments WHERE card_id = :card_id",
+            ['card_id' => $cardID]
+        );
+
+        DB::getInstance()->query(
+            "UPDATE tarallo_cards SET board_id = :board_id, label_mask = :label_mask WHERE id = :id",
+            ['board_id' => $destBoardID, 'label_mask' => $labelMask, 'id' => $cardID]
+        );
+
+        foreach (['tarallo_attachments', 'tarallo_comments'] as $table) {
+            DB::getInstance()->query(
+                "UPDATE $table SET board_id = :board_id WHERE card_id = :card_id",
+                ['board_id' => $destBoardID, 'card_id' => $cardID]
+            );
+        }
+
+        DB::getInstance()->query(
+            "DELETE FROM tarallo_card_assignees
+              WHERE card_id = :card_id AND user_id NOT IN (
+                  SELECT user_id FROM tarallo_permissions WHERE board_id = :board_id AND user_type <= :user_type
+              )",
+            ['card_id' => $cardID, 'board_id' => $destBoardID, 'user_type' => UserType::Observer->value]
+        );
+        DB::getInstance()->query(
+            "UPDATE tarallo_card_assignees SET board_id = :board_id WHERE card_id = :card_id",
+            ['board_id' => $destBoardID, 'card_id' => $cardID]
+        );
+
+        foreach ($attachments as $attachment) {
+            $copiedFiles = array_merge($copiedFiles, self::copyAttachmentFilesToBoard($attachment, $destBoardID));
+        }
+
+        return $attachments;
+    }
+
+    /**
+     * Delete the files copied in a transaction that failed, e.g. for a move to another board or a copy.
+     * @param string[] $copiedFiles The paths of the copied files.
+     * @return void
+     */
+    public static function deleteCopiedFiles(array $copiedFiles): void
+    {
+        foreach ($copiedFiles as $filePath) {
+            try {
+                File::deleteFile($filePath);
+            } catch (Throwable $t) {
+                Logger::warning("deleteCopiedFiles: Failed to delete the copied file $filePath - " . $t->getMessage());
+            }
+        }
+    }
+
+    /**
+     * Copy the file and the thumbnail of an attachment to the content directory of another board, with the same
+     * names, as the card keeps its attachments when moved.
+     * @param array $attachmentRecord The attachment record.
+     * @param int   $destBoardID      The destination board.
+     * @return string[] The paths of the copied files.
+     * @throws ApiException If a file copy fails.
+     */
+    private static function copyAttachmentFilesToBoard(array $attachmentRecord, int $destBoardID): array
+    {
+        $copiedFiles = [];
+
+        $filePath = Attachment::getAttachmentFilePathFromRecord($attachmentRecord);
+        if (File::fileExists($filePath)) {
+            $destPath = Attachment::getAttachmentFilePath($destBoardID, $attachmentRecord['guid'], $attachmentRecord['extension']);
+            File::copyFile($filePath, $destPath);
+            $copiedFiles[] = $destPath;
+        }
+
+        $thumbFilePath = Attachment::getThumbnailFilePathFromRecord($attachmentRecord);
+        if (File::fileExists($thumbFilePath)) {
+            $destPath = Attachment::getThumbnailFilePath($destBoardID, $attachmentRecord['guid']);
+            File::copyFile($thumbFilePath, $destPath);
+            $copiedFiles[] = $destPath;
+        }
+
+        return $copiedFiles;
+    }
+
+    /**
+     * Remove a card from its list ordering by re-linking its neighbours.
+     * @param array $cardRecord Must contain 'prev_card_id' and 'next_card_id' keys.
+     * @return void
+     */
+    public static function removeCardFromLL(array $cardRecord): void
+    {
+        $prevId = (int)($cardRecord['prev_card_id'] ?? 0);
+        $nextId = (int)($cardRecord['next_card_id'] ?? 0);
+
+        // Relink previous card to skip this one
+        if ($prevId > 0) {
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET next_card_id = :next WHERE id = :prev",
+                ['next' => $nextId, 'prev' => $prevId]
+            );
+        }
+
+        // Relink next card to skip this one
+        if ($nextId > 0) {
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET prev_card_id = :prev WHERE id = :next",
+                ['prev' => $prevId, 'next' => $nextId]
+            );
+        }
+    }
+
+    /**
+     * Link an existing card into a list, right after the specified card.
+     * The card must have been removed from its previous position with removeCardFromLL().
+     * @param int $cardID     The ID of the card to link.
+     * @param int $cardlistID The ID of the destination list.
+     * @param int $prevCardID The ID of the card before it, 0 to add it at the top.
+     * @return void
+     */
+    private static function addCardToLL(int $cardID, int $cardlistID, int $prevCardID): void
+    {
+        // Find the card that will follow this one (skipping the card itself, still pointing to its old neighbours)
+        $nextCardID = (int)DB::getInstance()->fetchOne(
+            "SELECT id FROM tarallo_cards
+              WHERE cardlist_id = :cid AND prev_card_id = :pid AND id <> :id AND deleted_time = 0",
+            ['cid' => $cardlistID, 'pid' => $prevCardID, 'id' => $cardID]
+        );
+
+        DB::getInstance()->query(
+            "UPDATE tarallo_cards
+                SET cardlist_id = :cid, prev_card_id = :prev, next_card_id = :next
+              WHERE id = :id",
+            ['cid' => $cardlistID, 'prev' => $prevCardID, 'next' => $nextCardID, 'id' => $cardID]
+        );
+
+        if ($nextCardID > 0) {
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET prev_card_id = :id WHERE id = :next",
+                ['id' => $cardID, 'next' => $nextCardID]
+            );
+        }
+        if ($prevCardID > 0) {
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET next_card_id = :id WHERE id = :prev",
+                ['id' => $cardID, 'prev' => $prevCardID]
+            );
+        }
+    }
+
     /**
      * Update a card's title.
      * @param array $request The request parameters.
@@ -616,23 +1008,21 @@ class Card
             return ['error' => 'Card not found in this board'];
         }
 
-        // Update title
+        // Update title, unless someone else changed the card since the client loaded it
         try {
-            DB::getInstance()->query(
-                "UPDATE tarallo_cards SET title = :title WHERE id = :id",
-                ['title' => $newTitle, 'id' => $cardId]
-            );
+            if (!self::updateCardText($cardId, 'title', $newTitle, self::requestRevision($request))) {
+                Logger::info("UpdateCardTitle: Rejected stale title of card $cardId from user $userId");
+                return self::editConflictResponse($boardId, $cardId);
+            }
 
             Board::updateBoardModifiedTime($boardId);
+            $cardRecord = self::getCardData($boardId, $cardId);
         } catch (Throwable $e) {
             Logger::error("UpdateCardTitle: DB error updating card $cardId in board $boardId - " . $e->getMessage());
             http_response_code(500);
             return ['error' => 'Failed to update card title'];
         }
 
-        // Update local record to reflect change
-        $cardRecord['title'] = $newTitle;
-
         Logger::info("UpdateCardTitle: User $userId updated title of card $cardId in board $boardId");
 
         return Card::cardRecordToData($cardRecord);
@@ -642,10 +1032,11 @@ class Card
      * Retrieve a card row from the DB, validating it belongs to the given board.
      * @param int $boardID The board ID to validate against.
      * @param int $cardID  The card ID to retrieve.
+     * @param bool $includeDeleted If TRUE a deleted card is returned as well.
      * @return array       The card's DB row.
      * @throws ApiException If not found or not part of the board.
      */
-    public static function getCardData(int $boardID, int $cardID): array
+    public static function getCardData(int $boardID, int $cardID, bool $includeDeleted = false): array
     {
         if ($boardID <= 0 || $cardID <= 0) {
             throw new ApiException("Invalid board or card ID");
@@ -661,8 +1052,8 @@ class Card
             throw new ApiException("Database error while fetching card.");
         }
 
-        if (!$cardData) {
-            // Card doesn't exist
+        if (!$cardData || (!$includeDeleted && (int)$cardData['deleted_time'] > 0)) {
+            // Card doesn't exist, or has been deleted
             throw new ApiException("Card not found", 404);
         }
 
@@ -716,27 +1107,77 @@ class Card
             return ['error' => 'Card not found in this board'];
         }
 
-        // === Perform update ===
+        // === Perform update, unless someone else changed the card since the client loaded it ===
         try {
-            DB::getInstance()->query(
-                "UPDATE tarallo_cards SET content = :content WHERE id = :id",
-                ['content' => $newContent, 'id' => $cardId]
-            );
+            if (!self::updateCardText($cardId, 'content', (string)$newContent, self::requestRevision($request))) {
+                Logger::info("UpdateCardContent: Rejected stale content of card $cardId from user $userId");
+                return self::editConflictResponse($boardId, $cardId);
+            }
             Board::updateBoardModifiedTime($boardId);
+            $cardRecord = self::getCardData($boardId, $cardId);
         } catch (Throwable $e) {
             Logger::error("UpdateCardContent: DB error on card $cardId (board $boardId) - " . $e->getMessage());
             http_response_code(500);
             return ['error' => 'Failed to update card content'];
         }
 
-        // === Update local record to reflect change ===
-        $cardRecord['content'] = $newContent;
-
         Logger::info("UpdateCardContent: User $userId updated content of card $cardId in board $boardId");
 
         return self::cardRecordToData($cardRecord);
     }
 
+    /**
+     * Read the card revision a title or content update is based on.
+     * @param array $request The request parameters, with an optional 'revision'.
+     * @return ?int The revision, NULL if the client didn't send one.
+     */
+    private static function requestRevision(array $request): ?int
+    {
+        return isset($request['revision']) && is_numeric($request['revision']) ? (int)$request['revision'] : null;
+    }
+
+    /**
+     * Change the title or content of a card, and bump its revision.
+     * @param int $cardID The card ID.
+     * @param string $field Either 'title' or 'content'.
+     * @param string $value The new value.
+     * @param ?int $revision The revision the new value is based on, NULL to overwrite whatever is there.
+     * @return bool FALSE if the card is no longer at that revision, so nothing was written.
+     */
+    private static function updateCardText(int $cardID, string $field, string $value, ?int $revision): bool
+    {
+        if (!in_array($field, ['title', 'content'], true)) {
+            throw new InvalidArgumentException("Invalid card text field: $field");
+        }
+
+        // Checked in the same statement, so two concurrent writes can't both pass
+        $sql = "UPDATE tarallo_cards SET $field = :value, revision = revision + 1 WHERE id = :id";
+        $params = ['value' => $value, 'id' => $cardID];
+        if ($revision !== null) {
+            $sql .= " AND revision = :revision";
+            $params['revision'] = $revision;
+        }
+
+        return DB::getInstance()->query($sql, $params)->rowCount() > 0;
+    }
+
+    /**
+     * Build the response to a stale title or content update, with the current card so the client can merge.
+     * @param int $boardID The board ID.
+     * @param int $cardID The card ID.
+     * @return array The error and the current card data, including its content.
+     */
+    private static function editConflictResponse(int $boardID, int $cardID): array
+    {
+        $cardRecord = self::getCardData($boardID, $cardID);
+
+        http_response_code(409);
+        return [
+            'error'    => 'The card has been changed by someone else',
+            'conflict' => array_merge(self::cardRecordToData($cardRecord), ['content' => (string)$cardRecord['content']]),
+        ];
+    }
+
     /**
      * Updates a card's flags.
      * @param array $request The request parameters.
@@ -779,8 +1220,10 @@ class Card
 
         // Calculate new flag mask
         $flagList = Card::cardFlagMaskToList($cardRecord['flags']);
-        if (array_key_exists('locked', $request)) {
-            $flagList['locked'] = (bool)$request['locked'];
+        foreach (array_keys(self::CARD_FLAGS) as $flagName) {
+            if (array_key_exists($flagName, $request)) {
+                $flagList[$flagName] = (bool)$request[$flagName];
+            }
         }
         $cardRecord['flags'] = self::CardFlagListToMask($flagList);
 
@@ -802,6 +1245,117 @@ class Card
         return Card::cardRecordToData($cardRecord);
     }
 
+    /**
+     * Updates a card's start and due dates.
+     * @param array $request The request parameters.
+     * @return array The updated card data.
+     */
+    public static function updateCardDates(array $request): array
+    {
+        Session::ensureSession();
+
+        $userId    = $_SESSION['user_id'] ?? null;
+        $boardId   = isset($request['board_id']) ? (int)$request['board_id'] : 0;
+        $cardId    = isset($request['id']) ? (int)$request['id'] : 0;
+        $startDate = isset($request['start_date']) ? (int)$request['start_date'] : 0;
+        $dueDate   = isset($request['due_date']) ? (int)$request['due_date'] : 0;
+
+        if (!$userId) {
+            http_response_code(401);
+            return ['error' => 'Not logged in'];
+        }
+
+        if ($boardId <= 0 || $cardId <= 0 || $startDate < 0 || $dueDate < 0) {
+            http_response_code(400);
+            return ['error' => 'Missing or invalid parameters'];
+        }
+
+        // A zero date means "not set", so only compare when both are present
+        if ($startDate > 0 && $dueDate > 0 && $startDate > $dueDate) {
+            http_response_code(400);
+            return ['error' => 'The start date cannot be after the due date'];
+        }
+
+        // Permission check
+        try {
+            Board::GetBoardData($boardId, UserType::Member);
+        } catch (ApiException) {
+            Logger::warning("UpdateCardDates: User $userId tried to update dates on card $cardId in board $boardId without permission");
+            http_response_code(403);
+            return ['error' => 'Access denied'];
+        }
+
+        // Card existence/ownership check
+        try {
+            $cardRecord = self::getCardData($boardId, $cardId);
+        } catch (ApiException) {
+            http_response_code(404);
+            return ['error' => 'Card not found in this board'];
+        }
+
+        // Update DB
+        try {
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET start_date = :start_date, due_date = :due_date WHERE id = :id",
+                ['start_date' => $startDate, 'due_date' => $dueDate, 'id' => $cardId]
+            );
+            Board::updateBoardModifiedTime($boardId);
+        } catch (Throwable $e) {
+            Logger::error("UpdateCardDates: DB error on card $cardId in board $boardId - " . $e->getMessage());
+            http_response_code(500);
+            return ['error' => 'Failed to update card dates'];
+        }
+
+        $cardRecord['start_date'] = $startDate;
+        $cardRecord['due_date'] = $dueDate;
+
+        Logger::info("UpdateCardDates: User $userId updated dates of card $cardId in board $boardId");
+
+        return self::cardRecordToData($cardRecord);
+    }
+
+    /**
+     * Find the cards of a board whose title or content contains a text.
+     * @param array $request The request parameters, with 'board_id' and 'text'.
+     * @return array The IDs of the matching cards in 'card_ids'.
+     */
+    public static function findBoardCards(array $request): array
+    {
+        Session::ensureSession();
+
+        $userId  = $_SESSION['user_id'] ?? null;
+        $boardId = isset($request['board_id']) ? (int)$request['board_id'] : 0;
+        $text    = trim((string)($request['text'] ?? ''));
+
+        if (!$userId) {
+            http_response_code(401);
+            return ['error' => 'Not logged in'];
+        }
+
+        if ($boardId <= 0 || $text === '') {
+            http_response_code(400);
+            return ['error' => 'Missing or invalid parameters'];
+        }
+
+        // Permission check
+        try {
+            Board::GetBoardData($boardId, UserType::Observer);
+        } catch (ApiException) {
+            http_response_code(403);
+            return ['error' => 'Access denied'];
+        }
+
+        // Match the text literally, escaping the LIKE wildcards
+        $pattern = '%' . Utils::escapeLike($text) . '%';
+        $cardIds = DB::getInstance()->fetchTable(
+            "SELECT id FROM tarallo_cards
+              WHERE board_id = :board_id AND deleted_time = 0 AND (title LIKE :title OR content LIKE :content)",
+            ['board_id' => $boardId, 'title' => $pattern, 'content' => $pattern]
+        );
+
+        return ['card_ids' => array_map(fn($row) => (int)$row['id'], $cardIds)];
+    }
+
     /**
      * Convert a list of boolean flags into a combined bitmask.
      * @param array<string,bool|int> $flagList e.g. ['locked' => true]
@@ -5,6 +5,9 @@ require_once __DIR__ . '/../vendor/autoload.php';
 
 class CardList
 {
+    // The keys the cards of a list can be sorted by.
+    public const SORT_KEYS = ['title', 'created', 'last_moved', 'label', 'due_date'];
+
     /**
      * Move a card list
      * @param array $request The request parameters.
@@ -61,7 +64,7 @@ class CardList
         } else {
             // Find "first" cardlist in board as the next list
             $nextRec = DB::getInstance()->fetchRow(
-                "SELECT id FROM tarallo_cardlists WHERE board_id = :bid AND prev_list_id = 0",
+                "SELECT id FROM tarallo_cardlists WHERE board_id = :bid AND prev_list_id = 0 AND deleted_time = 0",
                 ['bid' => $boardId]
             );
 
@@ -270,6 +273,331 @@ class CardList
         return $cardlistData;
     }
 
+    /**
+     * Set the maximum number of cards of a list, and whether cards over it are refused or only warned about.
+     * @param array $request Must contain 'board_id', 'id' and 'card_limit' (0 for no limit); optionally
+     *                       'card_limit_strict'.
+     * @return array Updated card list data.
+     * @throws InvalidArgumentException On invalid/missing input.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function updateCardListLimit(array $request): array
+    {
+        foreach (['board_id', 'id', 'card_limit'] as $key) {
+            if (!isset($request[$key]) || !is_numeric($request[$key])) {
+                throw new InvalidArgumentException("Missing or invalid parameter: $key");
+            }
+        }
+
+        $boardID    = (int) $request['board_id'];
+        $cardlistID = (int) $request['id'];
+        $limit      = (int) $request['card_limit'];
+        $strict     = $limit > 0 && !empty($request['card_limit_strict']);
+
+        if ($limit < 0) {
+            throw new InvalidArgumentException("The card limit cannot be negative.");
+        }
+
+        // The limits are part of the board layout
+        Board::GetBoardData($boardID, UserType::Moderator);
+
+        $cardlistData = Card::GetCardlistData($boardID, $cardlistID);
+
+        try {
+            DB::getInstance()->query(
+                "UPDATE tarallo_cardlists SET card_limit = :card_limit, card_limit_strict = :strict WHERE id = :id",
+                ['card_limit' => $limit, 'strict' => $strict ? 1 : 0, 'id' => $cardlistID]
+            );
+        } catch (Throwable $e) {
+            Logger::error("updateCardListLimit: DB error updating card list $cardlistID - " . $e->getMessage());
+            throw new ApiException("Database error updating card list limit.");
+        }
+
+        Board::updateBoardModifiedTime($boardID);
+
+        $cardlistData['card_limit'] = $limit;
+        $cardlistData['card_limit_strict'] = $strict ? 1 : 0;
+        return $cardlistData;
+    }
+
+    /**
+     * Refuse cards that would go over the limit of a list, if the list is set to refuse them rather than warn.
+     * @param array $cardlistData The card list record.
+     * @param int $addedCount The number of cards about to be added to the list.
+     * @return void
+     * @throws ApiException With code 409 if the cards don't fit.
+     */
+    public static function checkCardLimit(array $cardlistData, int $addedCount = 1): void
+    {
+        $limit = (int) ($cardlistData['card_limit'] ?? 0);
+        if ($limit <= 0 || empty($cardlistData['card_limit_strict'])) {
+            return;
+        }
+
+        $cardCount = (int) DB::getInstance()->fetchOne(
+            "SELECT COUNT(*) FROM tarallo_cards WHERE cardlist_id = :id AND deleted_time = 0",
+            ['id' => (int) $cardlistData['id']]
+        );
+
+        if ($cardCount + $addedCount > $limit) {
+            throw new ApiException("List \"{$cardlistData['name']}\" is limited to $limit cards", 409);
+        }
+    }
+
+    /**
+     * Sort the cards of a list, and optionally keep them sorted as cards arrive in the list (auto-sort).
+     * @param array $request Must contain 'board_id', 'id' and 'sort_by' (one of SORT_KEYS); optionally 'auto_sort'.
+     *                       Sorting without 'auto_sort' turns it off.
+     * @return array The card list data, with its 'cards' in their new order.
+     * @throws InvalidArgumentException On invalid/missing input.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function sortCardList(array $request): array
+    {
+        foreach (['board_id', 'id'] as $key) {
+            if (!isset($request[$key]) || !is_numeric($request[$key])) {
+                throw new InvalidArgumentException("Missing or invalid parameter: $key");
+            }
+        }
+        $sortBy = (string) ($request['sort_by'] ?? '');
+        if (!in_array($sortBy, self::SORT_KEYS, true)) {
+            throw new InvalidArgumentException("Missing or invalid parameter: sort_by");
+        }
+
+        $boardID  = (int) $request['board_id'];
+        $listID   = (int) $request['id'];
+        $autoSort = !empty($request['auto_sort']) ? $sortBy : '';
+
+        // Reordering cards is a card move, open to members
+        Board::GetBoardData($boardID, UserType::Member);
+        $cardlistData = Card::GetCardlistData($boardID, $listID);
+
+        DB::getInstance()->beginTransaction();
+        try {
+            DB::getInstance()->query(
+                "UPDATE tarallo_cardlists SET auto_sort = :auto_sort WHERE id = :id",
+                ['auto_sort' => $autoSort, 'id' => $listID]
+            );
+            $cardRecords = self::sortCardsInternal($listID, $sortBy);
+
+            DB::getInstance()->commit();
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            Logger::error("sortCardList: Failed to sort list $listID by $sortBy - " . $e->getMessage());
+            throw new ApiException("Failed to sort card list");
+        }
+
+        Board::updateBoardModifiedTime($boardID);
+
+        $cardlistData['auto_sort'] = $autoSort;
+        $cardlistData['cards'] = array_map([Card::class, 'cardRecordToData'], $cardRecords);
+        return $cardlistData;
+    }
+
+    /**
+     * Put the cards of a list back in order after a card arrived in it, if the list is kept sorted.
+     * Call it in the transaction that adds the card, before reading the card position.
+     * @param array $cardlistData The card list record.
+     * @return void
+     * @throws Throwable On DB error.
+     */
+    public static function applyAutoSort(array $cardlistData): void
+    {
+        $sortBy = (string) ($cardlistData['auto_sort'] ?? '');
+        if (in_array($sortBy, self::SORT_KEYS, true)) {
+            self::sortCardsInternal((int) $cardlistData['id'], $sortBy);
+        }
+    }
+
+    /**
+     * Order card records by a sort key. Each key has its natural order: titles from A to Z, the oldest cards first
+     * (as card IDs grow), the cards moved last first, by their first label in the board order, and the closest due
+     * date first. Cards without a label or due date go last, and cards that compare equal keep their order.
+     * @param array  $cardRecords The card records, in their current order.
+     * @param string $sortBy      One of SORT_KEYS.
+     * @return array The sorted records.
+     */
+    public static function sortCardRecords(array $cardRecords, string $sortBy): array
+    {
+        $firstLabel = fn(array $card) => (int) $card['label_mask'] > 0
+            ? strlen(decbin((int) $card['label_mask'] & -(int) $card['label_mask'])) - 1
+            : PHP_INT_MAX;
+        $dueDate = fn(array $card) => (int) $card['due_date'] > 0 ? (int) $card['due_date'] : PHP_INT_MAX;
+
+        usort($cardRecords, fn(array $a, array $b) => match ($sortBy) {
+            'title'      => strnatcasecmp((string) $a['title'], (string) $b['title']),
+            'created'    => (int) $a['id'] <=> (int) $b['id'],
+            'last_moved' => (int) $b['last_moved_time'] <=> (int) $a['last_moved_time'],
+            'label'      => $firstLabel($a) <=> $firstLabel($b),
+            'due_date'   => $dueDate($a) <=> $dueDate($b),
+        });
+
+        return $cardRecords;
+    }
+
+    /**
+     * Relink the cards of a list in sorted order, updating only the cards whose neighbours change.
+     * @param int    $listID The card list ID.
+     * @param string $sortBy One of SORT_KEYS.
+     * @return array The card records, sorted and with their new links.
+     * @throws Throwable On DB error.
+     */
+    private static function sortCardsInternal(int $listID, string $sortBy): array
+    {
+        $cardRecords = self::sortCardRecords(
+            Duplicate::sortLinkedList(
+                DB::getInstance()->fetchTable(
+                    "SELECT * FROM tarallo_cards WHERE cardlist_id = :id AND deleted_time = 0",
+                    ['id' => $listID]
+                ),
+                'prev_card_id'
+            ),
+            $sortBy
+        );
+
+        foreach ($cardRecords as $i => $card) {
+            $prevID = $i > 0 ? (int) $cardRecords[$i - 1]['id'] : 0;
+            $nextID = isset($cardRecords[$i + 1]) ? (int) $cardRecords[$i + 1]['id'] : 0;
+            if ($prevID !== (int) $card['prev_card_id'] || $nextID !== (int) $card['next_card_id']) {
+                DB::getInstance()->query(
+                    "UPDATE tarallo_cards SET prev_card_id = :prev, next_card_id = :next WHERE id = :id",
+                    ['prev' => $prevID, 'next' => $nextID, 'id' => (int) $card['id']]
+                );
+            }
+            $cardRecords[$i]['prev_card_id'] = $prevID;
+            $cardRecords[$i]['next_card_id'] = $nextID;
+        }
+
+        return $cardRecords;
+    }
+
+    /**
+     * Move every card of a list to the bottom of another list, of the same board or of another one, keeping their
+     * order. The whole chain is relinked at once, in a single transaction. Cards moved to another board follow the
+     * same rules as with Card::moveCardToBoard().
+     * @param array $request Must contain 'board_id', 'id' and 'dest_cardlist_id'; optionally 'dest_board_id'
+     *                       ('board_id' by default).
+     * @return array The destination card list data, with its 'cards' in order and its 'board_id'.
+     * @throws InvalidArgumentException On invalid/missing input.
+     * @throws ApiException On permission denial, if the cards don't fit in the destination list or on DB error.
+     */
+    public static function moveAllCards(array $request): array
+    {
+        foreach (['board_id', 'id', 'dest_cardlist_id'] as $key) {
+            if (!isset($request[$key]) || !is_numeric($request[$key])) {
+                throw new InvalidArgumentException("Missing or invalid parameter: $key");
+            }
+        }
+        if (isset($request['dest_board_id']) && !is_numeric($request['dest_board_id'])) {
+            throw new InvalidArgumentException("Missing or invalid parameter: dest_board_id");
+        }
+
+        $boardID     = (int) $request['board_id'];
+        $listID      = (int) $request['id'];
+        $destBoardID = (int) ($request['dest_board_id'] ?? $boardID);
+        $destListID  = (int) $request['dest_cardlist_id'];
+        if ($destListID === $listID) {
+            throw new InvalidArgumentException("The cards are already in this list");
+        }
+
+        $boardData = Board::GetBoardData($boardID, UserType::Member);
+        $destBoardData = $destBoardID === $boardID ? $boardData : Board::GetBoardData($destBoardID, UserType::Member);
+        if ($destBoardData['closed']) {
+            throw new ApiException("Cannot move cards to a closed board", 400);
+        }
+
+        Card::GetCardlistData($boardID, $listID);
+        $destCardlistData = Card::GetCardlistData($destBoardID, $destListID);
+
+        $cardRecords = Duplicate::sortLinkedList(
+            DB::getInstance()->fetchTable(
+                "SELECT * FROM tarallo_cards WHERE cardlist_id = :id AND deleted_time = 0",
+                ['id' => $listID]
+            ),
+            'prev_card_id'
+        );
+        self::checkCardLimit($destCardlistData, count($cardRecords));
+
+        // The files are copied, and the originals only deleted once the move is committed
+        $copiedFiles = [];
+        $attachments = [];
+        DB::getInstance()->beginTransaction();
+        try {
+            if ($cardRecords) {
+                $lastDestCardID = (int) DB::getInstance()->fetchOne(
+                    "SELECT id FROM tarallo_cards WHERE cardlist_id = :id AND next_card_id = 0 AND deleted_time = 0",
+                    ['id' => $destListID]
+                );
+                $firstCardID = (int) $cardRecords[0]['id'];
+
+                // The chain keeps its inner links: only its ends are attached to the destination list
+                DB::getInstance()->query(
+                    "UPDATE tarallo_cards SET cardlist_id = :dest_id, board_id = :board_id, last_moved_time = :time
+                      WHERE cardlist_id = :id AND deleted_time = 0",
+                    ['dest_id' => $destListID, 'board_id' => $destBoardID, 'time' => time(), 'id' => $listID]
+                );
+                DB::getInstance()->query(
+                    "UPDATE tarallo_cards SET prev_card_id = :prev WHERE id = :id",
+                    ['prev' => $lastDestCardID, 'id' => $firstCardID]
+                );
+                if ($lastDestCardID > 0) {
+                    DB::getInstance()->query(
+                        "UPDATE tarallo_cards SET next_card_id = :next WHERE id = :id",
+                        ['next' => $firstCardID, 'id' => $lastDestCardID]
+                    );
+                }
+
+                if ($destBoardID !== $boardID) {
+                    foreach ($cardRecords as $cardRecord) {
+                        $attachments = array_merge(
+                            $attachments,
+                            Card::transferCardToBoardInternal($cardRecord, $boardData, $destBoardData, $copiedFiles)
+                        );
+                    }
+                }
+                self::applyAutoSort($destCardlistData);
+            }
+
+            $destCardRecords = Duplicate::sortLinkedList(
+                DB::getInstance()->fetchTable(
+                    "SELECT * FROM tarallo_cards WHERE cardlist_id = :id AND deleted_time = 0",
+                    ['id' => $destListID]
+                ),
+                'prev_card_id'
+            );
+
+            DB::getInstance()->commit();
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            Card::deleteCopiedFiles($copiedFiles);
+            Logger::error("moveAllCards: Failed to move the cards of list $listID to list $destListID - " . $e->getMessage());
+            throw new ApiException("Failed to move the cards");
+        }
+
+        // The records still have the old board, where the original files are
+        foreach ($attachments as $attachment) {
+            Attachment::deleteAttachmentFiles($attachment);
+        }
+
+        Board::updateBoardModifiedTime($boardID);
+        if ($destBoardID !== $boardID) {
+            Board::updateBoardModifiedTime($destBoardID);
+        }
+        Logger::info("MoveAllCards: User {$_SESSION['user_id']} moved " . count($cardRecords) . " cards from list $listID in board $boardID to list $destListID in board $destBoardID");
+
+        // Load the assignees and comment counts of all cards at once rather than once per card
+        $assigneesByCard = Assignee::getBoardAssignees($destBoardID);
+        $commentCounts = Comment::getBoardCommentCounts($destBoardID);
+        foreach ($destCardRecords as &$cardRecord) {
+            $cardRecord['assignees'] = $assigneesByCard[(int)$cardRecord['id']] ?? [];
+            $cardRecord['comment_count'] = $commentCounts[$cardRecord['id']] ?? 0;
+        }
+        unset($cardRecord);
+
+        $destCardlistData['cards'] = array_map([Card::class, 'cardRecordToData'], $destCardRecords);
+        return $destCardlistData;
+    }
+
     /**
      * Public entry point to add a new card list to a board.
      * @param array $request Must contain 'board_id', 'prev_list_id', 'name'.
@@ -320,7 +648,7 @@ class CardList
         try {
             // Count how many lists exist in this board
             $cardListCount = DB::getInstance()->fetchOne(
-                "SELECT COUNT(*) FROM tarallo_cardlists WHERE board_id = :board_id",
+                "SELECT COUNT(*) FROM tarallo_cardlists WHERE board_id = :board_id AND deleted_time = 0",
                 ['board_id' => $boardID]
             );
         } catch (Throwable $e) {
@@ -338,7 +666,8 @@ class CardList
         if ($cardListCount > 0) {
             // Find the "next" after the intended prev
             $nextCardListRecord = DB::getInstance()->fetchRow(
-                "SELECT id FROM tarallo_cardlists WHERE board_id = :board_id AND prev_list_id = :prev_list_id",
+                "SELECT id FROM tarallo_cardlists
+                  WHERE board_id = :board_id AND prev_list_id = :prev_list_id AND deleted_time = 0",
                 [
                     'board_id'    => $boardID,
                     'prev_list_id'=> $prevListID
@@ -347,7 +676,7 @@ class CardList
 
             if ($prevListID > 0) {
                 $prevCardListRecord = DB::getInstance()->fetchRow(
-                    "SELECT id FROM tarallo_cardlists WHERE board_id = :board_id AND id = :prev_list_id",
+                    "SELECT id FROM tarallo_cardlists WHERE board_id = :board_id AND id = :prev_list_id AND deleted_time = 0",
                     [
                         'board_id'    => $boardID,
                         'prev_list_id'=> $prevListID
@@ -395,7 +724,8 @@ class CardList
     }
 
     /**
-     * Delete a card list from a board, only if it is empty.
+     * Delete a card list from a board, only if it is empty. The list is only marked as deleted and kept in the board
+     * archive, from where it can be restored or purged (see Archive).
      * @param array $request Must contain 'board_id' and 'id'.
      * @return array The deleted list's data.
      * @throws InvalidArgumentException On invalid/missing parameters.
@@ -426,7 +756,7 @@ class CardList
         // Ensure list is empty
         try {
             $cardCount = DB::getInstance()->fetchOne(
-                "SELECT COUNT(*) FROM tarallo_cards WHERE cardlist_id = :id",
+                "SELECT COUNT(*) FROM tarallo_cards WHERE cardlist_id = :id AND deleted_time = 0",
                 ['id' => $listID]
             );
         } catch (Throwable $e) {
@@ -442,7 +772,7 @@ class CardList
         }
 
         // Execute deletion
-        self::deleteCardListInternal($cardListData);
+        self::softDeleteCardListInternal($cardListData);
 
         // Update board modified time
         Board::updateBoardModifiedTime($boardID);
@@ -451,12 +781,77 @@ class CardList
     }
 
     /**
-     * Internal helper to remove a card list and update linked-list pointers.
+     * Restore a deleted card list, after the list that preceded it if that one is still in the board, or else first.
+     * @param array $request Must contain 'board_id' and 'id'.
+     * @return array The restored list's data.
+     * @throws InvalidArgumentException On invalid/missing parameters.
+     * @throws ApiException If the list is not deleted or on restore failure.
+     */
+    public static function restoreCardList(array $request): array
+    {
+        // Validate request parameters
+        foreach (['board_id', 'id'] as $key) {
+            if (!isset($request[$key]) || !is_numeric($request[$key])) {
+                throw new InvalidArgumentException("Missing or invalid parameter: $key");
+            }
+        }
+
+        $boardID = (int) $request['board_id'];
+        $listID  = (int) $request['id'];
+
+        if ($boardID <= 0 || $listID <= 0) {
+            throw new InvalidArgumentException("Invalid board or list ID");
+        }
+
+        // Check board access
+        Board::GetBoardData($boardID);
+
+        $cardListData = Card::GetCardlistData($boardID, $listID, true);
+        if ((int) $cardListData['deleted_time'] === 0) {
+            throw new ApiException("List $listID is not archived", 400);
+        }
+
+        try {
+            DB::getInstance()->beginTransaction();
+
+            $prevListID = (int) DB::getInstance()->fetchOne(
+                "SELECT id FROM tarallo_cardlists WHERE board_id = :board_id AND id = :id AND deleted_time = 0",
+                ['board_id' => $boardID, 'id' => (int) $cardListData['prev_list_id']]
+            );
+            $nextListID = (int) DB::getInstance()->fetchOne(
+                "SELECT id FROM tarallo_cardlists
+                  WHERE board_id = :board_id AND prev_list_id = :prev_list_id AND deleted_time = 0",
+                ['board_id' => $boardID, 'prev_list_id' => $prevListID]
+            );
+
+            DB::getInstance()->query(
+                "UPDATE tarallo_cardlists
+                    SET prev_list_id = :prev, next_list_id = :next, deleted_time = 0
+                  WHERE id = :id",
+                ['prev' => $prevListID, 'next' => $nextListID, 'id' => $listID]
+            );
+            self::addCardListToLL($listID, $prevListID, $nextListID);
+
+            DB::getInstance()->commit();
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            Logger::error("restoreCardList: Failed to restore list $listID - " . $e->getMessage());
+            throw new ApiException("Failed to restore card list");
+        }
+
+        Board::updateBoardModifiedTime($boardID);
+
+        return Card::GetCardlistData($boardID, $listID);
+    }
+
+    /**
+     * Internal helper to remove a card list from the linked list and mark it as deleted. Its previous and next list
+     * IDs are kept, as a hint of where to restore it.
      * @param array $cardListData Must contain 'id', 'prev_list_id', 'next_list_id'.
-     * @return void Deleted list's data.
+     * @return void
      * @throws ApiException On DB/linked list errors.
      */
-    private static function deleteCardListInternal(array $cardListData): void
+    private static function softDeleteCardListInternal(array $cardListData): void
     {
         try {
             DB::getInstance()->beginTransaction();
@@ -464,15 +859,15 @@ class CardList
             CardList::removeCardListFromLL($cardListData);
 
             DB::getInstance()->query(
-                "DELETE FROM tarallo_cardlists WHERE id = :id",
-                ['id' => (int) $cardListData['id']]
+                "UPDATE tarallo_cardlists SET deleted_time = :time WHERE id = :id",
+                ['time' => time(), 'id' => (int) $cardListData['id']]
             );
 
             DB::getInstance()->commit();
         } catch (Throwable $e) {
             DB::getInstance()->rollBack();
-            Logger::error("deleteCardListInternal: Failed to delete list {$cardListData['id']} - " . $e->getMessage());
+            Logger::error("softDeleteCardListInternal: Failed to delete list {$cardListData['id']} - " . $e->getMessage());
             throw new ApiException("Failed to delete card list");
         }
     }
-}
\ No newline at end of file
+}
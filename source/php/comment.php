@@ -0,0 +1,316 @@
+<?php
+
+declare(strict_types=1);
+require_once __DIR__ . '/../vendor/autoload.php';
+
+class Comment
+{
+    const MAX_COMMENT_LENGTH = 8000;
+
+    /**
+     * Convert a raw comment DB record (joined with the author's display name) into API data.
+     * @param array $commentRecord The DB row.
+     * @return array Normalised comment data for API output.
+     */
+    private static function commentRecordToData(array $commentRecord): array
+    {
+        $userId  = (int)$commentRecord['user_id'];
+        $deleted = !empty($commentRecord['deleted']);
+        $created = (int)$commentRecord['created_time'];
+
+        return [
+            'id'           => (int)$commentRecord['id'],
+            'card_id'      => (int)$commentRecord['card_id'],
+            'parent_id'    => (int)$commentRecord['parent_id'],
+            'user_id'      => $userId,
+            'display_name' => (string)($commentRecord['display_name'] ?? ''),
+            'content'      => $deleted ? '' : (string)$commentRecord['content'],
+            'created_time' => $created,
+            'created_date' => date('d M Y H:i', $created),
+            'edited'       => (int)$commentRecord['edited_time'] > 0,
+            'deleted'      => $deleted,
+            'is_author'    => $userId === (int)($_SESSION['user_id'] ?? 0),
+        ];
+    }
+
+    /**
+     * Count the visible comments of a card.
+     * @param int $cardID The card ID.
+     * @return int The number of comments that have not been deleted.
+     */
+    public static function getCardCommentCount(int $cardID): int
+    {
+        return (int)DB::getInstance()->fetchOne(
+            "SELECT COUNT(*) FROM tarallo_comments WHERE card_id = :card_id AND deleted = 0",
+            ['card_id' => $cardID]
+        );
+    }
+
+    /**
+     * Count the visible comments of every card in a board with a single query.
+     * @param int $boardID The board ID.
+     * @return array<int,int> The comment counts, indexed by card ID.
+     */
+    public static function getBoardCommentCounts(int $boardID): array
+    {
+        return DB::getInstance()->fetchAssoc(
+            "SELECT card_id, COUNT(*) AS comment_count
+               FROM tarallo_comments
+              WHERE board_id = :board_id AND deleted = 0
+              GROUP BY card_id",
+            'card_id',
+            'comment_count',
+            ['board_id' => $boardID]
+        );
+    }
+
+    /**
+     * Get all the comments of a card, oldest first. Replies reference their thread with 'parent_id'.
+     * @param array $request Must include 'board_id' and 'card_id'.
+     * @return array ['comments' => list of comment data]
+     * @throws InvalidArgumentException On missing or invalid parameters.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function getCardComments(array $request): array
+    {
+        [$boardID, $cardID] = self::validateCardRequest($request);
+
+        Board::GetBoardData($boardID, UserType::Observer);
+        Card::getCardData($boardID, $cardID);
+
+        $records = DB::getInstance()->fetchTable(
+            "SELECT c.*, u.display_name
+               FROM tarallo_comments c
+               LEFT JOIN tarallo_users u ON c.user_id = u.id
+              WHERE c.card_id = :card_id
+              ORDER BY c.created_time, c.id",
+            ['card_id' => $cardID]
+        );
+
+        return ['comments' => array_map([self::class, 'commentRecordToData'], $records)];
+    }
+
+    /**
+     * Add a comment to a card, or a reply to an existing comment.
+     * @param array $request Must include 'board_id', 'card_id' and 'content', optionally 'parent_id'.
+     * @return array The new comment data, with the updated card data in 'card'.
+     * @throws InvalidArgumentException On missing or invalid parameters.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function addCardComment(array $request): array
+    {
+        [$boardID, $cardID] = self::validateCardRequest($request);
+        $content  = self::cleanContent($request['content'] ?? '');
+        $parentID = (int)($request['parent_id'] ?? 0);
+
+        Board::GetBoardData($boardID, UserType::Member);
+        $cardRecord = Card::getCardData($boardID, $cardID);
+
+        // Threads are one level deep: replying to a reply adds to the same thread
+        if ($parentID > 0) {
+            $parentRecord = self::getCommentRecord($cardID, $parentID);
+            if ((int)$parentRecord['parent_id'] > 0) {
+                $parentID = (int)$parentRecord['parent_id'];
+            }
+        }
+
+        try {
+            $commentID = DB::getInstance()->insert(
+                "INSERT INTO tarallo_comments (card_id, board_id, user_id, parent_id, content, created_time)
+                 VALUES (:card_id, :board_id, :user_id, :parent_id, :content, :created_time)",
+                [
+                    'card_id'      => $cardID,
+                    'board_id'     => $boardID,
+                    'user_id'      => (int)$_SESSION['user_id'],
+                    'parent_id'    => $parentID,
+                    'content'      => $content,
+                    'created_time' => time(),
+                ]
+            );
+            Board::updateBoardModifiedTime($boardID);
+        } catch (Throwable $e) {
+            Logger::error("AddCardComment: Failed for card $cardID on board $boardID - " . $e->getMessage());
+            throw new ApiException("Failed to add comment");
+        }
+
+        $response = self::commentRecordToData(self::getCommentRecord($cardID, (int)$commentID));
+        $response['card'] = Card::cardRecordToData($cardRecord);
+        return $response;
+    }
+
+    /**
+     * Edit a comment. Only the author of a comment can edit it.
+     * @param array $request Must include 'board_id', 'id' and 'content'.
+     * @return array The updated comment data.
+     * @throws InvalidArgumentException On missing or invalid parameters.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function updateCardComment(array $request): array
+    {
+        [$boardID, $commentID] = self::validateCommentRequest($request);
+        $content = self::cleanContent($request['content'] ?? '');
+
+        Board::GetBoardData($boardID, UserType::Member);
+        $commentRecord = self::getAuthoredComment($boardID, $commentID);
+
+        try {
+            DB::getInstance()->query(
+                "UPDATE tarallo_comments SET content = :content, edited_time = :edited_time WHERE id = :id",
+                ['content' => $content, 'edited_time' => time(), 'id' => $commentID]
+            );
+            Board::updateBoardModifiedTime($boardID);
+        } catch (Throwable $e) {
+            Logger::error("UpdateCardComment: Failed for comment $commentID on board $boardID - " . $e->getMessage());
+            throw new ApiException("Failed to update comment");
+        }
+
+        return self::commentRecordToData(self::getCommentRecord((int)$commentRecord['card_id'], $commentID));
+    }
+
+    /**
+     * Delete a comment. Only the author of a comment can delete it. Comments with replies
+     * are only blanked out, so that the rest of the thread is kept.
+     * @param array $request Must include 'board_id' and 'id'.
+     * @return array The deleted comment data, with the updated card data in 'card'.
+     * @throws InvalidArgumentException On missing or invalid parameters.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function deleteCardComment(array $request): array
+    {
+        [$boardID, $commentID] = self::validateCommentRequest($request);
+
+        Board::GetBoardData($boardID, UserType::Member);
+        $commentRecord = self::getAuthoredComment($boardID, $commentID);
+        $cardID = (int)$commentRecord['card_id'];
+
+        $replyCount = (int)DB::getInstance()->fetchOne(
+            "SELECT COUNT(*) FROM tarallo_comments WHERE parent_id = :id",
+            ['id' => $commentID]
+        );
+
+        try {
+            if ($replyCount > 0) {
+                DB::getInstance()->query(
+                    "UPDATE tarallo_comments SET content = '', deleted = 1 WHERE id = :id",
+                    ['id' => $commentID]
+                );
+            } else {
+                DB::getInstance()->query("DELETE FROM tarallo_comments WHERE id = :id", ['id' => $commentID]);
+            }
+            Board::updateBoardModifiedTime($boardID);
+        } catch (Throwable $e) {
+            Logger::error("DeleteCardComment: Failed for comment $commentID on board $boardID - " . $e->getMessage());
+            throw new ApiException("Failed to delete comment");
+        }
+
+        $commentRecord['deleted'] = 1;
+        $response = self::commentRecordToData($commentRecord);
+        $response['card'] = Card::cardRecordToData(Card::getCardData($boardID, $cardID));
+        return $response;
+    }
+
+    /**
+     * Validate and extract the board and card IDs of a request.
+     * @param array $request Must include 'board_id' and 'card_id'.
+     * @return int[] The board and card IDs.
+     * @throws InvalidArgumentException On missing or invalid parameters.
+     */
+    private static function validateCardRequest(array $request): array
+    {
+        foreach (['board_id', 'card_id'] as $key) {
+            if (!isset($request[$key]) || !is_numeric($request[$key]) || (int)$request[$key] <= 0) {
+                throw new InvalidArgumentException("Missing or invalid parameter: $key");
+            }
+        }
+
+        return [(int)$request['board_id'], (int)$request['card_id']];
+    }
+
+    /**
+     * Validate and extract the board and comment IDs of a request.
+     * @param array $request Must include 'board_id' and 'id'.
+     * @return int[] The board and comment IDs.
+     * @throws InvalidArgumentException On missing or invalid parameters.
+     */
+    private static function validateCommentRequest(array $request): array
+    {
+        foreach (['board_id', 'id'] as $key) {
+            if (!isset($request[$key]) || !is_numeric($request[$key]) || (int)$request[$key] <= 0) {
+                throw new InvalidArgumentException("Missing or invalid parameter: $key");
+            }
+        }
+
+        return [(int)$request['board_id'], (int)$request['id']];
+    }
+
+    /**
+     * Trim and validate the text of a comment.
+     * @param mixed $content The raw content.
+     * @return string The cleaned content.
+     * @throws InvalidArgumentException If the comment is empty or too long.
+     */
+    private static function cleanContent(mixed $content): string
+    {
+        $content = trim((string)$content);
+        if ($content === '') {
+            throw new InvalidArgumentException("Comment cannot be empty");
+        }
+        if (mb_strlen($content) > self::MAX_COMMENT_LENGTH) {
+            throw new InvalidArgumentException("Comment is too long");
+        }
+
+        return $content;
+    }
+
+    /**
+     * Fetch a comment of a card, joined with the author's display name.
+     * @param int $cardID    The card the comment must belong to.
+     * @param int $commentID The comment ID.
+     * @return array The comment DB row.
+     * @throws ApiException If the comment doesn't exist or belongs to another card.
+     */
+    private static function getCommentRecord(int $cardID, int $commentID): array
+    {
+        $commentRecord = DB::getInstance()->fetchRow(
+            "SELECT c.*, u.display_name
+               FROM tarallo_comments c
+               LEFT JOIN tarallo_users u ON c.user_id = u.id
+              WHERE c.id = :id AND c.card_id = :card_id",
+            ['id' => $commentID, 'card_id' => $cardID]
+        );
+
+        if (!$commentRecord) {
+            throw new ApiException("Comment not found", 404);
+        }
+
+        return $commentRecord;
+    }
+
+    /**
+     * Fetch a comment of a board that the current user is the author of.
+     * @param int $boardID   The board the comment must belong to.
+     * @param int $commentID The comment ID.
+     * @return array The comment DB row.
+     * @throws ApiException If the comment doesn't exist, or the user is not its author.
+     */
+    private static function getAuthoredComment(int $boardID, int $commentID): array
+    {
+        $commentRecord = DB::getInstance()->fetchRow(
+            "SELECT c.*, u.display_name
+               FROM tarallo_comments c
+               LEFT JOIN tarallo_users u ON c.user_id = u.id
+              WHERE c.id = :id AND c.board_id = :board_id AND c.deleted = 0",
+            ['id' => $commentID, 'board_id' => $boardID]
+        );
+
+        if (!$commentRecord) {
+            throw new ApiException("Comment not found", 404);
+        }
+
+        if ((int)$commentRecord['user_id'] !== (int)$_SESSION['user_id']) {
+            throw new ApiException("Only the author can change a comment", 403);
+        }
+
+        return $commentRecord;
+    }
+}
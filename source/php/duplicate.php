@@ -0,0 +1,518 @@
+<?php
+
+declare(strict_types=1);
+require_once __DIR__ . '/../vendor/autoload.php';
+
+/**
+ * Copies of cards, lists and whole boards. Each copy can leave out the card descriptions, labels, attachments and
+ * covers, see COPY_OPTIONS. Comments, members and the done and locked flags are never copied, a copy starts fresh.
+ */
+class Duplicate
+{
+    // The parts of the cards that are copied unless the request sets them to false.
+    private const COPY_OPTIONS = ['copy_content', 'copy_labels', 'copy_attachments', 'copy_cover'];
+
+    /**
+     * List the boards and lists the current user can copy cards to.
+     * @param array $request Unused.
+     * @return array ['boards' => [['id' => int, 'title' => string, 'cardlists' => [['id' => int, 'name' => string]]]]]
+     * @throws ApiException If not logged in.
+     */
+    public static function getCopyDestinations(array $request): array
+    {
+        if (!Session::isUserLoggedIn()) {
+            throw new ApiException("Must be logged in to copy cards", 403);
+        }
+
+        $boards = DB::getInstance()->fetchTable(
+            "SELECT b.id, b.title
+               FROM tarallo_boards b
+              INNER JOIN tarallo_permissions p ON b.id = p.board_id
+              WHERE p.user_id = :user_id AND p.user_type <= :user_type AND b.closed = 0
+              ORDER BY b.title, b.id",
+            ['user_id' => (int)$_SESSION['user_id'], 'user_type' => UserType::Member->value]
+        );
+        if (!$boards) {
+            return ['boards' => []];
+        }
+
+        $boardIDs = implode(',', array_map(fn($board) => (int)$board['id'], $boards));
+        $lists = DB::getInstance()->fetchTable(
+            "SELECT id, board_id, name, prev_list_id FROM tarallo_cardlists
+              WHERE board_id IN ($boardIDs) AND deleted_time = 0"
+        );
+
+        return [
+            'boards' => array_map(fn($board) => [
+                'id'        => (int)$board['id'],
+                'title'     => (string)$board['title'],
+                'cardlists' => array_map(fn($list) => [
+                    'id'   => (int)$list['id'],
+                    'name' => (string)$list['name'],
+                ], self::sortLinkedList(
+                    array_filter($lists, fn($list) => (int)$list['board_id'] === (int)$board['id']),
+                    'prev_list_id'
+                )),
+            ], $boards),
+        ];
+    }
+
+    /**
+     * Copy a card to a list of the same board or of another board, where the labels are matched by name.
+     * A copy in the same list is added right after the card, otherwise at the top of the list.
+     * @param array $request Must contain 'board_id', 'id' and 'dest_cardlist_id'; optionally 'dest_board_id' (the
+     *                       same board by default), 'title' (the card title by default) and the COPY_OPTIONS.
+     * @return array The new card data, with its 'board_id'.
+     * @throws InvalidArgumentException On invalid parameters.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function copyCard(array $request): array
+    {
+        foreach (['board_id', 'id', 'dest_cardlist_id'] as $key) {
+            if (!isset($request[$key]) || !is_numeric($request[$key])) {
+                throw new InvalidArgumentException("Missing or invalid parameter: $key");
+            }
+        }
+
+        $boardID     = (int)$request['board_id'];
+        $cardID      = (int)$request['id'];
+        $destBoardID = (int)($request['dest_board_id'] ?? $boardID);
+        $destListID  = (int)$request['dest_cardlist_id'];
+        $options     = self::getCopyOptions($request);
+
+        // Reading the card is enough to copy it, the destination must be editable
+        $boardData = Board::GetBoardData($boardID, UserType::Observer);
+        $destBoardData = Board::GetBoardData($destBoardID, UserType::Member);
+        if ($destBoardData['closed']) {
+            throw new ApiException("Cannot copy a card to a closed board", 400);
+        }
+
+        $cardRecord = Card::getCardData($boardID, $cardID);
+        $destCardlistData = Card::GetCardlistData($destBoardID, $destListID);
+        CardList::checkCardLimit($destCardlistData);
+
+        $title = trim((string)($request['title'] ?? ''));
+        if ($title === '') {
+            $title = $cardRecord['title'];
+        }
+
+        $labelMask = 0;
+        if ($options['copy_labels']) {
+            $labelMask = $destBoardID === $boardID
+                ? (int)$cardRecord['label_mask']
+                : Label::remapLabelMask(
+                    (int)$cardRecord['label_mask'],
+                    explode(',', $boardData['label_names']),
+                    explode(',', $destBoardData['label_names'])
+                );
+        }
+
+        $prevCardID = (int)$cardRecord['cardlist_id'] === $destListID ? $cardID : 0;
+
+        $copiedFiles = [];
+        DB::getInstance()->beginTransaction();
+        try {
+            $newCardRecord = self::copyCardInternal($cardRecord, $destBoardID, $destListID, $prevCardID, $title, $labelMask, $options, $copiedFiles);
+            CardList::applyAutoSort($destCardlistData);
+            $newCardRecord = Card::getCardData($destBoardID, (int)$newCardRecord['id']);
+            DB::getInstance()->commit();
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            Card::deleteCopiedFiles($copiedFiles);
+            Logger::error("CopyCard: Failed to copy card $cardID to list $destListID of board $destBoardID - " . $e->getMessage());
+            throw new ApiException("Failed to copy card");
+        }
+
+        Board::updateBoardModifiedTime($destBoardID);
+        Logger::info("CopyCard: User {$_SESSION['user_id']} copied card $cardID to card {$newCardRecord['id']} in board $destBoardID");
+
+        $response = Card::cardRecordToData($newCardRecord);
+        $response['board_id'] = $destBoardID;
+        return $response;
+    }
+
+    /**
+     * Copy a list with all its cards, right after it.
+     * @param array $request Must contain 'board_id' and 'id'; optionally 'name' (the list name by default) and the
+     *                       COPY_OPTIONS.
+     * @return array The new list data, with its 'cards' in order.
+     * @throws InvalidArgumentException On invalid parameters.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function copyCardList(array $request): array
+    {
+        foreach (['board_id', 'id'] as $key) {
+            if (!isset($request[$key]) || !is_numeric($request[$key])) {
+                throw new InvalidArgumentException("Missing or invalid parameter: $key");
+            }
+        }
+
+        $boardID = (int)$request['board_id'];
+        $listID  = (int)$request['id'];
+        $options = self::getCopyOptions($request);
+
+        Board::GetBoardData($boardID, UserType::Member);
+        $cardListData = Card::GetCardlistData($boardID, $listID);
+
+        $name = trim((string)($request['name'] ?? ''));
+        if ($name === '') {
+            $name = $cardListData['name'];
+        }
+
+        $copiedFiles = [];
+        DB::getInstance()->beginTransaction();
+        try {
+            $newCardListData = CardList::addNewCardListInternal($boardID, $listID, $name);
+            $newCardRecords = self::copyCardListCardsInternal($listID, $boardID, (int)$newCardListData['id'], $options, $copiedFiles);
+            DB::getInstance()->commit();
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            Card::deleteCopiedFiles($copiedFiles);
+            Logger::error("CopyCardList: Failed to copy list $listID of board $boardID - " . $e->getMessage());
+            throw new ApiException("Failed to copy list");
+        }
+
+        Board::updateBoardModifiedTime($boardID);
+        Logger::info("CopyCardList: User {$_SESSION['user_id']} copied list $listID to list {$newCardListData['id']} in board $boardID");
+
+        $newCardListData['cards'] = array_map([Card::class, 'cardRecordToData'], $newCardRecords);
+        return $newCardListData;
+    }
+
+    /**
+     * Create a new board with the labels, background, lists and cards of a board, in the same workspace.
+     * Archived lists and cards are not copied. As it takes the whole board, like an export, it needs moderator rights.
+     * @param array $request Must contain 'board_id'; optionally 'title' (the board title by default) and the
+     *                       COPY_OPTIONS.
+     * @return array The new board data.
+     * @throws InvalidArgumentException On invalid parameters.
+     * @throws ApiException On permission denial or DB error.
+     */
+    public static function duplicateBoard(array $request): array
+    {
+        if (!isset($request['board_id']) || !is_numeric($request['board_id'])) {
+            throw new InvalidArgumentException("Missing or invalid board_id");
+        }
+        $boardID = (int)$request['board_id'];
+        $options = self::getCopyOptions($request);
+
+        Board::GetBoardData($boardID, UserType::Moderator);
+        $boardRecord = DB::getInstance()->fetchRow(
+            "SELECT * FROM tarallo_boards WHERE id = :id",
+            ['id' => $boardID]
+        );
+
+        $title = trim((string)($request['title'] ?? ''));
+        if ($title === '') {
+            $title = $boardRecord['title'];
+        }
+
+        $newBoardID = self::duplicateBoardInternal($boardRecord, $title, $options, (int)$boardRecord['workspace_id']);
+        Logger::info("DuplicateBoard: User {$_SESSION['user_id']} duplicated board $boardID to board $newBoardID");
+
+        return Board::GetBoardData($newBoardID);
+    }
+
+    /**
+     * Create a new board owned by the current user with the labels, background, lists and cards of a board.
+     * The caller handles the permissions on the source board.
+     * @param array  $boardRecord The board to copy.
+     * @param string $title       The title of the new board.
+     * @param array  $options     The copy options, see getCopyOptions().
+     * @param int    $workspaceID The workspace of the new board, 0 for none.
+     * @return int The new board ID.
+     * @throws ApiException On DB error, nothing is left of the new board.
+     */
+    public static function duplicateBoardInternal(array $boardRecord, string $title, array $options, int $workspaceID = 0): int
+    {
+        $boardID = (int)$boardRecord['id'];
+        $lists = self::sortLinkedList(
+            DB::getInstance()->fetchTable(
+                "SELECT * FROM tarallo_cardlists WHERE board_id = :board_id AND deleted_time = 0",
+                ['board_id' => $boardID]
+            ),
+            'prev_list_id'
+        );
+
+        $newBoardID = 0;
+        $copiedFiles = [];
+        DB::getInstance()->beginTransaction();
+        try {
+            $newBoardID = Board::createNewBoardInternal(
+                $title,
+                (string)$boardRecord['label_names'],
+                (string)$boardRecord['label_colors'],
+                $boardRecord['background_guid']
+            );
+            if ($workspaceID > 0) {
+                DB::getInstance()->query(
+                    "UPDATE tarallo_boards SET workspace_id = :workspace_id WHERE id = :id",
+                    ['workspace_id' => $workspaceID, 'id' => $newBoardID]
+                );
+            }
+            self::copyBackgroundFiles($boardID, $newBoardID, $boardRecord['background_guid'], $copiedFiles);
+
+            $prevListID = 0;
+            foreach ($lists as $list) {
+                $newCardListData = CardList::addNewCardListInternal($newBoardID, $prevListID, $list['name']);
+                $prevListID = (int)$newCardListData['id'];
+                self::copyCardListCardsInternal((int)$list['id'], $newBoardID, $prevListID, $options, $copiedFiles);
+            }
+
+            DB::getInstance()->commit();
+        } catch (Throwable $e) {
+            DB::getInstance()->rollBack();
+            Card::deleteCopiedFiles($copiedFiles);
+            if ($newBoardID > 0) {
+                // The content directory of the new board is left behind by the rollback
+                try {
+                    File::deleteDir(Board::GetBoardContentDir($newBoardID));
+                } catch (Throwable $t) {
+                    Logger::warning("DuplicateBoard: Failed to delete the files of board $newBoardID - " . $t->getMessage());
+                }
+            }
+            Logger::error("DuplicateBoard: Failed to duplicate board $boardID - " . $e->getMessage());
+            throw new ApiException("Failed to duplicate board");
+        }
+
+        return $newBoardID;
+    }
+
+    /**
+     * Copy the cards of a list at the end of another list, in the same order.
+     * @param int   $srcListID   The list to copy the cards from.
+     * @param int   $destBoardID The board of the destination list, with the same labels as the source board.
+     * @param int   $destListID  The list to copy the cards to.
+     * @param array $options     The copy options, see getCopyOptions().
+     * @param array $copiedFiles Filled with the paths of the copied attachment files, to delete if the transaction
+     *                           fails.
+     * @return array The new card records, in order.
+     * @throws Throwable If the database update or a file copy fails.
+     */
+    private static function copyCardListCardsInternal(
+        int $srcListID,
+        int $destBoardID,
+        int $destListID,
+        array $options,
+        array &$copiedFiles
+    ): array
+    {
+        $cardRecords = self::sortLinkedList(
+            DB::getInstance()->fetchTable(
+                "SELECT * FROM tarallo_cards WHERE cardlist_id = :cardlist_id AND deleted_time = 0",
+                ['cardlist_id' => $srcListID]
+            ),
+            'prev_card_id'
+        );
+
+        $prevCardID = (int)DB::getInstance()->fetchOne(
+            "SELECT id FROM tarallo_cards WHERE cardlist_id = :cardlist_id AND next_card_id = 0 AND deleted_time = 0",
+            ['cardlist_id' => $destListID]
+        );
+
+        $newCardRecords = [];
+        foreach ($cardRecords as $cardRecord) {
+            $labelMask = $options['copy_labels'] ? (int)$cardRecord['label_mask'] : 0;
+            $newCardRecord = self::copyCardInternal($cardRecord, $destBoardID, $destListID, $prevCardID, $cardRecord['title'], $labelMask, $options, $copiedFiles);
+            $prevCardID = (int)$newCardRecord['id'];
+            $newCardRecords[] = $newCardRecord;
+        }
+
+        return $newCardRecords;
+    }
+
+    /**
+     * Add a copy of a card to a list. The caller handles the permissions and the transaction.
+     * @param array  $cardRecord  The card to copy.
+     * @param int    $destBoardID The board of the destination list.
+     * @param int    $destListID  The destination list.
+     * @param int    $prevCardID  The card to add the copy after, 0 for the top of the list.
+     * @param string $title       The title of the copy.
+     * @param int    $labelMask   The labels of the copy, already matched to the destination board.
+     * @param array  $options     The copy options, see getCopyOptions().
+     * @param array  $copiedFiles Filled with the paths of the copied attachment files, to delete if the transaction
+     *                            fails.
+     * @return array The new card record.
+     * @throws Throwable If the database update or a file copy fails.
+     */
+    private static function copyCardInternal(
+        array $cardRecord,
+        int $destBoardID,
+        int $destListID,
+        int $prevCardID,
+        string $title,
+        int $labelMask,
+        array $options,
+        array &$copiedFiles
+    ): array {
+        $newCardRecord = Card::AddNewCardInternal(
+            $destBoardID,
+            $destListID,
+            $prevCardID,
+            $title,
+            $options['copy_content'] ? (string)$cardRecord['content'] : '',
+            0,
+            time(),
+            $labelMask,
+            0,
+            (int)$cardRecord['start_date'],
+            (int)$cardRecord['due_date']
+        );
+        $newCardID = (int)$newCardRecord['id'];
+
+        // The cover can be copied without the other attachments
+        $coverID = (int)$cardRecord['cover_attachment_id'];
+        $attachments = DB::getInstance()->fetchTable(
+            "SELECT * FROM tarallo_attachments WHERE card_id = :card_id ORDER BY id",
+            ['card_id' => (int)$cardRecord['id']]
+        );
+        $newCoverID = 0;
+        foreach ($attachments as $attachment) {
+            $isCover = (int)$attachment['id'] === $coverID;
+            if (!$options['copy_attachments'] && !($isCover && $options['copy_cover'])) {
+                continue;
+            }
+
+            $newAttachmentID = self::copyAttachmentInternal($attachment, $destBoardID, $newCardID, $copiedFiles);
+            if ($isCover && $options['copy_cover']) {
+                $newCoverID = $newAttachmentID;
+            }
+        }
+
+        if ($newCoverID > 0) {
+            DB::getInstance()->query(
+                "UPDATE tarallo_cards SET cover_attachment_id = :cover WHERE id = :id",
+                ['cover' => $newCoverID, 'id' => $newCardID]
+            );
+            $newCardRecord['cover_attachment_id'] = $newCoverID;
+        }
+
+        return $newCardRecord;
+    }
+
+    /**
+     * Copy an attachment and its files to a card.
+     * @param array $attachmentRecord The attachment to copy.
+     * @param int   $destBoardID      The board of the destination card.
+     * @param int   $destCardID       The destination card.
+     * @param array $copiedFiles      Filled with the paths of the copied files, to delete if the transaction fails.
+     * @return int The new attachment ID, 0 if its file is missing and it has been skipped.
+     * @throws Throwable If the database update or the file copy fails.
+     */
+    private static function copyAttachmentInternal(
+        array $attachmentRecord,
+        int $destBoardID,
+        int $destCardID,
+        array &$copiedFiles
+    ): int {
+        $filePath = Attachment::getAttachmentFilePathFromRecord($attachmentRecord);
+        if (!File::fileExists($filePath)) {
+            Logger::warning("CopyAttachment: Skipping attachment {$attachmentRecord['id']}, its file is missing");
+            return 0;
+        }
+
+        $guid = uniqid('', true);
+        $extension = (string)$attachmentRecord['extension'];
+        $destPath = Attachment::getAttachmentFilePath($destBoardID, $guid, $extension);
+        File::copyFile($filePath, $destPath);
+        $copiedFiles[] = $destPath;
+
+        $thumbFilePath = Attachment::getThumbnailFilePathFromRecord($attachmentRecord);
+        if (File::fileExists($thumbFilePath)) {
+            $destPath = Attachment::getThumbnailFilePath($destBoardID, $guid);
+            File::copyFile($thumbFilePath, $destPath);
+            $copiedFiles[] = $destPath;
+        }
+
+        return (int)DB::getInstance()->insert(
+            "INSERT INTO tarallo_attachments (name, guid, extension, card_id, board_id)
+             VALUES (:name, :guid, :extension, :card_id, :board_id)",
+            [
+                'name'      => $attachmentRecord['name'],
+                'guid'      => $guid,
+                'extension' => $extension,
+                'card_id'   => $destCardID,
+                'board_id'  => $destBoardID,
+            ]
+        );
+    }
+
+    /**
+     * Copy the background image of a board and its thumbnail to another board.
+     * @param int         $boardID        The source board.
+     * @param int         $newBoardID     The destination board.
+     * @param string|null $backgroundGUID The background GUID, null for the default background.
+     * @param array       $copiedFiles    Filled with the paths of the copied files, to delete if the transaction fails.
+     * @return void
+     * @throws ApiException If a file copy fails.
+     */
+    private static function copyBackgroundFiles(
+        int $boardID,
+        int $newBoardID,
+        ?string $backgroundGUID,
+        array &$copiedFiles
+    ): void {
+        if (empty($backgroundGUID)) {
+            return;
+        }
+
+        foreach ([false, true] as $thumbnail) {
+            $filePath = Board::getBackgroundUrl($boardID, $backgroundGUID, $thumbnail);
+            if (File::fileExists($filePath)) {
+                $destPath = Board::getBackgroundUrl($newBoardID, $backgroundGUID, $thumbnail);
+                File::copyFile($filePath, $destPath);
+                $copiedFiles[] = $destPath;
+            }
+        }
+    }
+
+    /**
+     * Read the copy options of a request, which default to true.
+     * @param array $request The request parameters.
+     * @return array<string,bool> The value of each of the COPY_OPTIONS.
+     */
+    public static function getCopyOptions(array $request): array
+    {
+        $options = [];
+        foreach (self::COPY_OPTIONS as $option) {
+            $options[$option] = !array_key_exists($option, $request) || !empty($request[$option]);
+        }
+        return $options;
+    }
+
+    /**
+     * Sort the records of a linked list (lists of a board or cards of a list) from the first one.
+     * Records whose links are broken are added at the end rather than lost.
+     * @param array  $records     The records, each with an 'id'.
+     * @param string $prevIDField The field with the ID of the previous record, 0 for the first one.
+     * @return array The sorted records.
+     */
+    public static function sortLinkedList(array $records, string $prevIDField): array
+    {
+        $recordsByPrevID = [];
+        foreach ($records as $record) {
+            $recordsByPrevID[(int)$record[$prevIDField]] = $record;
+        }
+
+        $sorted = [];
+        $sortedIDs = [];
+        $prevID = 0;
+        while (isset($recordsByPrevID[$prevID])) {
+            $record = $recordsByPrevID[$prevID];
+            $prevID = (int)$record['id'];
+            if (isset($sortedIDs[$prevID])) {
+                break; // the links loop
+            }
+            $sorted[] = $record;
+            $sortedIDs[$prevID] = true;
+        }
+
+        foreach ($records as $record) {
+            if (!isset($sortedIDs[(int)$record['id']])) {
+                $sorted[] = $record;
+            }
+        }
+
+        return $sorted;
+    }
+}
@@ -370,6 +370,32 @@ class File {
         return $contents;
     }
 
+    /**
+     * Copies a file within the FTP root, creating the destination directory if needed.
+     * @param string $srcPath  Relative or absolute path of the file to copy.
+     * @param string $destPath Relative or absolute path of the copy, overwritten if it exists.
+     * @return void
+     * @throws ApiException if the file is missing or cannot be copied.
+     */
+    public static function copyFile(string $srcPath, string $destPath): void
+    {
+        $absSrcPath = self::ftpDir($srcPath);
+        if (!is_file($absSrcPath)) {
+            Logger::error("copyFile: File not found '$absSrcPath'");
+            throw new ApiException("File not found: $absSrcPath");
+        }
+
+        self::prepareDir(dirname($destPath));
+        $absDestPath = self::ftpDir($destPath);
+        if (!@copy($absSrcPath, $absDestPath)) {
+            $error = error_get_last()['message'] ?? 'unknown error';
+            Logger::error("copyFile: Failed to copy '$absSrcPath' to '$absDestPath': $error");
+            throw new ApiException("Unable to copy file '$absSrcPath': $error");
+        }
+
+        Logger::debug("Copied file $absSrcPath to $absDestPath");
+    }
+
     /**
      * Deletes a file from the FTP root safely with logging.
      * @param string $filePath   Relative or absolute path within FTP root.
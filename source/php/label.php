@@ -35,6 +35,31 @@ class Label
         return mb_substr($name, 0, 32, 'UTF-8');
     }
 
+    /**
+     * Convert a card label mask between two boards, matching the labels by name.
+     * Labels that don't exist in the destination board are dropped.
+     * @param int   $labelMask The label mask in the source board.
+     * @param array $fromNames The label names of the source board, by index.
+     * @param array $toNames   The label names of the destination board, by index.
+     * @return int The label mask in the destination board.
+     */
+    public static function remapLabelMask(int $labelMask, array $fromNames, array $toNames): int
+    {
+        $newMask = 0;
+        foreach ($fromNames as $index => $name) {
+            if ($name === '' || !($labelMask & (1 << $index))) {
+                continue; // deleted or not set on the card
+            }
+
+            $newIndex = array_search($name, $toNames, true);
+            if ($newIndex !== false) {
+                $newMask |= 1 << $newIndex;
+            }
+        }
+
+        return $newMask;
+    }
+
     /**
      * Update the label names and colours for a board.
      * @param int   $boardID     The board ID.
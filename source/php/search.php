@@ -0,0 +1,117 @@
+<?php
+
+declare(strict_types=1);
+require_once __DIR__ . '/../vendor/autoload.php';
+
+/**
+ * Search across all the boards a user can access.
+ */
+class Search
+{
+    const MIN_QUERY_LENGTH = 2;
+    const MAX_RESULTS = 100;
+
+    /**
+     * Find the cards whose title, content, list name or attachment names contain a text, in every open board the
+     * user can at least observe.
+     * @param array $request Must include 'query'.
+     * @return array ['boards' => results grouped by board, 'truncated' => TRUE if there were more than MAX_RESULTS]
+     * @throws ApiException If not logged in or the query is too short.
+     */
+    public static function searchCards(array $request): array
+    {
+        Session::ensureSession();
+
+        $userID = (int)($_SESSION['user_id'] ?? 0);
+        if ($userID <= 0) {
+            throw new ApiException("Not logged in", 401);
+        }
+
+        $query = Utils::sanitizeString((string)($request['query'] ?? ''), 100);
+        if (mb_strlen($query) < self::MIN_QUERY_LENGTH) {
+            throw new ApiException("Search for at least " . self::MIN_QUERY_LENGTH . " characters", 400);
+        }
+
+        // Each occurrence needs its own placeholder, since prepares are not emulated
+        $pattern = '%' . Utils::escapeLike($query) . '%';
+        $records = DB::getInstance()->fetchTable(
+            "SELECT c.id, c.title, c.content, c.board_id, b.title AS board_title, l.name AS list_name,
+                    (SELECT a.name FROM tarallo_attachments a
+                      WHERE a.card_id = c.id AND a.name LIKE :attachment_select LIMIT 1) AS attachment_name
+               FROM tarallo_cards c
+              INNER JOIN tarallo_boards b ON b.id = c.board_id
+              INNER JOIN tarallo_permissions p ON p.board_id = c.board_id AND p.user_id = :user_id
+               LEFT JOIN tarallo_cardlists l ON l.id = c.cardlist_id
+              WHERE b.closed = 0
+                AND c.deleted_time = 0
+                AND p.user_type <= :user_type
+                AND (c.title LIKE :title
+                     OR c.content LIKE :content
+                     OR l.name LIKE :list_name
+                     OR EXISTS (SELECT 1 FROM tarallo_attachments a
+                                 WHERE a.card_id = c.id AND a.name LIKE :attachment_where))
+              ORDER BY b.last_modified_time DESC, c.last_moved_time DESC, c.id DESC
+              LIMIT " . (self::MAX_RESULTS + 1),
+            [
+                'attachment_select' => $pattern,
+                'user_id'           => $userID,
+                'user_type'         => UserType::Observer->value,
+                'title'             => $pattern,
+                'content'           => $pattern,
+                'list_name'         => $pattern,
+                'attachment_where'  => $pattern,
+            ]
+        );
+
+        $truncated = count($records) > self::MAX_RESULTS;
+        $records = array_slice($records, 0, self::MAX_RESULTS);
+
+        // Group by board, keeping the most recently modified boards first
+        $boards = [];
+        foreach ($records as $record) {
+            $boardID = (int)$record['board_id'];
+            $boards[$boardID] ??= [
+                'id'    => $boardID,
+                'title' => (string)$record['board_title'],
+                'cards' => [],
+            ];
+            $boards[$boardID]['cards'][] = self::recordToResult($record, $query);
+        }
+
+        Logger::debug("SearchCards: User $userID found " . count($records) . " cards for '$query'");
+
+        return ['boards' => array_values($boards), 'truncated' => $truncated];
+    }
+
+    /**
+     * Convert a matching card record into a search result, explaining where the query was found.
+     * @param array $record The DB row.
+     * @param string $query The search query.
+     * @return array The search result data.
+     */
+    private static function recordToResult(array $record, string $query): array
+    {
+        $title = (string)$record['title'];
+        $content = (string)$record['content'];
+        $listName = (string)($record['list_name'] ?? '');
+
+        // The DB collation may match more loosely (e.g. accents), so fall back to the content
+        if (mb_stripos($title, $query) !== false) {
+            [$matchedIn, $excerpt] = ['title', ''];
+        } elseif (mb_stripos($listName, $query) !== false) {
+            [$matchedIn, $excerpt] = ['list', $listName];
+        } elseif (mb_stripos($content, $query) === false && $record['attachment_name'] !== null) {
+            [$matchedIn, $excerpt] = ['attachment', (string)$record['attachment_name']];
+        } else {
+            [$matchedIn, $excerpt] = ['content', Utils::excerpt($content, $query)];
+        }
+
+        return [
+            'id'         => (int)$record['id'],
+            'title'      => $title,
+            'list_name'  => $listName,
+            'matched_in' => $matchedIn,
+            'excerpt'    => $excerpt,
+        ];
+    }
+}
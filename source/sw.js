@@ -0,0 +1,148 @@
+/**
+ * Tarallo service worker: keeps the app files and the last loaded boards available without a connection.
+ * Changes made offline are not handled here, the client saves them in its outbox.
+ */
+
+const SHELL_CACHE = "tarallo-shell-v1";
+const DATA_CACHE = "tarallo-data-v1";
+
+// The files needed to start the app and install it, the others are added as the page loads them.
+const SHELL_FILES = ["./", "manifest.json", "images/favicon-large.png", "images/tarallo.png"];
+
+// The API reads that are saved for offline use, and how many of their responses are kept.
+const CACHED_OPERATIONS = ["GetCurrentPage", "GetBoard", "OpenCard"];
+const MAX_CACHED_RESPONSES = 50;
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)));
+    self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+    // delete the caches of previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== SHELL_CACHE && name !== DATA_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim()));
+});
+
+self.addEventListener("message", (event) => {
+    switch (event.data?.type) {
+        case "cache-shell":
+            // the files loaded by the page, which can't be listed in advance here
+            event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(event.data.urls)));
+            break;
+
+        case "clear-data":
+            event.waitUntil(caches.delete(DATA_CACHE));
+            break;
+    }
+});
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== "GET" || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (url.pathname.endsWith("/php/api.php")) {
+        if (CACHED_OPERATIONS.includes(url.searchParams.get("OP"))) {
+            event.respondWith(fetchData(request));
+        }
+    } else if (request.mode === "navigate") {
+        event.respondWith(fetchPage(request));
+    } else if (!url.pathname.includes("/php/")) {
+        event.respondWith(fetchShellFile(request));
+    }
+});
+
+/**
+ * Get an API response from the server, saving it for later, or the last saved one without a connection.
+ * @param request The request.
+ * @returns {Promise<Response>} The response.
+ */
+async function fetchData(request) {
+    const cache = await caches.open(DATA_CACHE);
+
+    // each browser tab sends its own ID, which doesn't change the response
+    const cacheUrl = new URL(request.url);
+    cacheUrl.searchParams.delete("client_id");
+    const cacheKey = cacheUrl.href;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // delete first, so the most recently loaded responses are the last keys
+            await cache.delete(cacheKey);
+            await cache.put(cacheKey, response.clone());
+            await trimCache(cache);
+        }
+        return response;
+    } catch (e) {
+        const cachedResponse = await cache.match(cacheKey);
+        if (cachedResponse) {
+            return cachedResponse;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Get the page from the server, or the saved one without a connection. There is a single page, whatever the
+ * query string.
+ * @param request The request.
+ * @returns {Promise<Response>} The response.
+ */
+async function fetchPage(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put("./", response.clone());
+        }
+        return response;
+    } catch (e) {
+        const cachedResponse = await cache.match("./");
+        if (cachedResponse) {
+            return cachedResponse;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Get a file of the app from the cache, updating it from the server in the background.
+ * @param request The request.
+ * @returns {Promise<Response>} The response.
+ */
+async function fetchShellFile(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cachedResponse = await cache.match(request);
+    const update = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cachedResponse) {
+        update.catch(() => null); // offline, the cached version will do
+        return cachedResponse;
+    }
+    return update;
+}
+
+/**
+ * Delete the oldest saved API responses, beyond MAX_CACHED_RESPONSES.
+ * @param cache The data cache.
+ * @returns {Promise<void>} Updated when done.
+ */
+async function trimCache(cache) {
+    const keys = await cache.keys();
+    for (const key of keys.slice(0, Math.max(0, keys.length - MAX_CACHED_RESPONSES))) {
+        await cache.delete(key);
+    }
+}
@@ -0,0 +1,77 @@
+<?php
+
+
+namespace tests;
+
+use CardList;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Contains tests for the card list class.
+ */
+#[CoversClass(CardList::class)]
+class CardListTest extends TestCase
+{
+    /**
+     * Make a card record with the fields the sort keys use.
+     * @param int $id The card ID.
+     * @param string $title The card title.
+     * @param int $lastMoved The last moved time.
+     * @param int $labelMask The labels of the card.
+     * @param int $dueDate The due date, 0 if not set.
+     * @return array The card record.
+     */
+    private function card(int $id, string $title, int $lastMoved = 0, int $labelMask = 0, int $dueDate = 0): array
+    {
+        return [
+            'id'              => $id,
+            'title'           => $title,
+            'last_moved_time' => $lastMoved,
+            'label_mask'      => $labelMask,
+            'due_date'        => $dueDate,
+        ];
+    }
+
+    /**
+     * Get the IDs of card records, in order.
+     * @param array $cards The card records.
+     * @return int[] The IDs.
+     */
+    private function ids(array $cards): array
+    {
+        return array_column($cards, 'id');
+    }
+
+    /**
+     * Test output from sortCardRecords() method.
+     * @return void
+     */
+    public function testSortCardRecords(): void
+    {
+        $cards = [
+            $this->card(3, 'item 10', 300, 0b100, 0),
+            $this->card(1, 'Item 2', 100, 0b110, 2000),
+            $this->card(2, 'apple', 200, 0, 1000),
+            $this->card(4, 'Apple', 200, 0b010, 0),
+        ];
+
+        // Natural and case-insensitive titles, equal ones keep their order.
+        $this->assertEquals([2, 4, 1, 3], $this->ids(CardList::sortCardRecords($cards, 'title')));
+
+        // Oldest cards first.
+        $this->assertEquals([1, 2, 3, 4], $this->ids(CardList::sortCardRecords($cards, 'created')));
+
+        // Cards moved last first.
+        $this->assertEquals([3, 2, 4, 1], $this->ids(CardList::sortCardRecords($cards, 'last_moved')));
+
+        // By first label, cards without labels last.
+        $this->assertEquals([1, 4, 3, 2], $this->ids(CardList::sortCardRecords($cards, 'label')));
+
+        // Closest due date first, cards without one last.
+        $this->assertEquals([2, 1, 3, 4], $this->ids(CardList::sortCardRecords($cards, 'due_date')));
+
+        // Empty list.
+        $this->assertEquals([], CardList::sortCardRecords([], 'title'));
+    }
+}
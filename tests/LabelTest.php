@@ -0,0 +1,37 @@
+<?php
+
+
+namespace tests;
+
+use Label;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Contains tests for the label class.
+ */
+#[CoversClass(Label::class)]
+class LabelTest extends TestCase
+{
+    /**
+     * Test output from remapLabelMask() method.
+     * @return void
+     */
+    public function testRemapLabelMask(): void
+    {
+        // Same labels in the same order.
+        $this->assertEquals(0b101, Label::remapLabelMask(0b101, ['bug', 'idea', 'urgent'], ['bug', 'idea', 'urgent']));
+
+        // Labels at different indexes.
+        $this->assertEquals(0b011, Label::remapLabelMask(0b101, ['bug', 'idea', 'urgent'], ['urgent', 'bug']));
+
+        // Drop the labels missing from the destination.
+        $this->assertEquals(0b10, Label::remapLabelMask(0b11, ['bug', 'idea'], ['urgent', 'idea']));
+
+        // Ignore deleted labels.
+        $this->assertEquals(0, Label::remapLabelMask(0b1, [''], ['', 'bug']));
+
+        // No labels set.
+        $this->assertEquals(0, Label::remapLabelMask(0, ['bug'], ['bug']));
+    }
+}
@@ -96,4 +96,44 @@ class UtilsTest extends TestCase
         // Only control characters.
         $this->assertEquals("", Utils::sanitizeString("\0\x08"));
     }
+
+    /**
+     * Test output from escapeLike() method.
+     * @return void
+     */
+    public function testEscapeLike(): void
+    {
+        // Plain text is unchanged.
+        $this->assertEquals("hello world", Utils::escapeLike("hello world"));
+
+        // Escape wildcards.
+        $this->assertEquals("100\\% of a\\_b", Utils::escapeLike("100% of a_b"));
+
+        // Escape the escape character.
+        $this->assertEquals("a\\\\b", Utils::escapeLike("a\\b"));
+    }
+
+    /**
+     * Test output from excerpt() method.
+     * @return void
+     */
+    public function testExcerpt(): void
+    {
+        // Short text is kept whole.
+        $this->assertEquals("Hello world", Utils::excerpt("Hello world", "world"));
+
+        // Cut on both sides of the match.
+        $text = str_repeat('a', 20) . ' needle ' . str_repeat('b', 20);
+        $this->assertEquals("…aa needle bb…", Utils::excerpt($text, "needle", 3));
+
+        // Case-insensitive match.
+        $this->assertEquals("…the NEEDLE her…", Utils::excerpt("Find the NEEDLE here", "needle", 4));
+
+        // Collapse whitespace.
+        $this->assertEquals("a b", Utils::excerpt("a\n\n b", "b"));
+
+        // Start of the text if there is no match.
+        $this->assertEquals("abc…", Utils::excerpt("abcdef", "x", 2));
+    }
 }
+